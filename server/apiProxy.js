@@ -0,0 +1,142 @@
+// Proxy routes for third-party APIs that need a key, so keys stay on the server
+// Each route mirrors the upstream's own paths, so the app only swaps the base URL:
+//   /api/watson/v1/analyze                      -> WATSON_NLU_URL (Basic auth with WATSON_NLU_API_KEY)
+//   /api/openweather/data/2.5/weather|forecast,
+//   /api/openweather/data/3.0/onecall           -> api.openweathermap.org (OPENWEATHER_API_KEY)
+//   /api/ors/v2/directions/:profile/geojson     -> api.openrouteservice.org (ORS_API_KEY)
+//   /api/graphhopper/route                      -> GRAPHHOPPER_URL, default the hosted API (GRAPHHOPPER_API_KEY)
+// A service without its key answers 503. Every service is rate limited per client (see rateLimit.js).
+import express from 'express'
+import { createRateLimiter } from './rateLimit.js'
+
+const UPSTREAM_TIMEOUT_MS = 15000
+const OPENWEATHER_URL = 'https://api.openweathermap.org'
+const ORS_URL = 'https://api.openrouteservice.org'
+const DEFAULT_GRAPHHOPPER_URL = 'https://graphhopper.com/api/1'
+
+// Query parameters passed through to OpenWeatherMap (the key is added here)
+const OPENWEATHER_PARAMS = ['lat', 'lon', 'units', 'cnt', 'exclude', 'lang']
+const OPENWEATHER_PATHS = ['data/2.5/weather', 'data/2.5/forecast', 'data/3.0/onecall']
+const ORS_PROFILES = ['driving-car', 'driving-hgv']
+
+// name: { configured, missing (env to set), limiter }
+const SERVICES = {
+  watson: {
+    configured: () => Boolean(process.env.WATSON_NLU_API_KEY && process.env.WATSON_NLU_URL),
+    missing: 'WATSON_NLU_API_KEY and WATSON_NLU_URL',
+    limiter: createRateLimiter('watson', 20)
+  },
+  openweather: {
+    configured: () => Boolean(process.env.OPENWEATHER_API_KEY),
+    missing: 'OPENWEATHER_API_KEY',
+    limiter: createRateLimiter('openweather', 60)
+  },
+  ors: {
+    configured: () => Boolean(process.env.ORS_API_KEY),
+    missing: 'ORS_API_KEY',
+    limiter: createRateLimiter('ors', 30)
+  },
+  graphhopper: {
+    configured: () => Boolean(process.env.GRAPHHOPPER_API_KEY),
+    missing: 'GRAPHHOPPER_API_KEY',
+    limiter: createRateLimiter('graphhopper', 30)
+  }
+}
+
+function requireService(name) {
+  const service = SERVICES[name]
+  return (_req, res, next) => {
+    if (service.configured()) return next()
+    res.status(503).json({ error: 'Service not configured', details: [`Set ${service.missing} on the proxy server`] })
+  }
+}
+
+// Forward a request and pass the upstream's status and body back unchanged
+async function relay(res, name, url, init = {}) {
+  let upstream, body
+  try {
+    upstream = await fetch(url, { ...init, signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS) })
+    // The timeout also covers the body, so an upstream that stalls mid-response fails here too
+    body = await upstream.text()
+  } catch (err) {
+    console.error(`❌ ${name} request failed:`, err.message)
+    const detail = err.name === 'TimeoutError' ? `Timed out after ${UPSTREAM_TIMEOUT_MS}ms` : err.message
+    return res.status(502).json({ error: `${name} unavailable`, details: [detail] })
+  }
+  if (!upstream.ok) console.log(`⚠️ ${name} answered ${upstream.status}`)
+  res.status(upstream.status)
+    .type(upstream.headers.get('content-type') || 'application/json')
+    .send(body)
+}
+
+// Express 4 doesn't catch rejected handlers; pass them on as errors instead of crashing the server
+const proxied = handler => (req, res, next) => handler(req, res).catch(next)
+
+export const apiProxy = express.Router()
+
+Object.entries(SERVICES).forEach(([name, service]) => {
+  apiProxy.use(`/api/${name}`, service.limiter, requireService(name))
+})
+
+apiProxy.post('/api/watson/v1/analyze', proxied(async (req, res) => {
+  const { text, features } = req.body || {}
+  if (typeof text !== 'string' || !text.trim() || !features || typeof features !== 'object') {
+    return res.status(400).json({ error: 'Invalid analysis request', details: ['Send text (non-empty string) and features (object)'] })
+  }
+  const version = typeof req.query.version === 'string' ? req.query.version : '2022-04-07'
+  const auth = Buffer.from(`apikey:${process.env.WATSON_NLU_API_KEY}`).toString('base64')
+  await relay(res, 'Watson NLU', `${process.env.WATSON_NLU_URL.replace(/\/+$/, '')}/v1/analyze?${new URLSearchParams({ version })}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Basic ${auth}` },
+    body: JSON.stringify({ text, features })
+  })
+}))
+
+apiProxy.get(OPENWEATHER_PATHS.map(p => `/api/openweather/${p}`), proxied(async (req, res) => {
+  const params = new URLSearchParams()
+  OPENWEATHER_PARAMS.forEach(name => {
+    if (typeof req.query[name] === 'string') params.set(name, req.query[name])
+  })
+  const isCoordinate = value => Boolean(value?.trim()) && Number.isFinite(Number(value))
+  if (!isCoordinate(params.get('lat')) || !isCoordinate(params.get('lon'))) {
+    return res.status(400).json({ error: 'Invalid query', details: ['lat and lon must be numbers'] })
+  }
+  params.set('appid', process.env.OPENWEATHER_API_KEY)
+  await relay(res, 'OpenWeatherMap', `${OPENWEATHER_URL}${req.path.replace('/api/openweather', '')}?${params}`)
+}))
+
+apiProxy.post('/api/ors/v2/directions/:profile/geojson', proxied(async (req, res) => {
+  if (!ORS_PROFILES.includes(req.params.profile)) {
+    return res.status(400).json({ error: 'Invalid profile', details: [`profile must be one of: ${ORS_PROFILES.join(', ')}`] })
+  }
+  await relay(res, 'ORS', `${ORS_URL}/v2/directions/${req.params.profile}/geojson`, {
+    method: 'POST',
+    headers: {
+      'Authorization': process.env.ORS_API_KEY,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, application/geo+json'
+    },
+    body: JSON.stringify(req.body)
+  })
+}))
+
+apiProxy.post('/api/graphhopper/route', proxied(async (req, res) => {
+  const baseUrl = (process.env.GRAPHHOPPER_URL || DEFAULT_GRAPHHOPPER_URL).replace(/\/+$/, '')
+  await relay(res, 'GraphHopper', `${baseUrl}/route?${new URLSearchParams({ key: process.env.GRAPHHOPPER_API_KEY })}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify(req.body)
+  })
+}))
+
+/**
+ * Which proxied services have their keys, and each one's rate limit
+ * @returns {{ services: object, rateLimits: object }} services maps name to true/false, rateLimits to requests per client per minute (0 = unlimited)
+ */
+export function proxyStatus() {
+  const entries = Object.entries(SERVICES)
+  return {
+    services: Object.fromEntries(entries.map(([name, s]) => [name, s.configured()])),
+    rateLimits: Object.fromEntries(entries.map(([name, s]) => [name, s.limiter.limit()]))
+  }
+}
@@ -0,0 +1,173 @@
+// Historical hazard archive
+// Every incident the proxy sees is appended to a JSON-lines file whenever it first appears,
+// changes or clears (the latest line per incident wins), so time-range queries can look
+// further back than the live feeds. Override the location with HAZARD_ARCHIVE_FILE and the
+// retention with HAZARD_ARCHIVE_DAYS (default 90).
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { HAZARD_CATEGORIES, HAZARD_SUBTYPES } from '../src/utils/hazardTaxonomy.js'
+import { pointInPolygon } from '../src/utils/geoUtils.js'
+import { createHazardIndex } from './spatialIndex.js'
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data')
+const ARCHIVE_FILE = process.env.HAZARD_ARCHIVE_FILE || path.join(DATA_DIR, 'hazard-archive.jsonl')
+
+const DEFAULT_RETENTION_DAYS = 90
+// Rewrite the file on load once superseded and expired lines outnumber live ones
+const COMPACT_RATIO = 2
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Incident fields kept in the archive
+const ARCHIVED_FIELDS = ['id', 'source', 'eventType', 'subtype', 'description', 'latitude', 'longitude', 'geometry',
+  'roadway', 'impact', 'severity', 'lanesAffected', 'startDate', 'endDate']
+
+export const ARCHIVE_HAZARD_TYPES = [...Object.keys(HAZARD_CATEGORIES), ...Object.keys(HAZARD_SUBTYPES)]
+
+let entries = new Map() // `${source}|${id}` -> archived incident
+let index = createHazardIndex()
+let loading = null
+// Serializes appends so concurrent writes never interleave lines
+let writeQueue = Promise.resolve()
+
+const keyOf = (entry) => `${entry.source}|${entry.id}`
+const retentionMs = () => (parseFloat(process.env.HAZARD_ARCHIVE_DAYS) || DEFAULT_RETENTION_DAYS) * DAY_MS
+
+// When an archived incident started and stopped being active (still-active ones run to now)
+function activeRange(entry, now = Date.now()) {
+  const start = new Date(entry.startDate || entry.firstSeen).getTime()
+  const end = entry.clearedAt ? new Date(entry.clearedAt).getTime() : now
+  return [start, Math.max(start, end)]
+}
+
+function isExpired(entry, now) {
+  return activeRange(entry, now)[1] < now - retentionMs()
+}
+
+// A restart forgets lifecycle state, so the same incident can be "first seen" twice; keep the earliest
+function mergeEntry(entry) {
+  const key = keyOf(entry)
+  const previous = entries.get(key)
+  const firstSeen = previous && previous.firstSeen < entry.firstSeen ? previous.firstSeen : entry.firstSeen
+  entries.set(key, { ...entry, firstSeen })
+  index.insert(entries.get(key))
+}
+
+async function compact(lineCount) {
+  if (lineCount <= entries.size * COMPACT_RATIO) return
+  const tmp = `${ARCHIVE_FILE}.tmp`
+  await fs.writeFile(tmp, [...entries.values()].map(e => JSON.stringify(e) + '\n').join(''), 'utf8')
+  await fs.rename(tmp, ARCHIVE_FILE)
+  console.log(`✓ Compacted hazard archive: ${lineCount} lines → ${entries.size}`)
+}
+
+/**
+ * Load the archive from disk into memory (once), dropping incidents past retention
+ * @returns {Promise<number>} Number of archived incidents
+ */
+export function loadArchive() {
+  if (loading) return loading
+  loading = (async () => {
+    let lineCount = 0
+    try {
+      const text = await fs.readFile(ARCHIVE_FILE, 'utf8')
+      text.split('\n').forEach((line, idx) => {
+        if (!line.trim()) return
+        lineCount++
+        try {
+          mergeEntry(JSON.parse(line))
+        } catch {
+          console.warn(`⚠️ Skipping malformed archive entry on line ${idx + 1} of ${ARCHIVE_FILE}`)
+        }
+      })
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+    const now = Date.now()
+    entries = new Map([...entries].filter(([, entry]) => !isExpired(entry, now)))
+    // Whatever was active when the proxy stopped is only known to have lasted until it was last seen;
+    // incidents still listed are archived again (uncleared) on the first fetch
+    entries.forEach(entry => {
+      if (!entry.clearedAt) entry.clearedAt = entry.lastSeen
+    })
+    index = createHazardIndex([...entries.values()])
+    await writeQueue.then(() => compact(lineCount))
+    return entries.size
+  })()
+  return loading
+}
+
+function append(entry) {
+  const write = writeQueue.then(async () => {
+    await fs.mkdir(path.dirname(ARCHIVE_FILE), { recursive: true })
+    await fs.appendFile(ARCHIVE_FILE, JSON.stringify(entry) + '\n', 'utf8')
+  })
+  // Keep the queue alive even if this write fails
+  writeQueue = write.catch(() => {})
+  return write
+}
+
+/**
+ * Archive an incident as currently seen (first seen, changed or reappeared)
+ * @param {object} incident - Incident with `source` and stable `id`
+ * @param {object} lifecycle - { firstSeen, lastSeen, clearedAt }
+ * @returns {Promise<void>}
+ */
+export async function archiveIncident(incident, { firstSeen, lastSeen, clearedAt = null }) {
+  await loadArchive()
+  const entry = Object.fromEntries(ARCHIVED_FIELDS.map(field => [field, incident[field] ?? null]))
+  Object.assign(entry, { firstSeen, lastSeen, clearedAt })
+  mergeEntry(entry)
+  await append(entries.get(keyOf(entry)))
+}
+
+/**
+ * Mark an archived incident as cleared
+ * @param {string} source - Source name
+ * @param {string} id - Incident ID
+ * @param {object} lifecycle - { lastSeen, clearedAt }
+ * @returns {Promise<void>}
+ */
+export async function archiveCleared(source, id, { lastSeen, clearedAt }) {
+  await loadArchive()
+  const entry = entries.get(`${source}|${id}`)
+  if (!entry) return
+  Object.assign(entry, { lastSeen, clearedAt })
+  await append(entry)
+}
+
+// Weather alerts (subtype, or 'weather') whose area covered an incident's location when it started
+function weatherAt(entry, weatherEntries) {
+  const [start] = activeRange(entry)
+  const point = [entry.longitude, entry.latitude]
+  const conditions = weatherEntries
+    .filter(w => {
+      const [from, to] = activeRange(w)
+      return from <= start && start <= to && pointInPolygon(point, w.geometry)
+    })
+    .map(w => w.subtype || 'weather')
+  return [...new Set(conditions)]
+}
+
+/**
+ * Archived incidents active at any time in a range, newest first
+ * Each incident carries `weather`: the weather alerts in force where and when it started.
+ * @param {object} filters - { from, to (Date), spatial (from parseSpatialQuery), types (categories or subtypes), limit }
+ * @returns {Promise<object[]>}
+ */
+export async function queryArchive({ from, to, spatial = null, types = [], limit = null } = {}) {
+  await loadArchive()
+  const fromMs = from.getTime()
+  const toMs = to.getTime()
+  const all = [...entries.values()]
+  const weatherEntries = all.filter(e => e.eventType === 'weather' && e.geometry)
+
+  const matches = (spatial ? index.search(spatial) : all).filter(entry => {
+    if (types.length > 0 && !types.includes(entry.eventType) && !types.includes(entry.subtype)) return false
+    const [start, end] = activeRange(entry)
+    return start <= toMs && end >= fromMs
+  })
+  matches.sort((a, b) => activeRange(b)[0] - activeRange(a)[0])
+  const limited = limit ? matches.slice(0, limit) : matches
+  return limited.map(entry => (entry.eventType === 'weather' ? entry : { ...entry, weather: weatherAt(entry, weatherEntries) }))
+}
@@ -0,0 +1,141 @@
+// Live hazard push over Server-Sent Events (GET /api/hazards/stream)
+//
+// Each client first gets a `snapshot` event with every active incident, then `delta` events
+// ({ added, updated, expired }) whenever the merged feed changes. The feed is re-read every
+// HAZARD_STREAM_INTERVAL_SECONDS (default 30) while at least one client is connected; reads go
+// through the source cache, so upstream traffic still follows each source's TTL.
+import { aggregateIncidents } from './sources/aggregate.js'
+
+const DEFAULT_INTERVAL_SECONDS = 30
+// Comment lines keep proxies and browsers from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000
+// EventSource reconnect delay sent to clients
+const RETRY_MS = 5000
+
+const clients = new Set()
+let current = new Map() // incident key -> { incident, signature }
+let loaded = false
+let refreshing = null
+let pollTimer = null
+let heartbeatTimer = null
+let sourcesReady = null
+
+const intervalMs = () => (Number(process.env.HAZARD_STREAM_INTERVAL_SECONDS) || DEFAULT_INTERVAL_SECONDS) * 1000
+
+export const incidentKey = (incident) => `${incident.source}|${incident.id}`
+
+function isExpired(incident, now) {
+  const end = incident.endDate ? new Date(incident.endDate).getTime() : NaN
+  return Number.isFinite(end) && end <= now
+}
+
+/**
+ * Compare the previous feed with a new incident list
+ * Incidents past their endDate count as expired even if a source still lists them.
+ * @param {Map} previous - Incident key -> { incident, signature }
+ * @param {object[]} incidents - Latest merged incidents
+ * @returns {{ added: object[], updated: object[], expired: Array<{ id, source }>, next: Map }}
+ */
+export function diffIncidents(previous, incidents, now = Date.now()) {
+  const next = new Map()
+  const added = []
+  const updated = []
+  incidents.filter(i => !isExpired(i, now)).forEach(incident => {
+    const key = incidentKey(incident)
+    const signature = JSON.stringify(incident)
+    const before = previous.get(key)
+    if (!before) added.push(incident)
+    else if (before.signature !== signature) updated.push(incident)
+    next.set(key, { incident, signature })
+  })
+  const expired = [...previous.entries()]
+    .filter(([key]) => !next.has(key))
+    .map(([, { incident }]) => ({ id: incident.id, source: incident.source }))
+  return { added, updated, expired, next }
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+function broadcast(event, data) {
+  clients.forEach(res => send(res, event, data))
+}
+
+/**
+ * Re-read the merged feed and push what changed to every connected client
+ * Concurrent calls share one refresh.
+ * @returns {Promise<void>}
+ */
+export function refreshHazardStream() {
+  if (!sourcesReady) return Promise.resolve()
+  if (refreshing) return refreshing
+  refreshing = (async () => {
+    try {
+      const { incidents } = await aggregateIncidents(await sourcesReady)
+      const { added, updated, expired, next } = diffIncidents(current, incidents)
+      current = next
+      const firstLoad = !loaded
+      loaded = true
+      if (!firstLoad && (added.length || updated.length || expired.length)) {
+        console.log(`📡 Hazard stream: +${added.length} ~${updated.length} -${expired.length} → ${clients.size} clients`)
+        broadcast('delta', { generatedAt: new Date().toISOString(), added, updated, expired })
+      }
+    } catch (error) {
+      console.error('❌ Hazard stream refresh failed:', error)
+    } finally {
+      refreshing = null
+    }
+  })()
+  return refreshing
+}
+
+function startTimers() {
+  if (!pollTimer) pollTimer = setInterval(refreshHazardStream, intervalMs())
+  if (!heartbeatTimer) heartbeatTimer = setInterval(() => clients.forEach(res => res.write(': ping\n\n')), HEARTBEAT_MS)
+}
+
+function stopTimers() {
+  clearInterval(pollTimer)
+  clearInterval(heartbeatTimer)
+  pollTimer = null
+  heartbeatTimer = null
+}
+
+/**
+ * Set the sources the stream reads from
+ * @param {Promise<object[]>} sources - Resolves to the enabled source configs
+ */
+export function initHazardStream(sources) {
+  sourcesReady = sources
+}
+
+// Express handler for GET /api/hazards/stream
+export async function streamHazards(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // don't let nginx buffer the stream
+  })
+  res.flushHeaders()
+  res.write(`retry: ${RETRY_MS}\n\n`)
+
+  let closed = false
+  req.on('close', () => {
+    closed = true
+    clients.delete(res)
+    if (clients.size === 0) stopTimers()
+  })
+
+  // Without recent data (no clients for a while), read the feed before the snapshot
+  if (!loaded || !pollTimer) await refreshHazardStream()
+  if (closed) return
+
+  send(res, 'snapshot', {
+    generatedAt: new Date().toISOString(),
+    incidents: [...current.values()].map(entry => entry.incident)
+  })
+  clients.add(res)
+  startTimers()
+}
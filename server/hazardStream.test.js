@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffIncidents } from './hazardStream.js'
+
+const NOW = Date.parse('2026-01-10T12:00:00Z')
+
+const incident = (source, id, fields = {}) => ({ source, id, eventType: 'roadwork', latitude: 42.33, longitude: -83.05, ...fields })
+
+// The feed as diffIncidents remembers it after reading `incidents`
+const feedOf = (incidents) => diffIncidents(new Map(), incidents, NOW).next
+
+test('an unchanged feed produces no changes', () => {
+  const incidents = [incident('MDOT', '1'), incident('NWS', '1', { eventType: 'weather' })]
+  const { added, updated, expired, next } = diffIncidents(feedOf(incidents), incidents.map(i => ({ ...i })), NOW)
+  assert.deepEqual({ added, updated, expired }, { added: [], updated: [], expired: [] })
+  assert.deepEqual([...next.keys()], ['MDOT|1', 'NWS|1'])
+})
+
+test('new incidents are added, keyed by source and id', () => {
+  const before = feedOf([incident('MDOT', '1')])
+  // Same id from another source is a different incident
+  const latest = [incident('MDOT', '1'), incident('WZDx', '1')]
+  const { added, updated, expired } = diffIncidents(before, latest, NOW)
+  assert.deepEqual(added, [latest[1]])
+  assert.deepEqual(updated, [])
+  assert.deepEqual(expired, [])
+})
+
+test('incidents whose content changed are updated', () => {
+  const before = feedOf([incident('MDOT', '1'), incident('MDOT', '2')])
+  const changed = incident('MDOT', '2', { description: 'Right lane now closed' })
+  const { added, updated, expired } = diffIncidents(before, [incident('MDOT', '1'), changed], NOW)
+  assert.deepEqual(added, [])
+  assert.deepEqual(updated, [changed])
+  assert.deepEqual(expired, [])
+})
+
+test('incidents that disappear or pass their end date expire', () => {
+  const before = feedOf([incident('MDOT', '1'), incident('MDOT', '2'), incident('NWS', '3')])
+  const ended = incident('NWS', '3', { endDate: '2026-01-10T11:59:00Z' })
+  const { added, updated, expired, next } = diffIncidents(before, [incident('MDOT', '1'), ended], NOW)
+  assert.deepEqual(added, [])
+  assert.deepEqual(updated, [])
+  assert.deepEqual(expired, [{ id: '2', source: 'MDOT' }, { id: '3', source: 'NWS' }])
+  assert.deepEqual([...next.keys()], ['MDOT|1'])
+  // Never seen and already over: not added at all
+  assert.deepEqual(diffIncidents(next, [incident('MDOT', '1'), ended], NOW).added, [])
+})
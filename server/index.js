@@ -1,287 +1,262 @@
 import express from 'express'
 import cors from 'cors'
+import { createHash } from 'node:crypto'
+import { loadReports, validateReport, addReport, queryReports, REPORT_HAZARD_TYPES } from './reportStore.js'
+import { loadSources, checkSourceHealth, listAdapterTypes } from './sources/registry.js'
+import { secondsUntilStale, startBackgroundRefresh, cachePolicy } from './sources/cache.js'
+import { aggregateIncidents } from './sources/aggregate.js'
+import { incidentHistory } from './sources/lifecycle.js'
+import { loadArchive, queryArchive, ARCHIVE_HAZARD_TYPES } from './hazardArchive.js'
+import { createHazardIndex, parseSpatialQuery } from './spatialIndex.js'
+import { parseRouteRequest, hazardsAlongRoute } from './routeHazards.js'
+import { parseRouteWeatherRequest, weatherAlongRoute, weatherProviderName } from './routeWeather.js'
+import { initHazardStream, streamHazards, refreshHazardStream } from './hazardStream.js'
+import { apiProxy, proxyStatus } from './apiProxy.js'
+import { createRateLimiter } from './rateLimit.js'
 
 const app = express()
 const PORT = process.env.PORT || 3001
 
-// MDOT RIDE API Configuration
-// Once you receive your API credentials, add them to your .env file:
-// MDOT_RIDE_API_KEY=your_api_key_here
-// MDOT_RIDE_API_URL=https://ride.mdot.state.mi.us/api (or the URL provided by MDOT)
-const MDOT_RIDE_API_KEY = process.env.MDOT_RIDE_API_KEY
-const MDOT_RIDE_API_URL = process.env.MDOT_RIDE_API_URL || 'https://ride.mdot.state.mi.us/api'
+// Behind a reverse proxy, TRUST_PROXY (true, a hop count or a list of addresses) makes req.ip the client's for rate limiting
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY
+  app.set('trust proxy', trust === 'true' ? true : /^\d+$/.test(trust) ? Number(trust) : trust)
+}
+
+// Hazard feeds are configured in sources.config.js (override with SOURCES_CONFIG)
+const sourcesReady = loadSources().then(({ sources, skipped }) => {
+  console.log(`✓ Loaded ${sources.length} hazard sources: ${sources.map(s => s.name).join(', ')}`)
+  skipped.forEach(s => console.log(`ℹ️ Skipping source ${s.source} (${s.reason})`))
+  startBackgroundRefresh(sources)
+  return sources
+}).catch(err => {
+  console.error('❌ Invalid hazard source config:', err.message)
+  process.exit(1)
+})
+initHazardStream(sourcesReady)
 
 app.use(cors())
-app.use(express.json())
+// Route geometries can be a few thousand points
+app.use(express.json({ limit: '1mb' }))
 
 // Health check
 app.get('/', (_req, res) => {
   res.json({ status: 'ok', service: 'MichiGuard MDOT proxy' })
 })
 
-app.get('/api/mdot/events', async (_req, res) => {
+// Keyed third-party APIs (Watson NLU, OpenWeatherMap, ORS, GraphHopper); the keys live in this server's env
+app.use(apiProxy)
+
+// Which keyed services are available, so the app can show setup notices
+app.get('/api/proxy/status', (_req, res) => {
+  res.json(proxyStatus())
+})
+
+// Validators for the merged feed; Last-Modified (and the spatial index) only change with the incident list
+let feedVersion = { etag: null, lastModified: null, index: null }
+
+function versionIncidents(incidents) {
+  const etag = `"${createHash('sha1').update(JSON.stringify(incidents)).digest('base64url')}"`
+  if (etag !== feedVersion.etag) {
+    feedVersion = { etag, lastModified: new Date().toUTCString(), index: null }
+  }
+  return feedVersion
+}
+
+// Built on the first spatial query against each feed version
+function feedIndex(incidents) {
+  const version = versionIncidents(incidents)
+  if (!version.index) version.index = createHazardIndex(incidents)
+  return version.index
+}
+
+app.get('/api/mdot/events', async (req, res) => {
+  const generatedAt = new Date().toISOString()
+  const { spatial, errors } = parseSpatialQuery(req.query)
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid query', details: errors })
+  }
   try {
     console.log('→ Fetching Michigan traffic data...')
+    const sources = await sourcesReady
     
-    // FREE OPTIONS AVAILABLE:
-    // 1. MDOT RIDE (Real-Time Data Exchange) - FREE but requires MiLogin for Business account
-    //    - Sign up at: https://www.michigan.gov/mdot/travel/safety/efforts/its/its-data
-    //    - Create MiLogin for Business account and search for "MDOT RIDE"
-    // 2. MDOT Open Data Portal - FREE datasets available
-    //    - Visit: https://www.michigan.gov/mdot/business/open-data
-    // 3. National Weather Service API - FREE weather-related hazards
-    //    - No API key required: https://api.weather.gov
-    
-    // Attempt to fetch from available sources
-    const dataSources = []
-    
-    // National Weather Service - FREE, no API key required, includes weather-related road hazards
-    dataSources.push({ url: 'https://api.weather.gov/alerts/active?area=MI', parser: 'nws' })
-    
-    // MDOT RIDE API - Add when you receive API credentials
-    // To get endpoints:
-    // 1. Create MiLogin for Business: https://milogin.michigan.gov/
-    // 2. Request access: https://www.michigan.gov/mdot/travel/safety/efforts/its/its-data
-    // 3. Search for "MDOT RIDE" in Discover Online Services
-    // 4. Contact: MDOT-ITS-Data@Michigan.gov for API documentation
-    if (MDOT_RIDE_API_KEY) {
-      console.log('✓ MDOT RIDE API key found - attempting to fetch real-time traffic data')
-      // Add the actual endpoint URL provided by MDOT (examples below)
-      // Common endpoints might be:
-      // - /incidents or /traffic-incidents
-      // - /workzones or /work-zones
-      // - /events or /traffic-events
-      // - /alerts
-      dataSources.push({ 
-        url: `${MDOT_RIDE_API_URL}/incidents`, 
-        parser: 'json',
-        headers: {
-          'Authorization': `Bearer ${MDOT_RIDE_API_KEY}`,
-          // Common auth methods (check MDOT docs):
-          // 'Authorization': `Bearer ${MDOT_RIDE_API_KEY}`
-          // 'X-API-Key': MDOT_RIDE_API_KEY
-          // 'apikey': MDOT_RIDE_API_KEY
-        }
-      })
-      // Add other RIDE endpoints when you know them:
-      // dataSources.push({ url: `${MDOT_RIDE_API_URL}/workzones`, parser: 'json', headers: {...} })
-      // dataSources.push({ url: `${MDOT_RIDE_API_URL}/events`, parser: 'json', headers: {...} })
-    } else {
-      console.log('ℹ️ MDOT RIDE API key not configured. Add MDOT_RIDE_API_KEY to .env file when you receive credentials.')
-    }
-    
-    // MDOT Open Data Portal endpoints
-    // To find endpoints:
-    // 1. Visit: https://www.michigan.gov/mdot/business/open-data
-    // 2. Browse datasets (traffic incidents, work zones, etc.)
-    // 3. Click on a dataset → Look for "API" or "Export" option
-    // 4. Socrata format: https://data.michigan.gov/resource/DATASET-ID.json
-    // Example (replace with actual dataset ID):
-    // dataSources.push({ url: 'https://data.michigan.gov/resource/xxxx-xxxx.json', parser: 'json' })
-    
-    // Fallback: Try MDOT endpoints (may not work without auth)
-    dataSources.push({ url: 'https://mdotnetpublic.state.mi.us/MobileMDOT511/TrafficIncidents', parser: 'json' })
-    dataSources.push({ url: 'https://mdotnetpublic.state.mi.us/Drive/api/incidents', parser: 'json' })
+    const { incidents, statuses } = await aggregateIncidents(sources)
     
-    let incidents = []
-    let fetchSuccess = false
-    
-    for (const source of dataSources) {
-      try {
-        const url = typeof source === 'string' ? source : source.url
-        const parser = typeof source === 'string' ? 'json' : (source.parser || 'json')
-        const customHeaders = typeof source === 'object' && source.headers ? source.headers : {}
-        
-        console.log(`Attempting to fetch from: ${url}`)
-        const response = await fetch(url, {
-          headers: {
-            'Accept': 'application/json, application/geo+json, text/xml, */*',
-            'User-Agent': 'MichiGuard/1.0 (https://github.com/TeamRocketUT/MichiGuard)',
-            ...customHeaders // Merge any custom headers (like API keys)
-          },
-          timeout: 10000
-        })
-        
-        if (response.ok) {
-          const contentType = response.headers.get('content-type')
-          console.log(`✓ Response from ${url} (${contentType})`)
-          
-          if (parser === 'nws' || contentType?.includes('application/geo+json')) {
-            // National Weather Service GeoJSON format
-            const data = await response.json()
-            incidents = parseNWSAlerts(data)
-          } else if (contentType?.includes('json')) {
-            const data = await response.json()
-            incidents = parseIncidentsJSON(data)
-          } else if (contentType?.includes('xml')) {
-            const xmlText = await response.text()
-            incidents = parseIncidentsXML(xmlText)
-          }
-          
-          if (incidents.length > 0) {
-            fetchSuccess = true
-            console.log(`✓ Successfully fetched ${incidents.length} incidents from ${url}`)
-            break
-          }
-        } else {
-          console.log(`✗ HTTP ${response.status} from ${url}`)
-        }
-      } catch (err) {
-        console.log(`✗ Failed to fetch from ${url}:`, err.message)
-        continue
-      }
-    }
-    
-    // Return empty array if no real data found
-    if (!fetchSuccess || incidents.length === 0) {
+    if (!statuses.some(s => s.source !== 'community' && s.status === 'ok')) {
       console.log('⚠️ No real traffic data available from MDOT sources')
     }
+    console.log(`✓ Returning ${incidents.length} incidents from ${statuses.filter(s => s.status === 'ok').length}/${statuses.length} sources`)
+    
+    // Let browsers reuse the feed until the first source goes stale, then revalidate with ETag
+    const { etag, lastModified } = versionIncidents(incidents)
+    const staleSeconds = sources.length > 0 ? Math.min(...sources.map(s => cachePolicy(s).staleMs / 1000)) : 0
+    res.set({
+      'ETag': etag,
+      'Last-Modified': lastModified,
+      'Cache-Control': `public, max-age=${secondsUntilStale(sources)}, stale-while-revalidate=${staleSeconds}`
+    })
+    if (req.fresh) return res.status(304).end()
     
-    res.json(incidents)
+    // bbox / near / corridor narrow the statewide list on the server instead of in the browser
+    const matching = spatial ? feedIndex(incidents).search(spatial) : incidents
+    res.json({ incidents: matching, meta: { generatedAt, sources: statuses, ...(spatial ? { total: incidents.length } : {}) } })
   } catch (error) {
     console.error('❌ Error fetching traffic events:', error)
-    res.json([])
+    res.json({ incidents: [], meta: { generatedAt, sources: [], error: 'Failed to aggregate sources' } })
   }
 })
 
-function parseIncidentsJSON(data) {
+// Hazards along a route, in the order the driver meets them
+app.post('/api/route/hazards', async (req, res) => {
+  const { route, errors } = parseRouteRequest(req.body)
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid route', details: errors })
+  }
+  const generatedAt = new Date().toISOString()
   try {
-    // Handle different JSON structures
-    const items = data.incidents || data.events || data.items || data
-    if (!Array.isArray(items)) return []
-    
-    return items.map((item, idx) => ({
-      id: item.id || item.incident_id || `mdot-${idx}`,
-      eventType: normalizeEventType(item.type || item.event_type || item.category || 'incident'),
-      description: item.description || item.headline || item.title || 'Traffic incident',
-      latitude: parseFloat(item.latitude || item.lat || item.location?.latitude || 0),
-      longitude: parseFloat(item.longitude || item.lng || item.location?.longitude || 0),
-      startDate: item.start_time || item.startDate || item.created || new Date().toISOString(),
-      endDate: item.end_time || item.endDate || item.estimated_end || null,
-      impact: item.impact || item.severity || item.delay || null,
-      roadway: item.road || item.route || item.roadway || null
-    })).filter(i => i.latitude && i.longitude)
-  } catch (err) {
-    console.error('Error parsing JSON incidents:', err)
-    return []
+    const { incidents } = await aggregateIncidents(await sourcesReady)
+    const { hazards, routeLengthMeters } = hazardsAlongRoute(feedIndex(incidents), route)
+    console.log(`✓ ${hazards.length} hazards within ${route.buffer} m of a ${(routeLengthMeters / 1000).toFixed(1)} km route`)
+    res.json({ hazards, meta: { generatedAt, routeLengthMeters, buffer: route.buffer, count: hazards.length } })
+  } catch (error) {
+    console.error('❌ Error finding hazards along route:', error)
+    res.status(500).json({ error: 'Failed to find hazards along route' })
   }
-}
+})
 
-function parseIncidentsXML(xmlText) {
+// Weather and risk for each stretch of a route, at the time the driver reaches it
+// Each uncached grid cell costs an upstream weather call, so clients are rate limited here too
+app.post('/api/route/weather', createRateLimiter('route-weather', 30), async (req, res) => {
+  const { request, errors } = parseRouteWeatherRequest(req.body)
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid route', details: errors })
+  }
+  const generatedAt = new Date().toISOString()
   try {
-    // Basic XML parsing for incident data
-    const incidents = []
-    const incidentRegex = /<incident[^>]*>(.*?)<\/incident>/gis
-    const matches = xmlText.matchAll(incidentRegex)
-    
-    let idx = 0
-    for (const match of matches) {
-      const incidentXml = match[1]
-      const getTag = (tag) => {
-        const tagMatch = incidentXml.match(new RegExp(`<${tag}[^>]*>([^<]+)<\/${tag}>`, 'i'))
-        return tagMatch ? tagMatch[1].trim() : null
-      }
-      
-      const lat = parseFloat(getTag('latitude') || getTag('lat') || 0)
-      const lng = parseFloat(getTag('longitude') || getTag('lng') || 0)
-      
-      if (lat && lng) {
-        incidents.push({
-          id: getTag('id') || `mdot-xml-${idx}`,
-          eventType: normalizeEventType(getTag('type') || getTag('category') || 'incident'),
-          description: getTag('description') || getTag('headline') || 'Traffic incident',
-          latitude: lat,
-          longitude: lng,
-          startDate: getTag('start') || new Date().toISOString(),
-          endDate: getTag('end') || null,
-          impact: getTag('impact') || getTag('severity') || null,
-          roadway: getTag('road') || getTag('route') || null
-        })
-        idx++
-      }
-    }
-    
-    return incidents
-  } catch (err) {
-    console.error('Error parsing XML incidents:', err)
-    return []
+    const { segments, summary, routeLengthMeters, cache } = await weatherAlongRoute(request)
+    console.log(`✓ Weather for ${segments.length} segments of a ${(routeLengthMeters / 1000).toFixed(1)} km route (${cache.hits} cached, ${cache.misses} fetched)`)
+    res.json({
+      segments,
+      summary,
+      meta: { generatedAt, provider: weatherProviderName(), hazardType: request.hazardType, routeLengthMeters, cache }
+    })
+  } catch (error) {
+    console.error('❌ Error getting weather along route:', error)
+    res.status(500).json({ error: 'Failed to get weather along route' })
   }
-}
+})
 
-function normalizeEventType(type) {
-  const t = type.toLowerCase()
-  if (t.includes('accident') || t.includes('crash') || t.includes('collision')) return 'accident'
-  if (t.includes('construct') || t.includes('work') || t.includes('repair')) return 'construction'
-  if (t.includes('closure') || t.includes('closed') || t.includes('block')) return 'closure'
-  if (t.includes('congestion') || t.includes('traffic') || t.includes('delay')) return 'congestion'
-  if (t.includes('weather') || t.includes('ice') || t.includes('snow') || t.includes('wind') || t.includes('flood') || t.includes('storm')) return 'weather'
-  if (t.includes('lane')) return 'lane'
-  if (t.includes('incident') || t.includes('event')) return 'incident'
-  return 'other'
-}
+// Live add/update/expire deltas for the map and navigation (Server-Sent Events)
+app.get('/api/hazards/stream', streamHazards)
+
+// Past and present incidents from the archive, for historical patterns
+const DEFAULT_HISTORY_DAYS = 7
+const MAX_HISTORY_RESULTS = 5000
+
+app.get('/api/hazards', async (req, res) => {
+  const { from, to, type, limit } = req.query
+  const errors = []
+  const toDate = to ? new Date(to) : new Date()
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_HISTORY_DAYS * 24 * 60 * 60 * 1000)
+  if (Number.isNaN(fromDate.getTime())) errors.push('from must be a valid timestamp')
+  if (Number.isNaN(toDate.getTime())) errors.push('to must be a valid timestamp')
+  if (!errors.length && fromDate > toDate) errors.push('from must be before to')
+
+  const { spatial, errors: spatialErrors } = parseSpatialQuery(req.query)
+  errors.push(...spatialErrors)
+  const types = type ? String(type).split(',').map(t => t.trim().toLowerCase()).filter(Boolean) : []
+  const unknownTypes = types.filter(t => !ARCHIVE_HAZARD_TYPES.includes(t))
+  if (unknownTypes.length > 0) errors.push(`type must be hazard categories or subtypes: ${ARCHIVE_HAZARD_TYPES.join(', ')}`)
+  const limitNum = limit !== undefined ? Number(limit) : MAX_HISTORY_RESULTS
+  if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > MAX_HISTORY_RESULTS) {
+    errors.push(`limit must be an integer from 1 to ${MAX_HISTORY_RESULTS}`)
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid query', details: errors })
+  }
 
-// Parse National Weather Service alerts (FREE API, no key required)
-function parseNWSAlerts(data) {
   try {
-    if (!data || !data.features || !Array.isArray(data.features)) return []
-    
-    const incidents = []
-    data.features.forEach((feature, idx) => {
-      if (!feature.properties || !feature.geometry) return
-      
-      const props = feature.properties
-      const geometry = feature.geometry
-      
-      // Extract coordinates (NWS uses GeoJSON format)
-      let lat = null
-      let lng = null
-      
-      if (geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
-        // Point: [lng, lat]
-        lng = geometry.coordinates[0]
-        lat = geometry.coordinates[1]
-      } else if (geometry.type === 'Polygon' && Array.isArray(geometry.coordinates)) {
-        // Polygon: calculate centroid from first ring
-        const ring = geometry.coordinates[0]
-        if (Array.isArray(ring) && ring.length > 0) {
-          let sumLat = 0, sumLng = 0
-          ring.forEach(coord => {
-            if (Array.isArray(coord) && coord.length >= 2) {
-              sumLng += coord[0]
-              sumLat += coord[1]
-            }
-          })
-          lng = sumLng / ring.length
-          lat = sumLat / ring.length
-        }
-      }
-      
-      if (!lat || !lng) return
-      
-      // Map NWS alert types to hazard types
-      const eventType = normalizeEventType(props.event || props.headline || 'weather')
-      const description = props.headline || props.description || props.event || 'Weather alert'
-      
-      incidents.push({
-        id: props.id || `nws-${idx}`,
-        eventType: eventType,
-        description: description.substring(0, 200), // Truncate long descriptions
-        latitude: lat,
-        longitude: lng,
-        startDate: props.effective || props.onset || new Date().toISOString(),
-        endDate: props.expires || props.ends || null,
-        impact: props.severity || props.urgency || null,
-        roadway: props.areaDesc || null
-      })
-    })
-    
-    return incidents.filter(i => i.latitude && i.longitude)
-  } catch (err) {
-    console.error('Error parsing NWS alerts:', err)
-    return []
+    const incidents = await queryArchive({ from: fromDate, to: toDate, spatial, types, limit: limitNum })
+    res.json({ incidents, meta: { from: fromDate.toISOString(), to: toDate.toISOString(), count: incidents.length } })
+  } catch (error) {
+    console.error('❌ Error querying hazard archive:', error)
+    res.status(500).json({ error: 'Failed to read hazard archive' })
   }
-}
+})
+
+// When an incident was first/last seen, updated and cleared, and how it changed
+app.get('/api/hazards/:id/history', (req, res) => {
+  const { source } = req.query
+  const matches = incidentHistory(req.params.id, source)
+  if (matches.length === 0) {
+    return res.status(404).json({ error: 'Unknown incident', details: [`No tracked incident with id ${req.params.id}${source ? ` from ${source}` : ''}`] })
+  }
+  if (matches.length > 1) {
+    return res.status(409).json({ error: 'Ambiguous incident id', details: [`Pass ?source= (one of: ${matches.map(m => m.source).join(', ')})`] })
+  }
+  res.json(matches[0])
+})
+
+// Configuration and reachability of every hazard source
+app.get('/api/sources', async (_req, res) => {
+  try {
+    const sources = await sourcesReady
+    const health = await Promise.all(sources.map(checkSourceHealth))
+    res.json({ adapters: listAdapterTypes(), sources: health })
+  } catch (error) {
+    console.error('❌ Error checking source health:', error)
+    res.status(500).json({ error: 'Failed to load hazard sources' })
+  }
+})
+
+// Crowdsourced hazard reports from the Report a Hazard page
+app.post('/api/reports', async (req, res) => {
+  const { errors, report } = validateReport(req.body)
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid report', details: errors })
+  }
+  try {
+    const saved = await addReport(report)
+    console.log(`✓ Stored ${saved.hazardType} report ${saved.id}`)
+    res.status(201).json(saved)
+    // Push the new report to drivers on the live stream right away
+    refreshHazardStream()
+  } catch (error) {
+    console.error('❌ Error storing hazard report:', error)
+    res.status(500).json({ error: 'Failed to store report' })
+  }
+})
+
+app.get('/api/reports', async (req, res) => {
+  const { hazardType, since, until, limit } = req.query
+  const errors = []
+  if (hazardType && !REPORT_HAZARD_TYPES.includes(hazardType)) {
+    errors.push(`hazardType must be one of: ${REPORT_HAZARD_TYPES.join(', ')}`)
+  }
+  if (since && Number.isNaN(new Date(since).getTime())) errors.push('since must be a valid timestamp')
+  if (until && Number.isNaN(new Date(until).getTime())) errors.push('until must be a valid timestamp')
+  const limitNum = limit !== undefined ? Number(limit) : null
+  if (limit !== undefined && (!Number.isInteger(limitNum) || limitNum < 1)) {
+    errors.push('limit must be a positive integer')
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid query', details: errors })
+  }
+  try {
+    res.json(await queryReports({ hazardType, since, until, limit: limitNum }))
+  } catch (error) {
+    console.error('❌ Error reading hazard reports:', error)
+    res.status(500).json({ error: 'Failed to read reports' })
+  }
+})
+
+loadReports()
+  .then(count => console.log(`✓ Loaded ${count} stored hazard reports`))
+  .catch(err => console.error('❌ Failed to load stored hazard reports:', err))
 
+loadArchive()
+  .then(count => console.log(`✓ Loaded ${count} archived hazards`))
+  .catch(err => console.error('❌ Failed to load hazard archive:', err))
 
 app.listen(PORT, () => {
   console.log(`MichiGuard MDOT proxy server running on http://localhost:${PORT}`)
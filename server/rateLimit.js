@@ -0,0 +1,61 @@
+// Per-client rate limiting for the proxy routes that spend third-party quota
+// Each limiter counts requests per client IP in fixed one-minute windows. The limit comes from
+// <NAME>_RATE_LIMIT in .env (requests per minute; 0 turns it off), falling back to the limiter's default.
+// Behind a reverse proxy, set TRUST_PROXY so req.ip is the client's address rather than the proxy's.
+
+const WINDOW_MS = 60 * 1000
+
+function readLimit(value, fallback) {
+  if (value === undefined || value === '') return fallback
+  const num = Number(value)
+  return Number.isInteger(num) && num >= 0 ? num : fallback
+}
+
+/**
+ * Create a rate limiting middleware
+ * @param {string} name - Limiter name; its env override is the name upper-cased with _RATE_LIMIT (route-weather -> ROUTE_WEATHER_RATE_LIMIT)
+ * @param {number} perMinute - Default requests per client per minute
+ * @returns {Function} Express middleware with a `limit()` method giving the current limit
+ */
+export function createRateLimiter(name, perMinute) {
+  const envName = `${name.toUpperCase().replace(/-/g, '_')}_RATE_LIMIT`
+  const limit = () => readLimit(process.env[envName], perMinute)
+  const windows = new Map()
+
+  // Forget clients whose window has passed
+  setInterval(() => {
+    const now = Date.now()
+    windows.forEach((window, client) => {
+      if (window.resetAt <= now) windows.delete(client)
+    })
+  }, WINDOW_MS).unref()
+
+  const middleware = (req, res, next) => {
+    const max = limit()
+    if (max === 0) return next()
+
+    const now = Date.now()
+    const client = req.ip
+    let window = windows.get(client)
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + WINDOW_MS }
+      windows.set(client, window)
+    }
+    window.count++
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000)
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - window.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    })
+    if (window.count > max) {
+      console.log(`⛔ Rate limited ${client} on ${name} (${max}/min)`)
+      res.set('Retry-After', String(resetSeconds))
+      return res.status(429).json({ error: 'Too many requests', details: [`At most ${max} ${name} requests per minute; retry in ${resetSeconds}s`] })
+    }
+    next()
+  }
+  middleware.limit = limit
+  return middleware
+}
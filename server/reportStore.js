@@ -0,0 +1,190 @@
+// Crowdsourced hazard report storage
+// Reports are appended to a JSON-lines file so they survive restarts.
+// Override the location with REPORTS_FILE=/path/to/reports.jsonl in .env
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { randomUUID } from 'node:crypto'
+import { fileURLToPath } from 'node:url'
+import { REPORT_HAZARD_TYPES } from '../src/utils/hazardTaxonomy.js'
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data')
+const REPORTS_FILE = process.env.REPORTS_FILE || path.join(DATA_DIR, 'reports.jsonl')
+
+// Hazard types the Report a Hazard page can produce (defined by the shared taxonomy)
+export { REPORT_HAZARD_TYPES }
+
+const MAX_LOCATION_LENGTH = 200
+const MAX_SUMMARY_LENGTH = 500
+// Allow a little clock skew between the reporter's device and the server
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000
+// Reject observations older than this; they are no longer useful to drivers
+const MAX_REPORT_AGE_MS = 7 * 24 * 60 * 60 * 1000
+
+let reports = []
+let loading = null
+// Serializes appends so concurrent submissions never interleave lines
+let writeQueue = Promise.resolve()
+
+/**
+ * Load stored reports from disk into memory (once)
+ * Concurrent callers share the same load, so a report added meanwhile is never overwritten by a second read.
+ * Malformed lines are skipped so one bad write can't take the store down.
+ * @returns {Promise<number>} Number of reports loaded
+ */
+export function loadReports() {
+  if (loading) return loading
+  loading = (async () => {
+    try {
+      const text = await fs.readFile(REPORTS_FILE, 'utf8')
+      reports = []
+      text.split('\n').forEach((line, idx) => {
+        if (!line.trim()) return
+        try {
+          reports.push(JSON.parse(line))
+        } catch {
+          console.warn(`⚠️ Skipping malformed report on line ${idx + 1} of ${REPORTS_FILE}`)
+        }
+      })
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+      reports = []
+    }
+    return reports.length
+  })().catch(err => {
+    // Let the next call try the file again
+    loading = null
+    throw err
+  })
+  return loading
+}
+
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? undefined : date
+}
+
+function parseCoordinate(value) {
+  if (value === undefined || value === null || value === '') return null
+  const num = typeof value === 'string' ? parseFloat(value) : value
+  return typeof num === 'number' && Number.isFinite(num) ? num : undefined
+}
+
+/**
+ * Validate an incoming report payload
+ * @param {object} body - Request body from POST /api/reports
+ * @returns {{ errors: string[], report: object|null }} Validation errors or a clean report
+ */
+export function validateReport(body) {
+  const errors = []
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Request body must be a JSON object'], report: null }
+  }
+
+  const hazardType = typeof body.hazardType === 'string' ? body.hazardType.trim().toLowerCase() : ''
+  if (!REPORT_HAZARD_TYPES.includes(hazardType)) {
+    errors.push(`hazardType must be one of: ${REPORT_HAZARD_TYPES.join(', ')}`)
+  }
+
+  const summary = typeof body.summary === 'string' ? body.summary.trim() : ''
+  if (!summary) {
+    errors.push('summary is required')
+  } else if (summary.length > MAX_SUMMARY_LENGTH) {
+    errors.push(`summary must be at most ${MAX_SUMMARY_LENGTH} characters`)
+  }
+
+  let location = ''
+  if (body.location !== undefined && body.location !== null) {
+    if (typeof body.location !== 'string') {
+      errors.push('location must be a string')
+    } else {
+      location = body.location.trim()
+      if (location.length > MAX_LOCATION_LENGTH) {
+        errors.push(`location must be at most ${MAX_LOCATION_LENGTH} characters`)
+      }
+    }
+  }
+
+  const latitude = parseCoordinate(body.latitude)
+  const longitude = parseCoordinate(body.longitude)
+  if (latitude === undefined || (latitude !== null && (latitude < -90 || latitude > 90))) {
+    errors.push('latitude must be a number between -90 and 90')
+  }
+  if (longitude === undefined || (longitude !== null && (longitude < -180 || longitude > 180))) {
+    errors.push('longitude must be a number between -180 and 180')
+  }
+  if (latitude !== undefined && longitude !== undefined && (latitude === null) !== (longitude === null)) {
+    errors.push('latitude and longitude must be provided together')
+  }
+  if (!location && latitude === null && longitude === null) {
+    errors.push('Either location or coordinates are required')
+  }
+
+  const now = Date.now()
+  const observedAt = parseTimestamp(body.observedAt)
+  if (observedAt === undefined) {
+    errors.push('observedAt must be a valid ISO 8601 timestamp')
+  } else if (observedAt) {
+    if (observedAt.getTime() > now + MAX_FUTURE_SKEW_MS) {
+      errors.push('observedAt cannot be in the future')
+    } else if (observedAt.getTime() < now - MAX_REPORT_AGE_MS) {
+      errors.push('observedAt is too old to report')
+    }
+  }
+
+  if (errors.length > 0) return { errors, report: null }
+
+  const createdAt = new Date(now).toISOString()
+  return {
+    errors,
+    report: {
+      id: `report-${randomUUID()}`,
+      hazardType,
+      location,
+      summary,
+      latitude,
+      longitude,
+      observedAt: observedAt ? observedAt.toISOString() : createdAt,
+      createdAt
+    }
+  }
+}
+
+/**
+ * Persist a validated report
+ * @param {object} report - Report returned by validateReport
+ * @returns {Promise<object>} The stored report
+ */
+export async function addReport(report) {
+  await loadReports()
+  const line = JSON.stringify(report) + '\n'
+  const write = writeQueue.then(async () => {
+    await fs.mkdir(path.dirname(REPORTS_FILE), { recursive: true })
+    await fs.appendFile(REPORTS_FILE, line, 'utf8')
+  })
+  // Keep the queue alive even if this write fails
+  writeQueue = write.catch(() => {})
+  await write
+  reports.push(report)
+  return report
+}
+
+/**
+ * Query stored reports, newest first
+ * @param {object} filters - { hazardType, since, until, limit }
+ * @returns {Promise<object[]>} Matching reports
+ */
+export async function queryReports({ hazardType, since, until, limit } = {}) {
+  await loadReports()
+  const sinceMs = since ? new Date(since).getTime() : null
+  const untilMs = until ? new Date(until).getTime() : null
+  const matches = reports.filter(r => {
+    if (hazardType && r.hazardType !== hazardType) return false
+    const observed = new Date(r.observedAt).getTime()
+    if (sinceMs !== null && observed < sinceMs) return false
+    if (untilMs !== null && observed > untilMs) return false
+    return true
+  })
+  matches.sort((a, b) => new Date(b.observedAt) - new Date(a.observedAt))
+  return limit ? matches.slice(0, limit) : matches
+}
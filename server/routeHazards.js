@@ -0,0 +1,91 @@
+// Hazards along a route (POST /api/route/hazards)
+// One implementation of "hazards near the route" for every page: the spatial index finds the
+// hazards within the buffer, then each is placed on the route by true point-to-segment distance
+// and ordered by where the driver will meet it.
+import { decodePolyline, hazardPositionOnRoute, routeLengthMeters, METERS_PER_MILE } from '../src/utils/geoUtils.js'
+import { DEFAULT_BUFFER_METERS, MAX_BUFFER_METERS, MAX_CORRIDOR_POINTS } from './spatialIndex.js'
+
+const validPoint = (p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+  Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90
+
+// GeoJSON LineString, or a Feature wrapping one
+function lineFromGeoJson(route) {
+  const geometry = route?.type === 'Feature' ? route.geometry : route
+  if (geometry?.type !== 'LineString' || !Array.isArray(geometry.coordinates)) return null
+  return geometry.coordinates
+}
+
+/**
+ * Read and validate the route in a request body (shared by the route endpoints)
+ * @param {object} body - { polyline } (Google encoded) or { route } (GeoJSON LineString / Feature)
+ * @returns {{ line: Array|null, errors: string[] }} line as [lng, lat] points
+ */
+export function parseRouteLine(body) {
+  const errors = []
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { line: null, errors: ['Request body must be a JSON object'] }
+  }
+
+  let line = null
+  if (typeof body.polyline === 'string' && body.route === undefined) {
+    try {
+      line = decodePolyline(body.polyline)
+    } catch (err) {
+      errors.push(`polyline must be an encoded polyline (${err.message})`)
+    }
+  } else if (body.route !== undefined && body.polyline === undefined) {
+    line = lineFromGeoJson(body.route)
+    if (!line) errors.push('route must be a GeoJSON LineString or a Feature with one')
+  } else {
+    errors.push('Provide exactly one of polyline (encoded polyline) or route (GeoJSON LineString)')
+  }
+  if (line && (line.length < 2 || line.length > MAX_CORRIDOR_POINTS)) {
+    errors.push(`route must have 2 to ${MAX_CORRIDOR_POINTS} points`)
+  } else if (line && !line.every(validPoint)) {
+    errors.push('route coordinates must be [lng, lat] pairs in degrees')
+  }
+
+  if (errors.length > 0) return { line: null, errors }
+  return { line: line.map(([lng, lat]) => [lng, lat]), errors }
+}
+
+/**
+ * Read and validate a route hazard request body
+ * @param {object} body - { polyline } (Google encoded) or { route } (GeoJSON LineString / Feature), optional buffer (meters)
+ * @returns {{ route: { line: Array, buffer: number }|null, errors: string[] }}
+ */
+export function parseRouteRequest(body) {
+  const { line, errors } = parseRouteLine(body)
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { route: null, errors }
+
+  const buffer = body.buffer !== undefined ? Number(body.buffer) : DEFAULT_BUFFER_METERS
+  if (typeof buffer !== 'number' || !Number.isFinite(buffer) || buffer < 0 || buffer > MAX_BUFFER_METERS) {
+    errors.push(`buffer must be a distance in meters up to ${MAX_BUFFER_METERS}`)
+  }
+
+  if (errors.length > 0) return { route: null, errors }
+  return { route: { line, buffer }, errors }
+}
+
+/**
+ * Hazards within the buffer of a route, in the order the route meets them
+ * @param {object} index - Spatial index over the current incidents (createHazardIndex)
+ * @param {{ line: Array, buffer: number }} route - From parseRouteRequest
+ * @returns {{ hazards: object[], routeLengthMeters: number }} Hazards with distanceMeters (from the route),
+ *   alongRouteMeters and mileMarker (miles from the start where the route meets them)
+ */
+export function hazardsAlongRoute(index, { line, buffer }) {
+  const hazards = index.search({ corridor: { line, buffer } })
+    .map(incident => {
+      const position = hazardPositionOnRoute({ lat: incident.latitude, lng: incident.longitude, geometry: incident.geometry }, line)
+      return position && {
+        ...incident,
+        distanceMeters: Math.round(position.distanceMeters),
+        alongRouteMeters: Math.round(position.alongMeters),
+        mileMarker: Math.round((position.alongMeters / METERS_PER_MILE) * 10) / 10
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.alongRouteMeters - b.alongRouteMeters || a.distanceMeters - b.distanceMeters)
+  return { hazards, routeLengthMeters: Math.round(routeLengthMeters(line)) }
+}
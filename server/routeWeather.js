@@ -0,0 +1,215 @@
+// Weather along a route (POST /api/route/weather)
+// The route is cut into equal segments and each is judged by the weather at its middle, at the time the
+// driver gets there: observed conditions for the first stretch, the forecast after that. Weather is looked up
+// per grid cell (ROUTE_WEATHER_GRID_DEGREES, default 0.1° - about 11 km) and cached, so nearby samples and
+// overlapping routes from every client share one upstream call.
+// The provider follows the app's rules (src/utils/weatherAPI.js): WEATHER_PROVIDER picks 'nws' or
+// 'openweather'; without it OpenWeatherMap is used when OPENWEATHER_API_KEY is set and the NWS otherwise.
+import { routeLengthMeters, pointAlongLine, METERS_PER_MILE } from '../src/utils/geoUtils.js'
+import { nwsCurrent, nwsForecast } from '../src/utils/weather/nws.js'
+import { openWeatherConditions, openWeatherStep } from '../src/utils/weather/openweather.js'
+import { assessHazardRisk, forecastAt, riskLevel, HAZARD_RISK_TYPES } from '../src/utils/weather/risk.js'
+import { parseRouteLine } from './routeHazards.js'
+
+const DEFAULT_GRID_DEGREES = 0.1
+// Observations change faster than forecasts
+const CURRENT_TTL_MS = 10 * 60 * 1000
+const FORECAST_TTL_MS = 60 * 60 * 1000
+const MAX_CACHE_ENTRIES = 5000
+// One segment per this much route by default
+const SEGMENT_METERS = 20000
+const MAX_SEGMENTS = 25
+// Segments reached within this long use observed conditions rather than the forecast
+const OBSERVED_WEATHER_MS = 90 * 60 * 1000
+const MAX_FORECAST_HOURS = 168
+const MAX_DURATION_SECONDS = 48 * 60 * 60
+const WEATHER_TIMEOUT_MS = 10000
+
+const OPENWEATHER_BASE_URL = 'https://api.openweathermap.org/data/2.5'
+// The free forecast is 40 steps of 3 hours
+const OPENWEATHER_FORECAST_STEPS = 40
+
+const gridDegrees = () => Number(process.env.ROUTE_WEATHER_GRID_DEGREES) || DEFAULT_GRID_DEGREES
+
+async function openWeatherJson(endpoint, lat, lng, params = {}) {
+  const query = new URLSearchParams({ lat, lon: lng, appid: process.env.OPENWEATHER_API_KEY, units: 'imperial', ...params })
+  const res = await fetch(`${OPENWEATHER_BASE_URL}/${endpoint}?${query}`, { signal: AbortSignal.timeout(WEATHER_TIMEOUT_MS) })
+  if (!res.ok) throw new Error(`OpenWeatherMap HTTP ${res.status}`)
+  return res.json()
+}
+
+const PROVIDERS = {
+  nws: {
+    name: 'NWS',
+    current: nwsCurrent,
+    forecast: (lat, lng) => nwsForecast(lat, lng, { hours: MAX_FORECAST_HOURS })
+  },
+  openweather: {
+    name: 'OpenWeatherMap',
+    current: async (lat, lng) => openWeatherConditions(await openWeatherJson('weather', lat, lng)),
+    forecast: async (lat, lng) => (await openWeatherJson('forecast', lat, lng, { cnt: OPENWEATHER_FORECAST_STEPS })).list.map(openWeatherStep)
+  }
+}
+
+export const weatherProviderName = () =>
+  process.env.WEATHER_PROVIDER || (process.env.OPENWEATHER_API_KEY ? 'openweather' : 'nws')
+
+// Ask the configured provider, then the NWS when it has no answer
+async function fromProvider(kind, lat, lng) {
+  const provider = PROVIDERS[weatherProviderName()] || PROVIDERS.nws
+  try {
+    const result = await provider[kind](lat, lng)
+    if (result) return result
+  } catch (err) {
+    console.error(`❌ ${provider.name} ${kind} weather failed:`, err.message)
+  }
+  if (provider === PROVIDERS.nws) return null
+  console.log(`⚠️ ${provider.name} ${kind} weather unavailable, trying NWS`)
+  try {
+    return await PROVIDERS.nws[kind](lat, lng)
+  } catch (err) {
+    console.error(`❌ NWS ${kind} weather failed:`, err.message)
+    return null
+  }
+}
+
+// Cached lookups by kind and grid cell; concurrent callers share the in-flight request
+const cache = new Map()
+
+function pruneCache(now) {
+  if (cache.size < MAX_CACHE_ENTRIES) return
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt <= now) cache.delete(key)
+  }
+  // Still full: drop the oldest entries (Map keeps insertion order)
+  for (const key of cache.keys()) {
+    if (cache.size < MAX_CACHE_ENTRIES) break
+    cache.delete(key)
+  }
+}
+
+/**
+ * The grid cell a point falls in
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {{ key: string, lat: number, lng: number }} Cell id and center (where its weather is fetched)
+ */
+export function gridCell(lat, lng) {
+  const size = gridDegrees()
+  const row = Math.floor(lat / size)
+  const col = Math.floor(lng / size)
+  return { key: `${row},${col}`, lat: +((row + 0.5) * size).toFixed(4), lng: +((col + 0.5) * size).toFixed(4) }
+}
+
+function cachedWeather(kind, cell, stats) {
+  const now = Date.now()
+  const key = `${kind}:${cell.key}`
+  const entry = cache.get(key)
+  if (entry && entry.expiresAt > now) {
+    stats.hits++
+    return entry.request
+  }
+  stats.misses++
+  pruneCache(now)
+  // Don't remember failures: the next request for this cell tries again, and the segment gets no weather
+  const forget = () => {
+    if (cache.get(key)?.request === request) cache.delete(key)
+    return null
+  }
+  const request = fromProvider(kind, cell.lat, cell.lng)
+    .then(result => result || forget())
+    .catch(err => {
+      console.error(`❌ ${kind} weather for cell ${cell.key} failed:`, err.message)
+      return forget()
+    })
+  cache.set(key, { request, expiresAt: now + (kind === 'current' ? CURRENT_TTL_MS : FORECAST_TTL_MS) })
+  return request
+}
+
+/**
+ * Read and validate a route weather request body
+ * @param {object} body - { polyline } or { route } (see parseRouteLine), plus optional duration (seconds to drive
+ *   the route), departAt (ISO time, default now), hazardType (see assessHazardRisk), segments (count) and
+ *   forecastHours (include each segment's forecast this far ahead)
+ * @returns {{ request: object|null, errors: string[] }}
+ */
+export function parseRouteWeatherRequest(body) {
+  const { line, errors } = parseRouteLine(body)
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { request: null, errors }
+
+  const duration = body.duration !== undefined ? Number(body.duration) : null
+  if (duration !== null && (!Number.isFinite(duration) || duration < 0 || duration > MAX_DURATION_SECONDS)) {
+    errors.push(`duration must be the driving time in seconds, up to ${MAX_DURATION_SECONDS}`)
+  }
+  const departAt = body.departAt !== undefined ? new Date(body.departAt) : new Date()
+  if (Number.isNaN(departAt.getTime())) errors.push('departAt must be a valid timestamp')
+  const hazardType = body.hazardType ?? 'Accident Likelihood'
+  if (!HAZARD_RISK_TYPES.includes(hazardType)) errors.push(`hazardType must be one of: ${HAZARD_RISK_TYPES.join(', ')}`)
+  const segments = body.segments !== undefined ? Number(body.segments) : null
+  if (segments !== null && (!Number.isInteger(segments) || segments < 1 || segments > MAX_SEGMENTS)) {
+    errors.push(`segments must be an integer from 1 to ${MAX_SEGMENTS}`)
+  }
+  const forecastHours = body.forecastHours !== undefined ? Number(body.forecastHours) : 0
+  if (!Number.isFinite(forecastHours) || forecastHours < 0 || forecastHours > MAX_FORECAST_HOURS) {
+    errors.push(`forecastHours must be a number of hours up to ${MAX_FORECAST_HOURS}`)
+  }
+
+  if (errors.length > 0) return { request: null, errors }
+  return { request: { line, duration, departAt, hazardType, segments, forecastHours }, errors }
+}
+
+/**
+ * Weather and risk for each segment of a route
+ * @param {object} request - From parseRouteWeatherRequest
+ * @returns {Promise<{ segments: object[], summary: object, routeLengthMeters: number, cache: { hits: number, misses: number } }>}
+ *   segments are { fromMeters, toMeters, lat, lng, mileMarker, offsetSeconds, eta, source ('observed'|'forecast'|null),
+ *   weather, risk, forecast? } (weather and risk null when unavailable); summary is { score, level, factors, highRiskSegments }
+ */
+export async function weatherAlongRoute({ line, duration, departAt, hazardType, segments, forecastHours }) {
+  const length = routeLengthMeters(line)
+  const count = segments || Math.min(MAX_SEGMENTS, Math.max(1, Math.ceil(length / SEGMENT_METERS)))
+  const stats = { hits: 0, misses: 0 }
+  const now = Date.now()
+  const forecastEnd = now + forecastHours * 3600 * 1000
+
+  const results = await Promise.all(Array.from({ length: count }, async (_, i) => {
+    const fromMeters = (i / count) * length
+    const toMeters = ((i + 1) / count) * length
+    const middle = (fromMeters + toMeters) / 2
+    const [lng, lat] = pointAlongLine(line, middle)
+    const offsetSeconds = duration !== null && length > 0 ? Math.round((middle / length) * duration) : 0
+    const eta = new Date(departAt.getTime() + offsetSeconds * 1000)
+    const cell = gridCell(lat, lng)
+
+    const observed = eta.getTime() - now < OBSERVED_WEATHER_MS
+    const forecast = !observed || forecastHours > 0 ? await cachedWeather('forecast', cell, stats) : null
+    const weather = observed ? await cachedWeather('current', cell, stats) : forecastAt(forecast, eta)
+    return {
+      fromMeters: Math.round(fromMeters),
+      toMeters: Math.round(toMeters),
+      lat: +lat.toFixed(5),
+      lng: +lng.toFixed(5),
+      mileMarker: Math.round((middle / METERS_PER_MILE) * 10) / 10,
+      offsetSeconds,
+      eta: eta.toISOString(),
+      source: weather ? (observed ? 'observed' : 'forecast') : null,
+      weather,
+      risk: weather ? assessHazardRisk(weather, hazardType) : null,
+      ...(forecastHours > 0 ? { forecast: (forecast || []).filter(step => step.time.getTime() <= forecastEnd) } : {})
+    }
+  }))
+
+  const known = results.filter(s => s.risk)
+  const score = known.length > 0 ? Math.round(known.reduce((sum, s) => sum + s.risk.score, 0) / known.length) : 0
+  return {
+    segments: results,
+    summary: {
+      score,
+      level: known.length > 0 ? riskLevel(score) : 'Unknown',
+      factors: [...new Set(known.flatMap(s => s.risk.factors))],
+      highRiskSegments: known.filter(s => s.risk.level === 'High').length
+    },
+    routeLengthMeters: Math.round(length),
+    cache: stats
+  }
+}
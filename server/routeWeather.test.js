@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseRouteWeatherRequest, weatherAlongRoute } from './routeWeather.js'
+
+// OpenWeatherMap first, so failed lookups go through the fallback to the NWS
+const ENV = { WEATHER_PROVIDER: 'openweather', OPENWEATHER_API_KEY: 'test-key' }
+const previousEnv = {}
+before(() => {
+  Object.entries(ENV).forEach(([name, value]) => {
+    previousEnv[name] = process.env[name]
+    process.env[name] = value
+  })
+})
+after(() => {
+  Object.entries(previousEnv).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name]
+    else process.env[name] = value
+  })
+})
+
+const json = body => new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/geo+json' } })
+
+// OpenWeatherMap down; api.weather.gov for one location: a station list (broken until `healthy`) and a fresh observation
+function mockUpstreams({ healthy }) {
+  return async (url) => {
+    url = String(url)
+    if (url.includes('openweathermap.org')) return new Response('{}', { status: 500 })
+    if (url.includes('/points/')) {
+      return json({ properties: { observationStations: 'https://api.weather.gov/gridpoints/DTX/1,1/stations' } })
+    }
+    if (url.endsWith('/stations')) {
+      // A features object instead of an array makes the lookup throw
+      return json({ features: healthy.value ? [{ id: 'https://api.weather.gov/stations/KDET' }] : {} })
+    }
+    if (url.includes('/observations/latest')) {
+      return json({
+        properties: {
+          timestamp: new Date().toISOString(),
+          textDescription: 'Light Snow',
+          icon: 'https://api.weather.gov/icons/land/day/snow',
+          temperature: { value: -2, unitCode: 'wmoUnit:degC' },
+          relativeHumidity: { value: 90 },
+          windSpeed: { value: 20, unitCode: 'wmoUnit:km_h-1' },
+          visibility: { value: 3000 }
+        }
+      })
+    }
+    return new Response('{}', { status: 404 })
+  }
+}
+
+test('a failed weather lookup leaves the segment empty and is not cached', async (t) => {
+  const healthy = { value: false }
+  t.mock.method(globalThis, 'fetch', mockUpstreams({ healthy }))
+  t.mock.method(console, 'error', () => {})
+  t.mock.method(console, 'log', () => {})
+  // A short route in a single grid cell, driven now: one segment, observed weather
+  const { request } = parseRouteWeatherRequest({ route: { type: 'LineString', coordinates: [[-83.05, 42.33], [-83.04, 42.33]] }, segments: 1 })
+
+  const failed = await weatherAlongRoute(request)
+  assert.equal(failed.segments[0].weather, null)
+  assert.equal(failed.segments[0].risk, null)
+  assert.equal(failed.segments[0].source, null)
+  assert.equal(failed.summary.level, 'Unknown')
+
+  healthy.value = true
+  const retried = await weatherAlongRoute(request)
+  assert.deepEqual(retried.cache, { hits: 0, misses: 1 }, 'the failure was not served from the cache')
+  assert.equal(retried.segments[0].source, 'observed')
+  assert.equal(retried.segments[0].weather.condition, 'Snow')
+
+  const cached = await weatherAlongRoute(request)
+  assert.deepEqual(cached.cache, { hits: 1, misses: 0 })
+})
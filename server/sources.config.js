@@ -0,0 +1,62 @@
+// Hazard feeds aggregated by GET /api/mdot/events, in priority order
+// (earlier sources win when the same hazard is reported twice).
+//
+// Each entry: { name, adapter, ...adapter options }
+//   adapter     - one of the adapters registered in sources/registry.js (nws, mdot-ride, json, xml, wzdx, community)
+//   requiresEnv - env vars that must be set, otherwise the source is skipped
+//   enabled     - set to false to turn a source off
+//   cacheTtlSeconds / staleSeconds - how long results stay fresh / may be served stale while
+//                 refreshing (defaults: CACHE_TTL_SECONDS=60, CACHE_STALE_SECONDS=300)
+// String values may reference env vars as ${VAR} or ${VAR:-default}.
+// Point SOURCES_CONFIG at another .js or .json file to use a different list.
+//
+// FREE OPTIONS AVAILABLE:
+// 1. MDOT RIDE (Real-Time Data Exchange) - FREE but requires MiLogin for Business account
+//    - Sign up at: https://www.michigan.gov/mdot/travel/safety/efforts/its/its-data
+//    - Create MiLogin for Business account and search for "MDOT RIDE"
+// 2. MDOT Open Data Portal - FREE datasets available
+//    - Visit: https://www.michigan.gov/mdot/business/open-data
+// 3. National Weather Service API - FREE weather-related hazards
+//    - No API key required: https://api.weather.gov
+export default [
+  // National Weather Service - FREE, no API key required, includes weather-related road hazards
+  // Alerts without a polygon are drawn from their affected zones (set resolveZones: false to drop them instead)
+  { name: 'nws', adapter: 'nws', url: 'https://api.weather.gov/alerts/active?area=MI' },
+
+  // MDOT RIDE API - add MDOT_RIDE_API_KEY (and MDOT_RIDE_API_URL if MDOT gives you one) to .env
+  // Common endpoints might be /incidents, /workzones, /events or /alerts
+  {
+    name: 'mdot-ride',
+    adapter: 'mdot-ride',
+    url: '${MDOT_RIDE_API_URL:-https://ride.mdot.state.mi.us/api}/incidents',
+    apiKey: '${MDOT_RIDE_API_KEY}',
+    authScheme: 'bearer', // or 'x-api-key' / 'apikey' (check MDOT docs)
+    requiresEnv: ['MDOT_RIDE_API_KEY']
+  },
+
+  // MDOT Open Data Portal / county road commission Socrata endpoints
+  // To find endpoints:
+  // 1. Visit: https://www.michigan.gov/mdot/business/open-data
+  // 2. Browse datasets (traffic incidents, work zones, etc.)
+  // 3. Click on a dataset → Look for "API" or "Export" option
+  // 4. Socrata format: https://data.michigan.gov/resource/DATASET-ID.json
+  // Example (replace with actual dataset ID and field names):
+  // {
+  //   name: 'mdot-open-data',
+  //   adapter: 'json',
+  //   url: 'https://data.michigan.gov/resource/xxxx-xxxx.json',
+  //   fieldMap: { eventType: 'incident_type', latitude: 'location.latitude', longitude: 'location.longitude' }
+  // },
+
+  // Fallback: Try MDOT endpoints (may not work without auth)
+  { name: 'mdot-511', adapter: 'json', url: 'https://mdotnetpublic.state.mi.us/MobileMDOT511/TrafficIncidents' },
+  { name: 'mdot-drive', adapter: 'json', url: 'https://mdotnetpublic.state.mi.us/Drive/api/incidents' },
+
+  // Work zones published in the WZDx GeoJSON spec (MDOT and county road commissions)
+  // Find feed URLs in the USDOT WZDx feed registry: https://datahub.transportation.gov
+  // Add MDOT_WZDX_URL to .env; copy this entry for each county feed
+  { name: 'mdot-wzdx', adapter: 'wzdx', url: '${MDOT_WZDX_URL}', requiresEnv: ['MDOT_WZDX_URL'] },
+
+  // Reports from the Report a Hazard page (local store, so never cached - new reports show up immediately)
+  { name: 'community', adapter: 'community', ttlHours: '${COMMUNITY_REPORT_TTL_HOURS:-24}', cacheTtlSeconds: 0, staleSeconds: 0 }
+]
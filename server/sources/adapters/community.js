@@ -0,0 +1,49 @@
+// Crowdsourced reports submitted through POST /api/reports
+import { queryReports } from '../../reportStore.js'
+import { classifyHazard } from '../../../src/utils/hazardTaxonomy.js'
+
+// How long a community report stays on the map after it was observed
+const DEFAULT_TTL_HOURS = 24
+
+const ttlMs = (source) => (parseFloat(source.ttlHours) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000
+
+const communityAdapter = {
+  type: 'community',
+
+  async fetch(source) {
+    const since = new Date(Date.now() - ttlMs(source)).toISOString()
+    return { body: await queryReports({ since }), contentType: 'application/json' }
+  },
+
+  parse({ body }) {
+    return body
+  },
+
+  // Convert stored reports into the shared incident shape
+  normalize(reports, source) {
+    return reports
+      .filter(r => Number.isFinite(r.latitude) && Number.isFinite(r.longitude))
+      .map(r => {
+        const observed = new Date(r.observedAt)
+        return {
+          id: r.id,
+          // Report types are taxonomy subtypes (or a category, like 'accident')
+          eventType: classifyHazard(r.hazardType).category,
+          subtype: classifyHazard(r.hazardType).subtype,
+          description: r.summary,
+          latitude: r.latitude,
+          longitude: r.longitude,
+          startDate: observed.toISOString(),
+          endDate: new Date(observed.getTime() + ttlMs(source)).toISOString(),
+          impact: null,
+          roadway: r.location || null
+        }
+      })
+  },
+
+  async health() {
+    return { ok: true }
+  }
+}
+
+export default communityAdapter
@@ -0,0 +1,52 @@
+// Generic JSON adapter
+// Works with most REST and Socrata (data.michigan.gov) feeds. Map upstream field names
+// without writing code via the source config:
+//   { adapter: 'json', itemsPath: 'data.items', fieldMap: { latitude: 'location.latitude', eventType: 'incident_type' } }
+import { fetchUpstream } from '../http.js'
+import { normalizeEventType, pickField, hasCoordinates } from '../normalize.js'
+
+// Field names tried when a source has no fieldMap entry
+const DEFAULT_FIELDS = {
+  id: ['id', 'incident_id'],
+  eventType: ['type', 'event_type', 'category'],
+  description: ['description', 'headline', 'title'],
+  latitude: ['latitude', 'lat', 'location.latitude'],
+  longitude: ['longitude', 'lng', 'location.longitude'],
+  startDate: ['start_time', 'startDate', 'created'],
+  endDate: ['end_time', 'endDate', 'estimated_end'],
+  impact: ['impact', 'severity', 'delay'],
+  roadway: ['road', 'route', 'roadway']
+}
+
+const jsonAdapter = {
+  type: 'json',
+
+  fetch: fetchUpstream,
+
+  parse({ body }, source) {
+    const data = typeof body === 'string' ? JSON.parse(body) : body
+    // Handle different JSON structures
+    const items = source.itemsPath
+      ? pickField(data, source.itemsPath)
+      : (data.incidents || data.events || data.items || data)
+    return Array.isArray(items) ? items : []
+  },
+
+  normalize(records, source) {
+    const fields = { ...DEFAULT_FIELDS, ...(source.fieldMap || {}) }
+    const get = (item, key) => pickField(item, fields[key])
+    return records.map(item => ({
+      id: get(item, 'id') ?? null,
+      eventType: normalizeEventType(get(item, 'eventType') || source.defaultEventType || 'incident'),
+      description: get(item, 'description') || 'Traffic incident',
+      latitude: parseFloat(get(item, 'latitude') || 0),
+      longitude: parseFloat(get(item, 'longitude') || 0),
+      startDate: get(item, 'startDate') || null,
+      endDate: get(item, 'endDate') || null,
+      impact: get(item, 'impact') || null,
+      roadway: get(item, 'roadway') || null
+    })).filter(hasCoordinates)
+  }
+}
+
+export default jsonAdapter
@@ -0,0 +1,37 @@
+// MDOT RIDE (Real-Time Data Exchange) - FREE but requires MiLogin for Business account
+// To get endpoints:
+// 1. Create MiLogin for Business: https://milogin.michigan.gov/
+// 2. Request access: https://www.michigan.gov/mdot/travel/safety/efforts/its/its-data
+// 3. Search for "MDOT RIDE" in Discover Online Services
+// 4. Contact: MDOT-ITS-Data@Michigan.gov for API documentation
+import { fetchUpstream } from '../http.js'
+import jsonAdapter from './json.js'
+
+// Common auth methods (check MDOT docs)
+function authHeaders(source) {
+  switch (source.authScheme || 'bearer') {
+    case 'x-api-key': return { 'X-API-Key': source.apiKey }
+    case 'apikey': return { 'apikey': source.apiKey }
+    default: return { 'Authorization': `Bearer ${source.apiKey}` }
+  }
+}
+
+const mdotRideAdapter = {
+  ...jsonAdapter,
+  type: 'mdot-ride',
+
+  async fetch(source, conditional) {
+    if (!source.apiKey) {
+      throw new Error('MDOT RIDE API key not configured. Add MDOT_RIDE_API_KEY to .env file when you receive credentials.')
+    }
+    return fetchUpstream({ ...source, headers: { ...authHeaders(source), ...(source.headers || {}) } }, conditional)
+  },
+
+  async health(source) {
+    if (!source.apiKey) return { ok: false, detail: 'MDOT_RIDE_API_KEY not configured' }
+    await this.fetch(source)
+    return { ok: true }
+  }
+}
+
+export default mdotRideAdapter
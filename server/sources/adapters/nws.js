@@ -0,0 +1,81 @@
+// National Weather Service active alerts (FREE API, no key required)
+// https://www.weather.gov/documentation/services-web-api
+import { fetchUpstream } from '../http.js'
+import { normalizeEventType, normalizeSeverity, hasCoordinates, markerPosition } from '../normalize.js'
+import { alertZones, resolveZones, combineZoneGeometries } from '../nwsZones.js'
+
+const nwsAdapter = {
+  type: 'nws',
+
+  async fetch(source, conditional) {
+    const payload = await fetchUpstream({
+      ...source,
+      headers: { 'Accept': 'application/geo+json', ...(source.headers || {}) }
+    }, conditional)
+    if (payload.notModified || source.resolveZones === false) return payload
+
+    // Zone-only alerts (geometry: null) get their shape from the zones they list
+    const data = JSON.parse(payload.body)
+    const zoneOnly = (data?.features || []).filter(f => f?.properties && !f.geometry)
+    if (zoneOnly.length === 0) return { ...payload, data }
+    const zoneGeometries = await resolveZones(zoneOnly.flatMap(f => alertZones(f.properties)))
+    return { ...payload, data, zoneGeometries }
+  },
+
+  parse({ body, data, zoneGeometries }) {
+    const parsed = data || (typeof body === 'string' ? JSON.parse(body) : body)
+    if (!parsed || !Array.isArray(parsed.features)) return []
+    if (!zoneGeometries) return parsed.features
+    return parsed.features.map(feature => {
+      if (feature?.geometry || !feature?.properties) return feature
+      const zones = alertZones(feature.properties)
+      const geometry = combineZoneGeometries(zones.map(zone => zoneGeometries.get(zone.id)))
+      return geometry ? { ...feature, geometry, geometrySource: 'zones' } : feature
+    })
+  },
+
+  normalize(features) {
+    const incidents = []
+    const errors = []
+    features.forEach((feature, idx) => {
+      if (!feature.properties) return
+      
+      const props = feature.properties
+      const geometry = feature.geometry
+      if (!geometry) {
+        const zones = alertZones(props).map(z => z.id)
+        errors.push(`alert ${props.event || props.id || idx}: no geometry for zones ${zones.join(', ') || '(none listed)'}`)
+        return
+      }
+      
+      // Keep the full alert area; the marker sits at its center
+      if (!['Point', 'Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) return
+      const { latitude: lat, longitude: lng } = markerPosition(geometry)
+      
+      if (!lat || !lng) return
+      
+      // Map NWS alert types to hazard types
+      const eventType = normalizeEventType(props.event || props.headline || 'weather')
+      const description = props.headline || props.description || props.event || 'Weather alert'
+      
+      incidents.push({
+        id: props.id || null,
+        eventType: eventType,
+        description: description.substring(0, 200), // Truncate long descriptions
+        latitude: lat,
+        longitude: lng,
+        geometry,
+        // 'alert' when NWS drew the area, 'zones' when it was built from the listed zones
+        geometrySource: feature.geometrySource || 'alert',
+        startDate: props.effective || props.onset || null,
+        endDate: props.expires || props.ends || null,
+        impact: props.severity || props.urgency || null,
+        severity: normalizeSeverity(props.severity),
+        roadway: props.areaDesc || null
+      })
+    })
+    return { incidents: incidents.filter(hasCoordinates), errors }
+  }
+}
+
+export default nwsAdapter
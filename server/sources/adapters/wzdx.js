@@ -0,0 +1,165 @@
+// Work Zone Data Exchange (WZDx) GeoJSON feeds
+// https://github.com/usdot-jpo-ode/wzdx - v4.x road events (core_details) and v3 flat properties.
+// Work zones become 'roadwork' incidents, or 'lane' when only some lanes are closed,
+// categories of the shared taxonomy in src/utils/hazardTaxonomy.js.
+import { fetchUpstream } from '../http.js'
+import { normalizeEventType, geometryFromPoints, markerPosition } from '../normalize.js'
+import { classifyHazard } from '../../../src/utils/hazardTaxonomy.js'
+
+const KPH_TO_MPH = 0.621371
+
+// vehicle_impact values from the WZDx spec, mapped onto our severity scale
+export const WZDX_IMPACT_SEVERITY = {
+  'all-lanes-closed': 'major',
+  'some-lanes-closed': 'moderate',
+  'some-lanes-closed-merge-left': 'moderate',
+  'some-lanes-closed-merge-right': 'moderate',
+  'some-lanes-closed-split': 'moderate',
+  'alternating-one-way': 'moderate',
+  'flagging': 'moderate',
+  'all-lanes-open': 'minor',
+  'merging-traffic': 'minor',
+  'temporary-traffic-signal': 'minor'
+}
+
+/**
+ * Map a WZDx event type onto a MichiGuard hazard category
+ * @param {string} eventType - WZDx event_type ('work-zone', 'detour', 'restriction', ...)
+ * @param {object|null} lanesAffected - { closed, total, status }
+ * @returns {string} 'lane' when some (not all) lanes are closed, 'roadwork' for other work zones
+ */
+export function wzdxCategory(eventType, lanesAffected) {
+  const type = (eventType || 'work-zone').toLowerCase()
+  if (type !== 'work-zone' && type !== 'detour' && type !== 'restriction') return normalizeEventType(type)
+  const impact = lanesAffected?.status || ''
+  const someClosed = impact.startsWith('some-lanes-closed') ||
+    (lanesAffected?.closed > 0 && (!lanesAffected.total || lanesAffected.closed < lanesAffected.total))
+  return someClosed && impact !== 'all-lanes-closed' ? 'lane' : 'roadwork'
+}
+
+/**
+ * Taxonomy subtype for a road event, kept only when it agrees with the category it was given
+ * @param {string} eventType - WZDx event_type
+ * @param {string} category - From wzdxCategory
+ * @returns {string|null} e.g. 'work-zone' or 'detour' for roadwork; null for lane closures
+ */
+export function wzdxSubtype(eventType, category) {
+  const classified = classifyHazard(eventType || 'work-zone')
+  return classified.category === category ? classified.subtype : null
+}
+
+// LineString / MultiPoint / Point geometry as a list of [lng, lat]
+function geometryPoints(geometry) {
+  if (geometry.type === 'Point') return [geometry.coordinates]
+  if (geometry.type === 'LineString' || geometry.type === 'MultiPoint') return geometry.coordinates
+  return []
+}
+
+/**
+ * Usable geometry for a road event
+ * A MultiLineString stays one (its parts are separate stretches of road); other types become a Point or LineString.
+ * @param {object} geometry - GeoJSON geometry
+ * @returns {object|null} null when no coordinates are usable
+ */
+export function wzdxGeometry(geometry) {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return null
+  if (geometry.type !== 'MultiLineString') return geometryFromPoints(geometryPoints(geometry))
+  const parts = geometry.coordinates.map(part => geometryFromPoints(Array.isArray(part) ? part : [])).filter(Boolean)
+  const lines = parts.filter(part => part.type === 'LineString').map(part => part.coordinates)
+  if (lines.length > 1) return { type: 'MultiLineString', coordinates: lines }
+  if (lines.length === 1) return { type: 'LineString', coordinates: lines[0] }
+  return parts[0] || null
+}
+
+// Lane closures from the lanes[] array, falling back to vehicle_impact alone
+function lanesFrom(props) {
+  const lanes = Array.isArray(props.lanes) ? props.lanes.filter(l => l && l.type !== 'shoulder') : []
+  if (lanes.length === 0 && !props.vehicle_impact) return null
+  return {
+    closed: lanes.length > 0 ? lanes.filter(l => l.status === 'closed').length : null,
+    total: lanes.length || null,
+    status: props.vehicle_impact || null
+  }
+}
+
+// v4 reports reduced_speed_limit_kph; v3 reported reduced_speed_limit in mph
+function reducedSpeedMph(props) {
+  if (Number.isFinite(props.reduced_speed_limit_kph)) return Math.round(props.reduced_speed_limit_kph * KPH_TO_MPH)
+  if (Number.isFinite(props.reduced_speed_limit)) return props.reduced_speed_limit
+  return null
+}
+
+function workersPresent(props) {
+  if (typeof props.worker_presence?.are_workers_present === 'boolean') return props.worker_presence.are_workers_present
+  if (typeof props.workers_present === 'boolean') return props.workers_present
+  return null
+}
+
+function describe(core, props, roadway) {
+  if (core.description) return core.description
+  const work = Array.isArray(props.types_of_work) ? props.types_of_work.map(w => w.type_name).filter(Boolean) : []
+  const what = work.length > 0 ? work.join(', ').replace(/-/g, ' ').replace(/^./, c => c.toUpperCase()) : 'Work zone'
+  return roadway ? `${what} on ${roadway}` : what
+}
+
+const wzdxAdapter = {
+  type: 'wzdx',
+
+  fetch: (source, conditional) => fetchUpstream({
+    ...source,
+    headers: { 'Accept': 'application/geo+json, application/json', ...(source.headers || {}) }
+  }, conditional),
+
+  parse({ body }) {
+    const data = typeof body === 'string' ? JSON.parse(body) : body
+    if (!data || !Array.isArray(data.features)) {
+      throw new Error('Not a WZDx feed (expected a GeoJSON FeatureCollection)')
+    }
+    return data.features
+  },
+
+  normalize(features) {
+    const incidents = []
+    const errors = []
+    features.forEach(feature => {
+      const props = feature?.properties || {}
+      // v4 nests the shared fields under core_details; v3 kept them on properties
+      const core = props.core_details || props
+      const id = feature?.id || props.road_event_id || null
+
+      const geometry = wzdxGeometry(feature?.geometry)
+      if (!geometry) {
+        errors.push(`road event ${id || core.description || '(no id)'}: No usable geometry`)
+        return
+      }
+
+      const roadNames = Array.isArray(core.road_names) ? core.road_names : [core.road_name].filter(Boolean)
+      const roadway = roadNames.length > 0
+        ? `${roadNames.join(' / ')}${core.direction && core.direction !== 'unknown' ? ` ${core.direction}` : ''}`
+        : null
+      const lanesAffected = lanesFrom(props)
+      const eventType = core.event_type || 'work-zone'
+      const category = wzdxCategory(eventType, lanesAffected)
+
+      incidents.push({
+        id,
+        eventType: category,
+        subtype: wzdxSubtype(eventType, category),
+        description: describe(core, props, roadway),
+        geometry,
+        ...markerPosition(geometry),
+        startDate: props.start_date || null,
+        endDate: props.end_date || null,
+        impact: props.vehicle_impact || null,
+        severity: WZDX_IMPACT_SEVERITY[props.vehicle_impact] || null,
+        lanesAffected,
+        reducedSpeedLimitMph: reducedSpeedMph(props),
+        workersPresent: workersPresent(props),
+        roadway
+      })
+    })
+    return { incidents, errors }
+  }
+}
+
+export default wzdxAdapter
@@ -0,0 +1,78 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import wzdxAdapter, { wzdxCategory, wzdxSubtype, wzdxGeometry } from './wzdx.js'
+
+const FEED = readFileSync(new URL('../../fixtures/wzdx/feed.json', import.meta.url), 'utf8')
+
+const normalizeFeed = () => wzdxAdapter.normalize(wzdxAdapter.parse({ body: FEED }))
+
+test('v4 road events keep lanes, speed limit, workers and dates', () => {
+  const [bridge] = normalizeFeed().incidents
+  assert.deepEqual(bridge, {
+    id: 'wz-1001',
+    eventType: 'roadwork',
+    subtype: 'work-zone',
+    description: 'Bridge deck replacement, all lanes closed overnight',
+    geometry: { type: 'LineString', coordinates: [[-83.15, 42.5], [-83.145, 42.51], [-83.14, 42.52]] },
+    longitude: -83.145,
+    latitude: 42.51,
+    startDate: '2026-01-05T20:00:00Z',
+    endDate: '2026-03-30T10:00:00Z',
+    impact: 'all-lanes-closed',
+    severity: 'major',
+    lanesAffected: { closed: 2, total: 2, status: 'all-lanes-closed' }, // the shoulder doesn't count
+    reducedSpeedLimitMph: 45,
+    workersPresent: true,
+    roadway: 'I-75 northbound'
+  })
+})
+
+test('a lane closure gets no work-zone subtype and its MultiLineString stays in parts', () => {
+  const lane = normalizeFeed().incidents.find(i => i.id === 'wz-1002')
+  assert.equal(lane.eventType, 'lane')
+  assert.equal(lane.subtype, null)
+  assert.equal(lane.description, 'Surface work on M-14 eastbound')
+  assert.deepEqual(lane.geometry, {
+    type: 'MultiLineString',
+    coordinates: [[[-83.8, 42.3], [-83.79, 42.3]], [[-83.77, 42.3], [-83.76, 42.3]]]
+  })
+  assert.deepEqual([lane.longitude, lane.latitude], [-83.79, 42.3])
+})
+
+test('v3 flat properties and unusable geometry', () => {
+  const { incidents, errors } = normalizeFeed()
+  const detour = incidents.find(i => i.id === 'wz-1003')
+  assert.equal(detour.eventType, 'roadwork')
+  assert.equal(detour.subtype, 'detour')
+  assert.equal(detour.geometry.type, 'LineString')
+  assert.equal(detour.reducedSpeedLimitMph, 45)
+  assert.equal(detour.workersPresent, false)
+  assert.equal(detour.roadway, 'US-23')
+  assert.equal(incidents.length, 3)
+  assert.deepEqual(errors, ['road event wz-1004: No usable geometry'])
+  assert.throws(() => wzdxAdapter.parse({ body: '{"type":"Feature"}' }), /Not a WZDx feed/)
+})
+
+test('subtypes always agree with the category', () => {
+  const noLanes = null
+  const someClosed = { closed: 1, total: 3, status: 'some-lanes-closed' }
+  for (const eventType of ['work-zone', 'detour', 'restriction', 'incident']) {
+    for (const lanes of [noLanes, someClosed]) {
+      const category = wzdxCategory(eventType, lanes)
+      const subtype = wzdxSubtype(eventType, category)
+      assert.ok(subtype === null || subtype === 'work-zone' || subtype === 'detour', `${eventType}: ${subtype}`)
+      if (category === 'lane') assert.equal(subtype, null, `${eventType} lane closure`)
+    }
+  }
+})
+
+test('wzdxGeometry drops unusable MultiLineString parts', () => {
+  assert.deepEqual(wzdxGeometry({ type: 'MultiLineString', coordinates: [[[-83.8, 42.3], [-83.79, 42.3]], [[0, 0]], []] }), {
+    type: 'LineString',
+    coordinates: [[-83.8, 42.3], [-83.79, 42.3]]
+  })
+  assert.deepEqual(wzdxGeometry({ type: 'MultiLineString', coordinates: [[[-83.8, 42.3]]] }), { type: 'Point', coordinates: [-83.8, 42.3] })
+  assert.equal(wzdxGeometry({ type: 'MultiLineString', coordinates: [] }), null)
+  assert.equal(wzdxGeometry(null), null)
+})
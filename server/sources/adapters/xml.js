@@ -0,0 +1,61 @@
+// Generic XML adapter
+// Detects TMDD, DATEX II and WZDx documents (see xmlSchemas.js); anything else is read as
+// repeated <incident> elements (override with recordTag, or force a format with schema).
+import { openUpstream, timeoutError, SOURCE_TIMEOUT_MS } from '../http.js'
+import { readXmlRecords, streamXmlRecords } from '../xmlRecords.js'
+import { detectSchema } from '../xmlSchemas.js'
+
+// Picks the schema from the document's root element (choose) and marks each record read with it (tag)
+function schemaPicker(source) {
+  let schema
+  return {
+    choose: (root) => {
+      schema = detectSchema(root, source)
+      return schema.recordNames(source)
+    },
+    tag: ({ records }) => records.map(record => ({ ...record, schema }))
+  }
+}
+
+const xmlAdapter = {
+  type: 'xml',
+
+  // Records are parsed while the body downloads rather than from one big string
+  async fetch(source, conditional) {
+    const { response, ...validators } = await openUpstream(source, conditional)
+    if (!response) return validators
+    const picker = schemaPicker(source)
+    try {
+      return { records: picker.tag(await streamXmlRecords(response.body, picker.choose)), ...validators }
+    } catch (err) {
+      throw timeoutError(err, source.timeoutMs || SOURCE_TIMEOUT_MS)
+    }
+  },
+
+  // A payload from fetch already holds its records; a raw { body } (e.g. a saved feed) is parsed here
+  parse({ records, body }, source) {
+    if (records) return records
+    const picker = schemaPicker(source)
+    return picker.tag(readXmlRecords(body, picker.choose))
+  },
+
+  normalize(records) {
+    const incidents = []
+    const errors = []
+    records.forEach((record, idx) => {
+      const label = record.element.attributes.id ? `${record.schema.name} record ${record.element.attributes.id}` : `${record.schema.name} record #${idx + 1}`
+      if (record.error) {
+        errors.push(`${label}: ${record.error}`)
+        return
+      }
+      try {
+        incidents.push(record.schema.extract(record.element))
+      } catch (err) {
+        errors.push(`${label}: ${err.message}`)
+      }
+    })
+    return { incidents, errors }
+  }
+}
+
+export default xmlAdapter
@@ -0,0 +1,18 @@
+// One merged hazard feed from every configured source
+import { getCachedSource } from './cache.js'
+import { mergeIncidents } from './merge.js'
+import { withLifecycle } from './lifecycle.js'
+
+/**
+ * Read every source in parallel (from cache when fresh) and merge the results
+ * One slow or failing feed never hides the others. Incidents carry their firstSeen / updatedAt.
+ * @param {object[]} sources - Enabled source configs
+ * @returns {Promise<{ incidents: object[], statuses: object[] }>}
+ */
+export async function aggregateIncidents(sources) {
+  const results = await Promise.all(sources.map(getCachedSource))
+  return {
+    incidents: mergeIncidents(results.map(r => r.incidents.map(withLifecycle))),
+    statuses: results.map(r => r.status)
+  }
+}
@@ -0,0 +1,155 @@
+// In-process cache of hazard source results, keyed by source name
+//
+// Each source result is fresh for `cacheTtlSeconds`, then served stale for up to
+// `staleSeconds` while a single refresh runs in the background
+// (stale-while-revalidate). Past that window the next request waits for the upstream.
+// Refreshes send the upstream's ETag / Last-Modified back so unchanged feeds answer 304.
+// Defaults: CACHE_TTL_SECONDS=60 and CACHE_STALE_SECONDS=300 in .env, overridable per source.
+import { runSource } from './registry.js'
+import { trackSourceIncidents } from './lifecycle.js'
+
+const DEFAULT_TTL_SECONDS = 60
+const DEFAULT_STALE_SECONDS = 300
+// Background refresh only keeps sources warm while someone is actually asking for them
+const IDLE_AFTER_MS = 10 * 60 * 1000
+const REFRESH_CHECK_MS = 5000
+
+const entries = new Map()
+let refreshTimer = null
+
+function readSeconds(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback
+  const num = Number(value)
+  return Number.isFinite(num) && num >= 0 ? num : fallback
+}
+
+/**
+ * Resolve the cache policy for a source
+ * @param {object} source - Source config ({ cacheTtlSeconds, staleSeconds })
+ * @returns {{ ttlMs: number, staleMs: number }}
+ */
+export function cachePolicy(source) {
+  const ttl = readSeconds(source.cacheTtlSeconds, readSeconds(process.env.CACHE_TTL_SECONDS, DEFAULT_TTL_SECONDS))
+  const stale = readSeconds(source.staleSeconds, readSeconds(process.env.CACHE_STALE_SECONDS, DEFAULT_STALE_SECONDS))
+  return { ttlMs: ttl * 1000, staleMs: stale * 1000 }
+}
+
+// Fetch a source once, sharing the in-flight request between concurrent callers
+function refresh(source) {
+  const entry = entries.get(source.name)
+  if (entry?.pending) return entry.pending
+
+  const pending = runSource(source, entry?.result || null).then(result => {
+    const current = entries.get(source.name) || {}
+    const { ttlMs, staleMs } = cachePolicy(source)
+    const fetchedAt = Date.now()
+
+    // Keep serving the last good data through the stale window if the upstream fails
+    if (result.status.status === 'failed' && current.result && fetchedAt < current.staleUntil) {
+      console.log(`⚠️ Serving stale ${source.name} data after failed refresh`)
+      current.lastError = result.status.error
+      current.pending = null
+      return current
+    }
+
+    // Don't remember failures either: callers get this one, and the next request tries the upstream again
+    if (result.status.status === 'failed') {
+      current.pending = null
+      return { result, fetchedAt, lastReadAt: fetchedAt, lastError: null, pending: null }
+    }
+
+    trackSourceIncidents(source.name, result.incidents, fetchedAt)
+
+    const next = {
+      result,
+      fetchedAt,
+      expiresAt: fetchedAt + ttlMs,
+      staleUntil: fetchedAt + ttlMs + staleMs,
+      lastReadAt: current.lastReadAt || fetchedAt,
+      lastError: null,
+      pending: null
+    }
+    entries.set(source.name, next)
+    return next
+  }).catch(err => {
+    // runSource reports failures in its status, so this only guards against bugs
+    const current = entries.get(source.name)
+    if (current) current.pending = null
+    throw err
+  })
+
+  entries.set(source.name, { ...(entry || {}), pending })
+  return pending
+}
+
+function withCacheStatus(entry, cache) {
+  const { status, incidents } = entry.result
+  return {
+    incidents,
+    status: {
+      ...status,
+      cache,
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+      ...(entry.lastError ? { refreshError: entry.lastError } : {})
+    }
+  }
+}
+
+/**
+ * Get a source's incidents from the cache, fetching or revalidating as needed
+ * @param {object} source - Enabled source config
+ * @returns {Promise<{ status: object, incidents: object[] }>} Same shape as runSource, with
+ *   status.cache ('hit'|'stale'|'miss') and status.fetchedAt added
+ */
+export async function getCachedSource(source) {
+  const now = Date.now()
+  const entry = entries.get(source.name)
+
+  if (entry?.result) {
+    entry.lastReadAt = now
+    if (now < entry.expiresAt) return withCacheStatus(entry, 'hit')
+    if (now < entry.staleUntil) {
+      refresh(source).catch(err => console.error(`❌ Background refresh of ${source.name} failed:`, err))
+      return withCacheStatus(entry, 'stale')
+    }
+  }
+
+  const fresh = await refresh(source)
+  fresh.lastReadAt = now
+  return withCacheStatus(fresh, 'miss')
+}
+
+/**
+ * Seconds until the earliest cached source goes stale (0 if any is already stale or missing)
+ * Used for the Cache-Control max-age of the aggregated feed.
+ * @param {object[]} sources - Enabled source configs
+ * @returns {number}
+ */
+export function secondsUntilStale(sources) {
+  const now = Date.now()
+  const remaining = sources.map(source => {
+    const entry = entries.get(source.name)
+    return entry?.result ? Math.max(0, entry.expiresAt - now) : 0
+  })
+  return remaining.length > 0 ? Math.floor(Math.min(...remaining) / 1000) : 0
+}
+
+/**
+ * Refresh recently-read sources just before they expire, so requests keep hitting fresh data
+ * @param {object[]} sources - Enabled source configs
+ */
+export function startBackgroundRefresh(sources) {
+  if (refreshTimer) return
+  refreshTimer = setInterval(() => {
+    const now = Date.now()
+    sources.forEach(source => {
+      const entry = entries.get(source.name)
+      if (!entry?.result || entry.pending) return
+      if (now - entry.lastReadAt > IDLE_AFTER_MS) return
+      if (entry.expiresAt - now > REFRESH_CHECK_MS) return
+      refresh(source).catch(err => console.error(`❌ Background refresh of ${source.name} failed:`, err))
+    })
+  }, REFRESH_CHECK_MS)
+  // Never keep the process alive just for cache refreshes
+  refreshTimer.unref()
+}
@@ -0,0 +1,122 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync } from 'node:fs'
+import { rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+
+// Fetched incidents are archived; keep that out of server/data
+const archiveDir = mkdtempSync(path.join(tmpdir(), 'michiguard-cache-'))
+process.env.HAZARD_ARCHIVE_FILE = path.join(archiveDir, 'hazard-archive.jsonl')
+const { getCachedSource } = await import('./cache.js')
+const { archiveIncident } = await import('../hazardArchive.js')
+
+after(async () => {
+  // Appends are serialized, so this one lands after every write the tests queued
+  await archiveIncident({ source: 'cache-test', id: 'flush' }, { firstSeen: new Date().toISOString(), lastSeen: null })
+  await rm(archiveDir, { recursive: true, force: true })
+})
+
+const T0 = Date.parse('2026-01-10T12:00:00Z')
+const SECOND = 1000
+
+const feed = (description, headers = {}) => new Response(JSON.stringify({
+  incidents: [{ id: 'a1', type: 'crash', description, latitude: 42.3314, longitude: -83.0458 }]
+}), { status: 200, headers: { 'content-type': 'application/json', ...headers } })
+
+const source = (name) => ({ name, adapter: 'json', url: `https://feeds.test/${name}`, cacheTtlSeconds: 60, staleSeconds: 300 })
+
+// A controllable clock and a scripted upstream, recording the request headers it saw
+function setup(t, responses) {
+  const clock = { now: T0 }
+  t.mock.method(Date, 'now', () => clock.now)
+  const requests = []
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    requests.push(options.headers)
+    const next = responses.shift()
+    if (!next) throw new Error(`unexpected fetch of ${url}`)
+    return next()
+  })
+  return { clock, requests }
+}
+
+// Let a background refresh finish
+const settle = () => new Promise(resolve => setTimeout(resolve, 20))
+
+test('serves hits within the TTL without refetching', async (t) => {
+  const { clock, requests } = setup(t, [() => feed('Crash on I-94')])
+  const first = await getCachedSource(source('cache-hit'))
+  clock.now += 30 * SECOND
+  const second = await getCachedSource(source('cache-hit'))
+  assert.equal(first.status.cache, 'miss')
+  assert.equal(second.status.cache, 'hit')
+  assert.deepEqual(second.incidents, first.incidents)
+  assert.equal(requests.length, 1)
+})
+
+test('serves stale data while one background refresh runs', async (t) => {
+  const { clock, requests } = setup(t, [() => feed('Crash on I-94'), () => feed('Crash cleared to shoulder')])
+  await getCachedSource(source('cache-swr'))
+  clock.now += 90 * SECOND
+
+  const [stale, alsoStale] = await Promise.all([getCachedSource(source('cache-swr')), getCachedSource(source('cache-swr'))])
+  assert.equal(stale.status.cache, 'stale')
+  assert.equal(alsoStale.status.cache, 'stale')
+  assert.equal(stale.incidents[0].description, 'Crash on I-94')
+
+  await settle()
+  const refreshed = await getCachedSource(source('cache-swr'))
+  assert.equal(refreshed.status.cache, 'hit')
+  assert.equal(refreshed.incidents[0].description, 'Crash cleared to shoulder')
+  assert.equal(requests.length, 2)
+})
+
+test('keeps serving stale data when a refresh fails', async (t) => {
+  const down = () => new Response('', { status: 503 })
+  const { clock } = setup(t, [() => feed('Crash on I-94'), down, down])
+  await getCachedSource(source('cache-stale-error'))
+  clock.now += 90 * SECOND
+  await getCachedSource(source('cache-stale-error'))
+  await settle()
+
+  const stale = await getCachedSource(source('cache-stale-error'))
+  assert.equal(stale.status.cache, 'stale')
+  assert.equal(stale.status.status, 'ok')
+  assert.equal(stale.status.refreshError, 'HTTP 503')
+  assert.equal(stale.incidents[0].description, 'Crash on I-94')
+  await settle()
+})
+
+test('does not cache a failure when there is no earlier data', async (t) => {
+  const { requests } = setup(t, [() => new Response('', { status: 503 }), () => feed('Crash on I-94')])
+  const failed = await getCachedSource(source('cache-cold-failure'))
+  assert.equal(failed.status.status, 'failed')
+  assert.deepEqual(failed.incidents, [])
+
+  // Same instant, well within the TTL: the upstream is asked again
+  const retried = await getCachedSource(source('cache-cold-failure'))
+  assert.equal(retried.status.status, 'ok')
+  assert.equal(retried.status.cache, 'miss')
+  assert.equal(retried.incidents.length, 1)
+  assert.equal(requests.length, 2)
+})
+
+test('revalidates with ETag and Last-Modified and keeps incidents on 304', async (t) => {
+  const lastModified = 'Sat, 10 Jan 2026 11:59:00 GMT'
+  const { clock, requests } = setup(t, [
+    () => feed('Crash on I-94', { etag: '"v1"', 'last-modified': lastModified }),
+    () => new Response(null, { status: 304 })
+  ])
+  const first = await getCachedSource(source('cache-revalidate'))
+  assert.equal(requests[0]['If-None-Match'], undefined)
+
+  // Past the stale window, so the request waits for the revalidation
+  clock.now += 400 * SECOND
+  const revalidated = await getCachedSource(source('cache-revalidate'))
+  assert.equal(requests[1]['If-None-Match'], '"v1"')
+  assert.equal(requests[1]['If-Modified-Since'], lastModified)
+  assert.equal(revalidated.status.cache, 'miss')
+  assert.equal(revalidated.status.notModified, true)
+  assert.equal(revalidated.status.status, 'ok')
+  assert.deepEqual(revalidated.incidents, first.incidents)
+})
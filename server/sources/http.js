@@ -0,0 +1,73 @@
+// HTTP helper shared by the network-backed source adapters
+
+export const SOURCE_TIMEOUT_MS = 10000
+
+const USER_AGENT = 'MichiGuard/1.0 (https://github.com/TeamRocketUT/MichiGuard)'
+
+/**
+ * Request a source's URL without reading the body yet (for adapters that parse it as it downloads)
+ * Pass the validators from the previous response to make a conditional request;
+ * an unchanged upstream answers 304 and we return { notModified: true } without a response.
+ * The timeout also covers reading the body.
+ * @param {object} source - Source config ({ url, headers, timeoutMs })
+ * @param {object} conditional - { etag, lastModified } from the previous response
+ * @returns {Promise<{ response?: Response, etag: string|null, lastModified: string|null, notModified?: boolean }>}
+ * @throws {Error} On network errors, timeouts and non-2xx responses
+ */
+export async function openUpstream(source, conditional = {}) {
+  const timeoutMs = source.timeoutMs || SOURCE_TIMEOUT_MS
+  const conditionalHeaders = {}
+  if (conditional.etag) conditionalHeaders['If-None-Match'] = conditional.etag
+  if (conditional.lastModified) conditionalHeaders['If-Modified-Since'] = conditional.lastModified
+
+  let response
+  try {
+    response = await fetch(source.url, {
+      headers: {
+        'Accept': 'application/json, application/geo+json, text/xml, */*',
+        'User-Agent': USER_AGENT,
+        ...conditionalHeaders,
+        ...(source.headers || {}) // Merge any custom headers (like API keys)
+      },
+      signal: AbortSignal.timeout(timeoutMs)
+    })
+  } catch (err) {
+    throw timeoutError(err, timeoutMs)
+  }
+
+  const validators = {
+    etag: response.headers.get('etag') || conditional.etag || null,
+    lastModified: response.headers.get('last-modified') || conditional.lastModified || null
+  }
+  if (response.status === 304) return { notModified: true, ...validators }
+  if (!response.ok) throw new Error(`HTTP ${response.status}`)
+  return { response, ...validators }
+}
+
+/**
+ * Turn the abort from a source's timeout into a readable error (other errors pass through)
+ * @param {Error} err - Error from fetch or from reading the body
+ * @param {number} timeoutMs - The source's timeout
+ * @returns {Error}
+ */
+export function timeoutError(err, timeoutMs) {
+  return err.name === 'TimeoutError' ? new Error(`Timed out after ${timeoutMs}ms`) : err
+}
+
+/**
+ * Fetch a source's URL and return the raw body
+ * Conditional requests and 304s work as in openUpstream.
+ * @param {object} source - Source config ({ url, headers, timeoutMs })
+ * @param {object} conditional - { etag, lastModified } from the previous response
+ * @returns {Promise<{ body?: string, contentType?: string|null, etag: string|null, lastModified: string|null, notModified?: boolean }>}
+ * @throws {Error} On network errors, timeouts and non-2xx responses
+ */
+export async function fetchUpstream(source, conditional = {}) {
+  const { response, ...validators } = await openUpstream(source, conditional)
+  if (!response) return validators
+  try {
+    return { body: await response.text(), contentType: response.headers.get('content-type'), ...validators }
+  } catch (err) {
+    throw timeoutError(err, source.timeoutMs || SOURCE_TIMEOUT_MS)
+  }
+}
@@ -0,0 +1,170 @@
+// Incident lifecycle tracking: first seen, last seen, updated and cleared
+//
+// Upstream feeds are re-fetched statelessly, so the proxy remembers every incident it has
+// served, keyed by source and stable ID (see stableIncidentIds in normalize.js). Each successful
+// fetch of a source moves its incidents' lastSeen forward and records what changed; incidents a
+// source stops listing (or whose endDate passes) are cleared, and reappear if listed again.
+// Cleared incidents are forgotten after INCIDENT_HISTORY_HOURS (default 72); the long-term
+// record lives in the hazard archive (server/hazardArchive.js), written as incidents change.
+import { archiveIncident, archiveCleared } from '../hazardArchive.js'
+
+// What drivers see of an incident; a change to any of these is an update in the history
+const TRACKED_FIELDS = ['eventType', 'subtype', 'description', 'impact', 'severity', 'lanesAffected', 'roadway', 'startDate', 'endDate', 'extent']
+// The first-seen entry is always kept; after that only the most recent changes
+const MAX_HISTORY_ENTRIES = 50
+const DEFAULT_RETENTION_HOURS = 72
+const COORDINATE_DECIMALS = 5
+// Unchanged incidents are re-archived this often so the archive knows they were still there
+const ARCHIVE_TOUCH_MS = 60 * 60 * 1000
+
+const records = new Map() // `${source}|${id}` -> lifecycle record
+
+const keyOf = (source, id) => `${source}|${id}`
+
+const retentionMs = () => (parseFloat(process.env.INCIDENT_HISTORY_HOURS) || DEFAULT_RETENTION_HOURS) * 60 * 60 * 1000
+
+// Area an incident covers, as its geometry type and [minLng, minLat, maxLng, maxLat]
+function extentOf(incident) {
+  const flatten = (coords) => (typeof coords[0] === 'number' ? [coords] : coords.flatMap(flatten))
+  const points = Array.isArray(incident.geometry?.coordinates)
+    ? flatten(incident.geometry.coordinates)
+    : [[incident.longitude, incident.latitude]]
+  const round = (n) => Number(n.toFixed(COORDINATE_DECIMALS))
+  const lngs = points.map(p => p[0]).filter(Number.isFinite)
+  const lats = points.map(p => p[1]).filter(Number.isFinite)
+  if (lngs.length === 0 || lats.length === 0) return null
+  return {
+    type: incident.geometry?.type || 'Point',
+    bbox: [round(Math.min(...lngs)), round(Math.min(...lats)), round(Math.max(...lngs)), round(Math.max(...lats))]
+  }
+}
+
+function snapshotOf(incident) {
+  const snapshot = Object.fromEntries(TRACKED_FIELDS.map(field => [field, incident[field] ?? null]))
+  snapshot.extent = extentOf(incident)
+  return snapshot
+}
+
+// Fields that differ between two snapshots, as { field: { from, to } }
+function changesBetween(before, after) {
+  return Object.fromEntries(TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => [field, { from: before[field], to: after[field] }]))
+}
+
+function addHistory(record, entry) {
+  record.history.push(entry)
+  if (record.history.length > MAX_HISTORY_ENTRIES) {
+    record.history.splice(1, record.history.length - MAX_HISTORY_ENTRIES)
+  }
+}
+
+function archive(incident, record) {
+  record.archivedAt = record.lastSeen
+  archiveIncident(incident, record).catch(err => console.error(`❌ Failed to archive incident ${record.id}:`, err))
+}
+
+function isEnded(incident, now) {
+  const end = incident.endDate ? new Date(incident.endDate).getTime() : NaN
+  return Number.isFinite(end) && end <= now
+}
+
+/**
+ * Record the result of a successful fetch of one source
+ * Call only for fetches that succeeded: everything the source no longer lists is cleared.
+ * @param {string} sourceName
+ * @param {object[]} incidents - The source's incidents, with stable IDs
+ * @param {number} seenAt - When the data was fetched (ms)
+ */
+export function trackSourceIncidents(sourceName, incidents, seenAt = Date.now()) {
+  const at = new Date(seenAt).toISOString()
+  const listed = new Set()
+
+  incidents.filter(incident => !isEnded(incident, seenAt)).forEach(incident => {
+    const key = keyOf(sourceName, incident.id)
+    const snapshot = snapshotOf(incident)
+    listed.add(key)
+
+    const record = records.get(key)
+    if (!record) {
+      const created = {
+        id: incident.id,
+        source: sourceName,
+        firstSeen: at,
+        lastSeen: at,
+        updatedAt: at,
+        clearedAt: null,
+        current: snapshot,
+        history: [{ at, change: 'first-seen', snapshot }]
+      }
+      records.set(key, created)
+      archive(incident, created)
+      return
+    }
+    const reappeared = Boolean(record.clearedAt)
+    if (reappeared) {
+      addHistory(record, { at, change: 'reappeared' })
+      record.clearedAt = null
+    }
+    const changes = changesBetween(record.current, snapshot)
+    const changed = Object.keys(changes).length > 0
+    if (changed) {
+      addHistory(record, { at, change: 'updated', changes })
+      record.current = snapshot
+      record.updatedAt = at
+    }
+    record.lastSeen = at
+    if (reappeared || changed || seenAt - new Date(record.archivedAt).getTime() >= ARCHIVE_TOUCH_MS) archive(incident, record)
+  })
+
+  const forgetBefore = seenAt - retentionMs()
+  records.forEach((record, key) => {
+    if (record.source !== sourceName) return
+    if (!record.clearedAt && !listed.has(key)) {
+      record.clearedAt = at
+      addHistory(record, { at, change: 'cleared' })
+      archiveCleared(sourceName, record.id, record).catch(err => console.error(`❌ Failed to archive cleared incident ${record.id}:`, err))
+    }
+    if (record.clearedAt && new Date(record.clearedAt).getTime() < forgetBefore) records.delete(key)
+  })
+}
+
+/**
+ * Add lifecycle timestamps to an incident
+ * Incidents whose feed gives no start time start when we first saw them.
+ * @param {object} incident - Incident with `source` and stable `id`
+ * @returns {object} The incident with firstSeen and updatedAt (unchanged when untracked)
+ */
+export function withLifecycle(incident) {
+  const record = records.get(keyOf(incident.source, incident.id))
+  if (!record) return incident
+  return {
+    ...incident,
+    startDate: incident.startDate || record.firstSeen,
+    firstSeen: record.firstSeen,
+    updatedAt: record.updatedAt
+  }
+}
+
+/**
+ * Lifecycle and change history of incidents with an ID
+ * @param {string} id - Incident ID
+ * @param {string} [source] - Source name, to pick one when several sources use the same ID
+ * @returns {object[]} Matching records: { id, source, status, firstSeen, lastSeen, updatedAt, clearedAt, current, history }
+ */
+export function incidentHistory(id, source) {
+  return [...records.values()]
+    .filter(record => record.id === id && (!source || record.source === source))
+    // Only the documented fields: the record also holds internal bookkeeping (archivedAt)
+    .map(({ id: recordId, source: recordSource, firstSeen, lastSeen, updatedAt, clearedAt, current, history }) => ({
+      id: recordId,
+      source: recordSource,
+      status: clearedAt ? 'cleared' : 'active',
+      firstSeen,
+      lastSeen,
+      updatedAt,
+      clearedAt,
+      current,
+      history: [...history]
+    }))
+}
@@ -0,0 +1,99 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync } from 'node:fs'
+import { rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+
+// Archive writes go to a scratch file, never to server/data
+const archiveDir = mkdtempSync(path.join(tmpdir(), 'michiguard-lifecycle-'))
+process.env.HAZARD_ARCHIVE_FILE = path.join(archiveDir, 'hazard-archive.jsonl')
+const { trackSourceIncidents, incidentHistory, withLifecycle } = await import('./lifecycle.js')
+const { archiveIncident } = await import('../hazardArchive.js')
+
+after(async () => {
+  // Appends are serialized, so this one lands after every write the tests queued
+  await archiveIncident({ source: 'lifecycle-test', id: 'flush' }, { firstSeen: new Date().toISOString(), lastSeen: null })
+  await rm(archiveDir, { recursive: true, force: true })
+})
+
+const T0 = Date.parse('2026-01-10T12:00:00Z')
+const MINUTE = 60 * 1000
+const at = (ms) => new Date(ms).toISOString()
+
+const incident = (id, fields = {}) => ({
+  id,
+  eventType: 'roadwork',
+  description: 'Right lane closed',
+  latitude: 42.3314,
+  longitude: -83.0458,
+  roadway: 'I-94',
+  ...fields
+})
+
+test('first-seen, last-seen and updates', () => {
+  trackSourceIncidents('lifecycle-a', [incident('1')], T0)
+  const [first] = incidentHistory('1', 'lifecycle-a')
+  assert.equal(first.status, 'active')
+  assert.equal(first.firstSeen, at(T0))
+  assert.equal(first.lastSeen, at(T0))
+  assert.deepEqual(first.history.map(h => h.change), ['first-seen'])
+  assert.equal(first.history[0].snapshot.description, 'Right lane closed')
+  assert.deepEqual(Object.keys(first).sort(), ['clearedAt', 'current', 'firstSeen', 'history', 'id', 'lastSeen', 'source', 'status', 'updatedAt'])
+
+  // Listed again unchanged: only lastSeen moves
+  trackSourceIncidents('lifecycle-a', [incident('1')], T0 + MINUTE)
+  const [seen] = incidentHistory('1', 'lifecycle-a')
+  assert.equal(seen.lastSeen, at(T0 + MINUTE))
+  assert.equal(seen.updatedAt, at(T0))
+  assert.equal(seen.history.length, 1)
+
+  trackSourceIncidents('lifecycle-a', [incident('1', { description: 'Two right lanes closed' })], T0 + 2 * MINUTE)
+  const [updated] = incidentHistory('1', 'lifecycle-a')
+  assert.equal(updated.updatedAt, at(T0 + 2 * MINUTE))
+  assert.deepEqual(updated.history[1], {
+    at: at(T0 + 2 * MINUTE),
+    change: 'updated',
+    changes: { description: { from: 'Right lane closed', to: 'Two right lanes closed' } }
+  })
+  assert.equal(updated.current.description, 'Two right lanes closed')
+})
+
+test('incidents clear when no longer listed or past their end, and can reappear', () => {
+  trackSourceIncidents('lifecycle-b', [incident('1'), incident('2')], T0)
+  trackSourceIncidents('lifecycle-b', [incident('2', { endDate: at(T0) })], T0 + MINUTE)
+  const [dropped] = incidentHistory('1', 'lifecycle-b')
+  const [ended] = incidentHistory('2', 'lifecycle-b')
+  assert.equal(dropped.status, 'cleared')
+  assert.equal(dropped.clearedAt, at(T0 + MINUTE))
+  assert.equal(dropped.lastSeen, at(T0))
+  assert.equal(ended.status, 'cleared')
+  assert.deepEqual(dropped.history.map(h => h.change), ['first-seen', 'cleared'])
+
+  trackSourceIncidents('lifecycle-b', [incident('1')], T0 + 2 * MINUTE)
+  const [back] = incidentHistory('1', 'lifecycle-b')
+  assert.equal(back.status, 'active')
+  assert.equal(back.clearedAt, null)
+  assert.deepEqual(back.history.map(h => h.change), ['first-seen', 'cleared', 'reappeared'])
+})
+
+test('other sources are untouched and cleared incidents are forgotten after the retention window', () => {
+  trackSourceIncidents('lifecycle-c', [incident('1')], T0)
+  trackSourceIncidents('lifecycle-d', [incident('1')], T0)
+  trackSourceIncidents('lifecycle-c', [], T0 + MINUTE)
+  assert.equal(incidentHistory('1', 'lifecycle-c')[0].status, 'cleared')
+  assert.equal(incidentHistory('1', 'lifecycle-d')[0].status, 'active')
+
+  trackSourceIncidents('lifecycle-c', [], T0 + 73 * 60 * MINUTE)
+  assert.deepEqual(incidentHistory('1', 'lifecycle-c'), [])
+})
+
+test('withLifecycle starts incidents without a start time when first seen', () => {
+  trackSourceIncidents('lifecycle-e', [incident('1'), incident('2', { startDate: '2026-01-09T08:00:00.000Z' })], T0)
+  const [undated, dated] = [incident('1'), incident('2', { startDate: '2026-01-09T08:00:00.000Z' })]
+    .map(i => withLifecycle({ ...i, source: 'lifecycle-e' }))
+  assert.equal(undated.startDate, at(T0))
+  assert.equal(undated.firstSeen, at(T0))
+  assert.equal(dated.startDate, '2026-01-09T08:00:00.000Z')
+  assert.deepEqual(withLifecycle({ id: 'unknown', source: 'lifecycle-e' }), { id: 'unknown', source: 'lifecycle-e' })
+})
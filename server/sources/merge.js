@@ -0,0 +1,43 @@
+// Merging incident lists from several sources into one de-duplicated feed
+import { distanceBetween } from '../../src/utils/geoUtils.js'
+
+// Reports from different sources closer than this (in space and start time) are treated as one hazard
+const DUPLICATE_RADIUS_METERS = 150
+const DUPLICATE_WINDOW_MS = 60 * 60 * 1000
+
+function isSameHazard(a, b) {
+  if (a.source === b.source || a.eventType !== b.eventType) return false
+  const startA = new Date(a.startDate).getTime()
+  const startB = new Date(b.startDate).getTime()
+  if (Number.isFinite(startA) && Number.isFinite(startB) && Math.abs(startA - startB) > DUPLICATE_WINDOW_MS) return false
+  return distanceBetween({ lat: a.latitude, lng: a.longitude }, { lat: b.latitude, lng: b.longitude }) <= DUPLICATE_RADIUS_METERS
+}
+
+/**
+ * Merge per-source incident lists, dropping duplicates
+ * Two incidents are the same when they share a source and ID, or when different sources
+ * report the same hazard category close together in space and time. The first (highest
+ * priority) report is kept and records the other sources in `alsoReportedBy`.
+ * @param {Array<object[]>} lists - Incident lists in source priority order
+ * @returns {object[]} Merged incidents
+ */
+export function mergeIncidents(lists) {
+  const merged = []
+  const seenIds = new Set()
+  
+  for (const list of lists) {
+    for (const incident of list) {
+      const idKey = `${incident.source}|${incident.id}`
+      if (seenIds.has(idKey)) continue
+      seenIds.add(idKey)
+      
+      const duplicate = merged.find(existing => isSameHazard(existing, incident))
+      if (duplicate) {
+        duplicate.alsoReportedBy = [...new Set([...(duplicate.alsoReportedBy || []), incident.source])]
+        continue
+      }
+      merged.push({ ...incident })
+    }
+  }
+  return merged
+}
@@ -0,0 +1,128 @@
+// Shared helpers for turning upstream records into MichiGuard incidents
+import { createHash } from 'node:crypto'
+import { classifyHazard } from '../../src/utils/hazardTaxonomy.js'
+
+// Incident shape: { id, eventType, description, latitude, longitude, startDate, endDate, impact, roadway }
+// Optional: severity ('minor'|'moderate'|'major'|'severe'), lanesAffected ({ closed, total, status }),
+// geometry (GeoJSON Point, LineString, Polygon or MultiPolygon when the feed gives one), subtype (taxonomy subtype),
+// reducedSpeedLimitMph and workersPresent (work zones)
+// Adapters leave id null when the upstream has none (stableIncidentIds fills it in) and startDate
+// null when the upstream doesn't say; the lifecycle tracker then uses when we first saw it.
+
+// Canonical category for any upstream type (shared taxonomy in src/utils/hazardTaxonomy.js)
+export function normalizeEventType(type) {
+  return classifyHazard(type).category
+}
+
+// Taxonomy subtype (pothole, icy-road, flooding...) read from an incident's description,
+// kept only when it agrees with the incident's category
+export function hazardSubtype(incident) {
+  const { category, subtype } = classifyHazard(incident.description)
+  return category === incident.eventType ? subtype : null
+}
+
+// Map the severity vocabularies of TMDD, DATEX II, WZDx and NWS onto one scale
+export function normalizeSeverity(value) {
+  const v = (value || '').toString().toLowerCase()
+  if (!v || v === 'unknown' || v === 'none') return null
+  if (['highest', 'severe', 'extreme', 'critical', 'natural-disaster', 'very-high'].some(k => v.includes(k))) return 'severe'
+  if (['high', 'major', 'serious'].some(k => v.includes(k))) return 'major'
+  if (['medium', 'moderate'].some(k => v.includes(k))) return 'moderate'
+  if (['low', 'minor', 'slight'].some(k => v.includes(k))) return 'minor'
+  return null
+}
+
+// GeoJSON geometry from [lng, lat] pairs: a Point for one, a LineString for more
+export function geometryFromPoints(points) {
+  const valid = points.filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]) && !(p[0] === 0 && p[1] === 0))
+  if (valid.length === 0) return null
+  if (valid.length === 1) return { type: 'Point', coordinates: valid[0] }
+  return { type: 'LineString', coordinates: valid }
+}
+
+// Representative map marker for a geometry: the point itself, the middle vertex of a line (the longest
+// part of a MultiLineString), or the vertex average of a polygon's outer ring (the largest polygon of a MultiPolygon)
+export function markerPosition(geometry) {
+  if (geometry.type === 'MultiLineString') {
+    const longest = geometry.coordinates.reduce((a, b) => (b.length > a.length ? b : a), [])
+    return markerPosition({ type: 'LineString', coordinates: longest })
+  }
+  if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+    const ring = polygons.map(rings => rings[0] || []).sort((a, b) => b.length - a.length)[0] || []
+    // Closed rings repeat the first vertex at the end; don't count it twice
+    const vertices = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+      ? ring.slice(0, -1)
+      : ring
+    if (vertices.length === 0) return { longitude: null, latitude: null }
+    return {
+      longitude: vertices.reduce((sum, c) => sum + c[0], 0) / vertices.length,
+      latitude: vertices.reduce((sum, c) => sum + c[1], 0) / vertices.length
+    }
+  }
+  const coord = geometry.type === 'Point'
+    ? geometry.coordinates
+    : geometry.coordinates[Math.floor(geometry.coordinates.length / 2)]
+  return { longitude: coord[0], latitude: coord[1] }
+}
+
+// Read a dotted path ("location.latitude") from a record
+export function getPath(obj, path) {
+  if (!obj || !path) return undefined
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj)
+}
+
+// First non-empty value among several candidate paths
+export function pickField(record, paths) {
+  for (const path of [].concat(paths)) {
+    const value = getPath(record, path)
+    if (value !== undefined && value !== null && value !== '') return value
+  }
+  return null
+}
+
+// Drop incidents we can't place on a map
+export function hasCoordinates(incident) {
+  return Number.isFinite(incident.latitude) && Number.isFinite(incident.longitude) &&
+    incident.latitude !== 0 && incident.longitude !== 0
+}
+
+// ~11 m: close enough that a re-geocoded marker keeps its ID, far enough apart for neighbouring hazards
+const FINGERPRINT_DECIMALS = 4
+
+/**
+ * Content fingerprint for an incident without an upstream ID
+ * Built from what identifies the hazard (category, road, place, upstream start time), not from
+ * what may change while it lasts (description, impact, extent), so updates keep the same ID.
+ * @param {object} incident - Normalized incident
+ * @returns {string} Short hex hash
+ */
+export function incidentFingerprint(incident) {
+  const key = [
+    incident.eventType,
+    incident.subtype || '',
+    (incident.roadway || '').toLowerCase(),
+    Number(incident.latitude).toFixed(FINGERPRINT_DECIMALS),
+    Number(incident.longitude).toFixed(FINGERPRINT_DECIMALS),
+    incident.startDate || ''
+  ].join('|')
+  return createHash('sha1').update(key).digest('hex').slice(0, 12)
+}
+
+/**
+ * Give every incident of one source an ID that survives refetches and feed reordering
+ * Upstream IDs are kept; the rest get `<source>-<fingerprint>` (suffixed if two records are identical).
+ * @param {object[]} incidents - Normalized incidents of one source
+ * @param {string} sourceName
+ * @returns {object[]}
+ */
+export function stableIncidentIds(incidents, sourceName) {
+  const used = new Set()
+  return incidents.map(incident => {
+    const base = incident.id != null && incident.id !== '' ? String(incident.id) : `${sourceName}-${incidentFingerprint(incident)}`
+    let id = base
+    for (let n = 2; used.has(id); n++) id = `${base}~${n}`
+    used.add(id)
+    return { ...incident, id }
+  })
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { incidentFingerprint, stableIncidentIds } from './normalize.js'
+
+const crash = {
+  id: null,
+  eventType: 'accident',
+  subtype: null,
+  roadway: 'I-94 EB',
+  latitude: 42.33141,
+  longitude: -83.04582,
+  startDate: '2026-01-10T12:15:00.000Z',
+  description: 'Crash blocking the right lane',
+  impact: 'moderate'
+}
+
+test('fingerprints ignore what changes while an incident lasts', () => {
+  const fingerprint = incidentFingerprint(crash)
+  assert.match(fingerprint, /^[0-9a-f]{12}$/)
+  assert.equal(incidentFingerprint({ ...crash, description: 'Crash cleared to the shoulder', impact: 'minor' }), fingerprint)
+  assert.equal(incidentFingerprint({ ...crash, geometry: { type: 'Point', coordinates: [-83.04582, 42.33141] } }), fingerprint)
+  assert.equal(incidentFingerprint({ ...crash, roadway: 'i-94 eb' }), fingerprint, 'road names are compared case-insensitively')
+  assert.equal(incidentFingerprint({ ...crash, latitude: 42.33143, longitude: -83.04584 }), fingerprint, 'a marker moved a few meters')
+})
+
+test('fingerprints differ for different hazards', () => {
+  const fingerprint = incidentFingerprint(crash)
+  assert.notEqual(incidentFingerprint({ ...crash, eventType: 'roadwork' }), fingerprint)
+  assert.notEqual(incidentFingerprint({ ...crash, roadway: 'I-75' }), fingerprint)
+  assert.notEqual(incidentFingerprint({ ...crash, latitude: 42.3324 }), fingerprint)
+  assert.notEqual(incidentFingerprint({ ...crash, startDate: '2026-01-10T18:00:00.000Z' }), fingerprint)
+})
+
+test('stable IDs keep upstream IDs and do not depend on feed order', () => {
+  const other = { ...crash, roadway: 'M-10', latitude: 42.35 }
+  const withId = { ...crash, id: 'MI-142' }
+  const ids = stableIncidentIds([crash, other, withId], 'MDOT').map(i => i.id)
+  assert.equal(ids[2], 'MI-142')
+  assert.equal(ids[0], `MDOT-${incidentFingerprint(crash)}`)
+  const reversed = stableIncidentIds([withId, other, crash], 'MDOT').map(i => i.id)
+  assert.deepEqual(reversed, [...ids].reverse())
+
+  // Identical records still get distinct IDs
+  assert.deepEqual(stableIncidentIds([crash, crash], 'MDOT').map(i => i.id), [ids[0], `${ids[0]}~2`])
+})
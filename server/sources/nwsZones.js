@@ -0,0 +1,122 @@
+// NWS zone boundaries for alerts that only list the zones they cover
+// Many alerts arrive with geometry: null and just affectedZones URLs / geocode.UGC codes.
+// Zone shapes rarely change, so they are cached in memory and on disk (server/data/nws-zones).
+// Set NWS_ZONES_OFFLINE=true to use only the shapes in server/fixtures/zones, named by UGC code:
+// the Detroit office's forecast zones (MIZ047-MIZ083, which follow county lines) and a few county
+// zones, drawn from Census county boundaries at 1:10m. They are also the fallback whenever
+// api.weather.gov can't be reached.
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { fetchUpstream } from './http.js'
+
+const SERVER_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+const CACHE_DIR = process.env.NWS_ZONE_CACHE_DIR || path.join(SERVER_DIR, 'data', 'nws-zones')
+const FIXTURE_DIR = path.join(SERVER_DIR, 'fixtures', 'zones')
+const ZONES_BASE_URL = 'https://api.weather.gov/zones'
+
+const CACHE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000
+// Zones we couldn't resolve are retried after this long
+const MISS_RETRY_MS = 10 * 60 * 1000
+// Be polite to api.weather.gov when a storm puts most of the state under alerts
+const MAX_CONCURRENT_FETCHES = 6
+
+// UGC codes are SSCNNN: state, C (county) or Z (zone), number
+const UGC_PATTERN = /^[A-Z]{2}[CZ]\d{3}$/
+
+const memory = new Map()
+
+const offline = () => process.env.NWS_ZONES_OFFLINE === 'true'
+
+/**
+ * Zone references for an alert, as { id, url } pairs
+ * Prefers the affectedZones URLs; falls back to building them from geocode.UGC.
+ * @param {object} props - NWS alert properties
+ * @returns {Array<{ id: string, url: string }>}
+ */
+export function alertZones(props) {
+  const fromUrls = (props.affectedZones || [])
+    .map(url => ({ id: url.split('/').pop(), url }))
+    .filter(zone => UGC_PATTERN.test(zone.id))
+  if (fromUrls.length > 0) return fromUrls
+  return (props.geocode?.UGC || [])
+    .filter(id => UGC_PATTERN.test(id))
+    .map(id => ({ id, url: `${ZONES_BASE_URL}/${id[2] === 'C' ? 'county' : 'forecast'}/${id}` }))
+}
+
+async function readGeometryFile(file, maxAgeMs = Infinity) {
+  try {
+    const [text, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)])
+    if (Date.now() - stat.mtimeMs > maxAgeMs) return null
+    const data = JSON.parse(text)
+    return data?.geometry || (data?.type && data.coordinates ? data : null)
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`⚠️ Ignoring unreadable zone file ${file}:`, err.message)
+    return null
+  }
+}
+
+async function fetchZoneGeometry(zone) {
+  const { body } = await fetchUpstream({ url: zone.url, headers: { 'Accept': 'application/geo+json' } })
+  const geometry = JSON.parse(body)?.geometry
+  if (!geometry) throw new Error('zone has no geometry')
+  await fs.mkdir(CACHE_DIR, { recursive: true })
+  await fs.writeFile(path.join(CACHE_DIR, `${zone.id}.json`), JSON.stringify({ id: zone.id, geometry }))
+  return geometry
+}
+
+// Memory, then disk cache, then api.weather.gov, then the offline fixtures
+async function zoneGeometry(zone) {
+  const known = memory.get(zone.id)
+  if (known && (known.geometry || Date.now() - known.at < MISS_RETRY_MS)) return known.geometry
+
+  let geometry = offline() ? null : await readGeometryFile(path.join(CACHE_DIR, `${zone.id}.json`), CACHE_MAX_AGE_MS)
+  if (!geometry && !offline()) {
+    try {
+      geometry = await fetchZoneGeometry(zone)
+    } catch (err) {
+      console.log(`✗ Failed to fetch NWS zone ${zone.id}:`, err.message)
+    }
+  }
+  if (!geometry) geometry = await readGeometryFile(path.join(FIXTURE_DIR, `${zone.id}.json`))
+
+  // Remember misses for a while too, so one missing zone isn't re-fetched for every alert that lists it
+  memory.set(zone.id, { geometry, at: Date.now() })
+  return geometry
+}
+
+/**
+ * Resolve zone ids to geometries, a few requests at a time
+ * @param {Array<{ id: string, url: string }>} zones - Zones to resolve (duplicates are fetched once)
+ * @returns {Promise<Map<string, object|null>>} Zone id -> GeoJSON geometry (null when unavailable)
+ */
+export async function resolveZones(zones) {
+  const unique = [...new Map(zones.map(zone => [zone.id, zone])).values()]
+  const results = new Map()
+  let next = 0
+  const worker = async () => {
+    while (next < unique.length) {
+      const zone = unique[next++]
+      results.set(zone.id, await zoneGeometry(zone))
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_FETCHES, unique.length) }, worker))
+  return results
+}
+
+/**
+ * Combine zone geometries into one alert geometry
+ * @param {object[]} geometries - Polygon / MultiPolygon geometries
+ * @returns {object|null} Polygon for one zone, MultiPolygon for several, null for none
+ */
+export function combineZoneGeometries(geometries) {
+  const polygons = geometries.flatMap(g => {
+    if (g?.type === 'Polygon') return [g.coordinates]
+    if (g?.type === 'MultiPolygon') return g.coordinates
+    return []
+  })
+  if (polygons.length === 0) return null
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons }
+}
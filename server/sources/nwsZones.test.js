@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { alertZones, resolveZones, combineZoneGeometries } from './nwsZones.js'
+import nwsAdapter from './adapters/nws.js'
+import { pointInPolygon } from '../../src/utils/geoUtils.js'
+
+// Resolve zones from server/fixtures/zones only; nothing here may reach api.weather.gov
+let previousOffline
+before(() => {
+  previousOffline = process.env.NWS_ZONES_OFFLINE
+  process.env.NWS_ZONES_OFFLINE = 'true'
+})
+after(() => {
+  if (previousOffline === undefined) delete process.env.NWS_ZONES_OFFLINE
+  else process.env.NWS_ZONES_OFFLINE = previousOffline
+})
+
+const DETROIT = [-83.0458, 42.3314]
+const ANN_ARBOR = [-83.743, 42.2808]
+const FLINT = [-83.6875, 43.0125]
+
+const zoneUrl = id => `https://api.weather.gov/zones/forecast/${id}`
+
+// A Winter Weather Advisory as NWS sends it when it only lists zones
+const zoneOnlyAlert = (id, zones) => ({
+  type: 'Feature',
+  geometry: null,
+  properties: {
+    id,
+    event: 'Winter Weather Advisory',
+    headline: 'Winter Weather Advisory issued for southeast Michigan',
+    severity: 'Moderate',
+    effective: '2026-01-10T12:00:00-05:00',
+    expires: '2026-01-11T06:00:00-05:00',
+    areaDesc: 'Washtenaw; Wayne',
+    affectedZones: zones.map(zoneUrl),
+    geocode: { UGC: zones }
+  }
+})
+
+test('alertZones prefers affectedZones and falls back to geocode.UGC', () => {
+  assert.deepEqual(alertZones({ affectedZones: [zoneUrl('MIZ076')], geocode: { UGC: ['MIC163'] } }), [
+    { id: 'MIZ076', url: zoneUrl('MIZ076') }
+  ])
+  assert.deepEqual(alertZones({ geocode: { UGC: ['MIC163', 'MIZ076', 'bogus'] } }), [
+    { id: 'MIC163', url: 'https://api.weather.gov/zones/county/MIC163' },
+    { id: 'MIZ076', url: zoneUrl('MIZ076') }
+  ])
+  assert.deepEqual(alertZones({}), [])
+})
+
+test('resolveZones reads forecast and county zones from the fixtures when offline', async () => {
+  const zones = await resolveZones([
+    { id: 'MIZ076', url: zoneUrl('MIZ076') },
+    { id: 'MIC163', url: 'https://api.weather.gov/zones/county/MIC163' },
+    { id: 'MIZ061', url: zoneUrl('MIZ061') },
+    { id: 'MIZ999', url: zoneUrl('MIZ999') }
+  ])
+  assert.ok(pointInPolygon(DETROIT, zones.get('MIZ076')), 'Detroit is in Wayne (MIZ076)')
+  assert.ok(pointInPolygon(DETROIT, zones.get('MIC163')), 'Detroit is in Wayne County (MIC163)')
+  assert.ok(pointInPolygon(FLINT, zones.get('MIZ061')), 'Flint is in Genesee (MIZ061)')
+  assert.ok(!pointInPolygon(ANN_ARBOR, zones.get('MIZ076')), 'Ann Arbor is not in Wayne')
+  assert.equal(zones.get('MIZ999'), null)
+})
+
+test('combineZoneGeometries joins zones into one alert area', () => {
+  const square = [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]]
+  assert.deepEqual(combineZoneGeometries([{ type: 'Polygon', coordinates: square }, null]), { type: 'Polygon', coordinates: square })
+  const combined = combineZoneGeometries([{ type: 'Polygon', coordinates: square }, { type: 'MultiPolygon', coordinates: [square, square] }])
+  assert.equal(combined.type, 'MultiPolygon')
+  assert.equal(combined.coordinates.length, 3)
+  assert.equal(combineZoneGeometries([null]), null)
+})
+
+test('the NWS adapter draws zone-only alerts from the fixture zones', async (t) => {
+  const collection = {
+    type: 'FeatureCollection',
+    features: [
+      zoneOnlyAlert('urn:oid:advisory', ['MIZ075', 'MIZ076']),
+      zoneOnlyAlert('urn:oid:unknown-zone', ['MIZ999'])
+    ]
+  }
+  t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify(collection), {
+    status: 200,
+    headers: { 'content-type': 'application/geo+json' }
+  }))
+
+  const payload = await nwsAdapter.fetch({ name: 'NWS', url: 'https://api.weather.gov/alerts/active?area=MI' })
+  assert.equal(globalThis.fetch.mock.callCount(), 1, 'only the alerts feed is fetched')
+  const { incidents, errors } = nwsAdapter.normalize(nwsAdapter.parse(payload))
+
+  assert.equal(incidents.length, 1)
+  const [advisory] = incidents
+  assert.equal(advisory.id, 'urn:oid:advisory')
+  assert.equal(advisory.geometrySource, 'zones')
+  assert.equal(advisory.geometry.type, 'MultiPolygon')
+  assert.ok(pointInPolygon(DETROIT, advisory.geometry), 'covers Detroit (Wayne)')
+  assert.ok(pointInPolygon(ANN_ARBOR, advisory.geometry), 'covers Ann Arbor (Washtenaw)')
+  assert.ok(!pointInPolygon(FLINT, advisory.geometry), 'does not cover Flint')
+  assert.deepEqual(errors, ['alert Winter Weather Advisory: no geometry for zones MIZ999'])
+})
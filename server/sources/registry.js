@@ -0,0 +1,186 @@
+// Hazard source adapter registry
+//
+// Every feed the proxy aggregates is described by an entry in sources.config.js and handled
+// by an adapter registered here. An adapter is a plain object:
+//
+//   {
+//     type: 'json',                                      // referenced by `adapter` in the config
+//     fetch(source, conditional) -> Promise<payload>     // raw upstream payload ({ body, contentType, etag, lastModified };
+//                                                        // xml streams the body and returns { records, etag, lastModified }),
+//                                                        // or { notModified: true } when conditional validators still match
+//     parse(payload, source)   -> records[]              // upstream records, untouched
+//     normalize(records, source) -> incidents[]          // MichiGuard incident shape, or { incidents, errors }
+//                                                        // where errors are messages for records that couldn't be used
+//     health(source)           -> Promise<{ ok, detail }> // optional; defaults to a fetch probe
+//   }
+//
+// To add a feed that fits an existing adapter, add a config entry. To add a new feed format,
+// write an adapter and registerAdapter() it; the route handlers never need to change.
+import path from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import fs from 'node:fs/promises'
+import nwsAdapter from './adapters/nws.js'
+import mdotRideAdapter from './adapters/mdotRide.js'
+import jsonAdapter from './adapters/json.js'
+import xmlAdapter from './adapters/xml.js'
+import wzdxAdapter from './adapters/wzdx.js'
+import communityAdapter from './adapters/community.js'
+import { hazardSubtype, stableIncidentIds } from './normalize.js'
+
+const DEFAULT_CONFIG = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'sources.config.js')
+
+// Per-record error messages kept in a source's status (the count is always complete)
+const MAX_RECORD_ERRORS = 10
+
+const adapters = new Map()
+
+/**
+ * Register a source adapter
+ * @param {object} adapter - Adapter implementing fetch/parse/normalize (and optionally health)
+ */
+export function registerAdapter(adapter) {
+  const missing = ['type', 'fetch', 'parse', 'normalize'].filter(key => !adapter?.[key])
+  if (missing.length > 0) {
+    throw new Error(`Source adapter is missing: ${missing.join(', ')}`)
+  }
+  adapters.set(adapter.type, adapter)
+}
+
+export function getAdapter(type) {
+  return adapters.get(type) || null
+}
+
+export function listAdapterTypes() {
+  return [...adapters.keys()]
+}
+
+;[nwsAdapter, mdotRideAdapter, jsonAdapter, xmlAdapter, wzdxAdapter, communityAdapter].forEach(registerAdapter)
+
+// Replace ${VAR} and ${VAR:-default} with environment values throughout a config entry
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (_m, name, fallback) => process.env[name] ?? fallback ?? '')
+  }
+  if (Array.isArray(value)) return value.map(interpolateEnv)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolateEnv(v)]))
+  }
+  return value
+}
+
+async function readConfigFile(configPath) {
+  if (configPath.endsWith('.json')) {
+    const json = JSON.parse(await fs.readFile(configPath, 'utf8'))
+    return Array.isArray(json) ? json : json.sources
+  }
+  const mod = await import(pathToFileURL(path.resolve(configPath)).href)
+  return mod.default
+}
+
+/**
+ * Load and validate the source config
+ * Override the default file with SOURCES_CONFIG=/path/to/sources.json (or .js)
+ * @returns {Promise<{ sources: object[], skipped: object[] }>} Enabled sources (in priority order) and why others were skipped
+ */
+export async function loadSources(configPath = process.env.SOURCES_CONFIG || DEFAULT_CONFIG) {
+  const entries = await readConfigFile(configPath)
+  if (!Array.isArray(entries)) {
+    throw new Error(`${configPath} must export an array of sources`)
+  }
+
+  const sources = []
+  const skipped = []
+  const names = new Set()
+  for (const raw of entries) {
+    const name = raw?.name
+    if (!name || names.has(name)) {
+      throw new Error(`Every source in ${configPath} needs a unique name (got "${name}")`)
+    }
+    names.add(name)
+    if (!getAdapter(raw.adapter)) {
+      throw new Error(`Source "${name}" uses unknown adapter "${raw.adapter}". Known: ${listAdapterTypes().join(', ')}`)
+    }
+    if (raw.enabled === false) {
+      skipped.push({ source: name, reason: 'disabled' })
+      continue
+    }
+    const missingEnv = (raw.requiresEnv || []).filter(key => !process.env[key])
+    if (missingEnv.length > 0) {
+      skipped.push({ source: name, reason: `missing ${missingEnv.join(', ')}` })
+      continue
+    }
+    sources.push(interpolateEnv(raw))
+  }
+  return { sources, skipped }
+}
+
+/**
+ * Fetch, parse and normalize one source, reporting how it went
+ * @param {object} source - Enabled source config
+ * @param {object} previous - Last result for this source ({ status, incidents, etag, lastModified }) for conditional requests
+ * @returns {Promise<{ status: object, incidents: object[], etag: string|null, lastModified: string|null }>} Incidents stamped with `source`, and { source, status: 'ok'|'failed'|'empty', latencyMs, count, notModified?, error?, recordErrorCount?, recordErrors? }
+ */
+export async function runSource(source, previous = null) {
+  const adapter = getAdapter(source.adapter)
+  const started = Date.now()
+  const status = { source: source.name, adapter: source.adapter, status: 'empty', latencyMs: 0, count: 0 }
+  let incidents = []
+  let validators = { etag: null, lastModified: null }
+
+  try {
+    if (source.url) console.log(`Attempting to fetch from: ${source.url}`)
+    const payload = await adapter.fetch(source, previous ? { etag: previous.etag, lastModified: previous.lastModified } : {})
+    validators = { etag: payload?.etag || null, lastModified: payload?.lastModified || null }
+    if (payload?.notModified && previous) {
+      status.notModified = true
+      incidents = previous.incidents
+      if (previous.status?.recordErrorCount) {
+        status.recordErrorCount = previous.status.recordErrorCount
+        status.recordErrors = previous.status.recordErrors
+      }
+      console.log(`✓ ${source.name} not modified since last fetch`)
+    } else {
+      const records = adapter.parse(payload, source)
+      const normalized = adapter.normalize(records, source)
+      const { incidents: list, errors = [] } = Array.isArray(normalized) ? { incidents: normalized } : normalized
+      // IDs must not depend on feed order: the lifecycle tracker and live stream key on them
+      incidents = stableIncidentIds(list, source.name)
+        .map(i => ({ ...i, subtype: i.subtype || hazardSubtype(i), source: source.name }))
+      if (errors.length > 0) {
+        status.recordErrorCount = errors.length
+        status.recordErrors = errors.slice(0, MAX_RECORD_ERRORS)
+        console.log(`⚠️ ${source.name}: skipped ${errors.length} unusable records (first: ${errors[0]})`)
+      }
+    }
+    if (incidents.length > 0) {
+      status.status = 'ok'
+      console.log(`✓ Successfully fetched ${incidents.length} incidents from ${source.name}`)
+    }
+  } catch (err) {
+    status.status = 'failed'
+    status.error = err.message
+    incidents = []
+    console.log(`✗ Failed to fetch from ${source.name}:`, err.message)
+  }
+
+  status.latencyMs = Date.now() - started
+  status.count = incidents.length
+  return { status, incidents, ...validators }
+}
+
+/**
+ * Check whether a source is reachable and configured
+ * @param {object} source - Enabled source config
+ * @returns {Promise<object>} { source, adapter, ok, detail, latencyMs }
+ */
+export async function checkSourceHealth(source) {
+  const adapter = getAdapter(source.adapter)
+  const started = Date.now()
+  let result
+  try {
+    result = adapter.health ? await adapter.health(source) : (await adapter.fetch(source), { ok: true })
+  } catch (err) {
+    result = { ok: false, detail: err.message }
+  }
+  return { source: source.name, adapter: source.adapter, ...result, latencyMs: Date.now() - started }
+}
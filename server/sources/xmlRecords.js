@@ -0,0 +1,150 @@
+// Streaming XML record reader for traffic-event feeds
+// The document is parsed as it arrives (streamXmlRecords reads a fetch body chunk by chunk) and only
+// the elements inside each record (e.g. a DATEX II <situationRecord>) are kept in memory;
+// everything else streams past. Handles namespaces, attributes, CDATA and nested elements.
+import sax from 'sax'
+
+/**
+ * Incremental XML record reader: write() the document in pieces as they arrive, then close()
+ * Elements are { name, uri, attributes, children, text } with names lowercased and
+ * namespace prefixes dropped (<d2:situationRecord> -> 'situationrecord').
+ * @param {function} chooseRecordNames - (root element) -> lowercased record names to collect
+ * @returns {{ write: function(string): void, close: function(): { root: object, records: Array<{ element: object, error: string|null }> } }}
+ *   close() throws when the document is not XML at all (no records and a parse error)
+ */
+export function createXmlRecordReader(chooseRecordNames) {
+  const parser = sax.parser(true, { xmlns: true, trim: false, position: true })
+  const records = []
+  let root = null
+  let recordNames = new Set()
+  let stack = [] // open elements inside the current record
+  let record = null
+  let documentError = null
+
+  parser.onopentag = (node) => {
+    const element = {
+      name: node.local.toLowerCase(),
+      uri: node.uri || '',
+      attributes: Object.fromEntries(Object.values(node.attributes).map(a => [a.local.toLowerCase(), a.value])),
+      children: [],
+      text: ''
+    }
+    if (!root) {
+      root = element
+      recordNames = new Set(chooseRecordNames(root))
+    }
+    if (record) {
+      stack[stack.length - 1].children.push(element)
+      stack.push(element)
+    } else if (recordNames.has(element.name)) {
+      record = { element, error: null }
+      stack = [element]
+    }
+  }
+
+  const appendText = (text) => {
+    if (record && stack.length > 0) stack[stack.length - 1].text += text
+  }
+  parser.ontext = appendText
+  parser.oncdata = appendText
+
+  parser.onclosetag = () => {
+    if (!record) return
+    const element = stack.pop()
+    element.text = element.text.trim()
+    if (stack.length === 0) {
+      records.push(record)
+      record = null
+    }
+  }
+
+  parser.onerror = (err) => {
+    const message = err.message.split('\n')[0]
+    if (record) {
+      // Keep going: the broken record is reported, its neighbours still parse
+      record.error = record.error || `Malformed XML near line ${parser.line + 1}: ${message}`
+    } else {
+      documentError = documentError || message
+    }
+    parser.error = null
+    parser.resume()
+  }
+
+  return {
+    write(text) {
+      parser.write(text)
+    },
+
+    close() {
+      try {
+        parser.close()
+      } catch (err) {
+        documentError = documentError || err.message.split('\n')[0]
+      }
+      // A record still open at end of input was truncated
+      if (record) {
+        record.error = record.error || 'Record truncated at end of document'
+        records.push(record)
+        record = null
+      }
+
+      if (!root || (records.length === 0 && documentError)) {
+        throw new Error(`Invalid XML: ${documentError || 'no root element'}`)
+      }
+      return { root, records }
+    }
+  }
+}
+
+/**
+ * Parse an XML document that is already in memory into record element trees
+ * @param {string} xml - Raw XML body
+ * @param {function} chooseRecordNames - (root element) -> lowercased record names to collect
+ * @returns {{ root: object, records: Array<{ element: object, error: string|null }> }}
+ * @throws {Error} When the document is not XML at all (no records and a parse error)
+ */
+export function readXmlRecords(xml, chooseRecordNames) {
+  const reader = createXmlRecordReader(chooseRecordNames)
+  reader.write(xml)
+  return reader.close()
+}
+
+/**
+ * Parse an XML body while it downloads, so the whole feed never sits in memory as one string
+ * @param {ReadableStream<Uint8Array>} body - e.g. a fetch Response's body
+ * @param {function} chooseRecordNames - (root element) -> lowercased record names to collect
+ * @returns {Promise<{ root: object, records: Array<{ element: object, error: string|null }> }>}
+ * @throws {Error} When the download fails or the document is not XML at all
+ */
+export async function streamXmlRecords(body, chooseRecordNames) {
+  const reader = createXmlRecordReader(chooseRecordNames)
+  for await (const text of body.pipeThrough(new TextDecoderStream())) {
+    reader.write(text)
+  }
+  return reader.close()
+}
+
+// Follow a path of child names ("event-times", "start-time") from an element
+export function childAt(element, ...names) {
+  return names.reduce((el, name) => (el ? el.children.find(c => c.name === name) : undefined), element)
+}
+
+// Every descendant with the given name, in document order
+export function descendantsNamed(element, name) {
+  const found = []
+  const walk = (el) => el.children.forEach(child => {
+    if (child.name === name) found.push(child)
+    walk(child)
+  })
+  if (element) walk(element)
+  return found
+}
+
+// Text of the first descendant with one of the given names that has any
+export function firstText(element, ...names) {
+  for (const name of names) {
+    const match = descendantsNamed(element, name).find(el => el.text)
+    if (match) return match.text
+  }
+  return null
+}
@@ -0,0 +1,50 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import xmlAdapter from './adapters/xml.js'
+import { readXmlRecords, childAt, firstText } from './xmlRecords.js'
+
+// DATEX II has a multi-byte character in its French comment
+const DATEX = readFileSync(new URL('../fixtures/xml/datex2.xml', import.meta.url), 'utf8')
+
+// A body that arrives a few bytes at a time, splitting tags and characters
+function trickle(text, size = 7) {
+  const bytes = new TextEncoder().encode(text)
+  return new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += size) controller.enqueue(bytes.slice(i, i + size))
+      controller.close()
+    }
+  })
+}
+
+test('the xml adapter parses the body as it downloads', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response(trickle(DATEX), {
+    status: 200,
+    headers: { 'content-type': 'application/xml', etag: '"v1"' }
+  }))
+  const source = { name: 'datex', url: 'https://example.test/datex.xml' }
+
+  const payload = await xmlAdapter.fetch(source, {})
+  assert.equal(payload.body, undefined, 'the body is never held as one string')
+  assert.equal(payload.etag, '"v1"')
+  const streamed = xmlAdapter.normalize(xmlAdapter.parse(payload, source))
+  assert.deepEqual(streamed, xmlAdapter.normalize(xmlAdapter.parse({ body: DATEX }, source)))
+  assert.equal(streamed.incidents.length, 2)
+  const [{ element }] = payload.records
+  assert.equal(firstText(childAt(element, 'generalpubliccomment'), 'value'), 'Réfection du tablier – voie de droite fermée')
+})
+
+test('the xml adapter passes a 304 through without parsing', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 304, headers: { etag: '"v1"' } }))
+  const payload = await xmlAdapter.fetch({ name: 'datex', url: 'https://example.test/datex.xml' }, { etag: '"v1"' })
+  assert.deepEqual(payload, { notModified: true, etag: '"v1"', lastModified: null })
+})
+
+test('readXmlRecords reports truncated records and rejects documents that are not XML', () => {
+  const { records } = readXmlRecords('<incidents><incident id="1"><type>Crash</type></incident><incident id="2"><type>Deb', () => ['incident'])
+  assert.equal(records.length, 2)
+  assert.equal(records[0].error, null)
+  assert.match(records[1].error, /Unclosed root tag|truncated/)
+  assert.throws(() => readXmlRecords('{"incidents": []}', () => ['incident']), /^Error: Invalid XML/)
+})
@@ -0,0 +1,265 @@
+// Traffic-event XML schemas understood by the xml adapter
+//
+// Each schema names the elements that hold one event and turns one of them into a
+// MichiGuard incident. extract() throws when a record can't be used (e.g. no location),
+// which the adapter reports as a per-record error.
+//   tmdd    - ITE/AASHTO TMDD full event updates (<full-event-update>), coordinates in microdegrees
+//   datex2  - DATEX II situation publications (<situationRecord xsi:type="...">)
+//   wzdx    - WZDx road events serialized as XML (<road_event> / <feature>)
+//   generic - any feed with repeated flat records (<incident> unless recordTag says otherwise)
+import { normalizeEventType, normalizeSeverity, geometryFromPoints, markerPosition } from './normalize.js'
+import { wzdxCategory, wzdxSubtype, wzdxGeometry, WZDX_IMPACT_SEVERITY } from './adapters/wzdx.js'
+import { childAt, descendantsNamed, firstText } from './xmlRecords.js'
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null
+  const num = parseFloat(value)
+  return Number.isFinite(num) ? num : null
+}
+
+function toIsoDate(value) {
+  if (!value) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+function requireGeometry(points) {
+  const geometry = geometryFromPoints(points)
+  if (!geometry) throw new Error('No usable coordinates')
+  return { geometry, ...markerPosition(geometry) }
+}
+
+// --- TMDD -------------------------------------------------------------------
+
+// TMDD latitude/longitude are integer microdegrees; some producers send plain degrees
+function tmddDegrees(value) {
+  const num = toNumber(value)
+  if (num === null) return null
+  return Math.abs(num) > 180 ? num / 1e6 : num
+}
+
+// TMDD DateTimeZone: <date>YYYYMMDD</date><time>HHMMSS</time><offset>-0500</offset>
+function tmddDate(element) {
+  if (!element) return null
+  if (element.text && element.children.length === 0) return toIsoDate(element.text)
+  const date = childAt(element, 'date')?.text
+  if (!date || !/^\d{8}$/.test(date)) return null
+  const time = (childAt(element, 'time')?.text || '000000').padEnd(6, '0')
+  const offset = childAt(element, 'offset')?.text
+  const zone = offset && /^[+-]\d{4}$/.test(offset) ? `${offset.slice(0, 3)}:${offset.slice(3)}` : 'Z'
+  return toIsoDate(`${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}${zone}`)
+}
+
+const tmdd = {
+  name: 'tmdd',
+  detect: (root) => root.uri.toLowerCase().includes('tmdd') || ['feumsg', 'full-event-update'].includes(root.name),
+  recordNames: () => ['full-event-update'],
+
+  extract(record) {
+    const headline = childAt(record, 'event-headline', 'headline')
+    // <headline><accidents-and-incidents>accident</accidents-and-incidents></headline>
+    const category = headline?.children[0]
+    const type = category ? `${category.name} ${category.text}` : firstText(record, 'event-type')
+
+    const points = descendantsNamed(record, 'geo-location').map(loc => [
+      tmddDegrees(childAt(loc, 'longitude')?.text),
+      tmddDegrees(childAt(loc, 'latitude')?.text)
+    ])
+
+    const lane = descendantsNamed(record, 'event-lane')[0]
+    const lanesAffected = lane ? {
+      closed: toNumber(firstText(lane, 'lanes-total-affected')),
+      total: toNumber(firstText(lane, 'lanes-total-original')),
+      status: firstText(lane, 'lane-status', 'lanes-type')
+    } : null
+
+    const severity = firstText(record, 'severity')
+    return {
+      id: firstText(record, 'event-id'),
+      eventType: normalizeEventType(type || 'incident'),
+      description: firstText(record, 'additional-text', 'description', 'event-name') || category?.text || 'Traffic incident',
+      ...requireGeometry(points),
+      startDate: tmddDate(descendantsNamed(record, 'start-time')[0]),
+      endDate: tmddDate(descendantsNamed(record, 'expected-end-time')[0] || descendantsNamed(record, 'end-time')[0]),
+      impact: severity,
+      severity: normalizeSeverity(severity),
+      lanesAffected,
+      roadway: firstText(record, 'link-name', 'route-designator', 'link-designator')
+    }
+  }
+}
+
+// --- DATEX II ---------------------------------------------------------------
+
+// Prefer the English value of a DATEX multilingual string
+function datexText(element) {
+  if (!element) return null
+  const values = descendantsNamed(element, 'value').filter(v => v.text)
+  const english = values.find(v => (v.attributes.lang || '').startsWith('en'))
+  return (english || values[0])?.text || element.text || null
+}
+
+// gml posList is "lat lon lat lon ..." in DATEX II
+function datexPosList(text) {
+  const nums = text.trim().split(/\s+/).map(Number)
+  const points = []
+  for (let i = 0; i + 1 < nums.length; i += 2) points.push([nums[i + 1], nums[i]])
+  return points
+}
+
+const datex2 = {
+  name: 'datex2',
+  detect: (root) => root.uri.toLowerCase().includes('datex') || ['d2logicalmodel', 'payload'].includes(root.name),
+  recordNames: () => ['situationrecord'],
+
+  extract(record) {
+    // xsi:type="Accident" / "d2:MaintenanceWorks" carries the record class
+    const recordType = (record.attributes.type || '').replace(/^.*:/, '')
+    const detailType = firstText(record, 'accidenttype', 'roadmaintenancetype', 'poorenvironmenttype',
+      'roadorcarriagewayorlanemanagementtype', 'abnormaltraffictype', 'obstructiontype')
+
+    const location = childAt(record, 'groupoflocations') || childAt(record, 'locationreference') || record
+    const posList = descendantsNamed(location, 'poslist').find(el => el.text)
+    const points = posList
+      ? datexPosList(posList.text)
+      : descendantsNamed(location, 'pointcoordinates').map(pc => [
+        toNumber(childAt(pc, 'longitude')?.text),
+        toNumber(childAt(pc, 'latitude')?.text)
+      ])
+    if (points.length === 0) {
+      const display = descendantsNamed(record, 'locationfordisplay')[0]
+      if (display) points.push([toNumber(childAt(display, 'longitude')?.text), toNumber(childAt(display, 'latitude')?.text)])
+    }
+
+    const restricted = toNumber(firstText(record, 'numberoflanesrestricted'))
+    const operational = toNumber(firstText(record, 'numberofoperationallanes'))
+    const original = toNumber(firstText(record, 'originalnumberoflanes'))
+    const lanesAffected = restricted !== null || operational !== null ? {
+      closed: restricted ?? (original !== null && operational !== null ? original - operational : null),
+      total: original,
+      status: firstText(record, 'roadorcarriagewayorlanemanagementtype')
+    } : null
+
+    const severity = firstText(record, 'severity', 'overallseverity')
+    const validity = childAt(record, 'validity', 'validitytimespecification')
+    return {
+      id: record.attributes.id || null,
+      eventType: normalizeEventType(`${recordType} ${detailType || ''}`.trim() || 'incident'),
+      description: datexText(descendantsNamed(record, 'comment')[0]) || detailType || recordType || 'Traffic incident',
+      ...requireGeometry(points),
+      startDate: toIsoDate(firstText(validity, 'overallstarttime')) || toIsoDate(firstText(record, 'situationrecordcreationtime')),
+      endDate: toIsoDate(firstText(validity, 'overallendtime')),
+      impact: severity,
+      severity: normalizeSeverity(severity),
+      lanesAffected,
+      roadway: firstText(record, 'roadnumber') || datexText(descendantsNamed(record, 'roadname')[0])
+    }
+  }
+}
+
+// --- WZDx (XML) -------------------------------------------------------------
+
+// <geometry> as GeoJSON: coordinates as a JSON array ("[[-83.1,42.3],...]", one level deeper for a
+// MultiLineString) or "lng,lat lng,lat" pairs
+function wzdxXmlGeometry(geometryEl) {
+  const text = firstText(geometryEl, 'coordinates', 'poslist')
+  if (!text) return null
+  try {
+    const parsed = JSON.parse(text)
+    if (Array.isArray(parsed)) {
+      if (Array.isArray(parsed[0]?.[0])) return { type: 'MultiLineString', coordinates: parsed }
+      return { type: 'LineString', coordinates: Array.isArray(parsed[0]) ? parsed : [parsed] }
+    }
+  } catch {
+    // Fall through to pair parsing
+  }
+  return { type: 'LineString', coordinates: text.trim().split(/\s+/).map(pair => pair.split(',').map(Number)) }
+}
+
+const wzdx = {
+  name: 'wzdx',
+  detect: (root) => root.uri.toLowerCase().includes('wzdx') || root.name.includes('wzdx'),
+  recordNames: () => ['road_event', 'roadevent', 'feature'],
+
+  extract(record) {
+    const geometryEl = childAt(record, 'geometry')
+    const geometry = wzdxGeometry(geometryEl
+      ? wzdxXmlGeometry(geometryEl)
+      : { type: 'Point', coordinates: [toNumber(firstText(record, 'longitude')), toNumber(firstText(record, 'latitude'))] })
+    if (!geometry) throw new Error('No usable coordinates')
+
+    const lanes = descendantsNamed(record, 'lane')
+    const closed = lanes.filter(l => (firstText(l, 'status') || '').includes('closed')).length
+    const vehicleImpact = firstText(record, 'vehicle_impact')
+    const lanesAffected = lanes.length > 0 || vehicleImpact
+      ? { closed: lanes.length > 0 ? closed : null, total: lanes.length || null, status: vehicleImpact }
+      : null
+    const eventType = firstText(record, 'event_type') || 'work-zone'
+    const category = wzdxCategory(eventType, lanesAffected)
+
+    const roadNames = descendantsNamed(record, 'road_name').map(el => el.text).filter(Boolean)
+    return {
+      id: record.attributes.id || firstText(record, 'id', 'road_event_id'),
+      eventType: category,
+      subtype: wzdxSubtype(eventType, category),
+      description: firstText(record, 'description') || 'Work zone',
+      geometry,
+      ...markerPosition(geometry),
+      startDate: toIsoDate(firstText(record, 'start_date')),
+      endDate: toIsoDate(firstText(record, 'end_date')),
+      impact: vehicleImpact,
+      severity: WZDX_IMPACT_SEVERITY[vehicleImpact] || null,
+      lanesAffected,
+      roadway: roadNames.length > 0 ? roadNames.join(' / ') : null
+    }
+  }
+}
+
+// --- Generic flat records ----------------------------------------------------
+
+const generic = {
+  name: 'generic',
+  detect: () => true,
+  recordNames: (source) => [(source.recordTag || 'incident').toLowerCase()],
+
+  extract(record) {
+    // Flatten leaf children and attributes: <incident id="1"><type>Crash</type>...</incident>
+    const r = { ...record.attributes }
+    record.children.forEach(child => {
+      if (child.children.length === 0 && child.text) r[child.name] = child.text
+    })
+    const lat = toNumber(r.latitude || r.lat || firstText(record, 'latitude', 'lat'))
+    const lng = toNumber(r.longitude || r.lng || r.lon || firstText(record, 'longitude', 'lng', 'lon'))
+    return {
+      id: r.id || null,
+      eventType: normalizeEventType(r.type || r.category || 'incident'),
+      description: r.description || r.headline || 'Traffic incident',
+      ...requireGeometry([[lng, lat]]),
+      startDate: toIsoDate(r.start),
+      endDate: toIsoDate(r.end),
+      impact: r.impact || r.severity || null,
+      severity: normalizeSeverity(r.severity),
+      lanesAffected: r.lanes ? { closed: toNumber(r.lanes), total: null, status: null } : null,
+      roadway: r.road || r.route || null
+    }
+  }
+}
+
+export const XML_SCHEMAS = { tmdd, datex2, wzdx, generic }
+
+/**
+ * Pick the schema for a document
+ * @param {object} root - Root element from readXmlRecords
+ * @param {object} source - Source config; `schema` forces one of XML_SCHEMAS
+ * @returns {object} Schema
+ */
+export function detectSchema(root, source) {
+  if (source.schema) {
+    const forced = XML_SCHEMAS[source.schema]
+    if (!forced) throw new Error(`Unknown XML schema "${source.schema}" (expected one of: ${Object.keys(XML_SCHEMAS).join(', ')})`)
+    return forced
+  }
+  // An explicit recordTag means the feed is a plain record list
+  if (source.recordTag) return generic
+  return [tmdd, datex2, wzdx].find(schema => schema.detect(root)) || generic
+}
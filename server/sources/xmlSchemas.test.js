@@ -0,0 +1,144 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import xmlAdapter from './adapters/xml.js'
+import { detectSchema, XML_SCHEMAS } from './xmlSchemas.js'
+import { readXmlRecords } from './xmlRecords.js'
+
+const fixture = name => readFileSync(new URL(`../fixtures/xml/${name}.xml`, import.meta.url), 'utf8')
+
+// Incidents and per-record errors the xml adapter makes of a fixture document
+function normalizeFixture(name, source = { name }) {
+  return xmlAdapter.normalize(xmlAdapter.parse({ body: fixture(name) }, source))
+}
+
+test('schemas are detected from the root element', () => {
+  const rootOf = name => readXmlRecords(fixture(name), root => detectSchema(root, {}).recordNames({})).root
+  assert.equal(detectSchema(rootOf('tmdd'), {}), XML_SCHEMAS.tmdd)
+  assert.equal(detectSchema(rootOf('datex2'), {}), XML_SCHEMAS.datex2)
+  assert.equal(detectSchema(rootOf('wzdx'), {}), XML_SCHEMAS.wzdx)
+  assert.equal(detectSchema(rootOf('generic'), {}), XML_SCHEMAS.generic)
+  assert.equal(detectSchema(rootOf('tmdd'), { recordTag: 'event' }), XML_SCHEMAS.generic)
+  assert.equal(detectSchema(rootOf('generic'), { schema: 'datex2' }), XML_SCHEMAS.datex2)
+  assert.throws(() => detectSchema(rootOf('generic'), { schema: 'ndex' }), /Unknown XML schema "ndex"/)
+})
+
+test('TMDD full event updates: microdegree locations, lanes and local times', () => {
+  const { incidents, errors } = normalizeFixture('tmdd')
+  assert.deepEqual(incidents, [{
+    id: 'MI-2026-0142',
+    eventType: 'accident',
+    description: 'Crash blocking the two right lanes',
+    geometry: { type: 'LineString', coordinates: [[-83.0458, 42.3314], [-83.03, 42.335]] },
+    longitude: -83.03,
+    latitude: 42.335,
+    startDate: '2026-01-10T12:15:00.000Z',
+    endDate: '2026-01-10T14:30:00.000Z',
+    impact: 'major',
+    severity: 'major',
+    lanesAffected: { closed: 2, total: 4, status: 'closed' },
+    roadway: 'I-94 EB'
+  }])
+  assert.equal(errors.length, 2)
+  assert.equal(errors[0], 'tmdd record #2: No usable coordinates')
+  assert.match(errors[1], /^tmdd record #3: Malformed XML near line \d+: Invalid character entity/)
+})
+
+test('DATEX II situation records: posList and point locations, English comments', () => {
+  const { incidents, errors } = normalizeFixture('datex2')
+  assert.deepEqual(incidents, [{
+    id: 'SR-1',
+    eventType: 'roadwork',
+    description: 'Bridge deck repair, right lane closed',
+    geometry: { type: 'LineString', coordinates: [[-83.2, 42.5], [-83.19, 42.51]] },
+    longitude: -83.19,
+    latitude: 42.51,
+    startDate: '2026-01-09T09:00:00.000Z',
+    endDate: '2026-01-20T17:00:00.000Z',
+    impact: 'medium',
+    severity: 'moderate',
+    lanesAffected: { closed: 1, total: 3, status: null },
+    roadway: 'I-75'
+  }, {
+    id: 'SR-2',
+    eventType: 'accident',
+    description: 'collision',
+    geometry: { type: 'Point', coordinates: [-85.6681, 42.9634] },
+    longitude: -85.6681,
+    latitude: 42.9634,
+    startDate: '2026-01-10T14:05:00.000Z',
+    endDate: null,
+    impact: 'high',
+    severity: 'major',
+    lanesAffected: null,
+    roadway: null
+  }])
+  assert.deepEqual(errors, ['datex2 record SR-3: No usable coordinates'])
+})
+
+test('WZDx XML road events: JSON, nested and pair coordinates, lane closures and impact', () => {
+  const { incidents, errors } = normalizeFixture('wzdx')
+  assert.equal(incidents.length, 3)
+  const [closed, lane, detour] = incidents
+  assert.deepEqual(closed, {
+    id: 'wz-101',
+    eventType: 'roadwork',
+    subtype: 'work-zone',
+    description: 'Bridge replacement, all lanes closed overnight',
+    geometry: { type: 'LineString', coordinates: [[-83.7, 42.3], [-83.69, 42.31]] },
+    longitude: -83.69,
+    latitude: 42.31,
+    startDate: '2026-01-05T20:00:00.000Z',
+    endDate: '2026-03-30T10:00:00.000Z',
+    impact: 'all-lanes-closed',
+    severity: 'major',
+    lanesAffected: { closed: 2, total: 2, status: 'all-lanes-closed' },
+    roadway: 'US-23 / M-14'
+  })
+  assert.equal(lane.id, 'wz-102')
+  assert.equal(lane.eventType, 'lane')
+  assert.equal(lane.subtype, null, 'lane closures have no work-zone subtype')
+  assert.deepEqual(lane.geometry, { type: 'LineString', coordinates: [[-83.1, 42.49], [-83.09, 42.495]] })
+  assert.deepEqual(lane.lanesAffected, { closed: 1, total: 2, status: 'some-lanes-closed' })
+  assert.equal(lane.severity, 'moderate')
+  assert.equal(detour.subtype, 'detour')
+  assert.deepEqual(detour.geometry, {
+    type: 'MultiLineString',
+    coordinates: [[[-83.2, 42.63], [-83.19, 42.63]], [[-83.17, 42.63], [-83.16, 42.63]]]
+  })
+  assert.deepEqual(errors, ['wzdx record wz-103: No usable coordinates'])
+})
+
+test('generic records: leaf elements or attributes, CDATA kept as text', () => {
+  const { incidents, errors } = normalizeFixture('generic')
+  assert.deepEqual(incidents, [{
+    id: 'G-1',
+    eventType: 'accident',
+    description: 'Crash on I-96 <WB> at exit 72',
+    geometry: { type: 'Point', coordinates: [-84.5555, 42.7325] },
+    longitude: -84.5555,
+    latitude: 42.7325,
+    startDate: '2026-01-10T12:00:00.000Z',
+    endDate: null,
+    impact: 'minor',
+    severity: 'minor',
+    lanesAffected: { closed: 1, total: null, status: null },
+    roadway: 'I-96'
+  }, {
+    id: 'G-2',
+    eventType: 'weather',
+    description: 'Standing water on Huron Pkwy',
+    geometry: { type: 'Point', coordinates: [-83.743, 42.2808] },
+    longitude: -83.743,
+    latitude: 42.2808,
+    startDate: null,
+    endDate: null,
+    impact: null,
+    severity: null,
+    lanesAffected: null,
+    roadway: null
+  }])
+  assert.equal(errors.length, 2)
+  assert.match(errors[0], /^generic record G-3: Malformed XML near line \d+: Invalid character entity/)
+  assert.equal(errors[1], 'generic record G-4: No usable coordinates')
+})
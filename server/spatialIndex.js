@@ -0,0 +1,198 @@
+// Spatial index over hazards for bbox, radius and corridor queries
+// Each hazard goes into an R-tree by the bounding box of its geometry (or its marker), so a query
+// only measures exact distances for the handful of hazards whose boxes are nearby instead of
+// the whole statewide list. Distances use the same math as the app (src/utils/geoUtils.js).
+import RBush from 'rbush'
+import { decodePolyline, hazardDistanceToRoute, METERS_PER_MILE } from '../src/utils/geoUtils.js'
+
+const DEFAULT_RADIUS_METERS = 10 * METERS_PER_MILE
+const MAX_RADIUS_METERS = 500 * 1000
+// Route corridors: also used by POST /api/route/hazards
+export const DEFAULT_BUFFER_METERS = METERS_PER_MILE
+export const MAX_BUFFER_METERS = 50 * 1000
+export const MAX_CORRIDOR_POINTS = 10000
+// Route vertices per R-tree lookup; fewer, slightly larger boxes beat one lookup per segment
+const CORRIDOR_CHUNK_POINTS = 16
+const METERS_PER_DEGREE = 111320
+
+const keyOf = (incident) => `${incident.source}|${incident.id}`
+
+// Server incidents use latitude/longitude; geoUtils expects lat/lng
+const asHazard = (incident) => ({ lat: incident.latitude, lng: incident.longitude, geometry: incident.geometry })
+
+/**
+ * Bounding box of an incident's geometry, or of its marker when it has none
+ * @param {object} incident
+ * @returns {{ minX: number, minY: number, maxX: number, maxY: number }} Degrees (X = longitude)
+ */
+export function incidentBounds(incident) {
+  const flatten = (coords) => (typeof coords[0] === 'number' ? [coords] : coords.flatMap(flatten))
+  const points = Array.isArray(incident.geometry?.coordinates)
+    ? flatten(incident.geometry.coordinates)
+    : [[incident.longitude, incident.latitude]]
+  const lngs = points.map(p => p[0])
+  const lats = points.map(p => p[1])
+  return { minX: Math.min(...lngs), minY: Math.min(...lats), maxX: Math.max(...lngs), maxY: Math.max(...lats) }
+}
+
+// Grow a box by a distance in meters on every side
+function expandBox({ minX, minY, maxX, maxY }, meters) {
+  const dLat = meters / METERS_PER_DEGREE
+  const cosLat = Math.cos(((minY + maxY) / 2) * Math.PI / 180)
+  const dLng = meters / (METERS_PER_DEGREE * Math.max(cosLat, 0.01))
+  return { minX: minX - dLng, minY: minY - dLat, maxX: maxX + dLng, maxY: maxY + dLat }
+}
+
+function lineBox(points) {
+  const lngs = points.map(p => p[0])
+  const lats = points.map(p => p[1])
+  return { minX: Math.min(...lngs), minY: Math.min(...lats), maxX: Math.max(...lngs), maxY: Math.max(...lats) }
+}
+
+/**
+ * Build a spatial index over incidents
+ * Incidents are identified by source and ID; inserting one again replaces it.
+ * @param {object[]} incidents - Incidents with latitude/longitude and optional geometry
+ * @returns {{ insert(incident), remove(incident), search(query): object[], size(): number }}
+ */
+export function createHazardIndex(incidents = []) {
+  const tree = new RBush()
+  const items = new Map()
+
+  const toItem = (incident) => {
+    const item = { ...incidentBounds(incident), incident }
+    items.set(keyOf(incident), item)
+    return item
+  }
+  const valid = incidents.filter(i => Number.isFinite(i.latitude) && Number.isFinite(i.longitude))
+  tree.load(valid.map(toItem))
+
+  const remove = (incident) => {
+    const item = items.get(keyOf(incident))
+    if (!item) return
+    tree.remove(item)
+    items.delete(keyOf(incident))
+  }
+
+  const candidates = (box) => tree.search(box).map(item => item.incident)
+
+  const matchBbox = ([west, south, east, north]) => new Set(candidates({ minX: west, minY: south, maxX: east, maxY: north }))
+
+  const matchNear = ({ lat, lng, radius }, distances) => {
+    const point = [lng, lat]
+    const found = new Set()
+    candidates(expandBox(lineBox([point]), radius)).forEach(incident => {
+      const distance = hazardDistanceToRoute(asHazard(incident), [point])
+      if (distance <= radius) {
+        found.add(incident)
+        distances.set(incident, distance)
+      }
+    })
+    return found
+  }
+
+  const matchCorridor = ({ line, buffer }) => {
+    const nearby = new Set()
+    for (let i = 0; i < line.length - 1 || i === 0; i += CORRIDOR_CHUNK_POINTS - 1) {
+      const chunk = line.slice(i, i + CORRIDOR_CHUNK_POINTS)
+      candidates(expandBox(lineBox(chunk), buffer)).forEach(incident => nearby.add(incident))
+    }
+    return new Set([...nearby].filter(incident => hazardDistanceToRoute(asHazard(incident), line) <= buffer))
+  }
+
+  return {
+    insert(incident) {
+      remove(incident)
+      if (Number.isFinite(incident.latitude) && Number.isFinite(incident.longitude)) tree.insert(toItem(incident))
+    },
+
+    remove,
+
+    /**
+     * Incidents matching every given constraint; near queries add distanceMeters and sort by it
+     * @param {object} query - { bbox, near: { lat, lng, radius }, corridor: { line, buffer } } (from parseSpatialQuery)
+     * @returns {object[]}
+     */
+    search({ bbox, near, corridor } = {}) {
+      const distances = new Map()
+      const sets = [
+        bbox && matchBbox(bbox),
+        near && matchNear(near, distances),
+        corridor && matchCorridor(corridor)
+      ].filter(Boolean)
+      if (sets.length === 0) return [...items.values()].map(item => item.incident)
+
+      const [first, ...rest] = sets.sort((a, b) => a.size - b.size)
+      const matches = [...first].filter(incident => rest.every(set => set.has(incident)))
+      if (!near) return matches
+      return matches
+        .map(incident => ({ ...incident, distanceMeters: Math.round(distances.get(incident)) }))
+        .sort((a, b) => a.distanceMeters - b.distanceMeters)
+    },
+
+    size: () => items.size
+  }
+}
+
+function parseNumber(value) {
+  const num = Number(value)
+  return value !== undefined && value !== '' && Number.isFinite(num) ? num : undefined
+}
+
+/**
+ * Read and validate spatial query parameters
+ *   bbox=west,south,east,north
+ *   near=lat,lng&radius=meters (default 10 miles)
+ *   corridor=<encoded polyline>&buffer=meters (default 1 mile)
+ * @param {object} query - Express req.query
+ * @returns {{ spatial: object|null, errors: string[] }} spatial is null when no spatial parameter was given
+ */
+export function parseSpatialQuery(query) {
+  const errors = []
+  const spatial = {}
+
+  if (query.bbox !== undefined) {
+    const bbox = String(query.bbox).split(',').map(Number)
+    const [west, south, east, north] = bbox
+    if (bbox.length !== 4 || !bbox.every(Number.isFinite) || west > east || south > north) {
+      errors.push('bbox must be west,south,east,north in degrees')
+    } else {
+      spatial.bbox = bbox
+    }
+  }
+
+  if (query.near !== undefined) {
+    const [lat, lng] = String(query.near).split(',').map(Number)
+    const radius = query.radius !== undefined ? parseNumber(query.radius) : DEFAULT_RADIUS_METERS
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      errors.push('near must be lat,lng in degrees')
+    } else if (radius === undefined || radius <= 0 || radius > MAX_RADIUS_METERS) {
+      errors.push(`radius must be a distance in meters up to ${MAX_RADIUS_METERS}`)
+    } else {
+      spatial.near = { lat, lng, radius }
+    }
+  } else if (query.radius !== undefined) {
+    errors.push('radius needs near=lat,lng')
+  }
+
+  if (query.corridor !== undefined) {
+    const buffer = query.buffer !== undefined ? parseNumber(query.buffer) : DEFAULT_BUFFER_METERS
+    let line = null
+    try {
+      line = decodePolyline(String(query.corridor))
+    } catch (err) {
+      errors.push(`corridor must be an encoded polyline (${err.message})`)
+    }
+    if (line && (line.length === 0 || line.length > MAX_CORRIDOR_POINTS)) {
+      errors.push(`corridor must have 1 to ${MAX_CORRIDOR_POINTS} points`)
+    } else if (buffer === undefined || buffer < 0 || buffer > MAX_BUFFER_METERS) {
+      errors.push(`buffer must be a distance in meters up to ${MAX_BUFFER_METERS}`)
+    } else if (line) {
+      spatial.corridor = { line, buffer }
+    }
+  } else if (query.buffer !== undefined) {
+    errors.push('buffer needs corridor=<encoded polyline>')
+  }
+
+  return { spatial: Object.keys(spatial).length > 0 ? spatial : null, errors }
+}
@@ -0,0 +1,153 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHazardIndex, parseSpatialQuery, incidentBounds, MAX_BUFFER_METERS, DEFAULT_BUFFER_METERS } from './spatialIndex.js'
+import { METERS_PER_MILE } from '../src/utils/geoUtils.js'
+
+// Google encoded polyline of [lng, lat] points, the format corridor= takes
+function encodePolyline(points) {
+  const encode = (value) => {
+    let n = value < 0 ? ~(value << 1) : value << 1
+    let out = ''
+    while (n >= 0x20) {
+      out += String.fromCharCode((0x20 | (n & 0x1f)) + 63)
+      n >>= 5
+    }
+    return out + String.fromCharCode(n + 63)
+  }
+  let lat = 0
+  let lng = 0
+  return points.map(([x, y]) => {
+    const nextLat = Math.round(y * 1e5)
+    const nextLng = Math.round(x * 1e5)
+    const chunk = encode(nextLat - lat) + encode(nextLng - lng)
+    lat = nextLat
+    lng = nextLng
+    return chunk
+  }).join('')
+}
+
+const downtown = { source: 'MDOT', id: '1', latitude: 42.3314, longitude: -83.0458 }
+const midtown = { source: 'MDOT', id: '2', latitude: 42.34, longitude: -83.0458 }
+// Marker in the middle, geometry along I-94 for about 8 km
+const roadwork = {
+  source: 'WZDx',
+  id: '3',
+  latitude: 42.36,
+  longitude: -83.15,
+  geometry: { type: 'LineString', coordinates: [[-83.2, 42.36], [-83.1, 42.36]] }
+}
+const grandRapids = { source: 'MDOT', id: '4', latitude: 42.9634, longitude: -85.6681 }
+const unplaced = { source: 'MDOT', id: '5', latitude: NaN, longitude: -83.0 }
+
+const ids = (incidents) => incidents.map(i => i.id).sort()
+const index = () => createHazardIndex([downtown, midtown, roadwork, grandRapids, unplaced])
+
+test('incidents without coordinates are not indexed', () => {
+  assert.equal(index().size(), 4)
+  assert.deepEqual(ids(index().search()), ['1', '2', '3', '4'])
+})
+
+test('bbox search matches markers and geometry extents', () => {
+  assert.deepEqual(incidentBounds(roadwork), { minX: -83.2, minY: 42.36, maxX: -83.1, maxY: 42.36 })
+  assert.deepEqual(ids(index().search({ bbox: [-83.06, 42.32, -83.04, 42.335] })), ['1'])
+  // Only the east end of the roadwork is inside; its marker is not
+  assert.deepEqual(ids(index().search({ bbox: [-83.105, 42.355, -83.095, 42.365] })), ['3'])
+  assert.deepEqual(index().search({ bbox: [-84, 43, -83.5, 43.5] }), [])
+})
+
+test('near search measures to geometry and sorts by distance', () => {
+  const near = index().search({ near: { lat: 42.3314, lng: -83.0458, radius: 2000 } })
+  assert.deepEqual(near.map(i => i.id), ['1', '2'])
+  assert.equal(near[0].distanceMeters, 0)
+  assert.ok(Math.abs(near[1].distanceMeters - 956) < 5, `${near[1].distanceMeters}`)
+
+  // About 550 m from the line but 2.8 km from its marker
+  assert.deepEqual(ids(index().search({ near: { lat: 42.365, lng: -83.12, radius: 1000 } })), ['3'])
+  assert.deepEqual(index().search({ near: { lat: 42.365, lng: -83.12, radius: 400 } }), [])
+})
+
+test('corridor search keeps hazards within the buffer of the route', () => {
+  const woodward = [[-83.0458, 42.32], [-83.0458, 42.35]]
+  assert.deepEqual(ids(index().search({ corridor: { line: woodward, buffer: 100 } })), ['1', '2'])
+
+  // A long route crossing the roadwork, split across several R-tree lookups
+  const crossing = Array.from({ length: 50 }, (_, i) => [-83.12, 42.2 + i * 0.008])
+  assert.deepEqual(ids(index().search({ corridor: { line: crossing, buffer: 50 } })), ['3'])
+  assert.deepEqual(ids(index().search({ corridor: { line: [[-83.0458, 42.3314]], buffer: 0 } })), ['1'])
+})
+
+test('constraints combine', () => {
+  const found = index().search({
+    bbox: [-83.05, 42.335, -83.04, 42.35],
+    near: { lat: 42.3314, lng: -83.0458, radius: 2000 }
+  })
+  assert.deepEqual(found.map(i => i.id), ['2'])
+  assert.ok(found[0].distanceMeters > 0)
+})
+
+test('inserting an incident again replaces it', () => {
+  const hazards = index()
+  hazards.insert({ ...downtown, latitude: 42.9634, longitude: -85.6681, description: 'moved' })
+  assert.equal(hazards.size(), 4)
+  const inGrandRapids = hazards.search({ near: { lat: 42.9634, lng: -85.6681, radius: 100 } })
+  assert.deepEqual(ids(inGrandRapids), ['1', '4'])
+  assert.equal(inGrandRapids.find(i => i.id === '1').description, 'moved')
+  assert.deepEqual(ids(hazards.search({ bbox: [-83.06, 42.32, -83.04, 42.335] })), [])
+
+  // Same ID from another source is a different incident
+  hazards.insert({ ...downtown, source: 'Community' })
+  assert.equal(hazards.size(), 5)
+
+  // Losing its coordinates takes it out of the index
+  hazards.insert({ ...downtown, latitude: null })
+  assert.equal(hazards.size(), 4)
+  hazards.remove(grandRapids)
+  hazards.remove(grandRapids)
+  assert.deepEqual(ids(hazards.search()), ['1', '2', '3'])
+})
+
+test('parseSpatialQuery reads bbox, near and corridor', () => {
+  assert.deepEqual(parseSpatialQuery({}), { spatial: null, errors: [] })
+  assert.deepEqual(parseSpatialQuery({ bbox: '-83.1,42.3,-83.0,42.4' }).spatial, { bbox: [-83.1, 42.3, -83.0, 42.4] })
+  assert.deepEqual(parseSpatialQuery({ near: '42.33,-83.04' }).spatial, { near: { lat: 42.33, lng: -83.04, radius: 10 * METERS_PER_MILE } })
+  assert.deepEqual(parseSpatialQuery({ near: '42.33,-83.04', radius: '500' }).spatial.near.radius, 500)
+
+  const line = [[-83.0458, 42.32], [-83.0458, 42.35]]
+  const { spatial, errors } = parseSpatialQuery({ corridor: encodePolyline(line), bbox: '-84,42,-83,43' })
+  assert.deepEqual(errors, [])
+  assert.deepEqual(spatial, { bbox: [-84, 42, -83, 43], corridor: { line, buffer: DEFAULT_BUFFER_METERS } })
+  assert.equal(parseSpatialQuery({ corridor: encodePolyline(line), buffer: '0' }).spatial.corridor.buffer, 0)
+})
+
+test('parseSpatialQuery rejects boxes crossing the antimeridian and other invalid input', () => {
+  const rejects = (query, message) => {
+    const { spatial, errors } = parseSpatialQuery(query)
+    assert.equal(spatial, null, JSON.stringify(query))
+    assert.equal(errors.length, 1, JSON.stringify(query))
+    assert.match(errors[0], message)
+  }
+  // West > east would mean wrapping across 180°, which the index doesn't do
+  rejects({ bbox: '170,-10,-170,10' }, /^bbox must be/)
+  rejects({ bbox: '-83,42.4,-82,42.3' }, /^bbox must be/)
+  rejects({ bbox: '-83,42,-82' }, /^bbox must be/)
+  rejects({ bbox: '-83,42,west,43' }, /^bbox must be/)
+
+  rejects({ near: '95,-83' }, /^near must be/)
+  rejects({ near: '42.3,-183' }, /^near must be/)
+  rejects({ near: 'downtown' }, /^near must be/)
+  rejects({ near: '42.3,-83', radius: '0' }, /^radius must be/)
+  rejects({ near: '42.3,-83', radius: '600000' }, /^radius must be/)
+  rejects({ near: '42.3,-83', radius: 'far' }, /^radius must be/)
+  rejects({ radius: '500' }, /^radius needs near/)
+
+  rejects({ corridor: '!!' }, /^corridor must be an encoded polyline \(Invalid character/)
+  rejects({ corridor: '_' }, /^corridor must be an encoded polyline \(Truncated/)
+  rejects({ corridor: '' }, /^corridor must have 1 to/)
+  rejects({ corridor: encodePolyline([[-83, 42]]), buffer: String(MAX_BUFFER_METERS + 1) }, /^buffer must be/)
+  rejects({ corridor: encodePolyline([[-83, 42]]), buffer: '-5' }, /^buffer must be/)
+  rejects({ buffer: '100' }, /^buffer needs corridor/)
+
+  // Every problem is reported, not just the first
+  const { errors } = parseSpatialQuery({ bbox: '1,2,3', near: '42.3,-83', radius: '-1' })
+  assert.equal(errors.length, 2)
+})
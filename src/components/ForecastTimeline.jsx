@@ -0,0 +1,97 @@
+import { useEffect, useState } from 'react'
+import { getHourlyForecast, getDailyForecast, roadConditions, isWeatherAPIConfigured } from '../utils/weatherAPI'
+
+const HOURLY_HOURS = 24
+const DAILY_DAYS = 7
+
+const formatHour = (time) => time.toLocaleTimeString([], { hour: 'numeric' })
+const formatDay = (date, index) => (index === 0 ? 'Today' : date.toLocaleDateString([], { weekday: 'short' }))
+
+function conditionClass(conditions) {
+  if (conditions.some(c => c.startsWith('Snow') || c === 'Ice risk')) return 'bg-red-100 text-red-700'
+  if (conditions.length > 0) return 'bg-yellow-100 text-yellow-800'
+  return ''
+}
+
+// Hour-by-hour strip and 7-day outlook for one location, with the road conditions each points to
+function ForecastTimeline({ lat, lng, className = '' }) {
+  const key = lat != null && lng != null ? `${lat},${lng}` : null
+  const [forecast, setForecast] = useState({ key: null, hourly: null, daily: null })
+
+  useEffect(() => {
+    if (!key || !isWeatherAPIConfigured()) return
+    let cancelled = false
+    ;(async () => {
+      const [hourly, daily] = await Promise.all([
+        getHourlyForecast(lat, lng, { hours: HOURLY_HOURS }),
+        getDailyForecast(lat, lng, { days: DAILY_DAYS })
+      ])
+      if (!cancelled) setForecast({ key, hourly, daily })
+    })()
+    return () => { cancelled = true }
+  }, [key, lat, lng])
+
+  if (!key || !isWeatherAPIConfigured()) return null
+  const loading = forecast.key !== key
+  if (!loading && !forecast.hourly?.length && !forecast.daily?.length) return null
+
+  return (
+    <div className={`bg-white rounded-xl shadow border border-gray-200 p-4 ${className}`}>
+      <h3 className="text-sm font-semibold text-[#004e89] uppercase tracking-wide mb-2">Forecast</h3>
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading forecast...</p>
+      ) : (
+        <>
+          {forecast.hourly?.length > 0 && (
+            <div className="flex gap-2 overflow-x-auto pb-2">
+              {forecast.hourly.map(step => {
+                const conditions = roadConditions(step)
+                return (
+                  <div key={step.time.getTime()} className={`flex-shrink-0 w-20 rounded-lg border border-gray-100 p-2 text-center text-xs ${conditionClass(conditions)}`}>
+                    <div className="font-semibold text-gray-700">{formatHour(step.time)}</div>
+                    {step.icon && (
+                      <img src={`https://openweathermap.org/img/wn/${step.icon}.png`} alt={step.description} className="w-10 h-10 mx-auto" />
+                    )}
+                    <div className="font-bold text-gray-800">{step.temp}°F</div>
+                    {step.pop > 0 && <div className="text-blue-600">{step.pop}%</div>}
+                    {step.windGust != null && <div className="text-gray-500">G {step.windGust}</div>}
+                    {conditions.map(c => <div key={c} className="font-semibold leading-tight">{c}</div>)}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+          {forecast.daily?.length > 0 && (
+            <div className="mt-2 divide-y divide-gray-100">
+              {forecast.daily.map((day, i) => {
+                const conditions = roadConditions(day)
+                return (
+                  <div key={day.date.getTime()} className="flex items-center gap-3 py-1.5 text-sm">
+                    <div className="w-12 font-semibold text-gray-700">{formatDay(day.date, i)}</div>
+                    {day.icon && (
+                      <img src={`https://openweathermap.org/img/wn/${day.icon}.png`} alt={day.description} className="w-8 h-8" />
+                    )}
+                    <div className="w-20 text-gray-800">{day.tempMax}° / {day.tempMin}°</div>
+                    <div className="flex-1 text-gray-600 text-xs capitalize truncate" title={day.summary || day.description}>
+                      {day.description}
+                      {day.pop > 0 && ` · ${day.pop}%`}
+                      {day.windGust != null && ` · gusts ${day.windGust} mph`}
+                      {day.dewPoint != null && ` · dew pt ${day.dewPoint}°`}
+                    </div>
+                    {conditions.length > 0 && (
+                      <span className={`text-xs font-semibold rounded px-2 py-0.5 ${conditionClass(conditions)}`}>
+                        {conditions.join(', ')}
+                      </span>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ForecastTimeline
@@ -1,255 +1,57 @@
 import { useState, useEffect, useRef } from 'react'
-import { HiChevronLeft, HiSearch, HiExclamation } from 'react-icons/hi'
-import { HAZARD_COLORS, getHazardColor, normalizeHazardType, formatHazardLabel } from '../utils/hazardUtils'
+import { HiChevronLeft, HiSearch, HiExclamation, HiPlus, HiArrowUp, HiArrowDown, HiX } from 'react-icons/hi'
+import { getHazardColor, normalizeHazardType, formatHazardLabel } from '../utils/hazardUtils'
+import { fetchMdotEvents, fetchRouteHazards, subscribeToHazards, applyHazardDelta, applyRouteHazardDelta, hazardKey } from '../utils/hazardAPI'
+import { HAZARD_CATEGORIES, getHazardLabel, getHazardIcon } from '../utils/hazardTaxonomy'
+import { drawHazardGeometry } from '../utils/hazardOverlays'
+import { distanceBetween } from '../utils/geoUtils'
+import { loadMapProvider, MAP_PROVIDER, escapeHtml } from '../utils/maps'
+import { getRoutes, NO_ROUTE, ROUTING_AVOIDS_AREAS } from '../utils/routing'
+import { scoreRoute, closureAvoidAreas } from '../utils/routeScoring'
+import { sampleRouteWeather } from '../utils/weatherAPI'
+import { optimizeStopOrder, hazardsByLeg, tripProgress } from '../utils/tripPlanning'
 
-// API Keys from environment variables
-const ORS_API_KEY = import.meta.env.VITE_ORS_API_KEY
-// Google Maps API Key loaded from .env
-// Add to .env: VITE_GOOGLE_MAPS_API_KEY=your_api_key
-// Required APIs: Maps JavaScript API, Places API, Directions API, Geocoding API (optional), Distance Matrix (optional)
-const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY
+// How long hazards pushed by the live stream are called out as new on the alert card
+const NEW_HAZARD_HIGHLIGHT_MS = 60000
+// Most routes to compare for a destination
+const ROUTE_ALTERNATIVES = 3
 
-// Colors now imported from shared util for consistency with PredictHazardsPage
-
-/**
- * Fetch driving directions from OpenRouteService
- * @param {Object} origin - {lat, lng}
- * @param {Object} destination - {lat, lng}
- * @returns {Promise<Object>} - Route data with geometry and segments
- */
-async function getDirections(origin, destination) {
-  console.log('🚗 CALLING ORS API...')
-  console.log('Origin:', origin, 'Destination:', destination)
-  console.log('ORS Key present:', !!ORS_API_KEY, 'Length:', ORS_API_KEY?.length)
-  
-  if (!ORS_API_KEY) {
-    throw new Error('ORS API key not configured. Add VITE_ORS_API_KEY to .env file.')
-  }
-
-  const url = 'https://api.openrouteservice.org/v2/directions/driving-car'
-  
-  const body = {
-    coordinates: [[origin.lng, origin.lat], [destination.lng, destination.lat]],
-    format: 'geojson',
-    instructions: true,
-    preference: 'fastest'
-  }
-
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': ORS_API_KEY,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json, application/geo+json, application/gpx+xml, img/png; charset=utf-8'
-      },
-      body: JSON.stringify(body)
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error('❌ ORS API Error:', response.status, response.statusText)
-      console.error('ORS Error body:', errorText)
-      if (response.status === 401 || response.status === 403) {
-        console.error('⚠️ ORS Authorization failed. Check if key is valid and not base64 encoded.')
-      }
-      throw new Error(`ORS API failed: ${response.status} - ${response.statusText}`)
-    }
-
-    const data = await response.json()
-    console.log('✅ ORS API raw response:', JSON.stringify(data))
-
-    const features = data?.features
-    if (!Array.isArray(features) || features.length === 0) {
-      console.warn('ORS: no features returned. Full response:', data)
-      throw new Error('No route found for given origin/destination')
-    }
-    const feature = features[0]
-    const geom = feature?.geometry
-    let coords = []
-    if (geom?.type === 'LineString' && Array.isArray(geom.coordinates)) {
-      coords = geom.coordinates
-    } else if (geom?.type === 'MultiLineString' && Array.isArray(geom.coordinates)) {
-      // Flatten multi-line into single array
-      coords = geom.coordinates.flat().filter(pair => Array.isArray(pair) && pair.length >= 2)
-    } else {
-      console.error('ORS unexpected geometry type:', geom?.type, geom)
-      throw new Error('Unsupported route geometry type from ORS')
-    }
-    if (coords.length === 0) {
-      throw new Error('Route geometry empty from ORS')
-    }
-    // Compute bbox if missing or malformed
-    let bbox = Array.isArray(data?.bbox) && data.bbox.length === 4 ? data.bbox : null
-    if (!bbox) {
-      let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity
-      coords.forEach(([lng, lat]) => {
-        if (lng < minLng) minLng = lng
-        if (lng > maxLng) maxLng = lng
-        if (lat < minLat) minLat = lat
-        if (lat > maxLat) maxLat = lat
-      })
-      bbox = [minLng, minLat, maxLng, maxLat]
-    }
-    return {
-      geometry: coords,
-      segments: feature?.properties?.segments || [],
-      summary: feature?.properties?.summary || null,
-      bbox
-    }
-  } catch (error) {
-    console.error('❌ Error fetching directions:', error)
-    throw error
-  }
+// Index of the route option with the lowest hazard score (ties go to the quicker one)
+function safestRouteIndex(options) {
+  return options.reduce((best, o, i) => {
+    const b = options[best]
+    return o.score < b.score || (o.score === b.score && o.route.duration < b.route.duration) ? i : best
+  }, 0)
 }
 
-// Google Directions fallback (returns same shape as ORS getDirections)
-function getGoogleDirections(origin, destination) {
-  console.log('🔁 CALLING GOOGLE DIRECTIONS FALLBACK...')
-  console.log('Google origin:', origin, 'destination:', destination)
-  return new Promise((resolve, reject) => {
-    if (!window.google?.maps) {
-      console.error('❌ Google Maps not loaded')
-      return reject(new Error('Google Maps not loaded'))
-    }
-    const svc = new window.google.maps.DirectionsService()
-    svc.route(
-      {
-        origin,
-        destination,
-        travelMode: window.google.maps.TravelMode.DRIVING
-      },
-      (result, status) => {
-        console.log('Google Directions status:', status)
-        if (status !== 'OK' || !result?.routes?.[0]) {
-          console.error('❌ Google Directions failed:', status)
-          return reject(new Error('Google Directions failed: ' + status))
-        }
-        const overviewPath = result.routes[0].overview_path || []
-        const geometry = overviewPath.map(p => [p.lng(), p.lat()])
-        let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity
-        geometry.forEach(([lng, lat]) => {
-          if (lng < minLng) minLng = lng
-          if (lng > maxLng) maxLng = lng
-          if (lat < minLat) minLat = lat
-          if (lat > maxLat) maxLat = lat
-        })
-        resolve({
-          geometry,
-          segments: [],
-          summary: null,
-          bbox: [minLng, minLat, maxLng, maxLat],
-          _googleResult: result
-        })
-      }
-    )
-  })
-}
-
-// MDOT 511 real-time events fetch via local proxy (avoids CORS)
-async function fetchMdotEvents() {
-  const url = 'http://localhost:3001/api/mdot/events'
-  console.log('📡 MDOT Hazard Fetch (proxy): Requesting', url)
-  try {
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 10000) // 10 second timeout
-    
-    const res = await fetch(url, { 
-      signal: controller.signal,
-      headers: {
-        'Accept': 'application/json'
-      }
-    })
-    clearTimeout(timeoutId)
-    
-    if (!res.ok) {
-      console.error('❌ Proxy MDOT fetch failed:', res.status, res.statusText)
-      // Don't throw, return empty array so UI doesn't break
-      return []
-    }
-    const data = await res.json()
-    console.log('📦 Proxy MDOT JSON response (raw):', data)
-    if (!Array.isArray(data)) {
-      console.warn('⚠️ Proxy MDOT response not an array. Raw:', data)
-      return []
-    }
-    const normalized = data.map((evt, idx) => normalizeMdotEvent(evt, idx)).filter(e => e.lat && e.lng)
-    console.log(`✅ Proxy MDOT events loaded: ${normalized.length}`)
-    if (normalized[0]) console.log('🔍 Sample MDOT event via proxy:', normalized[0])
-    return normalized
-  } catch (err) {
-    if (err.name === 'AbortError') {
-      console.warn('⚠️ MDOT fetch timeout - server may not be running. Start server with: npm run server')
-    } else {
-      console.error('❌ Proxy MDOT fetch error:', err)
-    }
-    // Return empty array instead of throwing so UI doesn't break
-    return []
-  }
+function fastestRouteIndex(options) {
+  return options.reduce((best, o, i) => (o.route.duration < options[best].route.duration ? i : best), 0)
 }
 
-function normalizeMdotEvent(evt, idx) {
-  // Attempt multiple field name variants
-  const lat = evt.latitude ?? evt.lat ?? evt.Location?.Latitude ?? evt.location?.lat ?? null
-  const lng = evt.longitude ?? evt.lon ?? evt.Location?.Longitude ?? evt.location?.lng ?? null
-  const eventType = (evt.eventType || evt.type || evt.category || 'other').toString().toLowerCase()
-  const description = evt.description || evt.title || evt.text || eventType
-  const impact = evt.impact || evt.delay || evt.effect || null
-  const startDate = evt.startDate || evt.start || evt.startTime || null
-  const endDate = evt.endDate || evt.end || evt.endTime || null
-  const roadway = evt.roadway || evt.road || evt.route || null
-  return {
-    id: evt.id || evt.eventId || `mdot-${idx}`,
-    eventType,
-    description,
-    impact,
-    startDate,
-    endDate,
-    roadway,
-    lat: typeof lat === 'string' ? parseFloat(lat) : lat,
-    lng: typeof lng === 'string' ? parseFloat(lng) : lng
-  }
-}
+// Colors now imported from shared util for consistency with PredictHazardsPage
 
 // Use shared color logic
 function getEventColor(type) {
   return getHazardColor(type)
 }
 
-/**
- * Check if a point is within a certain distance of a route line
- * @param {Object} point - {lat, lng}
- * @param {Array} routeCoordinates - Array of [lng, lat]
- * @param {number} thresholdMeters - Distance threshold in meters
- * @returns {boolean}
- */
-function isPointNearRoute(point, routeCoordinates, thresholdMeters = 1609.34) { // 1 mile default
-  if (!window.google) return false
-  if (!Array.isArray(routeCoordinates) || routeCoordinates.length === 0) return false
-  const pointLatLng = new window.google.maps.LatLng(point.lat, point.lng)
-  let minDistance = Infinity
-  for (let i = 0; i < routeCoordinates.length; i++) {
-    const seg = routeCoordinates[i]
-    if (!Array.isArray(seg) || seg.length < 2) continue
-    const routePoint = new window.google.maps.LatLng(seg[1], seg[0])
-    const distance = window.google.maps.geometry.spherical.computeDistanceBetween(pointLatLng, routePoint)
-    if (distance < minDistance) minDistance = distance
-    if (distance <= thresholdMeters) {
-      return true
-    }
-  }
-  return false
-}
-
 function HazardMapPage({ onBack, embed = false }) {
   const mapRef = useRef(null)
   const mapInstanceRef = useRef(null)
   const userMarkerRef = useRef(null)
-  const autocompleteRef = useRef(null)
   const searchInputRef = useRef(null)
-  const geocoderRef = useRef(null)
+  const providerRef = useRef(null)
   const routePolylineRef = useRef(null)
-  const hazardMarkersRef = useRef([])
+  const alternatePolylinesRef = useRef([])
+  const stopMarkersRef = useRef([])
+  const nextStopIdRef = useRef(1)
+  // Mirrors of tripStops / nextStopIndex for the geolocation watch callback
+  const tripStopsRef = useRef([])
+  const nextStopRef = useRef(0)
+  // Hazard key -> { overlays, signature } so live updates only touch the hazards that changed
+  const hazardMarkersRef = useRef(new Map())
+  // The active route, for the live hazard stream's handlers
+  const activeRouteRef = useRef(null)
 
   const [userLocation, setUserLocation] = useState(null)
   const [destination, setDestination] = useState('')
@@ -257,6 +59,15 @@ function HazardMapPage({ onBack, embed = false }) {
   const [routeGeometry, setRouteGeometry] = useState(null)
   const [liveHazards, setLiveHazards] = useState([])
   const [filteredHazards, setFilteredHazards] = useState([])
+  const [routeHazards, setRouteHazards] = useState([]) // from the server, in the order the route meets them
+  const [routeOptions, setRouteOptions] = useState([]) // [{ route, score, level, hazardCount, closures, weatherRisk }]
+  const [selectedRouteIndex, setSelectedRouteIndex] = useState(0)
+  const [avoidClosures, setAvoidClosures] = useState(false)
+  const [avoidedClosures, setAvoidedClosures] = useState(0)
+  const [tripStops, setTripStops] = useState([]) // [{ id, address, lat, lng }] in visit order; the last is the destination
+  const [nextStopIndex, setNextStopIndex] = useState(0) // first stop not yet reached while navigating
+  const [routedFromStop, setRoutedFromStop] = useState(0) // first stop the current route's legs lead to
+  const [routeBuiltAt, setRouteBuiltAt] = useState(null) // when the current route was requested, for arrival times
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [mapsLoaded, setMapsLoaded] = useState(false)
@@ -274,50 +85,36 @@ function HazardMapPage({ onBack, embed = false }) {
   const lastPositionRef = useRef(null)
   const lastUpdateTimeRef = useRef(null)
   const [currentStepIndex, setCurrentStepIndex] = useState(0)
-  const [isOffRoute, setIsOffRoute] = useState(false)
+  // Mirrors of the route, its steps and progress along it for the geolocation watch callback
+  const routeInstructionsRef = useRef([])
+  const currentStepIndexRef = useRef(0)
+  const isOffRouteRef = useRef(false)
+  const reroutingRef = useRef(false)
+  const rerouteRef = useRef(null)
   const recentSpeedsRef = useRef([])
   const [showLegend, setShowLegend] = useState(false)
   const [timeFilter, setTimeFilter] = useState('all') // 'all', 'current', 'future'
   const [showIncidentList, setShowIncidentList] = useState(false)
+  const [newHazardKeys, setNewHazardKeys] = useState(() => new Set()) // pushed by the live stream, highlighted briefly
 
-  // Load Google Maps Script
+  // Load the map provider (Google Maps or Leaflet, see src/utils/maps)
   useEffect(() => {
-    if (!GOOGLE_MAPS_API_KEY) {
-      setError('Google Maps API key missing. Add VITE_GOOGLE_MAPS_API_KEY to .env and restart dev server.')
-      setLoading(false)
-      return
-    }
-
-    if (window.google && window.google.maps) {
-      setMapsLoaded(true)
-      return
-    }
-
-    const script = document.createElement('script')
-    // Load superset of libraries so other pages (e.g., heatmaps) work too
-    script.src = `https://maps.googleapis.com/maps/api/js?key=${GOOGLE_MAPS_API_KEY}&libraries=places,geometry,visualization`
-    script.async = true
-    script.defer = true
-    
-    script.onload = () => {
-      setMapsLoaded(true)
-    }
-    
-    script.onerror = () => {
-      setError('Failed to load Google Maps. Please check your API key and billing settings.')
-      setLoading(false)
-    }
-    
-    document.head.appendChild(script)
-
-    return () => {
-      if (script.parentNode) {
-        script.parentNode.removeChild(script)
-      }
-    }
+    let cancelled = false
+    loadMapProvider()
+      .then(provider => {
+        if (cancelled) return
+        providerRef.current = provider
+        setMapsLoaded(true)
+      })
+      .catch(err => {
+        if (cancelled) return
+        setError(err.message)
+        setLoading(false)
+      })
+    return () => { cancelled = true }
   }, [])
 
-  // Initialize Google Maps after script loads
+  // Initialize the map once the provider loads
   useEffect(() => {
     if (!mapsLoaded) return
 
@@ -358,7 +155,7 @@ function HazardMapPage({ onBack, embed = false }) {
   // (Navigation UI removed for TomTom integration simplification)
 
   const initializeMap = async (center) => {
-    if (!mapRef.current || !window.google) {
+    if (!mapRef.current || !providerRef.current) {
       setError('Map container not ready')
       setLoading(false)
       return
@@ -366,42 +163,24 @@ function HazardMapPage({ onBack, embed = false }) {
 
     try {
       // Create map
-      const map = new window.google.maps.Map(mapRef.current, {
-        center: center,
-        zoom: 14,
-        styles: [
-          {
-            featureType: 'poi',
-            elementType: 'labels',
-            stylers: [{ visibility: 'off' }]
-          }
-        ]
-      })
+      const provider = providerRef.current
+      const map = provider.createMap(mapRef.current, { center, zoom: 14 })
       mapInstanceRef.current = map
 
       // Add user location marker
-      userMarkerRef.current = new window.google.maps.Marker({
+      userMarkerRef.current = map.addMarker({
         position: center,
-        map: map,
         title: 'Your Location',
-        icon: {
-          path: window.google.maps.SymbolPath.CIRCLE,
-          scale: 10,
-          fillColor: '#4285F4',
-          fillOpacity: 1,
-          strokeColor: '#ffffff',
-          strokeWeight: 3
-        }
+        radius: 10,
+        color: '#4285F4',
+        fillOpacity: 1,
+        strokeColor: '#ffffff',
+        strokeWeight: 3
       })
 
-      // Initialize autocomplete
+      // Initialize autocomplete (Google only)
       if (searchInputRef.current) {
-        autocompleteRef.current = new window.google.maps.places.Autocomplete(
-          searchInputRef.current,
-          { componentRestrictions: { country: 'us' } }
-        )
-
-        autocompleteRef.current.addListener('place_changed', handlePlaceSelect)
+        provider.attachAutocomplete(searchInputRef.current, handlePlaceSelect)
 
         // Add Enter key fallback for manual typing (geocode if user presses Enter without selecting dropdown)
         searchInputRef.current.addEventListener('keydown', (e) => {
@@ -415,8 +194,6 @@ function HazardMapPage({ onBack, embed = false }) {
         })
       }
 
-      geocoderRef.current = new window.google.maps.Geocoder()
-
       // After map init, load MDOT hazards immediately (not route-filtered yet)
       const events = await fetchMdotEvents()
       setLiveHazards(events)
@@ -428,16 +205,20 @@ function HazardMapPage({ onBack, embed = false }) {
     }
   }
 
+  const removeHazardOverlays = (key) => {
+    hazardMarkersRef.current.get(key)?.overlays.forEach(o => o.remove())
+    hazardMarkersRef.current.delete(key)
+  }
+
   const clearHazardMarkers = () => {
-    hazardMarkersRef.current.forEach(m => m.setMap(null))
-    hazardMarkersRef.current = []
+    [...hazardMarkersRef.current.keys()].forEach(removeHazardOverlays)
   }
 
   // Display hazards (all or filtered by route proximity depending on routeActive flag)
   const displayHazards = (hazards, routeFiltering = routeActive) => {
     console.log('🗺️ MDOT displayHazards called. total:', hazards.length, 'routeFiltering:', routeFiltering)
-    clearHazardMarkers()
     if (!showHazards || !mapInstanceRef.current) {
+      clearHazardMarkers()
       console.log('🗺️ Skipping hazard display (showHazards or map missing).', { showHazards, hasMap: !!mapInstanceRef.current })
       setFilteredHazards([])
       return
@@ -461,60 +242,70 @@ function HazardMapPage({ onBack, embed = false }) {
     
     let toRender = timeFiltered
     if (routeFiltering && Array.isArray(routeGeometry) && routeGeometry.length) {
-      toRender = timeFiltered.filter(h => h.lat && h.lng && isPointNearRoute({ lat: h.lat, lng: h.lng }, routeGeometry))
+      // Route hazards are measured by true distance to the route (alert polygons count when the route crosses them)
+      const shown = new Set(timeFiltered.map(hazardKey))
+      toRender = routeHazards.filter(h => shown.has(hazardKey(h)))
       console.log(`📏 Hazards near route (≤1 mile): ${toRender.length}`)
       setFilteredHazards(toRender)
     } else {
       setFilteredHazards([]) // not showing alert card until route active
     }
+    // Drop hazards that expired or fell out of the filter; leave unchanged ones where they are
+    const renderKeys = new Set(toRender.map(hazardKey))
+    ;[...hazardMarkersRef.current.keys()].filter(key => !renderKeys.has(key)).forEach(removeHazardOverlays)
     toRender.forEach(h => {
-      const color = getEventColor(h.eventType || h.type || '')
-      const now = new Date()
+      const key = hazardKey(h)
       const startDate = h.startDate ? new Date(h.startDate) : null
       const isFuture = startDate && startDate > now
-      
-      const marker = new window.google.maps.Marker({
-        position: { lat: h.lat, lng: h.lng },
-        map: mapInstanceRef.current,
-        title: h.eventType,
-        icon: {
-          path: window.google.maps.SymbolPath.CIRCLE,
-          scale: 14,
-          fillColor: color,
-          fillOpacity: isFuture ? 0.6 : 0.9,
-          strokeColor: isFuture ? '#FFA500' : '#ffffff',
-          strokeWeight: isFuture ? 4 : 3
-        }
-      })
+      const signature = JSON.stringify(h) + isFuture
+      if (hazardMarkersRef.current.get(key)?.signature === signature) return
+      removeHazardOverlays(key)
+
+      const color = getEventColor(h.eventType || h.type || '')
+      const overlays = drawHazardGeometry(mapInstanceRef.current, h, color)
       const startStr = h.startDate ? new Date(h.startDate).toLocaleString() : 'N/A'
       const endStr = h.endDate ? new Date(h.endDate).toLocaleString() : 'Ongoing'
-      const impactStr = h.impact ? `<p style="margin:2px 0 0;font-size:11px;color:#555;">Impact: ${h.impact}</p>` : ''
-      const roadwayStr = h.roadway ? `<p style="margin:2px 0 0;font-size:11px;font-weight:600;color:#004e89;">📍 ${h.roadway}</p>` : ''
+      const impactStr = h.impact ? `<p style="margin:2px 0 0;font-size:11px;color:#555;">Impact: ${escapeHtml(h.impact)}</p>` : ''
+      const roadwayStr = h.roadway ? `<p style="margin:2px 0 0;font-size:11px;font-weight:600;color:#004e89;">📍 ${escapeHtml(h.roadway)}</p>` : ''
+      const lanes = h.lanesAffected
+      const lanesStr = lanes?.closed ? `<p style="margin:2px 0 0;font-size:11px;color:#555;">🚧 Lanes affected: ${escapeHtml(lanes.closed)}${lanes.total ? ` of ${escapeHtml(lanes.total)}` : ''}</p>` : ''
+      const workZoneStr = [
+        h.reducedSpeedLimitMph ? `⚠️ Reduced speed: ${escapeHtml(h.reducedSpeedLimitMph)} mph` : null,
+        h.workersPresent ? '👷 Workers present' : null
+      ].filter(Boolean).map(text => `<p style="margin:2px 0 0;font-size:11px;color:#555;">${text}</p>`).join('')
+      const sourceStr = h.source === 'community' ? '<p style="margin:2px 0 0;font-size:11px;color:#777;">👥 Reported by MichiGuard drivers</p>' : ''
       const statusBadge = isFuture ? '<span style="background:#FFA500;color:white;padding:2px 6px;border-radius:4px;font-size:10px;font-weight:600;">UPCOMING</span>' : '<span style="background:#DC143C;color:white;padding:2px 6px;border-radius:4px;font-size:10px;font-weight:600;">ACTIVE</span>'
-      const infoWindow = new window.google.maps.InfoWindow({
-        content: `<div style="padding:8px;max-width:260px;">
+      const marker = mapInstanceRef.current.addMarker({
+        position: { lat: h.lat, lng: h.lng },
+        title: h.eventType,
+        radius: 14,
+        color,
+        fillOpacity: isFuture ? 0.6 : 0.9,
+        strokeColor: isFuture ? '#FFA500' : '#ffffff',
+        strokeWeight: isFuture ? 4 : 3,
+        popupHtml: `<div style="padding:8px;max-width:260px;">
           <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:6px;">
-            <h3 style="margin:0;color:#004e89;font-weight:600;font-size:13px;">${(h.eventType || '').toUpperCase()}</h3>
+            <h3 style="margin:0;color:#004e89;font-weight:600;font-size:13px;">${getHazardIcon(h.subtype || h.eventType)} ${escapeHtml(getHazardLabel(h.subtype || h.eventType).toUpperCase())}</h3>
             ${statusBadge}
           </div>
           ${roadwayStr}
-          <p style="margin:4px 0 0;font-size:12px;color:#555;line-height:1.4;">${h.description || 'No description'}</p>
+          <p style="margin:4px 0 0;font-size:12px;color:#555;line-height:1.4;">${escapeHtml(h.description || 'No description')}</p>
           <p style="margin:6px 0 0;font-size:11px;color:#777;">🕐 Start: ${startStr}</p>
           <p style="margin:2px 0 0;font-size:11px;color:#777;">🕐 End: ${endStr}</p>
           ${impactStr}
+          ${lanesStr}
+          ${workZoneStr}
+          ${sourceStr}
         </div>`
       })
-      marker.addListener('click', () => infoWindow.open(mapInstanceRef.current, marker))
-      hazardMarkersRef.current.push(marker)
+      hazardMarkersRef.current.set(key, { overlays: [...overlays, marker], signature })
     })
-    console.log('🗺️ Rendered hazard markers:', hazardMarkersRef.current.length)
+    console.log('🗺️ Rendered hazard markers:', hazardMarkersRef.current.size)
   }
 
-  const handlePlaceSelect = () => {
-    const place = autocompleteRef.current.getPlace()
-    if (place.geometry && userLocation) {
-      setDestination(place.formatted_address)
-      fetchRouteAndHazards(place.geometry.location)
+  const handlePlaceSelect = (place) => {
+    if (place && userLocation) {
+      planTrip([toStop(place)])
     } else if (searchInputRef.current?.value) {
       // Fallback: user hit enter without selecting suggestion
       geocodeAndRoute(searchInputRef.current.value.trim())
@@ -522,20 +313,72 @@ function HazardMapPage({ onBack, embed = false }) {
   }
 
   const geocodeAndRoute = (address) => {
-    if (!geocoderRef.current || !address) return
+    if (!providerRef.current || !address) return
     // If user location not ready yet, queue address
     if (!userLocation) {
       setPendingAddress(address)
       return
     }
-    geocoderRef.current.geocode({ address }, (results, status) => {
-      if (status === 'OK' && results[0]) {
-        setDestination(results[0].formatted_address)
-        fetchRouteAndHazards(results[0].geometry.location)
-      } else {
-        setRouteError('Geocode failed: ' + status)
-      }
-    })
+    providerRef.current.geocode(address)
+      .then(place => planTrip([toStop(place)]))
+      .catch(err => setRouteError('Geocode failed: ' + err.message))
+  }
+
+  const toStop = (place) => ({ id: nextStopIdRef.current++, address: place.address, lat: place.lat, lng: place.lng })
+
+  const updateTripStops = (stops) => {
+    tripStopsRef.current = stops
+    setTripStops(stops)
+    setDestination(stops[stops.length - 1]?.address || '')
+  }
+
+  // Route through a new list of stops from the driver's position
+  const planTrip = (stops) => {
+    updateTripStops(stops)
+    nextStopRef.current = 0
+    setNextStopIndex(0)
+    if (stops.length > 0) {
+      fetchRouteAndHazards(stops)
+    } else {
+      clearRoute()
+    }
+  }
+
+  // Geocode the search box and add it as the trip's last stop
+  const handleAddStop = () => {
+    const value = searchInputRef.current?.value.trim()
+    if (!value) {
+      setRouteError('Enter a stop to add')
+      return
+    }
+    if (!providerRef.current || !userLocation) return
+    setRouteError(null)
+    providerRef.current.geocode(value)
+      .then(place => {
+        planTrip([...tripStopsRef.current, toStop(place)])
+        searchInputRef.current.value = ''
+      })
+      .catch(err => setRouteError('Geocode failed: ' + err.message))
+  }
+
+  const moveStop = (index, offset) => {
+    const stops = [...tripStops]
+    const [stop] = stops.splice(index, 1)
+    stops.splice(index + offset, 0, stop)
+    planTrip(stops)
+  }
+
+  const removeStop = (index) => {
+    planTrip(tripStops.filter((_, i) => i !== index))
+  }
+
+  const optimizeStops = () => {
+    const stops = optimizeStopOrder(userLocation, tripStops)
+    if (stops.every((stop, i) => stop.id === tripStops[i].id)) {
+      console.log('🧭 Stop order is already the shortest found')
+      return
+    }
+    planTrip(stops)
   }
 
   const handleSearchClick = () => {
@@ -549,62 +392,69 @@ function HazardMapPage({ onBack, embed = false }) {
     geocodeAndRoute(value)
   }
 
-  const fetchRouteAndHazards = async (destinationLocation) => {
-    if (!userLocation || !mapInstanceRef.current) return
+  // Score each route option by the hazards on it and the weather along it; the hazards are kept for when it's selected
+  const scoreRouteOptions = (routes) => Promise.all(routes.map(async route => {
+    const [hazards, weatherRisk] = await Promise.all([
+      fetchRouteHazards(route.geometry),
+      sampleRouteWeather(route.geometry)
+    ])
+    return { route, hazards, ...scoreRoute(hazards, weatherRisk) }
+  }))
+
+  // Make one of the route options the active route
+  const selectRoute = (index, options = routeOptions) => {
+    const { route, hazards = [] } = options[index] || {}
+    if (!route || !mapInstanceRef.current) return
+    setSelectedRouteIndex(index)
+
+    // Calculate ETA, distance and speed
+    if (route.distance > 0 && route.duration > 0) {
+      const distanceKm = route.distance / 1000
+      const durationMin = route.duration / 60
+      setRemainingDistance(distanceKm.toFixed(2))
+      setEta(Math.round(durationMin))
+      setNavSpeedKmh((distanceKm / (durationMin / 60)).toFixed(1))
+    }
+    setRouteHazards(hazards)
+    setRouteGeometry(route.geometry)
+    setRouteInstructions(route.instructions)
+    setCurrentStepIndex(0)
+    drawAlternatePolylines(options.filter((_, i) => i !== index).map(o => o.route.geometry))
+    drawRoutePolyline(route.geometry)
+    setRouteActive(true)
+    // Fit bounds
+    if (Array.isArray(route.geometry)) mapInstanceRef.current.fitBounds(route.geometry)
+  }
+
+  // Route from `origin` through stops[firstStop..] (earlier stops were already reached)
+  const fetchRouteAndHazards = async (stops, { origin = userLocation, firstStop = 0, avoid = avoidClosures } = {}) => {
+    if (!origin || !mapInstanceRef.current || stops.length <= firstStop) return
     setRouteError(null)
-    const dest = { lat: destinationLocation.lat(), lng: destinationLocation.lng() }
+    const remaining = stops.slice(firstStop).map(({ lat, lng }) => ({ lat, lng }))
+    const dest = remaining[remaining.length - 1]
     try {
-      let routeSource = 'ORS'
-      let route
-      try {
-        route = await getDirections(userLocation, dest)
-      } catch (orsErr) {
-        console.warn('ORS failed, attempting Google fallback:', orsErr.message)
-        routeSource = 'Google'
-        route = await getGoogleDirections(userLocation, dest)
-      }
-      console.log(`✅ Using ${routeSource} route; points: ${route.geometry.length}`)
-      
-      // Calculate ETA, distance, speed, and extract instructions
-      if (route.summary) {
-        const distanceKm = route.summary.distance / 1000
-        const durationMin = route.summary.duration / 60
-        setRemainingDistance(distanceKm.toFixed(2))
-        setEta(Math.round(durationMin))
-        setNavSpeedKmh((distanceKm / (durationMin / 60)).toFixed(1))
-      } else if (route._googleResult) {
-        const leg = route._googleResult.routes[0].legs[0]
-        const distKm = leg.distance.value / 1000
-        const durMin = leg.duration.value / 60
-        setRemainingDistance(distKm.toFixed(2))
-        setEta(Math.round(durMin))
-        setNavSpeedKmh((distKm / (durMin / 60)).toFixed(1))
-      }
-      setRouteGeometry(route.geometry)
-      setRouteInstructions(extractInstructions(route))
-      drawRoutePolyline(route.geometry)
-      setRouteActive(true)
-      // Fit bounds
-      const bounds = new window.google.maps.LatLngBounds()
-      if (Array.isArray(route.geometry)) {
-        route.geometry.forEach(([lng, lat]) => bounds.extend(new window.google.maps.LatLng(lat, lng)))
-      }
-      mapInstanceRef.current.fitBounds(bounds)
+      const avoidAreas = avoid && ROUTING_AVOIDS_AREAS ? closureAvoidAreas(liveHazards, [origin, ...remaining]) : null
+      if (avoidAreas) console.log(`⛔ Routing around ${avoidAreas.coordinates.length} active closure(s)`)
+      const requestedAt = new Date()
+      const routes = await getRoutes(origin, dest, { via: remaining.slice(0, -1), alternatives: ROUTE_ALTERNATIVES, avoid: avoidAreas })
+      console.log(`✅ Using ${routes[0].source}; ${routes.length} route(s), points: ${routes.map(r => r.geometry.length).join('/')}`)
+
+      const options = await scoreRouteOptions(routes)
+      setRouteOptions(options)
+      setAvoidedClosures(avoidAreas?.coordinates.length || 0)
+      setRoutedFromStop(firstStop)
+      setRouteBuiltAt(requestedAt)
+      selectRoute(safestRouteIndex(options), options)
       // Hazards - create smaller bbox segments to respect TomTom's 10,000km² limit
-      if (Array.isArray(route.geometry) && route.geometry.length > 0) {
-        console.log('📡 MDOT Hazard Fetch: refreshing after route build')
-        const events = await fetchMdotEvents()
-        console.log('📡 MDOT hazards total (pre-route filter):', events.length)
-        setLiveHazards(events)
-        // display with route filtering
-        displayHazards(events, true)
-      } else {
-        console.warn('Route geometry missing; skipping hazards fetch')
-        setLiveHazards([])
-      }
+      console.log('📡 MDOT Hazard Fetch: refreshing after route build')
+      const events = await fetchMdotEvents()
+      console.log('📡 MDOT hazards total (pre-route filter):', events.length)
+      setLiveHazards(events) // hazards on the route came with the route options and follow the live stream
     } catch (e) {
       console.error('Route build failed:', e)
-      if (e.message === 'No route found for given origin/destination') {
+      setRouteOptions([])
+      drawAlternatePolylines([])
+      if (e.message === NO_ROUTE) {
         setRouteError('No route found. Try a nearby city or check coordinates.')
       } else if (e.message === 'Unsupported route geometry type from ORS') {
         setRouteError('Received unsupported geometry from ORS. Please retry or adjust destination.')
@@ -614,30 +464,101 @@ function HazardMapPage({ onBack, embed = false }) {
     }
   }
 
+  const toggleAvoidClosures = () => {
+    const next = !avoidClosures
+    setAvoidClosures(next)
+    if (routeActive && tripStopsRef.current.length > 0) {
+      fetchRouteAndHazards(tripStopsRef.current, { avoid: next, origin: isNavigating ? lastPositionRef.current : userLocation, firstStop: nextStopRef.current })
+    }
+  }
+
+  const clearRoute = () => {
+    routePolylineRef.current?.remove()
+    routePolylineRef.current = null
+    drawAlternatePolylines([])
+    setRouteOptions([])
+    setRouteActive(false)
+    setRouteGeometry(null)
+    setRouteInstructions([])
+    setRouteHazards([])
+    setEta(null)
+    setRemainingDistance(null)
+  }
+
+  // Routes not taken, drawn under the active one
+  const drawAlternatePolylines = (paths) => {
+    alternatePolylinesRef.current.forEach(line => line.remove())
+    alternatePolylinesRef.current = paths.map(path =>
+      mapInstanceRef.current.addPolyline({ path, color: '#6b7280', opacity: 0.6, weight: 5 })
+    )
+  }
+
   const drawRoutePolyline = (coords) => {
-    if (routePolylineRef.current) routePolylineRef.current.setMap(null)
+    if (routePolylineRef.current) routePolylineRef.current.remove()
     if (!Array.isArray(coords) || coords.length === 0) {
       console.warn('drawRoutePolyline called with empty coords')
       return
     }
-    const path = coords
-      .filter(pair => Array.isArray(pair) && pair.length >= 2)
-      .map(([lng, lat]) => ({ lng, lat }))
+    const path = coords.filter(pair => Array.isArray(pair) && pair.length >= 2)
     if (path.length === 0) return
-    routePolylineRef.current = new window.google.maps.Polyline({
-      path,
-      geodesic: true,
-      strokeColor: '#f6bd60',
-      strokeOpacity: 0.85,
-      strokeWeight: 6,
-      map: mapInstanceRef.current
-    })
+    routePolylineRef.current = mapInstanceRef.current.addPolyline({ path, color: '#f6bd60', opacity: 0.85, weight: 6 })
   }
 
+  // Live hazard updates: the proxy pushes a snapshot on connect, then only what changed
+  useEffect(() => {
+    if (!mapsLoaded) return
+    let clearNewTimer = null
+    const unsubscribe = subscribeToHazards({
+      onSnapshot: (hazards) => {
+        setLiveHazards(hazards)
+        const route = activeRouteRef.current
+        if (route) setRouteHazards(applyRouteHazardDelta([], { added: hazards }, route))
+      },
+      onDelta: (delta) => {
+        console.log(`📡 Hazard delta: +${delta.added.length} ~${delta.updated.length} -${delta.expired.length}`)
+        setLiveHazards(prev => applyHazardDelta(prev, delta))
+        // Measured here rather than asking the server for the route's hazards on every change
+        const route = activeRouteRef.current
+        if (route) setRouteHazards(prev => applyRouteHazardDelta(prev, delta, route))
+        if (delta.added.length > 0) {
+          setNewHazardKeys(new Set(delta.added.map(hazardKey)))
+          clearTimeout(clearNewTimer)
+          clearNewTimer = setTimeout(() => setNewHazardKeys(new Set()), NEW_HAZARD_HIGHLIGHT_MS)
+        }
+      }
+    })
+    return () => {
+      clearTimeout(clearNewTimer)
+      unsubscribe()
+    }
+  }, [mapsLoaded])
+
+  // The route the live hazard stream measures against; its starting hazards come with the route options
+  useEffect(() => {
+    activeRouteRef.current = routeActive && Array.isArray(routeGeometry) && routeGeometry.length >= 2 ? routeGeometry : null
+  }, [routeActive, routeGeometry])
+
+  // Numbered markers for the trip's stops (reached ones grayed out)
+  useEffect(() => {
+    if (!mapInstanceRef.current) return
+    stopMarkersRef.current.forEach(marker => marker.remove())
+    stopMarkersRef.current = tripStops.map((stop, idx) => mapInstanceRef.current.addMarker({
+      position: { lat: stop.lat, lng: stop.lng },
+      title: `Stop ${idx + 1}: ${stop.address}`,
+      radius: 9,
+      color: idx < nextStopIndex ? '#9ca3af' : '#004e89',
+      fillOpacity: 1,
+      strokeColor: '#f6bd60',
+      strokeWeight: 3,
+      zIndex: 5,
+      popupHtml: `<div style="padding:6px;max-width:220px;"><p style="margin:0;font-weight:600;color:#004e89;font-size:12px;">Stop ${idx + 1}${idx === tripStops.length - 1 ? ' (destination)' : ''}</p><p style="margin:2px 0 0;font-size:11px;color:#555;">${escapeHtml(stop.address)}</p></div>`
+    }))
+  }, [tripStops, nextStopIndex])
+
   // Re-display hazards whenever toggled or route/hazards change
   useEffect(() => {
     displayHazards(liveHazards)
-  }, [showHazards, routeGeometry, liveHazards, routeActive, timeFilter])
+  }, [showHazards, routeGeometry, liveHazards, routeHazards, routeActive, timeFilter])
 
   // External Google Maps navigation removed per request. In-app navigation only.
 
@@ -645,94 +566,27 @@ function HazardMapPage({ onBack, embed = false }) {
     setShowHazards(v => !v)
   }
 
-  function computeRemainingDistanceFromPosition(position, routeCoords) {
-    if (!window.google || !Array.isArray(routeCoords) || routeCoords.length < 2) return null
-    const pos = new window.google.maps.LatLng(position.lat, position.lng)
-    let nearestIdx = 0
-    let minDist = Infinity
-    routeCoords.forEach(([lng, lat], i) => {
-      const d = window.google.maps.geometry.spherical.computeDistanceBetween(pos, new window.google.maps.LatLng(lat, lng))
-      if (d < minDist) { minDist = d; nearestIdx = i }
-    })
-    let remainingMeters = minDist
-    for (let i = nearestIdx; i < routeCoords.length - 1; i++) {
-      const a = new window.google.maps.LatLng(routeCoords[i][1], routeCoords[i][0])
-      const b = new window.google.maps.LatLng(routeCoords[i+1][1], routeCoords[i+1][0])
-      remainingMeters += window.google.maps.geometry.spherical.computeDistanceBetween(a, b)
-    }
-    return remainingMeters / 1000
-  }
-
-  function distanceFromRoute(position, routeCoords) {
-    if (!window.google || !Array.isArray(routeCoords) || routeCoords.length < 2) return Infinity
-    const pos = new window.google.maps.LatLng(position.lat, position.lng)
-    let minDist = Infinity
-    for (let i = 0; i < routeCoords.length; i++) {
-      const d = window.google.maps.geometry.spherical.computeDistanceBetween(pos, new window.google.maps.LatLng(routeCoords[i][1], routeCoords[i][0]))
-      if (d < minDist) minDist = d
-    }
-    return minDist
-  }
-
+  // Route again from where the driver is, through the stops not reached yet
   async function rerouteFromCurrentPosition(currentPos) {
-    if (!destination) return
+    if (tripStopsRef.current.length === 0 || reroutingRef.current) return
+    reroutingRef.current = true
     try {
-      const destLatLng = destination // destination stored as string earlier? Ensure we have destinationLocationRef if needed
-      // If destination is text address, reuse geocodeAndRoute instead of direct
-      await fetchRouteAndHazards(new window.google.maps.LatLng(currentPos.lat, currentPos.lng))
-      setIsOffRoute(false)
-    } catch (e) {
+      await fetchRouteAndHazards(tripStopsRef.current, { origin: currentPos, firstStop: nextStopRef.current })
+      isOffRouteRef.current = false
+    } catch {
       setNavError('Reroute failed')
     }
+    reroutingRef.current = false
   }
 
-  function extractInstructions(route) {
-    if (route?.segments && Array.isArray(route.segments)) {
-      const steps = route.segments.flatMap(seg => seg.steps || [])
-      return steps.map((s, idx) => ({
-        id: idx,
-        distance: s.distance,
-        duration: s.duration,
-        instruction: s.instruction,
-        wayPoints: s.way_points
-      }))
-    }
-    if (route?._googleResult?.routes?.[0]?.legs?.[0]?.steps) {
-      return route._googleResult.routes[0].legs[0].steps.map((st, idx) => ({
-        id: idx,
-        distance: st.distance.value,
-        duration: st.duration.value,
-        instruction: st.instructions?.replace(/<[^>]+>/g,'') || 'Continue',
-        end_location: st.end_location
-      }))
-    }
-    return []
-  }
-
-  function updateCurrentStep(currentPos) {
-    if (!routeInstructions.length || !window.google) return
-    let idx = currentStepIndex
-    for (let i = currentStepIndex; i < routeInstructions.length; i++) {
-      const step = routeInstructions[i]
-      let targetLatLng
-      if (step.end_location) {
-        targetLatLng = new window.google.maps.LatLng(step.end_location.lat(), step.end_location.lng())
-      } else if (Array.isArray(step.wayPoints)) {
-        const wpIndex = step.wayPoints[1] || step.wayPoints[0]
-        if (routeGeometry && routeGeometry[wpIndex]) {
-          targetLatLng = new window.google.maps.LatLng(routeGeometry[wpIndex][1], routeGeometry[wpIndex][0])
-        }
-      }
-      if (!targetLatLng) continue
-      const d = window.google.maps.geometry.spherical.computeDistanceBetween(new window.google.maps.LatLng(currentPos.lat, currentPos.lng), targetLatLng)
-      if (d < 80) {
-        idx = i + 1
-      } else {
-        break
-      }
-    }
-    setCurrentStepIndex(Math.min(idx, routeInstructions.length - 1))
-  }
+  // The watch callback outlives renders: it reads the route through refs and reroutes with the current state
+  useEffect(() => {
+    routeInstructionsRef.current = routeInstructions
+    currentStepIndexRef.current = currentStepIndex
+  }, [routeInstructions, currentStepIndex])
+  useEffect(() => {
+    rerouteRef.current = rerouteFromCurrentPosition
+  })
 
   const startNavigation = () => {
     if (!routeActive || !destination || !userLocation) {
@@ -743,57 +597,57 @@ function HazardMapPage({ onBack, embed = false }) {
     setIsNavigating(true)
     lastPositionRef.current = userLocation
     lastUpdateTimeRef.current = Date.now()
+    isOffRouteRef.current = false
     if ('geolocation' in navigator) {
       geoWatchIdRef.current = navigator.geolocation.watchPosition(
         pos => {
           const coords = { lat: pos.coords.latitude, lng: pos.coords.longitude }
+          const prevCoords = lastPositionRef.current
           lastPositionRef.current = coords
           if (userMarkerRef.current) userMarkerRef.current.setPosition(coords)
           if (mapInstanceRef.current) mapInstanceRef.current.panTo(coords)
-          if (routeGeometry) {
-            const rem = computeRemainingDistanceFromPosition(coords, routeGeometry)
-            if (rem != null) {
-              setRemainingDistance(rem.toFixed(2))
-              const now = Date.now()
-              if (lastUpdateTimeRef.current) {
-                const dtSec = (now - lastUpdateTimeRef.current) / 1000
-                if (dtSec > 0) {
-                  const distFromRouteMeters = distanceFromRoute(coords, routeGeometry)
-                  const prevCoords = lastPositionRef.current
-                  if (prevCoords) {
-                    const movedMeters = window.google.maps.geometry.spherical.computeDistanceBetween(
-                      new window.google.maps.LatLng(prevCoords.lat, prevCoords.lng),
-                      new window.google.maps.LatLng(coords.lat, coords.lng)
-                    )
-                    const instSpeed = (movedMeters / dtSec) * 3.6
-                    if (!isNaN(instSpeed) && instSpeed > 1) {
-                      recentSpeedsRef.current.push(instSpeed)
-                      if (recentSpeedsRef.current.length > 5) recentSpeedsRef.current.shift()
-                      const avgSpeed = recentSpeedsRef.current.reduce((a,b)=>a+b,0)/recentSpeedsRef.current.length
-                      setNavSpeedKmh(avgSpeed.toFixed(1))
-                      const etaMin = (rem / avgSpeed) * 60
-                      setEta(Math.max(1, Math.round(etaMin)))
-                    }
-                  }
-                  if (distFromRouteMeters > 150) {
-                    if (!isOffRoute) setIsOffRoute(true)
-                  } else if (isOffRoute) {
-                    setIsOffRoute(false)
-                  }
-                  if (isOffRoute && distFromRouteMeters > 200) {
-                    rerouteFromCurrentPosition(coords)
-                  }
-                }
-                lastUpdateTimeRef.current = now
-              } else {
-                lastUpdateTimeRef.current = Date.now()
-              }
-            }
-            updateCurrentStep(coords)
-            if (rem !== null && rem < 0.05) {
-              stopNavigation(true)
+          const progress = tripProgress(coords, {
+            route: activeRouteRef.current,
+            instructions: routeInstructionsRef.current,
+            stepIndex: currentStepIndexRef.current,
+            stops: tripStopsRef.current,
+            nextStop: nextStopRef.current,
+            offRoute: isOffRouteRef.current
+          })
+          if (!progress) return
+
+          const rem = progress.remainingMeters / 1000
+          setRemainingDistance(rem.toFixed(2))
+          const now = Date.now()
+          const dtSec = (now - lastUpdateTimeRef.current) / 1000
+          if (dtSec > 0 && prevCoords) {
+            const movedMeters = distanceBetween(prevCoords, coords)
+            const instSpeed = (movedMeters / dtSec) * 3.6
+            if (!isNaN(instSpeed) && instSpeed > 1) {
+              recentSpeedsRef.current.push(instSpeed)
+              if (recentSpeedsRef.current.length > 5) recentSpeedsRef.current.shift()
+              const avgSpeed = recentSpeedsRef.current.reduce((a,b)=>a+b,0)/recentSpeedsRef.current.length
+              setNavSpeedKmh(avgSpeed.toFixed(1))
+              const etaMin = (rem / avgSpeed) * 60
+              setEta(Math.max(1, Math.round(etaMin)))
             }
           }
+          lastUpdateTimeRef.current = now
+
+          isOffRouteRef.current = progress.offRoute
+          if (progress.reroute) rerouteRef.current?.(progress.reroute.origin)
+          if (progress.stepIndex !== currentStepIndexRef.current) {
+            currentStepIndexRef.current = progress.stepIndex
+            setCurrentStepIndex(progress.stepIndex)
+          }
+          if (progress.nextStop !== nextStopRef.current) {
+            console.log(`📍 Reached stop ${nextStopRef.current + 1}: ${tripStopsRef.current[nextStopRef.current]?.address}`)
+            nextStopRef.current = progress.nextStop
+            setNextStopIndex(progress.nextStop)
+          }
+          if (rem < 0.05) {
+            stopNavigation(true)
+          }
         },
         err => {
           setNavError('Geolocation error: ' + err.message)
@@ -836,8 +690,9 @@ function HazardMapPage({ onBack, embed = false }) {
         <div className="flex-1 flex items-center justify-center p-4">
           <div className="bg-white rounded-xl shadow-xl p-8 max-w-lg text-center">
             <div className="text-6xl mb-4">🗺️</div>
-            <h2 className="text-2xl font-bold text-[#004e89] mb-4">Google Maps Setup Required</h2>
+            <h2 className="text-2xl font-bold text-[#004e89] mb-4">{MAP_PROVIDER === 'google' ? 'Google Maps Setup Required' : 'Map Failed to Load'}</h2>
             <p className="text-gray-600 mb-4">{error}</p>
+            {MAP_PROVIDER === 'google' && (
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-left text-sm mb-4">
               <p className="font-semibold text-[#004e89] mb-2">📝 Setup Instructions:</p>
               <ol className="list-decimal list-inside space-y-2 text-gray-700">
@@ -848,7 +703,7 @@ function HazardMapPage({ onBack, embed = false }) {
                     <li>Maps JavaScript API</li>
                     <li>Places API</li>
                     <li>Directions API</li>
-                    <li>Geometry Library</li>
+                    <li>Geocoding API</li>
                   </ul>
                 </li>
                 <li>Create an API key in Credentials</li>
@@ -856,8 +711,11 @@ function HazardMapPage({ onBack, embed = false }) {
                 <li>Add the API key to .env as VITE_GOOGLE_MAPS_API_KEY</li>
               </ol>
             </div>
+            )}
             <p className="text-xs text-gray-500">
-              Google Maps requires a billing account, but includes $200 free monthly credit.
+              {MAP_PROVIDER === 'google'
+                ? 'Google Maps requires a billing account, but includes $200 free monthly credit. Set VITE_MAP_PROVIDER=leaflet to use OpenStreetMap instead.'
+                : 'Check VITE_MAP_PROVIDER and VITE_MAP_TILE_URL in .env.'}
             </p>
           </div>
         </div>
@@ -865,6 +723,10 @@ function HazardMapPage({ onBack, embed = false }) {
     )
   }
 
+  const newHazardsOnRoute = filteredHazards.filter(h => newHazardKeys.has(hazardKey(h)))
+  const selectedRoute = routeOptions[selectedRouteIndex]?.route
+  const legHazards = hazardsByLeg(routeHazards, selectedRoute)
+
   return (
     <div className={`${embed ? 'relative h-full min-h-[520px] rounded-xl overflow-hidden' : 'fixed inset-0'} flex flex-col bg-transparent`}>
       {/* Header row */}
@@ -887,6 +749,16 @@ function HazardMapPage({ onBack, embed = false }) {
             >
               <HiSearch className="h-5 w-5" />
             </button>
+            {routeActive && !isNavigating && (
+              <button
+                onClick={handleAddStop}
+                className="px-3 py-2 text-sm rounded-lg font-semibold bg-white text-[#004e89] border border-[#004e89]/20 hover:bg-gray-50 transition flex items-center gap-1 whitespace-nowrap"
+                title="Add the searched place as the next stop"
+              >
+                <HiPlus className="h-4 w-4" />
+                Stop
+              </button>
+            )}
             <button
               onClick={toggleHazards}
               className="px-3 py-2 text-sm rounded-lg font-semibold bg-white text-[#004e89] border border-[#004e89]/20 hover:bg-gray-50 transition"
@@ -912,6 +784,15 @@ function HazardMapPage({ onBack, embed = false }) {
                 {showIncidentList ? 'Hide List' : `List (${liveHazards.length})`}
               </button>
             )}
+            {ROUTING_AVOIDS_AREAS && (
+              <label
+                className="px-3 py-2 text-sm rounded-lg font-semibold bg-white text-[#004e89] border border-[#004e89]/20 hover:bg-gray-50 transition cursor-pointer flex items-center gap-2 whitespace-nowrap"
+                title="Route around active road closures"
+              >
+                <input type="checkbox" checked={avoidClosures} onChange={toggleAvoidClosures} className="accent-[#004e89]" />
+                Avoid closures
+              </label>
+            )}
             {routeActive && (
               <button
                 onClick={isNavigating ? () => stopNavigation(false) : startNavigation}
@@ -933,7 +814,7 @@ function HazardMapPage({ onBack, embed = false }) {
 
       {/* Map Container */}
       <div className="flex-1 relative">
-        <div ref={mapRef} className="absolute inset-0" />
+        <div ref={mapRef} className="absolute inset-0 isolate" />
         
         {loading && (
           <div className="absolute inset-0 flex items-center justify-center bg-gray-100 bg-opacity-75">
@@ -944,6 +825,73 @@ function HazardMapPage({ onBack, embed = false }) {
           </div>
         )}
 
+        {/* Trip Stops */}
+        {tripStops.length > 1 && (
+          <div className="absolute top-4 left-4 right-4 md:right-auto md:w-80 max-h-[45%] overflow-y-auto bg-white/95 backdrop-blur rounded-xl shadow-xl p-3 z-10 border border-gray-200">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-bold text-[#004e89]">Trip · {tripStops.length} stops</h3>
+              {!isNavigating && tripStops.length > 2 && (
+                <button
+                  onClick={optimizeStops}
+                  className="text-[10px] font-semibold text-[#004e89] bg-michigan-gold px-2 py-1 rounded-md hover:brightness-95 transition"
+                  title="Reorder stops to shorten the trip (the last stop stays last)"
+                >
+                  Optimize order
+                </button>
+              )}
+            </div>
+            <ol className="space-y-2">
+              {tripStops.map((stop, idx) => {
+                const legIndex = idx - routedFromStop
+                const leg = selectedRoute?.legs?.[legIndex]
+                const reached = idx < nextStopIndex
+                const hazardsOnLeg = legHazards[legIndex] || []
+                const arrival = leg && routeBuiltAt
+                  ? new Date(routeBuiltAt.getTime() + selectedRoute.legs.slice(0, legIndex + 1).reduce((sum, l) => sum + l.duration, 0) * 1000)
+                  : null
+                return (
+                  <li
+                    key={stop.id}
+                    className={`rounded-lg border p-2 ${reached ? 'bg-gray-50 border-gray-200 opacity-60' : isNavigating && idx === nextStopIndex ? 'bg-green-50 border-green-500' : 'bg-white border-gray-200'}`}
+                  >
+                    <div className="flex items-start gap-2">
+                      <span className="h-5 w-5 flex-shrink-0 inline-flex items-center justify-center rounded-full bg-[#004e89] text-white text-[10px] font-bold">{idx + 1}</span>
+                      <p className="flex-1 min-w-0 text-xs font-semibold text-gray-700 truncate" title={stop.address}>{stop.address}</p>
+                      {!isNavigating && (
+                        <div className="flex items-center gap-0.5 text-gray-500">
+                          <button onClick={() => moveStop(idx, -1)} disabled={idx === 0} className="p-0.5 hover:text-[#004e89] disabled:opacity-30" title="Move up">
+                            <HiArrowUp className="h-3.5 w-3.5" />
+                          </button>
+                          <button onClick={() => moveStop(idx, 1)} disabled={idx === tripStops.length - 1} className="p-0.5 hover:text-[#004e89] disabled:opacity-30" title="Move down">
+                            <HiArrowDown className="h-3.5 w-3.5" />
+                          </button>
+                          <button onClick={() => removeStop(idx)} className="p-0.5 hover:text-red-600" title="Remove stop">
+                            <HiX className="h-3.5 w-3.5" />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                    <div className="text-[10px] text-gray-500 mt-1 pl-7">
+                      {reached
+                        ? '✓ Reached'
+                        : leg
+                          ? `${(leg.distance / 1000).toFixed(1)} km · ${Math.round(leg.duration / 60)} min${arrival ? ` · arrive ${arrival.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}`
+                          : 'Routing...'}
+                    </div>
+                    {!reached && leg && (
+                      <div className={`text-[10px] mt-0.5 pl-7 ${hazardsOnLeg.length > 0 ? 'text-red-600 font-semibold' : 'text-green-700'}`}>
+                        {hazardsOnLeg.length > 0
+                          ? `⚠️ ${hazardsOnLeg.length} hazard${hazardsOnLeg.length > 1 ? 's' : ''}: ${[...new Set(hazardsOnLeg.map(h => getHazardLabel(h.subtype || h.eventType)))].join(', ')}`
+                          : 'No hazards reported on this leg'}
+                      </div>
+                    )}
+                  </li>
+                )
+              })}
+            </ol>
+          </div>
+        )}
+
         {/* Hazard Alert Card */}
         {routeActive && filteredHazards.length > 0 && (
           <div className="absolute top-4 left-4 right-4 md:left-auto md:right-4 md:w-80 bg-white rounded-xl shadow-2xl p-4 border-l-4 border-red-500 z-10">            
@@ -954,6 +902,18 @@ function HazardMapPage({ onBack, embed = false }) {
               <div className="flex-1">
                 <h3 className="font-bold text-[#004e89] text-lg">Hazard Alert!</h3>
                 <p className="text-gray-600 text-sm">{filteredHazards.length} hazard{filteredHazards.length > 1 ? 's' : ''} on your route</p>
+                <ul className="mt-1 space-y-0.5">
+                  {filteredHazards.slice(0, 3).map(h => (
+                    <li key={hazardKey(h)} className="text-gray-700 text-xs">
+                      {getHazardIcon(h.subtype || h.eventType)} Mile {h.mileMarker} · {getHazardLabel(h.subtype || h.eventType)}{h.roadway ? ` on ${h.roadway}` : ''}
+                    </li>
+                  ))}
+                </ul>
+                {newHazardsOnRoute.length > 0 && (
+                  <p className="text-red-600 text-sm font-semibold mt-1">
+                    🆕 {newHazardsOnRoute.length} new: {newHazardsOnRoute.map(h => getHazardLabel(h.subtype || h.eventType)).join(', ')}
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -979,7 +939,7 @@ function HazardMapPage({ onBack, embed = false }) {
                 const isActive = (!startDate || startDate <= now) && (!endDate || endDate > now)
                 
                 return (
-                  <div key={h.id} className="bg-white border border-gray-200 rounded-lg p-3 hover:shadow-md transition cursor-pointer" onClick={() => {
+                  <div key={hazardKey(h)} className="bg-white border border-gray-200 rounded-lg p-3 hover:shadow-md transition cursor-pointer" onClick={() => {
                     if (mapInstanceRef.current && h.lat && h.lng) {
                       mapInstanceRef.current.panTo({lat: h.lat, lng: h.lng})
                       mapInstanceRef.current.setZoom(14)
@@ -988,7 +948,7 @@ function HazardMapPage({ onBack, embed = false }) {
                     <div className="flex items-start justify-between mb-1">
                       <div className="flex items-center gap-2">
                         <div className="w-3 h-3 rounded-full" style={{backgroundColor: getEventColor(h.eventType)}}></div>
-                        <span className="text-xs font-bold text-[#004e89]">{h.eventType?.toUpperCase()}</span>
+                        <span className="text-xs font-bold text-[#004e89]">{getHazardLabel(h.subtype || h.eventType).toUpperCase()}</span>
                       </div>
                       {isFuture && <span className="text-[9px] bg-orange-100 text-orange-700 px-2 py-0.5 rounded-full font-semibold">UPCOMING</span>}
                       {isActive && <span className="text-[9px] bg-red-100 text-red-700 px-2 py-0.5 rounded-full font-semibold">ACTIVE NOW</span>}
@@ -999,6 +959,7 @@ function HazardMapPage({ onBack, embed = false }) {
                       <p>Start: {startDate ? startDate.toLocaleDateString() + ' ' + startDate.toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'}) : 'N/A'}</p>
                       <p>End: {endDate ? endDate.toLocaleDateString() + ' ' + endDate.toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'}) : 'Ongoing'}</p>
                       {h.impact && <p className="text-orange-600 font-semibold">⚠️ {h.impact}</p>}
+                      {h.source === 'community' && <p>👥 Reported by MichiGuard drivers</p>}
                     </div>
                   </div>
                 )
@@ -1056,40 +1017,56 @@ function HazardMapPage({ onBack, embed = false }) {
         <div className="absolute bottom-4 left-4 bg-white rounded-xl shadow-lg p-4 z-10 max-w-xs">
           <h3 className="text-sm mb-3 font-bold text-[#004e89]">Hazard Legend</h3>
           <div className="space-y-2">
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: HAZARD_COLORS.accident }}></div>
-              <span className="text-xs text-gray-700">Accident</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: HAZARD_COLORS.roadwork }}></div>
-              <span className="text-xs text-gray-700">Construction</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: HAZARD_COLORS.closure }}></div>
-              <span className="text-xs text-gray-700">Closure</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: HAZARD_COLORS.lane }}></div>
-              <span className="text-xs text-gray-700">Lane Closure</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: HAZARD_COLORS.congestion }}></div>
-              <span className="text-xs text-gray-700">Congestion</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: HAZARD_COLORS.weather }}></div>
-              <span className="text-xs text-gray-700">Weather</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: HAZARD_COLORS.incident }}></div>
-              <span className="text-xs text-gray-700">Incident</span>
+            {Object.entries(HAZARD_CATEGORIES).map(([id, category]) => (
+              <div key={id} className="flex items-center gap-2">
+                <div className="w-4 h-4 rounded-full" style={{ backgroundColor: category.color }}></div>
+                <span className="text-xs text-gray-700">{category.label}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+        {/* Route Options */}
+        {!isNavigating && (routeOptions.length > 1 || avoidedClosures > 0) && (
+          <div className="absolute bottom-4 left-4 right-4 md:left-auto md:right-4 md:w-[28rem] bg-white/95 backdrop-blur rounded-xl shadow-xl p-3 z-10 border border-gray-200">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-bold text-[#004e89]">Route Options</h3>
+              {avoidedClosures > 0 && (
+                <span className="text-[10px] text-gray-500">⛔ Avoiding {avoidedClosures} closure{avoidedClosures > 1 ? 's' : ''}</span>
+              )}
             </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: HAZARD_COLORS.other }}></div>
-              <span className="text-xs text-gray-700">Other</span>
+            <div className="flex gap-2">
+              {routeOptions.map((option, idx) => {
+                const isSafest = routeOptions.length > 1 && idx === safestRouteIndex(routeOptions)
+                const isFastest = routeOptions.length > 1 && idx === fastestRouteIndex(routeOptions)
+                const levelColor = option.level === 'High' ? 'text-red-600' : option.level === 'Medium' ? 'text-orange-500' : 'text-green-600'
+                return (
+                  <button
+                    key={idx}
+                    onClick={() => selectRoute(idx)}
+                    className={`flex-1 min-w-0 text-left rounded-lg p-2 border-2 transition ${idx === selectedRouteIndex ? 'border-[#004e89] bg-blue-50' : 'border-gray-200 bg-white hover:bg-gray-50'}`}
+                  >
+                    <div className="flex items-center justify-between gap-1">
+                      <span className="text-xs font-bold text-[#004e89]">Route {String.fromCharCode(65 + idx)}</span>
+                      <span className={`text-[10px] font-semibold ${levelColor}`}>{option.level} risk</span>
+                    </div>
+                    <div className="text-xs text-gray-700 mt-1">{(option.route.distance / 1000).toFixed(1)} km · {Math.round(option.route.duration / 60)} min</div>
+                    <div className="text-[10px] text-gray-500 mt-0.5">
+                      {option.hazardCount} hazard{option.hazardCount === 1 ? '' : 's'}
+                      {option.closures > 0 && <span className="text-red-600 font-semibold"> · {option.closures} closure{option.closures > 1 ? 's' : ''}</span>}
+                    </div>
+                    <div className="text-[10px] text-gray-500">Weather: {option.weatherRisk ? option.weatherRisk.level : 'N/A'}</div>
+                    {(isSafest || isFastest) && (
+                      <div className="flex gap-1 mt-1">
+                        {isSafest && <span className="text-[9px] bg-green-100 text-green-700 px-1.5 py-0.5 rounded-full font-semibold">SAFEST</span>}
+                        {isFastest && <span className="text-[9px] bg-blue-100 text-blue-700 px-1.5 py-0.5 rounded-full font-semibold">FASTEST</span>}
+                      </div>
+                    )}
+                  </button>
+                )
+              })}
             </div>
           </div>
-        </div>
+        )}
         {/* (Turn-by-turn panel removed in TomTom version) */}
         {routeError && (
           <div className="absolute bottom-4 left-4 right-4 md:left-auto md:right-4 md:w-80 bg-white rounded-xl shadow-lg p-4 border-l-4 border-yellow-500 z-10">            
@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useState } from 'react'
 import { analyzeTextWithWatson, isWatsonNLUConfigured } from '../utils/watsonNLU'
 import { getCurrentWeather, isWeatherAPIConfigured } from '../utils/weatherAPI'
+import ForecastTimeline from './ForecastTimeline'
 
 // National Weather Service API base URL
 const NWS_API_BASE = 'https://api.weather.gov'
@@ -548,10 +549,14 @@ export default function LiveWeatherAlerts({ embed = false }) {
         </div>
       )}
 
+      {currentLocation && (
+        <ForecastTimeline lat={currentLocation.lat} lng={currentLocation.lon} className="mb-4" />
+      )}
+
       {!isWeatherAPIConfigured() && (
         <div className="mb-4 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg px-4 py-3 text-sm">
           <p className="font-semibold mb-1">Weather Data Unavailable</p>
-          <p>Add <code className="bg-yellow-100 px-1 rounded">VITE_OPENWEATHER_API_KEY</code> to your <code className="bg-yellow-100 px-1 rounded">.env</code> file to see current weather conditions.</p>
+          <p>Set <code className="bg-yellow-100 px-1 rounded">VITE_WEATHER_PROVIDER</code> in your <code className="bg-yellow-100 px-1 rounded">.env</code> file to <code className="bg-yellow-100 px-1 rounded">nws</code> or <code className="bg-yellow-100 px-1 rounded">openweather</code> to see current weather conditions.</p>
         </div>
       )}
 
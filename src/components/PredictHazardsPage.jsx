@@ -1,235 +1,119 @@
 import { useEffect, useRef, useState } from 'react'
 import { analyzeTextWithWatson } from '../utils/watsonNLU'
-import { getCurrentWeather, getWeatherForecast, assessHazardRisk, isWeatherAPIConfigured } from '../utils/weatherAPI'
+import { getCurrentWeather, getWeatherForecast, assessHazardRisk, riskLevel, isWeatherAPIConfigured } from '../utils/weatherAPI'
 import { getHazardColor, normalizeHazardType, formatHazardLabel, HAZARD_COLORS } from '../utils/hazardUtils'
+import { fetchMdotEvents, fetchHazardHistory, fetchRouteHazards, fetchRouteWeather } from '../utils/hazardAPI'
+import { getHazardLabel, getHazardIcon, hazardCategory, classifyHazard } from '../utils/hazardTaxonomy'
+import { distanceBetween, pointInPolygon, METERS_PER_MILE } from '../utils/geoUtils'
+import { drawHazardGeometry } from '../utils/hazardOverlays'
+import { loadMapProvider, escapeHtml } from '../utils/maps'
+import { getRoute, NO_ROUTE } from '../utils/routing'
+import { routeCheckpoints, loadCheckpointForecasts, assessDeparture, findSafestDeparture, PLANNING_HORIZON_HOURS } from '../utils/departurePlanning'
+import ForecastTimeline from './ForecastTimeline'
+
+// Area around the location for nearby hazards and historical patterns
+const AREA_RADIUS_MILES = 10
 
-// MDOT 511 real-time events fetch via local proxy (avoids CORS)
-async function fetchMdotEvents() {
-  const url = 'http://localhost:3001/api/mdot/events'
-  console.log('📡 MDOT Hazard Fetch (proxy): Requesting', url)
-  try {
-    // Add timeout to prevent hanging
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 5000) // 5 second timeout
-    
-    const res = await fetch(url, { signal: controller.signal })
-    clearTimeout(timeoutId)
-    
-    if (!res.ok) {
-      console.error('❌ Proxy MDOT fetch failed:', res.status, res.statusText)
-      return []
-    }
-    const data = await res.json()
-    console.log('📦 Proxy MDOT JSON response (raw):', data)
-    if (!Array.isArray(data)) {
-      console.warn('⚠️ Proxy MDOT response not an array. Raw:', data)
-      return []
-    }
-    const normalized = data.map((evt, idx) => normalizeMdotEvent(evt, idx)).filter(e => e.lat && e.lng)
-    console.log(`✅ Proxy MDOT events loaded: ${normalized.length}`)
-    return normalized
-  } catch (err) {
-    if (err.name === 'AbortError') {
-      console.warn('⚠️ MDOT fetch timeout - continuing without hazard data')
-    } else {
-      console.error('❌ Proxy MDOT fetch error:', err)
-    }
-    return []
-  }
+// Check if a hazard is near a location or route
+function isHazardNearLocation(hazard, location, thresholdMiles = 10) {
+  if (!hazard.lat || !hazard.lng || !location.lat || !location.lng) return false
+  // Anywhere inside an alert's area is affected, however far from its center
+  if (pointInPolygon([location.lng, location.lat], hazard.geometry)) return true
+  return distanceBetween(hazard, location) <= thresholdMiles * METERS_PER_MILE
 }
 
-function normalizeMdotEvent(evt, idx) {
-  // Attempt multiple field name variants
-  const lat = evt.latitude ?? evt.lat ?? evt.Location?.Latitude ?? evt.location?.lat ?? null
-  const lng = evt.longitude ?? evt.lon ?? evt.Location?.Longitude ?? evt.location?.lng ?? null
-  const eventType = (evt.eventType || evt.type || evt.category || 'other').toString().toLowerCase()
-  const description = evt.description || evt.title || evt.text || eventType
-  const impact = evt.impact || evt.delay || evt.effect || null
-  const startDate = evt.startDate || evt.start || evt.startTime || null
-  const endDate = evt.endDate || evt.end || evt.endTime || null
-  return {
-    id: evt.id || evt.eventId || `mdot-${idx}`,
-    eventType,
-    description,
-    impact,
-    startDate,
-    endDate,
-    lat: typeof lat === 'string' ? parseFloat(lat) : lat,
-    lng: typeof lng === 'string' ? parseFloat(lng) : lng
-  }
+// Checkpoints reached within this long use observed conditions rather than the forecast
+const OBSERVED_WEATHER_MS = 90 * 60 * 1000
+
+// Route length and driving time as shown to drivers
+const formatMiles = (meters) => `${(meters / METERS_PER_MILE).toFixed(1)} mi`
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60)
+  return minutes < 60 ? `${minutes} mins` : `${Math.floor(minutes / 60)} hr ${minutes % 60} mins`
 }
+const formatClock = (date) => date.toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })
 
-// Check if a hazard is near a location or route
-function isHazardNearLocation(hazard, location, thresholdMiles = 10) {
-  if (!hazard.lat || !hazard.lng || !location.lat || !location.lng) return false
-  if (!window.google?.maps) return false
-  
-  const hazardPoint = new window.google.maps.LatLng(hazard.lat, hazard.lng)
-  const locationPoint = new window.google.maps.LatLng(location.lat, location.lng)
-  const distanceMeters = window.google.maps.geometry.spherical.computeDistanceBetween(hazardPoint, locationPoint)
-  const distanceMiles = distanceMeters / 1609.34
-  return distanceMiles <= thresholdMiles
+// Date as the value of a datetime-local input (local time, to the minute)
+function toDateTimeLocal(date) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
 }
 
-// Check if hazards are near route points
-function getHazardsNearRoute(hazards, routePath, thresholdMiles = 2) {
-  if (!routePath || !Array.isArray(routePath) || routePath.length === 0) return []
-  if (!window.google?.maps) return []
-  
-  const nearbyHazards = []
-  const thresholdMeters = thresholdMiles * 1609.34
-  
-  hazards.forEach(hazard => {
-    if (!hazard.lat || !hazard.lng) return
-    
-    const hazardPoint = new window.google.maps.LatLng(hazard.lat, hazard.lng)
-    let minDistance = Infinity
-    
-    // Check distance to nearest route point
-    for (let i = 0; i < routePath.length; i++) {
-      const routePoint = routePath[i]
-      let routeLatLng
-      if (routePoint.lat && routePoint.lng) {
-        routeLatLng = new window.google.maps.LatLng(routePoint.lat, routePoint.lng)
-      } else if (Array.isArray(routePoint)) {
-        // Handle [lng, lat] format
-        routeLatLng = new window.google.maps.LatLng(routePoint[1], routePoint[0])
-      } else if (typeof routePoint === 'object' && routePoint.lat && routePoint.lng) {
-        routeLatLng = new window.google.maps.LatLng(routePoint.lat, routePoint.lng)
-      } else continue
-      
-      const distance = window.google.maps.geometry.spherical.computeDistanceBetween(hazardPoint, routeLatLng)
-      if (distance < minDistance) minDistance = distance
-      
-      if (distance <= thresholdMeters) {
-        nearbyHazards.push({ ...hazard, distanceMiles: distance / 1609.34 })
-        return
-      }
-    }
+// Weather along a route for getRouteAnalysis: checkpoints with their forecasts (for departure planning) and the
+// weather at each one when the trip gets there. The proxy samples the route and caches weather for every client;
+// without it, each checkpoint is looked up from the browser.
+async function loadRouteWeather(path, duration, departure, hazardType) {
+  const routeWeather = await fetchRouteWeather(path, {
+    duration,
+    departAt: departure,
+    hazardType,
+    forecastHours: PLANNING_HORIZON_HOURS + duration / 3600
   })
-  
-  return nearbyHazards
+  if (routeWeather) {
+    return {
+      checkpoints: routeWeather.segments
+        .filter(s => s.forecast?.length > 0)
+        .map(s => ({ lat: s.lat, lng: s.lng, offsetSeconds: s.offsetSeconds, forecast: s.forecast })),
+      weatherPoints: routeWeather.segments
+        .filter(s => s.weather)
+        .map(s => ({ lat: s.lat, lng: s.lng, eta: s.eta, forecast: s.source === 'forecast', weather: s.weather, risk: s.risk }))
+    }
+  }
+
+  const checkpoints = isWeatherAPIConfigured() ? await loadCheckpointForecasts(routeCheckpoints(path, duration)) : []
+  const plan = assessDeparture(checkpoints, departure, hazardType)
+  const weatherPoints = (await Promise.all(plan.points.map(async p => {
+    const observed = p.eta - Date.now() < OBSERVED_WEATHER_MS ? await getCurrentWeather(p.lat, p.lng) : null
+    const weather = observed || p.weather
+    return weather
+      ? { lat: p.lat, lng: p.lng, eta: p.eta, forecast: !observed, weather, risk: assessHazardRisk(weather, hazardType) }
+      : null
+  }))).filter(Boolean)
+  return { checkpoints, weatherPoints }
 }
 
-// Enhanced route analysis with Google Maps Directions, real-time weather, and MDOT hazards
-async function getRouteAnalysis(routeStart, routeDest, hazardType, geocoder, directionsService, liveHazards = []) {
-  if (!geocoder || !directionsService) {
+// Enhanced route analysis with driving directions, weather when each part of the route is reached, and MDOT hazards
+// departAt: when the trip starts (defaults to now)
+async function getRouteAnalysis(routeStart, routeDest, hazardType, mapProvider, departAt = null) {
+  if (!mapProvider) {
     return null
   }
 
   try {
-    // Geocode start and destination with better error handling
-    const geocodeAddress = (address) => {
-      return new Promise((resolve, reject) => {
-        geocoder.geocode(
-          { address: address, region: 'us' }, // Add region hint for US addresses
-          (results, status) => {
-            if (status === 'OK' && results && results.length > 0) {
-              resolve(results)
-            } else {
-              let errorMsg = 'Unknown error'
-              switch (status) {
-                case 'ZERO_RESULTS':
-                  errorMsg = `No results found for "${address}"`
-                  break
-                case 'OVER_QUERY_LIMIT':
-                  errorMsg = 'Geocoding quota exceeded. Please try again later.'
-                  break
-                case 'REQUEST_DENIED':
-                  errorMsg = 'Geocoding request denied. Please check your API key.'
-                  break
-                case 'INVALID_REQUEST':
-                  errorMsg = `Invalid address: "${address}"`
-                  break
-                default:
-                  errorMsg = `Geocoding failed for "${address}" (${status})`
-              }
-              reject(new Error(errorMsg))
-            }
-          }
-        )
-      })
-    }
-
-    let startResults, destResults
+    let start, dest
     try {
-      [startResults, destResults] = await Promise.all([
-        geocodeAddress(routeStart),
-        geocodeAddress(routeDest)
+      [start, dest] = await Promise.all([
+        mapProvider.geocode(routeStart),
+        mapProvider.geocode(routeDest)
       ])
     } catch (error) {
       return { error: error.message || 'Could not find one or both locations. Please check the addresses and try again.' }
     }
 
-    const startLoc = startResults[0].geometry.location
-    const destLoc = destResults[0].geometry.location
-
-    // Get route directions with better error handling
-    const directionsResult = await new Promise((resolve, reject) => {
-      directionsService.route(
-        {
-          origin: startLoc,
-          destination: destLoc,
-          travelMode: window.google.maps.TravelMode.DRIVING,
-          region: 'us' // Add region hint
-        },
-        (result, status) => {
-          if (status === 'OK' && result && result.routes && result.routes.length > 0) {
-            resolve(result)
-          } else {
-            let errorMsg = 'Unknown error'
-            switch (status) {
-              case 'ZERO_RESULTS':
-                errorMsg = 'No route found between the two locations.'
-                break
-              case 'NOT_FOUND':
-                errorMsg = 'One or both locations could not be found.'
-                break
-              case 'OVER_QUERY_LIMIT':
-                errorMsg = 'Directions quota exceeded. Please try again later.'
-                break
-              case 'REQUEST_DENIED':
-                errorMsg = 'Directions request denied. Please check your API key.'
-                break
-              case 'INVALID_REQUEST':
-                errorMsg = 'Invalid route request. Please check your addresses.'
-                break
-              default:
-                errorMsg = `Directions failed: ${status}`
-            }
-            reject(new Error(errorMsg))
-          }
-        }
-      )
-    })
-
-    const route = directionsResult.routes[0]
-    const leg = route.legs[0]
-    const path = route.overview_path
+    let directions
+    try {
+      directions = await getRoute(start, dest)
+    } catch (error) {
+      return { error: error.message === NO_ROUTE ? 'No route found between the two locations.' : `Directions failed: ${error.message}` }
+    }
 
-    // Sample weather data along the route (every 5 points for efficiency)
-    const weatherPoints = []
-    const sampleInterval = Math.max(1, Math.floor(path.length / 5))
-    
-    for (let i = 0; i < path.length; i += sampleInterval) {
-      const point = path[i]
-      try {
-        const weather = await getCurrentWeather(point.lat(), point.lng())
-        if (weather) {
-          weatherPoints.push({
-            lat: point.lat(),
-            lng: point.lng(),
-            weather: weather,
-            risk: assessHazardRisk(weather, hazardType)
-          })
-        }
-      } catch (e) {
-        console.warn('Failed to fetch weather for route point:', e)
-      }
+    const path = directions.geometry
+    const leg = {
+      distance: formatMiles(directions.distance),
+      duration: formatDuration(directions.duration)
     }
 
-    // Get hazards near the route
-    const routeHazards = getHazardsNearRoute(liveHazards, path, 2) // 2 miles threshold
+    // Weather at checkpoints along the route, at the time the trip reaches each one:
+    // observed conditions for the first stretch, the forecast after that
+    const departure = departAt || new Date()
+    const arrival = new Date(departure.getTime() + directions.duration * 1000)
+    const { checkpoints, weatherPoints } = await loadRouteWeather(path, directions.duration, departure, hazardType)
+
+    // Safest time to leave over the next couple of days, by forecast alone
+    const departureAdvice = checkpoints.length > 0 ? findSafestDeparture(checkpoints, hazardType) : { options: [], window: null }
+
+    // Reported hazards within 2 miles of the route, in the order the route meets them
+    const routeHazards = await fetchRouteHazards(path, { buffer: 2 * METERS_PER_MILE })
 
     // Calculate overall route risk
     const totalRisk = weatherPoints.reduce((sum, p) => sum + p.risk.score, 0)
@@ -240,7 +124,7 @@ async function getRouteAnalysis(routeStart, routeDest, hazardType, geocoder, dir
     // Build comprehensive analysis text for Watson NLU
     const hazardsText = routeHazards.length > 0
       ? `\n\nHazards Along Route:\n${routeHazards.map((h, idx) => 
-          `${idx + 1}. ${h.eventType || 'Hazard'}: ${h.description || 'No description'}${h.impact ? ` (Impact: ${h.impact})` : ''}`
+          `${idx + 1}. Mile ${h.mileMarker} - ${h.eventType || 'Hazard'}: ${h.description || 'No description'}${h.impact ? ` (Impact: ${h.impact})` : ''}`
         ).join('\n')}`
       : '\n\nNo reported hazards along this route at this time.'
 
@@ -248,8 +132,10 @@ async function getRouteAnalysis(routeStart, routeDest, hazardType, geocoder, dir
       Route Analysis from ${routeStart} to ${routeDest}:
       
       Route Information:
-      - Distance: ${leg.distance.text}
-      - Estimated Duration: ${leg.duration.text}
+      - Distance: ${leg.distance}
+      - Estimated Duration: ${leg.duration}
+      - Departure: ${formatClock(departure)}
+      - Arrival: ${formatClock(arrival)}
       - Number of weather checkpoints: ${weatherPoints.length}
       - Reported hazards along route: ${routeHazards.length}
       
@@ -257,7 +143,7 @@ async function getRouteAnalysis(routeStart, routeDest, hazardType, geocoder, dir
       
       Weather Conditions Along Route:
       ${weatherPoints.map((p, idx) => `
-        Checkpoint ${idx + 1}:
+        Checkpoint ${idx + 1} (reached ${formatClock(p.eta)}, ${p.forecast ? 'forecast' : 'current conditions'}):
         - Temperature: ${p.weather.temp}°F
         - Conditions: ${p.weather.description}
         - Wind: ${p.weather.windSpeed} mph
@@ -275,7 +161,7 @@ async function getRouteAnalysis(routeStart, routeDest, hazardType, geocoder, dir
       ${hazardsText}
       
       Analysis Request:
-      Based on these real-time weather conditions${routeHazards.length > 0 ? ' and reported hazards' : ''} along the entire route, assess the overall safety for ${hazardType}.
+      Based on the weather expected along the route when it is driven${routeHazards.length > 0 ? ' and reported hazards' : ''} along the entire route, assess the overall safety for ${hazardType}.
       Identify the most dangerous segments, provide recommendations, and predict potential hazards.
       Consider the route distance, weather variability, risk distribution, and any existing hazards along the route.
       ${routeHazards.length > 0 ? 'Pay special attention to the reported hazards as they indicate current road conditions or incidents.' : ''}
@@ -292,12 +178,12 @@ async function getRouteAnalysis(routeStart, routeDest, hazardType, geocoder, dir
     })
 
     // Determine overall risk level
-    let overallRiskLevel = 'Low'
     let overallRiskScore = Math.round(avgRisk)
+    let overallRiskLevel = riskLevel(overallRiskScore)
     
-    if (overallRiskScore >= 60 || highRiskZones >= 2) {
+    if (highRiskZones >= 2) {
       overallRiskLevel = 'High'
-    } else if (overallRiskScore >= 30 || highRiskZones >= 1 || mediumRiskZones >= 2) {
+    } else if (overallRiskLevel === 'Low' && (highRiskZones >= 1 || mediumRiskZones >= 2)) {
       overallRiskLevel = 'Medium'
     }
 
@@ -308,8 +194,9 @@ async function getRouteAnalysis(routeStart, routeDest, hazardType, geocoder, dir
         return t.includes('accident') || t.includes('closure') || t.includes('weather') || t.includes('flood')
       })
       overallRiskScore = Math.min(100, overallRiskScore + (routeHazards.length * 5) + (criticalRouteHazards.length * 15))
-      if (overallRiskScore >= 60) overallRiskLevel = 'High'
-      else if (overallRiskScore >= 30 && overallRiskLevel === 'Low') overallRiskLevel = 'Medium'
+      // Raise the level to the score's, never lower it
+      const scoreLevel = riskLevel(overallRiskScore)
+      if (scoreLevel === 'High' || overallRiskLevel === 'Low') overallRiskLevel = scoreLevel
     }
 
     // Adjust based on NLU sentiment
@@ -317,7 +204,7 @@ async function getRouteAnalysis(routeStart, routeDest, hazardType, geocoder, dir
       const sentiment = nluAnalysis.sentiment.document
       if (sentiment.label === 'negative') {
         overallRiskScore = Math.min(100, overallRiskScore + 10)
-        if (overallRiskScore >= 60) overallRiskLevel = 'High'
+        if (riskLevel(overallRiskScore) === 'High') overallRiskLevel = 'High'
       }
     }
 
@@ -350,8 +237,8 @@ async function getRouteAnalysis(routeStart, routeDest, hazardType, geocoder, dir
       overallRiskScore,
       highRiskZones,
       mediumRiskZones,
-      leg.distance.text,
-      leg.duration.text,
+      leg.distance,
+      leg.duration,
       keywords,
       hazardType,
       routeHazards
@@ -366,16 +253,21 @@ async function getRouteAnalysis(routeStart, routeDest, hazardType, geocoder, dir
       explanation: explanation,
       route: {
         path: path,
-        distance: leg.distance.text,
-        duration: leg.duration.text,
-        startAddress: leg.start_address,
-        endAddress: leg.end_address
+        distance: leg.distance,
+        duration: leg.duration,
+        startAddress: start.address,
+        endAddress: dest.address,
+        start,
+        dest,
+        departAt: departure,
+        arriveAt: arrival
       },
+      departureWindow: departureAdvice.window,
+      departureOptions: departureAdvice.options,
       weatherPoints: weatherPoints,
       highRiskZones: highRiskZones,
       mediumRiskZones: mediumRiskZones,
-      routeHazards: routeHazards,
-      directionsResult: directionsResult
+      routeHazards: routeHazards
     }
   } catch (error) {
     console.error('Route analysis error:', error)
@@ -429,12 +321,12 @@ function generateRouteExplanation(riskLevel, riskScore, highRiskZones, mediumRis
   return explanation
 }
 
-const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY
-
 function PredictHazardsPage({ onBack, embed = false }) {
   const mapRef = useRef(null)
   const mapInstanceRef = useRef(null)
+  const mapProviderRef = useRef(null)
   const heatmapLayerRef = useRef(null)
+  const routeOverlaysRef = useRef([])
   const [mapsLoaded, setMapsLoaded] = useState(false)
   const [selectedHazard, setSelectedHazard] = useState(null) // No specific hazard selected - show all
   const [allHazardRisks, setAllHazardRisks] = useState({})
@@ -443,6 +335,7 @@ function PredictHazardsPage({ onBack, embed = false }) {
   const [loadingExplanation, setLoadingExplanation] = useState(false)
   const [routeStart, setRouteStart] = useState('')
   const [routeDest, setRouteDest] = useState('')
+  const [routeDepartAt, setRouteDepartAt] = useState('') // datetime-local value; empty means now
   const [routeResult, setRouteResult] = useState(null)
   const [loadingMap, setLoadingMap] = useState(true)
   const [error, setError] = useState(null)
@@ -455,46 +348,19 @@ function PredictHazardsPage({ onBack, embed = false }) {
   const [hazardRisk, setHazardRisk] = useState(null)
   const [locationInput, setLocationInput] = useState('')
   const [locationName, setLocationName] = useState('')
-  const [geocoder, setGeocoder] = useState(null)
-  const [directionsService, setDirectionsService] = useState(null)
-  const [directionsRenderer, setDirectionsRenderer] = useState(null)
   const [routePath, setRoutePath] = useState(null)
   const [liveHazards, setLiveHazards] = useState([])
+  const [historicalHazards, setHistoricalHazards] = useState([]) // archived hazards around userLocation, past 7 days
   const [nearbyHazards, setNearbyHazards] = useState([])
   const [loadingHazards, setLoadingHazards] = useState(false)
   const hazardMarkersRef = useRef([])
 
-  // Initialize geocoder and directions service when maps load
-  useEffect(() => {
-    if (mapsLoaded && window.google && window.google.maps) {
-      setGeocoder(new window.google.maps.Geocoder())
-      setDirectionsService(new window.google.maps.DirectionsService())
-      const renderer = new window.google.maps.DirectionsRenderer({
-        suppressMarkers: false,
-        polylineOptions: {
-          strokeColor: '#f6bd60',
-          strokeWeight: 5,
-          strokeOpacity: 0.8
-        }
-      })
-      setDirectionsRenderer(renderer)
-    }
-  }, [mapsLoaded])
-
   // Fetch MDOT hazards
   const fetchHazards = async () => {
     setLoadingHazards(true)
     try {
-      const hazards = await fetchMdotEvents()
-      setLiveHazards(hazards)
-      
-      // Filter hazards near user location
-      if (userLocation) {
-        const nearby = hazards.filter(h => isHazardNearLocation(h, userLocation, 10))
-        setNearbyHazards(nearby)
-      } else {
-        setNearbyHazards([])
-      }
+      const hazards = await fetchMdotEvents({ timeoutMs: 5000 })
+      setLiveHazards(hazards) // nearby hazards follow via the effect below
     } catch (error) {
       console.error('Error fetching hazards:', error)
       setLiveHazards([])
@@ -534,16 +400,9 @@ function PredictHazardsPage({ onBack, embed = false }) {
       
       // Fetch hazards in background - don't block the UI
       // This allows risk to be calculated immediately with just weather data
-      fetchMdotEvents()
+      fetchMdotEvents({ timeoutMs: 5000 })
         .then(hazards => {
-          if (Array.isArray(hazards)) {
-            setLiveHazards(hazards)
-            // Filter hazards near location (optimize by limiting check)
-            // Only check first 50 hazards to avoid performance issues
-            const hazardsToCheck = hazards.slice(0, 50)
-            const nearby = hazardsToCheck.filter(h => isHazardNearLocation(h, loc, 10))
-            setNearbyHazards(nearby)
-          }
+          if (Array.isArray(hazards)) setLiveHazards(hazards)
         })
         .catch(err => {
           console.warn('Hazards fetch failed (non-critical):', err)
@@ -585,12 +444,31 @@ function PredictHazardsPage({ onBack, embed = false }) {
     fetchHazards()
   }, [])
   
-  // Update nearby hazards when location changes
+  // Load the past week of archived hazards around the location for historical patterns
   useEffect(() => {
-    if (userLocation && liveHazards.length > 0) {
-      const nearby = liveHazards.filter(h => isHazardNearLocation(h, userLocation, 10))
-      setNearbyHazards(nearby)
-    }
+    if (!userLocation) return
+    let cancelled = false
+    const latDelta = AREA_RADIUS_MILES / 69
+    const lngDelta = latDelta / Math.cos(userLocation.lat * Math.PI / 180)
+    fetchHazardHistory({
+      from: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
+      bbox: [userLocation.lng - lngDelta, userLocation.lat - latDelta, userLocation.lng + lngDelta, userLocation.lat + latDelta],
+      timeoutMs: 5000
+    }).then(hazards => {
+      if (!cancelled) setHistoricalHazards(hazards)
+    })
+    return () => { cancelled = true }
+  }, [userLocation])
+  
+  // Update nearby hazards when location changes; the server's spatial index finds them, nearest first
+  useEffect(() => {
+    if (!userLocation || liveHazards.length === 0) return
+    let cancelled = false
+    fetchMdotEvents({ timeoutMs: 5000, near: userLocation, radius: AREA_RADIUS_MILES * METERS_PER_MILE })
+      .then(nearby => {
+        if (!cancelled) setNearbyHazards(nearby)
+      })
+    return () => { cancelled = true }
   }, [userLocation, liveHazards])
   
   // Display hazard markers on map
@@ -598,7 +476,7 @@ function PredictHazardsPage({ onBack, embed = false }) {
     if (!mapsLoaded || !mapInstanceRef.current || !liveHazards.length) return
     
     // Clear existing markers
-    hazardMarkersRef.current.forEach(marker => marker.setMap(null))
+    hazardMarkersRef.current.forEach(overlay => overlay.remove())
     hazardMarkersRef.current = []
     
     // Add markers for hazards
@@ -606,29 +484,21 @@ function PredictHazardsPage({ onBack, embed = false }) {
       if (!hazard.lat || !hazard.lng) return
       
       const color = getHazardColor(hazard.eventType)
-      const marker = new window.google.maps.Marker({
+      hazardMarkersRef.current.push(...drawHazardGeometry(mapInstanceRef.current, hazard, color))
+      const marker = mapInstanceRef.current.addMarker({
         position: { lat: hazard.lat, lng: hazard.lng },
-        map: mapInstanceRef.current,
         title: hazard.eventType || 'Hazard',
-        icon: {
-          path: window.google.maps.SymbolPath.CIRCLE,
-          scale: 10,
-          fillColor: color,
-          fillOpacity: 0.8,
-          strokeColor: '#ffffff',
-          strokeWeight: 2
-        }
-      })
-      
-      const infoWindow = new window.google.maps.InfoWindow({
-        content: `<div style="padding:8px;max-width:240px;">
-          <h3 style="margin:0 0 4px;color:#004e89;font-weight:600;font-size:13px;">${(hazard.eventType || '').toUpperCase()}</h3>
-          <p style="margin:0;font-size:12px;color:#555;">${hazard.description || 'No description'}</p>
-          ${hazard.impact ? `<p style="margin:4px 0 0;font-size:11px;color:#777;">Impact: ${hazard.impact}</p>` : ''}
+        radius: 10,
+        color,
+        fillOpacity: 0.8,
+        strokeColor: '#ffffff',
+        strokeWeight: 2,
+        popupHtml: `<div style="padding:8px;max-width:240px;">
+          <h3 style="margin:0 0 4px;color:#004e89;font-weight:600;font-size:13px;">${getHazardIcon(hazard.subtype || hazard.eventType)} ${escapeHtml(getHazardLabel(hazard.subtype || hazard.eventType).toUpperCase())}</h3>
+          <p style="margin:0;font-size:12px;color:#555;">${escapeHtml(hazard.description || 'No description')}</p>
+          ${hazard.impact ? `<p style="margin:4px 0 0;font-size:11px;color:#777;">Impact: ${escapeHtml(hazard.impact)}</p>` : ''}
         </div>`
       })
-      
-      marker.addListener('click', () => infoWindow.open(mapInstanceRef.current, marker))
       hazardMarkersRef.current.push(marker)
     })
   }, [mapsLoaded, liveHazards])
@@ -647,51 +517,22 @@ function PredictHazardsPage({ onBack, embed = false }) {
     setShowExplain(false)
     setExplanationText(null)
     
-    // Ensure geocoder is available
-    if (!geocoder) {
-      if (window.google && window.google.maps) {
-        const newGeocoder = new window.google.maps.Geocoder()
-        setGeocoder(newGeocoder)
-        // Wait a bit for state update, then retry
-        setTimeout(() => {
-          handleLocationSearch(e)
-        }, 100)
-        return
-      } else {
-        alert('Maps service is not ready yet. Please wait a moment and try again.')
-        return
-      }
+    const mapProvider = mapProviderRef.current
+    if (!mapProvider) {
+      alert('Maps service is not ready yet. Please wait a moment and try again.')
+      return
     }
 
     setLoadingWeather(true)
     
-    // Use the geocoder with proper error handling
-    const geo = geocoder || (window.google?.maps ? new window.google.maps.Geocoder() : null)
-    if (!geo) {
+    try {
+      const place = await mapProvider.geocode(searchQuery)
+      await updateLocation(place.lat, place.lng, place.address)
+      setLocationInput('')
+    } catch (err) {
+      alert(err.message || 'Location not found.')
       setLoadingWeather(false)
-      alert('Geocoding service not available. Please refresh the page.')
-      return
     }
-    
-    geo.geocode({ address: searchQuery }, async (results, status) => {
-      if (status === 'OK' && results && results[0]) {
-        const loc = results[0].geometry.location
-        const name = results[0].formatted_address
-        await updateLocation(loc.lat(), loc.lng(), name)
-        setLocationInput('')
-      } else {
-        let errorMsg = 'Location not found.'
-        if (status === 'ZERO_RESULTS') {
-          errorMsg = 'No results found for this location. Please try a different address or city name.'
-        } else if (status === 'OVER_QUERY_LIMIT') {
-          errorMsg = 'Too many requests. Please wait a moment and try again.'
-        } else if (status === 'REQUEST_DENIED') {
-          errorMsg = 'Geocoding request denied. Please check your API key settings.'
-        }
-        alert(errorMsg)
-        setLoadingWeather(false)
-      }
-    })
   }
 
   // Handle use current location button
@@ -721,52 +562,61 @@ function PredictHazardsPage({ onBack, embed = false }) {
     }
   }
 
-  // Analyze historical accident patterns from past hazards
-  const analyzeHistoricalPatterns = (hazards, location, daysBack = 7) => {
-    if (!hazards || hazards.length === 0) return { accidents: 0, patterns: [] }
+  // Analyze historical patterns from the proxy's hazard archive: per area, hour of day and weather
+  const analyzeHistoricalPatterns = (hazards, location, daysBack = 7, weather = null) => {
+    const empty = { accidents: 0, weatherIncidents: 0, totalIncidents: 0, patterns: [], byHour: new Array(24).fill(0), byWeather: {}, accidentsThisHour: 0, accidentsInCurrentWeather: 0 }
+    if (!hazards || hazards.length === 0 || !location) return empty
     
     const now = new Date()
     const pastDate = new Date(now.getTime() - (daysBack * 24 * 60 * 60 * 1000))
     
-    // Filter hazards within the location area and time period
+    // Hazards in this area that started within the period (alerts that were cleared count too)
     const historicalHazards = hazards.filter(h => {
-      if (!h.startDate && !h.endDate) return false
-      const hazardDate = h.startDate ? new Date(h.startDate) : new Date(h.endDate)
-      return hazardDate >= pastDate && hazardDate <= now
+      const started = new Date(h.startDate || h.firstSeen)
+      return started >= pastDate && started <= now && isHazardNearLocation(h, location, AREA_RADIUS_MILES)
     })
+    const weatherAlerts = historicalHazards.filter(h => hazardCategory(h.eventType) === 'weather')
+    const roadIncidents = historicalHazards.filter(h => hazardCategory(h.eventType) !== 'weather')
+    const accidents = roadIncidents.filter(h => hazardCategory(h.eventType) === 'accident')
     
-    // Count accidents by type
-    const accidentTypes = {}
-    const weatherConditions = {}
-    
-    historicalHazards.forEach(h => {
-      const type = (h.eventType || '').toLowerCase()
-      if (type.includes('accident') || type.includes('crash') || type.includes('incident')) {
-        accidentTypes[type] = (accidentTypes[type] || 0) + 1
-      }
-      if (type.includes('weather') || type.includes('snow') || type.includes('ice') || type.includes('flood')) {
-        weatherConditions[type] = (weatherConditions[type] || 0) + 1
-      }
+    // When road incidents happen, and what weather was in force when they did
+    const byHour = new Array(24).fill(0)
+    const byWeather = {}
+    roadIncidents.forEach(h => {
+      byHour[new Date(h.startDate || h.firstSeen).getHours()]++
+      const conditions = h.weather?.length ? h.weather : ['clear']
+      conditions.forEach(c => { byWeather[c] = (byWeather[c] || 0) + 1 })
     })
+    const currentHour = now.getHours()
+    const accidentsThisHour = accidents.filter(h => Math.abs(new Date(h.startDate || h.firstSeen).getHours() - currentHour) <= 1).length
+    const currentCondition = weather ? classifyHazard(weather.condition) : null
+    const currentWeatherKey = currentCondition?.category === 'weather' ? (currentCondition.subtype || 'weather') : 'clear'
+    const accidentsInCurrentWeather = accidents.filter(h => (h.weather?.length ? h.weather : ['clear']).includes(currentWeatherKey)).length
     
     const patterns = []
-    if (Object.keys(accidentTypes).length > 0) {
-      patterns.push(`Past ${daysBack} days: ${historicalHazards.filter(h => 
-        (h.eventType || '').toLowerCase().includes('accident')
-      ).length} accidents reported`)
+    if (accidents.length > 0) {
+      patterns.push(`Past ${daysBack} days: ${accidents.length} accidents reported in this area`)
+    }
+    const peakHour = byHour.indexOf(Math.max(...byHour))
+    if (roadIncidents.length > 0) {
+      patterns.push(`Most incidents start around ${new Date(0, 0, 1, peakHour).toLocaleTimeString([], { hour: 'numeric' })}`)
     }
-    if (Object.keys(weatherConditions).length > 0) {
-      patterns.push(`Historical weather incidents: ${Object.keys(weatherConditions).length} types`)
+    if (accidentsThisHour > 0) {
+      patterns.push(`${accidentsThisHour} accident${accidentsThisHour > 1 ? 's' : ''} at this time of day`)
     }
+    Object.entries(byWeather)
+      .filter(([condition]) => condition !== 'clear')
+      .forEach(([condition, count]) => patterns.push(`${count} incident${count > 1 ? 's' : ''} during ${getHazardLabel(condition).toLowerCase()} alerts`))
     
     return {
-      accidents: historicalHazards.filter(h => 
-        (h.eventType || '').toLowerCase().includes('accident') || 
-        (h.eventType || '').toLowerCase().includes('crash')
-      ).length,
-      weatherIncidents: Object.keys(weatherConditions).length,
-      totalIncidents: historicalHazards.length,
-      patterns: patterns
+      accidents: accidents.length,
+      weatherIncidents: weatherAlerts.length,
+      totalIncidents: roadIncidents.length,
+      patterns,
+      byHour,
+      byWeather,
+      accidentsThisHour,
+      accidentsInCurrentWeather
     }
   }
 
@@ -782,15 +632,16 @@ function PredictHazardsPage({ onBack, embed = false }) {
       })
       
       // Analyze historical patterns - always recalculate when location or hazards change
-      const historical = analyzeHistoricalPatterns(liveHazards, userLocation, 7)
+      const historical = analyzeHistoricalPatterns(historicalHazards, userLocation, 7, weatherData)
       
-      // Adjust risk scores based on historical accident data
+      // Adjust risk scores based on historical accident data; accidents at this hour or in
+      // this weather say more about right now than the weekly total
       if (historical.accidents > 0) {
         Object.keys(risks).forEach(type => {
           if (type === 'Accident Likelihood') {
-            risks[type].score = Math.min(100, risks[type].score + (historical.accidents * 5))
-            if (risks[type].score >= 60) risks[type].level = 'High'
-            else if (risks[type].score >= 30) risks[type].level = 'Medium'
+            const boost = historical.accidents * 3 + historical.accidentsThisHour * 5 + historical.accidentsInCurrentWeather * 5
+            risks[type].score = Math.min(100, risks[type].score + boost)
+            risks[type].level = riskLevel(risks[type].score)
           }
         })
       }
@@ -815,7 +666,7 @@ function PredictHazardsPage({ onBack, embed = false }) {
     }
     // Don't reset when weatherData is null - it might just be loading
     // Only reset if userLocation is cleared (which shouldn't happen during search)
-  }, [weatherData, liveHazards, userLocation])
+  }, [weatherData, historicalHazards, userLocation])
 
   // Update heatmap based on real weather data
   useEffect(() => {
@@ -840,39 +691,26 @@ function PredictHazardsPage({ onBack, embed = false }) {
       }
 
       if (heatmapLayerRef.current && points.length > 0) {
-        const weighted = points.map(p => ({
-          location: new window.google.maps.LatLng(p.lat, p.lng),
-          weight: p.weight
-        }))
-        heatmapLayerRef.current.setData(weighted)
+        heatmapLayerRef.current.setData(points)
       }
     }
   }, [mapsLoaded, weatherData, hazardRisk, userLocation])
 
-  // Load Google Maps script dynamically if needed
+  // Load the map provider (Google Maps or Leaflet, see src/utils/maps)
   useEffect(() => {
-    if (!GOOGLE_MAPS_API_KEY) {
-      setError('Missing Google Maps API key (VITE_GOOGLE_MAPS_API_KEY).')
-      setLoadingMap(false)
-      return
-    }
-    if (window.google && window.google.maps && window.google.maps.visualization) {
-      setMapsLoaded(true)
-      return
-    }
-    const script = document.createElement('script')
-    script.src = `https://maps.googleapis.com/maps/api/js?key=${GOOGLE_MAPS_API_KEY}&libraries=visualization,places`
-    script.async = true
-    script.defer = true
-    script.onload = () => setMapsLoaded(true)
-    script.onerror = () => {
-      setError('Failed to load Google Maps API.')
-      setLoadingMap(false)
-    }
-    document.head.appendChild(script)
-    return () => {
-      if (script.parentNode) script.parentNode.removeChild(script)
-    }
+    let cancelled = false
+    loadMapProvider()
+      .then(provider => {
+        if (cancelled) return
+        mapProviderRef.current = provider
+        setMapsLoaded(true)
+      })
+      .catch(err => {
+        if (cancelled) return
+        setError(err.message)
+        setLoadingMap(false)
+      })
+    return () => { cancelled = true }
   }, [])
 
   // Initialize map + heatmap
@@ -882,20 +720,11 @@ function PredictHazardsPage({ onBack, embed = false }) {
     const center = userLocation || { lat: 42.2808, lng: -83.7430 }
     
     try {
-      const map = new window.google.maps.Map(mapRef.current, {
-        center,
-        zoom: 10,
-        styles: [
-          { featureType: 'poi', stylers: [{ visibility: 'off' }] },
-          { featureType: 'transit', stylers: [{ visibility: 'off' }] }
-        ]
-      })
+      const map = mapProviderRef.current.createMap(mapRef.current, { center, zoom: 10 })
       mapInstanceRef.current = map
 
       // Initialize empty heatmap (will be populated with real data)
-      heatmapLayerRef.current = new window.google.maps.visualization.HeatmapLayer({
-        data: [],
-        map,
+      heatmapLayerRef.current = map.addHeatmap({
         radius: 40,
         opacity: 0.6,
         gradient: [
@@ -915,8 +744,7 @@ function PredictHazardsPage({ onBack, embed = false }) {
   // Update map center when location changes
   useEffect(() => {
     if (mapInstanceRef.current && userLocation) {
-      mapInstanceRef.current.setCenter(userLocation)
-      mapInstanceRef.current.setZoom(10)
+      mapInstanceRef.current.setView(userLocation, 10)
     }
   }, [userLocation])
 
@@ -942,7 +770,7 @@ function PredictHazardsPage({ onBack, embed = false }) {
       setLoadingInsights(true)
 
       // Analyze historical accident patterns
-      const historical = hazardRisk?.historicalData || analyzeHistoricalPatterns(liveHazards, userLocation, 7)
+      const historical = hazardRisk?.historicalData || analyzeHistoricalPatterns(historicalHazards, userLocation, 7, weatherData)
       
       // Build comprehensive analysis text with current and historical data
       const nearbyHazardsText = nearbyHazards.length > 0 
@@ -952,7 +780,7 @@ function PredictHazardsPage({ onBack, embed = false }) {
         : '\nNo nearby reported hazards at this time.'
       
       const historicalText = historical.accidents > 0 || historical.totalIncidents > 0
-        ? `\nHistorical Accident Data (past 7 days):\n- Total incidents: ${historical.totalIncidents}\n- Accidents: ${historical.accidents}\n- Weather-related incidents: ${historical.weatherIncidents}`
+        ? `\nHistorical Accident Data (past 7 days):\n- Total incidents: ${historical.totalIncidents}\n- Accidents: ${historical.accidents}\n- Weather alerts: ${historical.weatherIncidents}${historical.patterns.map(p => `\n- ${p}`).join('')}`
         : '\nNo recent historical accident data available for this area.'
       
       const allRisksText = Object.entries(allHazardRisks).map(([type, risk]) => 
@@ -1041,7 +869,7 @@ function PredictHazardsPage({ onBack, embed = false }) {
         let confidence = hazardRisk ? hazardRisk.score : 50
         
         // Adjust for historical accidents (past data is a strong predictor)
-        const historicalData = hazardRisk?.historicalData || analyzeHistoricalPatterns(liveHazards, userLocation, 7)
+        const historicalData = hazardRisk?.historicalData || analyzeHistoricalPatterns(historicalHazards, userLocation, 7, weatherData)
         if (historicalData.accidents > 0) {
           // Each past accident in the area increases confidence by 8-12%
           confidence = Math.min(100, confidence + (historicalData.accidents * 10))
@@ -1166,7 +994,7 @@ function PredictHazardsPage({ onBack, embed = false }) {
         insightsTimeoutRef.current = null
       }
     }
-  }, [weatherData, hazardRisk, locationName, allHazardRisks, nearbyHazards, userLocation])
+  }, [weatherData, hazardRisk, locationName, allHazardRisks, nearbyHazards, userLocation, historicalHazards])
 
   const submitRouteRisk = async (e) => {
     e.preventDefault()
@@ -1176,61 +1004,32 @@ function PredictHazardsPage({ onBack, embed = false }) {
     }
     
     // Wait for map services to be ready
-    if (!mapsLoaded || !window.google || !window.google.maps) {
+    if (!mapsLoaded || !mapProviderRef.current) {
       setRouteResult({ 
         level: 'Error', 
         zones: 0, 
-        msg: 'Google Maps is still loading. Please wait a moment and try again.' 
+        msg: 'The map is still loading. Please wait a moment and try again.' 
       })
       return
     }
     
-    // Initialize services if not already done
-    let geo = geocoder
-    let dirService = directionsService
-    
-    if (!geo || !dirService) {
-      if (window.google && window.google.maps) {
-        geo = new window.google.maps.Geocoder()
-        dirService = new window.google.maps.DirectionsService()
-        setGeocoder(geo)
-        setDirectionsService(dirService)
-      } else {
-        setRouteResult({ 
-          level: 'Error', 
-          zones: 0, 
-          msg: 'Map services not available. Please refresh the page.' 
-        })
-        return
-      }
+    const departAt = routeDepartAt ? new Date(routeDepartAt) : null
+    if (departAt && departAt - Date.now() > PLANNING_HORIZON_HOURS * 3600 * 1000) {
+      setRouteResult({ level: 'Error', zones: 0, msg: `Forecasts only reach ${PLANNING_HORIZON_HOURS} hours ahead. Pick an earlier departure.` })
+      return
     }
-    
+
     setAnalyzingRoute(true)
     setRouteResult(null)
     
     // Clear previous route
-    if (directionsRenderer) {
-      directionsRenderer.setMap(null)
-    }
-    
-    // Ensure directions renderer is initialized
-    let dirRenderer = directionsRenderer
-    if (!dirRenderer && mapInstanceRef.current) {
-      dirRenderer = new window.google.maps.DirectionsRenderer({
-        map: mapInstanceRef.current,
-        suppressMarkers: false,
-        polylineOptions: {
-          strokeColor: '#f6bd60',
-          strokeWeight: 5,
-          strokeOpacity: 0.8
-        }
-      })
-      setDirectionsRenderer(dirRenderer)
-    }
+    routeOverlaysRef.current.forEach(overlay => overlay.remove())
+    routeOverlaysRef.current = []
     
     try {
       // Analyze route for general hazards (we'll use "Accident Likelihood" as it's the most comprehensive)
-      const analysis = await getRouteAnalysis(routeStart, routeDest, 'Accident Likelihood', geo, dirService, liveHazards)
+      // Departures in the past count as leaving now
+      const analysis = await getRouteAnalysis(routeStart, routeDest, 'Accident Likelihood', mapProviderRef.current, departAt > new Date() ? departAt : null)
       
       if (analysis.error) {
         setRouteResult({ 
@@ -1243,15 +1042,18 @@ function PredictHazardsPage({ onBack, embed = false }) {
       }
       
       if (analysis) {
-        // Display route on map
-        if (dirRenderer && mapInstanceRef.current && analysis.directionsResult) {
-          dirRenderer.setMap(mapInstanceRef.current)
-          dirRenderer.setDirections(analysis.directionsResult)
+        // Display route on map with start and end markers
+        const map = mapInstanceRef.current
+        if (map && analysis.route?.path?.length) {
+          const { path, start, dest } = analysis.route
+          routeOverlaysRef.current = [
+            map.addPolyline({ path, color: '#f6bd60', weight: 5, opacity: 0.8 }),
+            map.addMarker({ position: start, title: start.address, radius: 8, color: '#2e7d32', strokeWeight: 2 }),
+            map.addMarker({ position: dest, title: dest.address, radius: 8, color: '#004e89', strokeWeight: 2 })
+          ]
           
           // Fit map to route
-          if (analysis.directionsResult.routes[0].bounds) {
-            mapInstanceRef.current.fitBounds(analysis.directionsResult.routes[0].bounds)
-          }
+          map.fitBounds(path)
         }
         
         // Update heatmap with route weather points and hazards
@@ -1261,10 +1063,7 @@ function PredictHazardsPage({ onBack, embed = false }) {
           // Add weather risk points
           if (analysis.weatherPoints.length > 0) {
             analysis.weatherPoints.forEach(p => {
-              heatmapData.push({
-            location: new window.google.maps.LatLng(p.lat, p.lng),
-            weight: p.risk.score / 100
-              })
+              heatmapData.push({ lat: p.lat, lng: p.lng, weight: p.risk.score / 100 })
             })
           }
           
@@ -1276,7 +1075,8 @@ function PredictHazardsPage({ onBack, embed = false }) {
                                       (hazard.eventType || '').toLowerCase().includes('closure') ||
                                       (hazard.eventType || '').toLowerCase().includes('weather')
                 heatmapData.push({
-                  location: new window.google.maps.LatLng(hazard.lat, hazard.lng),
+                  lat: hazard.lat,
+                  lng: hazard.lng,
                   weight: criticalHazard ? 0.9 : 0.7 // Higher weight for critical hazards
                 })
               }
@@ -1295,31 +1095,22 @@ function PredictHazardsPage({ onBack, embed = false }) {
           analysis.routeHazards.forEach(hazard => {
             if (hazard.lat && hazard.lng) {
               const color = getHazardColor(hazard.eventType)
-              const marker = new window.google.maps.Marker({
+              const marker = mapInstanceRef.current.addMarker({
                 position: { lat: hazard.lat, lng: hazard.lng },
-                map: mapInstanceRef.current,
                 title: `Route Hazard: ${hazard.eventType || 'Hazard'}`,
-                icon: {
-                  path: window.google.maps.SymbolPath.CIRCLE,
-                  scale: 12,
-                  fillColor: color,
-                  fillOpacity: 0.9,
-                  strokeColor: '#ffffff',
-                  strokeWeight: 3
-                },
-                zIndex: 1000 // Ensure route hazards appear above other markers
-              })
-              
-              const infoWindow = new window.google.maps.InfoWindow({
-                content: `<div style="padding:8px;max-width:240px;">
-                  <h3 style="margin:0 0 4px;color:#004e89;font-weight:600;font-size:13px;">ROUTE HAZARD: ${(hazard.eventType || '').toUpperCase()}</h3>
-                  <p style="margin:0;font-size:12px;color:#555;">${hazard.description || 'No description'}</p>
-                  ${hazard.impact ? `<p style="margin:4px 0 0;font-size:11px;color:#777;">Impact: ${hazard.impact}</p>` : ''}
+                radius: 12,
+                color,
+                fillOpacity: 0.9,
+                strokeColor: '#ffffff',
+                strokeWeight: 3,
+                zIndex: 1000, // Ensure route hazards appear above other markers
+                popupHtml: `<div style="padding:8px;max-width:240px;">
+                  <h3 style="margin:0 0 4px;color:#004e89;font-weight:600;font-size:13px;">ROUTE HAZARD: ${getHazardIcon(hazard.subtype || hazard.eventType)} ${escapeHtml(getHazardLabel(hazard.subtype || hazard.eventType).toUpperCase())}</h3>
+                  <p style="margin:0;font-size:12px;color:#555;">${escapeHtml(hazard.description || 'No description')}</p>
+                  ${hazard.impact ? `<p style="margin:4px 0 0;font-size:11px;color:#777;">Impact: ${escapeHtml(hazard.impact)}</p>` : ''}
                   <p style="margin:4px 0 0;font-size:11px;color:#dc143c;font-weight:600;">⚠️ On your route</p>
                 </div>`
               })
-              
-              marker.addListener('click', () => infoWindow.open(mapInstanceRef.current, marker))
               hazardMarkersRef.current.push(marker)
             }
           })
@@ -1339,6 +1130,10 @@ function PredictHazardsPage({ onBack, embed = false }) {
           duration: analysis.route?.duration,
           startAddress: analysis.route?.startAddress,
           endAddress: analysis.route?.endAddress,
+          departAt: analysis.route?.departAt,
+          arriveAt: analysis.route?.arriveAt,
+          departureWindow: analysis.departureWindow,
+          departureOptions: analysis.departureOptions,
           weatherPoints: analysis.weatherPoints,
           routeHazards: analysis.routeHazards || []
         })
@@ -1438,7 +1233,7 @@ function PredictHazardsPage({ onBack, embed = false }) {
                   <p className="text-gray-700 text-xs mt-1">Precipitation: {weatherData.precipitation.toFixed(2)}"</p>
                 )}
                 {!isWeatherAPIConfigured() && (
-                  <p className="text-xs text-yellow-600 mt-1">⚠️ Add VITE_OPENWEATHER_API_KEY to .env for real-time data</p>
+                  <p className="text-xs text-yellow-600 mt-1">⚠️ Set VITE_WEATHER_PROVIDER to nws or openweather for real-time data</p>
                 )}
               </>
             ) : (
@@ -1483,11 +1278,15 @@ function PredictHazardsPage({ onBack, embed = false }) {
           </div>
         </div>
 
+        {userLocation && (
+          <ForecastTimeline lat={userLocation.lat} lng={userLocation.lng} className="mb-6" />
+        )}
+
         {/* Map & Insights Layout */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 flex-1 min-h-0">
           {/* Map */}
           <div className="bg-white rounded-xl shadow border border-gray-100 overflow-hidden relative h-full">
-            <div ref={mapRef} className="absolute inset-0 w-full h-full" />
+            <div ref={mapRef} className="absolute inset-0 w-full h-full isolate" />
             {loadingMap && (
               <div className="absolute inset-0 flex items-center justify-center bg-white/70">
                 <div className="text-center">
@@ -1629,7 +1428,8 @@ function PredictHazardsPage({ onBack, embed = false }) {
                             <li key={hazard.id || idx} className="flex items-start space-x-2 text-xs text-gray-700">
                               <span className="text-orange-600 mt-0.5 font-bold">•</span>
                               <div className="flex-1">
-                                <span className="font-semibold capitalize">{hazard.eventType || 'Hazard'}:</span>
+                                <span className="text-gray-500">Mile {hazard.mileMarker} · </span>
+                              <span className="font-semibold capitalize">{hazard.eventType || 'Hazard'}:</span>
                                 <span className="ml-1">{hazard.description?.substring(0, 50) || 'No description'}{hazard.description?.length > 50 ? '...' : ''}</span>
                               </div>
                             </li>
@@ -1664,7 +1464,7 @@ function PredictHazardsPage({ onBack, embed = false }) {
                       
                       // Generate natural language explanation
                       try {
-                        const historicalAnalysis = hazardRisk?.historicalData || analyzeHistoricalPatterns(liveHazards, userLocation, 7)
+                        const historicalAnalysis = hazardRisk?.historicalData || analyzeHistoricalPatterns(historicalHazards, userLocation, 7, weatherData)
                         const explanationPrompt = `
                           Based on the following hazard prediction data, provide a clear, simple explanation (3-4 sentences) of what drivers should know:
                           
@@ -1807,6 +1607,27 @@ function PredictHazardsPage({ onBack, embed = false }) {
                       className="border-2 border-gray-300 rounded-md px-2 py-1.5 text-xs focus:outline-none focus:border-michigan-gold"
                     />
                   </div>
+                  <div className="flex flex-col space-y-1">
+                    <label className="text-xs font-semibold text-[#004e89]">Leave at</label>
+                    <div className="flex gap-1">
+                      <input
+                        type="datetime-local"
+                        value={routeDepartAt}
+                        onChange={(e) => setRouteDepartAt(e.target.value)}
+                        className="flex-1 min-w-0 border-2 border-gray-300 rounded-md px-2 py-1.5 text-xs focus:outline-none focus:border-michigan-gold"
+                      />
+                      {routeDepartAt && (
+                        <button
+                          type="button"
+                          onClick={() => setRouteDepartAt('')}
+                          className="text-xs font-semibold text-[#004e89] border-2 border-gray-300 rounded-md px-2 hover:bg-gray-100"
+                        >
+                          Now
+                        </button>
+                      )}
+                    </div>
+                    {!routeDepartAt && <p className="text-[10px] text-gray-500">Leaving now (up to {PLANNING_HORIZON_HOURS} hours ahead)</p>}
+                  </div>
                   <button
                     type="submit"
                     disabled={analyzingRoute || !mapsLoaded}
@@ -1830,6 +1651,37 @@ function PredictHazardsPage({ onBack, embed = false }) {
                         {routeResult.distance && (
                           <p className="text-gray-600 text-xs">{routeResult.distance} • {routeResult.duration}</p>
                         )}
+                        {routeResult.departAt && (
+                          <p className="text-gray-600 text-xs">🕐 Leave {formatClock(routeResult.departAt)} → arrive {formatClock(routeResult.arriveAt)}</p>
+                        )}
+                      </div>
+                    )}
+                    {routeResult.departureWindow && (
+                      <div className="pb-1.5 border-b border-gray-300">
+                        <p className="font-semibold text-[#004e89] text-xs">🗓️ Safest departure:</p>
+                        <p className="text-gray-600 text-xs mt-0.5">
+                          {routeResult.departureWindow.start.getTime() === routeResult.departureWindow.end.getTime()
+                            ? formatClock(routeResult.departureWindow.start)
+                            : `${formatClock(routeResult.departureWindow.start)} – ${formatClock(routeResult.departureWindow.end)}`}
+                          <span className="ml-1 text-gray-500">({routeResult.departureWindow.level} weather risk, {routeResult.departureWindow.score}%)</span>
+                        </p>
+                        <div className="flex items-end gap-px h-8 mt-1" title="Forecast weather risk by departure hour">
+                          {routeResult.departureOptions.map(o => (
+                            <div
+                              key={o.departAt.getTime()}
+                              className={`flex-1 rounded-sm ${o.level === 'High' ? 'bg-red-400' : o.level === 'Medium' ? 'bg-yellow-400' : 'bg-green-400'} ${o.departAt >= routeResult.departureWindow.start && o.departAt <= routeResult.departureWindow.end ? 'ring-1 ring-[#004e89]' : ''}`}
+                              style={{ height: `${Math.max(10, o.score)}%` }}
+                              title={`${formatClock(o.departAt)}: ${o.level} (${o.score}%)`}
+                            />
+                          ))}
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => setRouteDepartAt(toDateTimeLocal(routeResult.departureWindow.start))}
+                          className="mt-1 text-[10px] font-semibold text-[#004e89] hover:underline"
+                        >
+                          Leave at {formatClock(routeResult.departureWindow.start)} instead
+                        </button>
                       </div>
                     )}
                     <p>
@@ -1,5 +1,7 @@
-import { useState } from 'react'
-import { analyzeTextWithWatson, isWatsonNLUConfigured } from '../utils/watsonNLU'
+import { useState, useEffect } from 'react'
+import { analyzeTextWithWatson, isWatsonNLUConfigured, checkWatsonNLU } from '../utils/watsonNLU'
+import { submitHazardReport } from '../utils/hazardAPI'
+import { reportHazardTypeFor, getHazardLabel } from '../utils/hazardTaxonomy'
 import { HiExclamation, HiInformationCircle, HiCheckCircle, HiShieldCheck } from 'react-icons/hi'
 
 function ReportHazardPage({ embed = false }) {
@@ -7,6 +9,12 @@ function ReportHazardPage({ embed = false }) {
   const [description, setDescription] = useState('')
   const [analyzing, setAnalyzing] = useState(false)
   const [submitting, setSubmitting] = useState(false)
+  const [watsonReady, setWatsonReady] = useState(isWatsonNLUConfigured)
+
+  // The proxy holds the Watson credentials; ask whether it has them
+  useEffect(() => {
+    checkWatsonNLU().then(setWatsonReady)
+  }, [])
   
   // Extracted data from AI
   const [extractedData, setExtractedData] = useState({
@@ -15,29 +23,8 @@ function ReportHazardPage({ embed = false }) {
     summary: ''
   })
 
-  // Hazard type mapping from keywords to form values
-  const mapKeywordToHazardType = (keyword) => {
-    const kw = keyword.toLowerCase()
-    if (kw.includes('pothole') || kw.includes('hole')) return 'pothole'
-    if (kw.includes('accident') || kw.includes('crash') || kw.includes('collision')) return 'accident'
-    if (kw.includes('debris') || kw.includes('obstruction') || kw.includes('object')) return 'debris'
-    if (kw.includes('flood') || kw.includes('water')) return 'flooding'
-    if (kw.includes('ice') || kw.includes('icy') || kw.includes('snow') || kw.includes('slippery')) return 'icy-road'
-    if (kw.includes('construction') || kw.includes('work') || kw.includes('repair')) return 'construction'
-    return 'pothole' // default
-  }
-
-  const getHazardTypeLabel = (type) => {
-    const labels = {
-      'pothole': 'Pothole',
-      'accident': 'Accident',
-      'debris': 'Debris',
-      'flooding': 'Flooding',
-      'icy-road': 'Icy Road',
-      'construction': 'Construction'
-    }
-    return labels[type] || type
-  }
+  // Hazard type mapping from keywords to form values (shared taxonomy)
+  const mapKeywordToHazardType = (keyword) => reportHazardTypeFor(keyword) || 'pothole' // default
 
   // Analyze with Watson AI
   const handleAnalyze = async () => {
@@ -62,13 +49,7 @@ function ReportHazardPage({ embed = false }) {
         )
 
         // Find hazard-related keywords
-        const hazardKeywords = keywords.filter(k => {
-          const text = k.text.toLowerCase()
-          return text.includes('ice') || text.includes('flood') || text.includes('pothole') || 
-                 text.includes('accident') || text.includes('snow') || text.includes('water') ||
-                 text.includes('debris') || text.includes('construction') || text.includes('hole') ||
-                 text.includes('crash') || text.includes('work')
-        })
+        const hazardKeywords = keywords.filter(k => reportHazardTypeFor(k.text) !== null)
 
         // Extract data
         let location = ''
@@ -109,25 +90,47 @@ function ReportHazardPage({ embed = false }) {
     }
   }
 
+  // Best-effort device position so the report can be placed on the map
+  const getReporterPosition = () => new Promise(resolve => {
+    if (!navigator.geolocation) return resolve(null)
+    navigator.geolocation.getCurrentPosition(
+      (pos) => resolve({ latitude: pos.coords.latitude, longitude: pos.coords.longitude }),
+      () => resolve(null),
+      { enableHighAccuracy: true, maximumAge: 60000, timeout: 8000 }
+    )
+  })
+
   // Submit final report
   const handleSubmitReport = async () => {
     setSubmitting(true)
 
-    // In a real app, submit to backend
-    setTimeout(() => {
+    try {
+      const position = await getReporterPosition()
+      const saved = await submitHazardReport({
+        hazardType: extractedData.hazardType,
+        location: extractedData.location,
+        summary: extractedData.summary,
+        observedAt: new Date().toISOString(),
+        ...(position || {})
+      })
+
       alert(
         `Hazard report submitted successfully! ✓\n\n` +
-        `Type: ${getHazardTypeLabel(extractedData.hazardType)}\n` +
-        `Location: ${extractedData.location || 'Not specified'}\n` +
-        `Description: ${extractedData.summary}`
+        `Type: ${getHazardLabel(saved.hazardType)}\n` +
+        `Location: ${saved.location || 'Not specified'}\n` +
+        `Description: ${saved.summary}`
       )
       
       // Reset form
       setDescription('')
       setExtractedData({ location: '', hazardType: 'pothole', summary: '' })
       setStep(1)
+    } catch (error) {
+      console.error('Report submit error:', error)
+      alert(`Could not submit report.\n\n${error.message}`)
+    } finally {
       setSubmitting(false)
-    }, 800)
+    }
   }
 
   // Go back to step 1
@@ -142,13 +145,13 @@ function ReportHazardPage({ embed = false }) {
       </div>
       
       <div className="px-4 pt-2 pb-4 max-w-6xl mx-auto w-full flex-1 overflow-y-auto">
-        {!isWatsonNLUConfigured() && (
+        {!watsonReady && (
           <div className="mb-4 bg-yellow-50 border border-yellow-300 text-yellow-800 rounded-xl px-4 py-3 text-xs shadow-sm">
             <p className="font-semibold flex items-center gap-2 mb-1">
               <HiExclamation className="h-4 w-4" />
               AI Setup Required
             </p>
-            <p className="leading-snug">Add Watson NLU credentials to <code className="bg-yellow-100 px-1 rounded font-mono">VITE_WATSON_NLU_API_KEY</code> and <code className="bg-yellow-100 px-1 rounded font-mono">VITE_WATSON_NLU_URL</code>.</p>
+            <p className="leading-snug">Start the proxy server with Watson NLU credentials in <code className="bg-yellow-100 px-1 rounded font-mono">WATSON_NLU_API_KEY</code> and <code className="bg-yellow-100 px-1 rounded font-mono">WATSON_NLU_URL</code>.</p>
           </div>
         )}
 
@@ -203,7 +206,7 @@ function ReportHazardPage({ embed = false }) {
               </div>
               <div>
                 <p className="text-xs tracking-wide uppercase font-semibold text-gray-500 mb-1">Hazard Type</p>
-                <p className="text-sm font-medium text-gray-800">{getHazardTypeLabel(extractedData.hazardType)}</p>
+                <p className="text-sm font-medium text-gray-800">{getHazardLabel(extractedData.hazardType)}</p>
               </div>
               <div>
                 <p className="text-xs tracking-wide uppercase font-semibold text-gray-500 mb-1">Summary</p>
@@ -0,0 +1,102 @@
+// Departure-time planning: weather risk along a route at the time each part of it is reached
+// Checkpoints are spread evenly along the route; each carries how long after departure the driver gets
+// there, so one set of forecasts can be checked against any departure time.
+import { cumulativeMeters, pointAlongLine } from './geoUtils'
+import { getWeatherForecast, forecastAt, assessHazardRisk, riskLevel } from './weatherAPI'
+
+// How far ahead departures are planned
+export const PLANNING_HORIZON_HOURS = 48
+// Departures are compared at this spacing
+const DEPARTURE_STEP_MINUTES = 60
+// Departures scoring within this much of the best one count as part of the safest window
+const WINDOW_TOLERANCE = 5
+
+/**
+ * Evenly spaced points along a route with the time taken to reach each one
+ * @param {Array} path - Route points as [lng, lat]
+ * @param {number} durationSeconds - Driving time for the whole route
+ * @param {number} [count] - Checkpoints, including both ends
+ * @returns {Array} [{ lat, lng, offsetSeconds }]
+ */
+export function routeCheckpoints(path, durationSeconds, count = 5) {
+  if (!path?.length) return []
+  const totals = cumulativeMeters(path)
+  const length = totals[totals.length - 1]
+
+  const n = Math.min(count, path.length)
+  return Array.from({ length: n }, (_, i) => {
+    const target = n > 1 ? (i / (n - 1)) * length : 0
+    const [lng, lat] = pointAlongLine(path, target, totals)
+    return { lat, lng, offsetSeconds: length > 0 ? Math.round((target / length) * durationSeconds) : 0 }
+  })
+}
+
+/**
+ * Fetch the forecast at every checkpoint, far enough ahead for any departure in the planning horizon
+ * @param {Array} checkpoints - From routeCheckpoints
+ * @returns {Promise<Array>} Checkpoints with `forecast` (null where unavailable)
+ */
+export async function loadCheckpointForecasts(checkpoints) {
+  const travelHours = Math.max(0, ...checkpoints.map(c => c.offsetSeconds)) / 3600
+  const hours = PLANNING_HORIZON_HOURS + travelHours
+  const forecasts = await Promise.all(checkpoints.map(c => getWeatherForecast(c.lat, c.lng, { hours })))
+  return checkpoints.map((c, i) => ({ ...c, forecast: forecasts[i] }))
+}
+
+/**
+ * Forecast risk along the route for one departure time
+ * @param {Array} checkpoints - From loadCheckpointForecasts
+ * @param {Date} departAt
+ * @param {string} hazardType - See assessHazardRisk
+ * @returns {{ departAt: Date, arriveAt: Date, points: Array, score: number, level: string, complete: boolean }}
+ *   points are { lat, lng, eta, weather, risk } (weather and risk null past the forecast);
+ *   complete is false when some checkpoint had no forecast
+ */
+export function assessDeparture(checkpoints, departAt, hazardType) {
+  const points = checkpoints.map(c => {
+    const eta = new Date(departAt.getTime() + c.offsetSeconds * 1000)
+    const weather = forecastAt(c.forecast, eta)
+    return { lat: c.lat, lng: c.lng, eta, weather, risk: weather ? assessHazardRisk(weather, hazardType) : null }
+  })
+  const known = points.filter(p => p.risk)
+  const score = known.length > 0 ? Math.round(known.reduce((sum, p) => sum + p.risk.score, 0) / known.length) : 0
+  return {
+    departAt,
+    arriveAt: points[points.length - 1]?.eta || departAt,
+    points,
+    score,
+    level: riskLevel(score),
+    complete: known.length > 0 && known.length === points.length
+  }
+}
+
+/**
+ * Compare departures over the planning horizon and find the safest window
+ * @param {Array} checkpoints - From loadCheckpointForecasts
+ * @param {string} hazardType - See assessHazardRisk
+ * @param {Date} [from] - Earliest departure
+ * @returns {{ options: Array, window: { start: Date, end: Date, score: number, level: string }|null }}
+ *   options are { departAt, score, level } for every departure the forecast fully covers; ties go to the earliest
+ */
+export function findSafestDeparture(checkpoints, hazardType, from = new Date()) {
+  const options = []
+  for (let minutes = 0; minutes <= PLANNING_HORIZON_HOURS * 60; minutes += DEPARTURE_STEP_MINUTES) {
+    const plan = assessDeparture(checkpoints, new Date(from.getTime() + minutes * 60000), hazardType)
+    if (plan.complete) options.push({ departAt: plan.departAt, score: plan.score, level: plan.level })
+  }
+  if (options.length === 0) return { options, window: null }
+
+  const best = options.reduce((b, o, i) => (o.score < options[b].score ? i : b), 0)
+  // Grow the window over neighbors that score close to the best, but never across a gap where
+  // departures weren't fully forecast (the window would claim times nobody checked)
+  const joins = (i, j) => options[j].score <= options[best].score + WINDOW_TOLERANCE &&
+    Math.abs(options[j].departAt - options[i].departAt) <= DEPARTURE_STEP_MINUTES * 60000
+  let start = best
+  let end = best
+  while (start > 0 && joins(start, start - 1)) start--
+  while (end < options.length - 1 && joins(end, end + 1)) end++
+  return {
+    options,
+    window: { start: options[start].departAt, end: options[end].departAt, score: options[best].score, level: options[best].level }
+  }
+}
@@ -0,0 +1,379 @@
+// Geometry helpers for hazards and routes
+// Hazards may carry a GeoJSON geometry (Point, LineString, MultiLineString, Polygon, MultiPolygon) from the proxy;
+// routes are arrays of [lng, lat] (ORS) or {lat, lng} (Google) points.
+// Plain math with no map SDK, so the same code runs in the browser, on the server and with any map provider.
+
+const EARTH_RADIUS_METERS = 6371000
+export const METERS_PER_MILE = 1609.34
+
+const toRad = (deg) => (deg * Math.PI) / 180
+
+/**
+ * Normalize a route point to [lng, lat]
+ * @param {Array|object} point - [lng, lat], {lat, lng} or a google.maps.LatLng
+ * @returns {Array|null}
+ */
+export function toLngLat(point) {
+  if (Array.isArray(point)) return point.length >= 2 ? [point[0], point[1]] : null
+  if (!point) return null
+  const lat = typeof point.lat === 'function' ? point.lat() : point.lat
+  const lng = typeof point.lng === 'function' ? point.lng() : point.lng
+  return Number.isFinite(lat) && Number.isFinite(lng) ? [lng, lat] : null
+}
+
+/**
+ * Great-circle distance between two [lng, lat] points
+ * @returns {number} Meters
+ */
+export function haversineMeters(a, b) {
+  const dLat = toRad(b[1] - a[1])
+  const dLng = toRad(b[0] - a[0])
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h))
+}
+
+/**
+ * Great-circle distance between two points in any supported form
+ * @param {Array|object} a - [lng, lat], {lat, lng} or a google.maps.LatLng
+ * @param {Array|object} b - [lng, lat], {lat, lng} or a google.maps.LatLng
+ * @returns {number} Meters (Infinity when either point is unusable)
+ */
+export function distanceBetween(a, b) {
+  const from = toLngLat(a)
+  const to = toLngLat(b)
+  return from && to ? haversineMeters(from, to) : Infinity
+}
+
+// Project to local meters around a reference latitude (accurate at route/county scale)
+function projector(refLat) {
+  const kx = toRad(1) * EARTH_RADIUS_METERS * Math.cos(toRad(refLat))
+  const ky = toRad(1) * EARTH_RADIUS_METERS
+  return ([lng, lat]) => [lng * kx, lat * ky]
+}
+
+/**
+ * Shortest distance from a point to the segment a-b, all [lng, lat]
+ * @returns {number} Meters
+ */
+export function distanceToSegmentMeters(point, a, b) {
+  return projectOntoSegment(point, a, b).distanceMeters
+}
+
+// Closest point of segment a-b to a point, as a fraction t along the segment and the distance to it
+// (the projection is linear, so t also interpolates the segment in lng/lat)
+function projectOntoSegment(point, a, b) {
+  const project = projector(point[1])
+  const [px, py] = project(point)
+  const [ax, ay] = project(a)
+  const [bx, by] = project(b)
+  const dx = bx - ax
+  const dy = by - ay
+  const lengthSq = dx * dx + dy * dy
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq))
+  return { t, distanceMeters: Math.hypot(px - (ax + t * dx), py - (ay + t * dy)) }
+}
+
+/**
+ * Shortest distance from a point to a polyline
+ * @param {Array} point - [lng, lat]
+ * @param {Array} line - Array of [lng, lat]
+ * @returns {number} Meters (Infinity for an empty line)
+ */
+export function distanceToLineMeters(point, line) {
+  if (!Array.isArray(line) || line.length === 0) return Infinity
+  if (line.length === 1) return haversineMeters(point, line[0])
+  let min = Infinity
+  for (let i = 0; i < line.length - 1; i++) {
+    min = Math.min(min, distanceToSegmentMeters(point, line[i], line[i + 1]))
+  }
+  return min
+}
+
+// Ray casting against one ring of [lng, lat]
+function pointInRing([x, y], ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside
+  }
+  return inside
+}
+
+// Polygons of a Polygon/MultiPolygon geometry as arrays of rings (outer ring first)
+export function polygonsOf(geometry) {
+  if (geometry?.type === 'Polygon') return [geometry.coordinates]
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates
+  return []
+}
+
+// Lines of a LineString/MultiLineString geometry as arrays of [lng, lat] (empty parts dropped)
+export function linesOf(geometry) {
+  if (geometry?.type === 'LineString') return geometry.coordinates.length > 0 ? [geometry.coordinates] : []
+  if (geometry?.type === 'MultiLineString') return geometry.coordinates.filter(part => part.length > 0)
+  return []
+}
+
+/**
+ * Whether a point falls inside a Polygon or MultiPolygon (holes excluded)
+ * @param {Array} point - [lng, lat]
+ * @param {object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+export function pointInPolygon(point, geometry) {
+  return polygonsOf(geometry).some(([outer, ...holes]) =>
+    Array.isArray(outer) && pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole))
+  )
+}
+
+// Proper segment intersection test in lng/lat space (fine for the short segments we compare)
+function segmentsIntersect(p1, p2, q1, q2) {
+  const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])
+  const d1 = cross(q1, q2, p1)
+  const d2 = cross(q1, q2, p2)
+  const d3 = cross(p1, p2, q1)
+  const d4 = cross(p1, p2, q2)
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0))
+}
+
+/**
+ * Whether a route passes through a Polygon or MultiPolygon
+ * True when any route point is inside, or any route segment crosses a ring edge.
+ * @param {Array} route - Route points ([lng, lat] or {lat, lng})
+ * @param {object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+export function routeIntersectsPolygon(route, geometry) {
+  const line = (route || []).map(toLngLat).filter(Boolean)
+  const polygons = polygonsOf(geometry)
+  if (line.length === 0 || polygons.length === 0) return false
+  if (line.some(p => pointInPolygon(p, geometry))) return true
+  for (let i = 0; i < line.length - 1; i++) {
+    for (const rings of polygons) {
+      for (const ring of rings) {
+        for (let j = 0; j < ring.length - 1; j++) {
+          if (segmentsIntersect(line[i], line[i + 1], ring[j], ring[j + 1])) return true
+        }
+      }
+    }
+  }
+  return false
+}
+
+/**
+ * Distance from a hazard to a route, using the hazard's full geometry when it has one
+ * Polygons the route passes through are 0 m away; lines use their closest vertex.
+ * @param {object} hazard - { lat, lng, geometry? }
+ * @param {Array} route - Route points ([lng, lat] or {lat, lng})
+ * @returns {number} Meters (Infinity when either side has no usable coordinates)
+ */
+export function hazardDistanceToRoute(hazard, route) {
+  const line = (route || []).map(toLngLat).filter(Boolean)
+  if (line.length === 0) return Infinity
+  const geometry = hazard?.geometry
+  const polygons = polygonsOf(geometry)
+  if (polygons.length > 0) {
+    if (routeIntersectsPolygon(line, geometry)) return 0
+    const vertices = polygons.flatMap(rings => rings[0] || [])
+    return Math.min(...vertices.map(v => distanceToLineMeters(v, line)))
+  }
+  const lines = linesOf(geometry)
+  if (lines.length > 0) {
+    return Math.min(...lines.flatMap(part => [
+      ...part.map(v => distanceToLineMeters(v, line)),
+      ...line.map(p => distanceToLineMeters(p, part))
+    ]))
+  }
+  const point = toLngLat(hazard)
+  return point ? distanceToLineMeters(point, line) : Infinity
+}
+
+/**
+ * Distance along a line at each of its vertices
+ * @param {Array} line - Array of [lng, lat]
+ * @returns {number[]} Meters from the start, one per vertex (the last is the line's length)
+ */
+export function cumulativeMeters(line) {
+  const totals = [0]
+  for (let i = 1; i < line.length; i++) totals.push(totals[i - 1] + haversineMeters(line[i - 1], line[i]))
+  return totals
+}
+
+/**
+ * Length of a route
+ * @param {Array} route - Route points ([lng, lat] or {lat, lng})
+ * @returns {number} Meters
+ */
+export function routeLengthMeters(route) {
+  const line = (route || []).map(toLngLat).filter(Boolean)
+  return line.length > 0 ? cumulativeMeters(line)[line.length - 1] : 0
+}
+
+/**
+ * Point a given distance along a line
+ * @param {Array} line - Array of [lng, lat]
+ * @param {number} meters - Distance from the start (clamped to the line)
+ * @param {number[]} [totals] - Distance along the line at each vertex, when already known
+ * @returns {Array} [lng, lat]
+ */
+export function pointAlongLine(line, meters, totals = cumulativeMeters(line)) {
+  const i = totals.findIndex(t => t >= meters)
+  if (i <= 0) return i === 0 ? line[0] : line[line.length - 1]
+  const t = (meters - totals[i - 1]) / (totals[i] - totals[i - 1])
+  const [a, b] = [line[i - 1], line[i]]
+  return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])]
+}
+
+/**
+ * Where a point meets a polyline: how far it is from the line, and how far along the line that is
+ * @param {Array} point - [lng, lat]
+ * @param {Array} line - Array of [lng, lat]
+ * @param {number[]} [totals] - Distance along the line at each vertex, when already known
+ * @returns {{ distanceMeters: number, alongMeters: number, point: Array, segmentIndex: number }} point is the
+ *   closest point on the line ([lng, lat]) and segmentIndex the segment it lies on
+ */
+export function projectOntoLine(point, line, totals = cumulativeMeters(line)) {
+  if (line.length === 1) return { distanceMeters: haversineMeters(point, line[0]), alongMeters: 0, point: line[0], segmentIndex: 0 }
+  let best = { distanceMeters: Infinity, alongMeters: 0, point: line[0], segmentIndex: 0 }
+  for (let i = 0; i < line.length - 1; i++) {
+    const { t, distanceMeters } = projectOntoSegment(point, line[i], line[i + 1])
+    if (distanceMeters < best.distanceMeters) {
+      const [a, b] = [line[i], line[i + 1]]
+      best = {
+        distanceMeters,
+        alongMeters: totals[i] + t * (totals[i + 1] - totals[i]),
+        point: [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])],
+        segmentIndex: i
+      }
+    }
+  }
+  return best
+}
+
+/**
+ * Snap a position to a route and measure progress along it
+ * @param {Array|object} position - [lng, lat], {lat, lng} or a google.maps.LatLng
+ * @param {Array} route - Route points ([lng, lat] or {lat, lng})
+ * @returns {{ snapped: Array, distanceFromRouteMeters: number, traveledMeters: number, remainingMeters: number, totalMeters: number, segmentIndex: number }|null}
+ *   null when the position or the route has no usable coordinates
+ */
+export function routeProgress(position, route) {
+  const point = toLngLat(position)
+  const line = (route || []).map(toLngLat).filter(Boolean)
+  if (!point || line.length === 0) return null
+  const totals = cumulativeMeters(line)
+  const totalMeters = totals[totals.length - 1]
+  const { distanceMeters, alongMeters, point: snapped, segmentIndex } = projectOntoLine(point, line, totals)
+  return {
+    snapped,
+    distanceFromRouteMeters: distanceMeters,
+    traveledMeters: alongMeters,
+    remainingMeters: Math.max(0, totalMeters - alongMeters),
+    totalMeters,
+    segmentIndex
+  }
+}
+
+// Fraction along p1-p2 where it crosses q1-q2, or null when they don't cross
+function segmentCrossing(p1, p2, q1, q2) {
+  if (!segmentsIntersect(p1, p2, q1, q2)) return null
+  const rx = p2[0] - p1[0]
+  const ry = p2[1] - p1[1]
+  const sx = q2[0] - q1[0]
+  const sy = q2[1] - q1[1]
+  const denom = rx * sy - ry * sx
+  return denom === 0 ? 0 : ((q1[0] - p1[0]) * sy - (q1[1] - p1[1]) * sx) / denom
+}
+
+/**
+ * Where a route meets a hazard: distance from the route and distance along it
+ * Polygons the route passes through are met where the route first enters them (0 m away);
+ * other hazards at the point of the route closest to them.
+ * @param {object} hazard - { lat, lng, geometry? }
+ * @param {Array} route - Route points ([lng, lat] or {lat, lng})
+ * @returns {{ distanceMeters: number, alongMeters: number }|null} null when either side has no usable coordinates
+ */
+export function hazardPositionOnRoute(hazard, route) {
+  const line = (route || []).map(toLngLat).filter(Boolean)
+  if (line.length === 0) return null
+  const totals = cumulativeMeters(line)
+  const geometry = hazard?.geometry
+  const polygons = polygonsOf(geometry)
+  const lines = linesOf(geometry)
+
+  let candidates
+  if (polygons.length > 0) {
+    for (let i = 0; i < line.length; i++) {
+      if (pointInPolygon(line[i], geometry)) return { distanceMeters: 0, alongMeters: totals[i] }
+      if (i === line.length - 1) break
+      const crossings = polygons.flat().flatMap(ring =>
+        ring.slice(0, -1).map((v, j) => segmentCrossing(line[i], line[i + 1], v, ring[j + 1]))
+      ).filter(t => t !== null)
+      if (crossings.length > 0) {
+        return { distanceMeters: 0, alongMeters: totals[i] + Math.min(...crossings) * (totals[i + 1] - totals[i]) }
+      }
+    }
+    candidates = polygons.flatMap(rings => rings[0] || [])
+  } else if (lines.length > 0) {
+    candidates = lines.flat()
+  } else {
+    const point = toLngLat(hazard)
+    candidates = point ? [point] : []
+  }
+  if (candidates.length === 0) return null
+
+  let best = candidates
+    .map(v => projectOntoLine(v, line, totals))
+    .reduce((a, b) => (b.distanceMeters < a.distanceMeters ? b : a))
+  // A work zone line may come closest at one of the route's own vertices
+  lines.forEach(part => line.forEach((p, i) => {
+    const distanceMeters = distanceToLineMeters(p, part)
+    if (distanceMeters < best.distanceMeters) best = { distanceMeters, alongMeters: totals[i] }
+  }))
+  return best
+}
+
+/**
+ * Whether a hazard touches or comes within a threshold of a route
+ * @param {object} hazard - { lat, lng, geometry? }
+ * @param {Array} route - Route points ([lng, lat] or {lat, lng})
+ * @param {number} thresholdMeters - Distance threshold in meters
+ * @returns {boolean}
+ */
+export function isHazardNearRoute(hazard, route, thresholdMeters = METERS_PER_MILE) {
+  return hazardDistanceToRoute(hazard, route) <= thresholdMeters
+}
+
+/**
+ * Decode a Google encoded polyline (precision 5, as returned by Directions and ORS; Valhalla uses 6)
+ * @param {string} encoded
+ * @param {number} [precision] - Decimal places encoded
+ * @returns {Array} Array of [lng, lat]
+ * @throws {Error} When the string is not a valid encoded polyline
+ */
+export function decodePolyline(encoded, precision = 5) {
+  const points = []
+  const factor = 10 ** precision
+  let index = 0
+  let lat = 0
+  let lng = 0
+  const next = () => {
+    let result = 0
+    let shift = 0
+    let byte
+    do {
+      if (index >= encoded.length) throw new Error('Truncated encoded polyline')
+      byte = encoded.charCodeAt(index++) - 63
+      if (byte < 0 || byte > 63) throw new Error('Invalid character in encoded polyline')
+      result |= (byte & 0x1f) << shift
+      shift += 5
+    } while (byte >= 0x20)
+    return result & 1 ? ~(result >> 1) : result >> 1
+  }
+  while (index < encoded.length) {
+    lat += next()
+    lng += next()
+    points.push([lng / factor, lat / factor])
+  }
+  return points
+}
@@ -0,0 +1,118 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  haversineMeters,
+  distanceBetween,
+  distanceToSegmentMeters,
+  pointInPolygon,
+  cumulativeMeters,
+  pointAlongLine,
+  routeProgress,
+  hazardDistanceToRoute,
+  hazardPositionOnRoute,
+  decodePolyline
+} from './geoUtils.js'
+
+// One degree of arc on the earth's surface (6371 km radius)
+const DEGREE_METERS = 111194.93
+
+const assertNear = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message ?? 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`)
+
+test('haversineMeters measures great-circle distance between [lng, lat] points', () => {
+  assert.equal(haversineMeters([-83.0458, 42.3314], [-83.0458, 42.3314]), 0)
+  assertNear(haversineMeters([0, 0], [1, 0]), DEGREE_METERS, 0.01, 'one degree along the equator')
+  assertNear(haversineMeters([0, 0], [0, 1]), DEGREE_METERS, 0.01, 'one degree of latitude')
+  // Detroit to Ann Arbor
+  assertNear(haversineMeters([-83.0458, 42.3314], [-83.743, 42.2808]), 57600, 300, 'Detroit to Ann Arbor')
+})
+
+test('distanceBetween accepts [lng, lat], {lat, lng} and LatLng-style points', () => {
+  const detroit = [-83.0458, 42.3314]
+  const annArbor = { lat: 42.2808, lng: -83.743 }
+  const latLng = { lat: () => 42.2808, lng: () => -83.743 }
+  assert.equal(distanceBetween(detroit, annArbor), haversineMeters(detroit, [-83.743, 42.2808]))
+  assert.equal(distanceBetween(detroit, latLng), distanceBetween(detroit, annArbor))
+  assert.equal(distanceBetween(detroit, { lat: null, lng: -83 }), Infinity)
+  assert.equal(distanceBetween(null, detroit), Infinity)
+})
+
+test('distanceToSegmentMeters measures to the nearest point of the segment', () => {
+  const a = [-1, 0]
+  const b = [1, 0]
+  assertNear(distanceToSegmentMeters([0, 0.01], a, b), DEGREE_METERS * 0.01, 1, 'perpendicular to the middle')
+  assertNear(distanceToSegmentMeters([0.5, 0], a, b), 0, 1e-6, 'on the segment')
+  assertNear(distanceToSegmentMeters([2, 0], a, b), DEGREE_METERS, 1, 'past the end')
+  assertNear(distanceToSegmentMeters([-1, 0.01], a, a), DEGREE_METERS * 0.01, 1, 'degenerate segment')
+})
+
+test('pointInPolygon handles holes and MultiPolygons', () => {
+  const square = [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]]
+  const hole = [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]
+  const polygon = { type: 'Polygon', coordinates: [square, hole] }
+  assert.equal(pointInPolygon([0.5, 0.5], polygon), true)
+  assert.equal(pointInPolygon([2, 2], polygon), false, 'inside the hole')
+  assert.equal(pointInPolygon([5, 2], polygon), false, 'outside')
+
+  const multi = { type: 'MultiPolygon', coordinates: [[square], [[[10, 10], [11, 10], [11, 11], [10, 11], [10, 10]]]] }
+  assert.equal(pointInPolygon([10.5, 10.5], multi), true)
+  assert.equal(pointInPolygon([7, 7], multi), false)
+  assert.equal(pointInPolygon([0.5, 0.5], { type: 'Point', coordinates: [0.5, 0.5] }), false)
+})
+
+test('cumulativeMeters and pointAlongLine walk a line by distance', () => {
+  const line = [[0, 0], [0.01, 0], [0.01, 0.01]]
+  const totals = cumulativeMeters(line)
+  assert.equal(totals.length, 3)
+  assert.equal(totals[0], 0)
+  assertNear(totals[2], DEGREE_METERS * 0.02, 1, 'line length')
+
+  const halfway = pointAlongLine(line, totals[2] / 2, totals)
+  assertNear(halfway[0], 0.01, 1e-9, 'halfway lng')
+  assertNear(halfway[1], 0, 1e-9, 'halfway lat')
+  assert.deepEqual(pointAlongLine(line, -5), line[0])
+  assert.deepEqual(pointAlongLine(line, totals[2] + 1000), line[2])
+})
+
+test('routeProgress snaps a position to the route and measures progress', () => {
+  const route = [[0, 0], { lat: 0, lng: 0.02 }]
+  const progress = routeProgress({ lat: 0.001, lng: 0.005 }, route)
+  assertNear(progress.distanceFromRouteMeters, DEGREE_METERS * 0.001, 1, 'distance from route')
+  assertNear(progress.traveledMeters, DEGREE_METERS * 0.005, 1, 'traveled')
+  assertNear(progress.remainingMeters, DEGREE_METERS * 0.015, 1, 'remaining')
+  assertNear(progress.totalMeters, DEGREE_METERS * 0.02, 1, 'total')
+  assertNear(progress.snapped[0], 0.005, 1e-9, 'snapped lng')
+  assertNear(progress.snapped[1], 0, 1e-9, 'snapped lat')
+  assert.equal(progress.segmentIndex, 0)
+
+  const past = routeProgress([0.03, 0], route)
+  assert.equal(past.remainingMeters, 0)
+  assert.equal(routeProgress(null, route), null)
+  assert.equal(routeProgress([0, 0], []), null)
+})
+
+test('MultiLineString hazards are measured by their parts, not across the gaps', () => {
+  // Two stretches of work zone along the equator with a gap between them; the route crosses the gap
+  const hazard = {
+    lat: 0,
+    lng: 0.005,
+    geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [0.01, 0]], [[0.02, 0], [0.03, 0]]] }
+  }
+  const route = [[0.015, -0.01], [0.015, 0], [0.015, 0.01]]
+  assertNear(hazardDistanceToRoute(hazard, route), DEGREE_METERS * 0.005, 1, 'distance')
+  const position = hazardPositionOnRoute(hazard, route)
+  assertNear(position.distanceMeters, DEGREE_METERS * 0.005, 1, 'position distance')
+  assertNear(position.alongMeters, DEGREE_METERS * 0.01, 1, 'along')
+  const joined = { ...hazard, geometry: { type: 'LineString', coordinates: hazard.geometry.coordinates.flat() } }
+  assertNear(hazardDistanceToRoute(joined, route), 0, 1, 'a joined-up line would cross the route')
+})
+
+test('decodePolyline decodes Google encoded polylines to [lng, lat]', () => {
+  // The example from Google's encoded polyline documentation
+  assert.deepEqual(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@'), [[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]])
+  assert.deepEqual(decodePolyline(''), [])
+  // Precision 6 (Valhalla): the same deltas are a tenth as large
+  assert.deepEqual(decodePolyline('_p~iF~ps|U', 6), [[-12.02, 3.85]])
+  assert.throws(() => decodePolyline('_p~iF'), /Truncated/)
+  assert.throws(() => decodePolyline('_p~iF ps|U'), /Invalid character/)
+})
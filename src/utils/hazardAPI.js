@@ -0,0 +1,355 @@
+// MichiGuard proxy server client
+// Start the server with: npm run server
+// Override the default URL in .env: VITE_PROXY_URL=http://localhost:3001
+
+import { toLngLat, hazardPositionOnRoute, METERS_PER_MILE } from './geoUtils'
+
+export const PROXY_BASE_URL = import.meta.env.VITE_PROXY_URL || 'http://localhost:3001'
+
+/**
+ * Submit a crowdsourced hazard report to the proxy server
+ * @param {object} report - { hazardType, location, summary, latitude?, longitude?, observedAt? }
+ * @returns {Promise<object>} The stored report
+ * @throws {Error} With the server's validation details when the report is rejected
+ */
+export async function submitHazardReport(report) {
+  let response
+  try {
+    response = await fetch(`${PROXY_BASE_URL}/api/reports`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(report)
+    })
+  } catch (error) {
+    console.error('Hazard report submit failed:', error)
+    throw new Error('Could not reach the MichiGuard server. Start it with: npm run server')
+  }
+
+  const data = await response.json().catch(() => null)
+  if (!response.ok) {
+    const details = Array.isArray(data?.details) ? data.details.join('\n') : response.statusText
+    throw new Error(`${data?.error || 'Report rejected'}: ${details}`)
+  }
+  return data
+}
+
+/**
+ * Fetch live hazards (NWS, MDOT and community reports) via the proxy (avoids CORS)
+ * Never throws: returns an empty list so the UI keeps working without the server.
+ * Pass bbox ([west, south, east, north]) or near ({ lat, lng }) with radius (meters) to have the
+ * server return only the hazards in that area instead of the whole state.
+ * @param {object} options - { timeoutMs, bbox, near, radius }
+ * @returns {Promise<Array>} Normalized hazards with lat/lng (and distanceMeters for near queries)
+ */
+export async function fetchMdotEvents({ timeoutMs = 10000, bbox, near, radius } = {}) {
+  const params = new URLSearchParams()
+  if (bbox) params.set('bbox', bbox.join(','))
+  if (near) params.set('near', `${near.lat},${near.lng}`)
+  if (near && radius) params.set('radius', String(Math.round(radius)))
+  const url = `${PROXY_BASE_URL}/api/mdot/events${params.size > 0 ? `?${params}` : ''}`
+  console.log('📡 MDOT Hazard Fetch (proxy): Requesting', url)
+  try {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs)
+    
+    const res = await fetch(url, { 
+      signal: controller.signal,
+      headers: {
+        'Accept': 'application/json'
+      }
+    })
+    clearTimeout(timeoutId)
+    
+    if (!res.ok) {
+      console.error('❌ Proxy MDOT fetch failed:', res.status, res.statusText)
+      return []
+    }
+    const data = await res.json()
+    console.log('📦 Proxy MDOT JSON response (raw):', data)
+    // Older proxies returned a bare array; current ones return { incidents, meta }
+    const items = Array.isArray(data) ? data : data?.incidents
+    if (!Array.isArray(items)) {
+      console.warn('⚠️ Proxy MDOT response has no incident list. Raw:', data)
+      return []
+    }
+    if (Array.isArray(data?.meta?.sources)) {
+      data.meta.sources
+        .filter(s => s.status === 'failed')
+        .forEach(s => console.warn(`⚠️ Hazard source ${s.source} failed: ${s.error || 'unknown error'}`))
+    }
+    const normalized = items
+      .map((evt, idx) => (evt.distanceMeters != null ? { ...normalizeMdotEvent(evt, idx), distanceMeters: evt.distanceMeters } : normalizeMdotEvent(evt, idx)))
+      .filter(e => e.lat && e.lng)
+    console.log(`✅ Proxy MDOT events loaded: ${normalized.length}`)
+    return normalized
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      console.warn('⚠️ MDOT fetch timeout - server may not be running. Start server with: npm run server')
+    } else {
+      console.error('❌ Proxy MDOT fetch error:', err)
+    }
+    // Return empty array instead of throwing so UI doesn't break
+    return []
+  }
+}
+
+/**
+ * Hazards along a route, in the order the route meets them (server-side corridor query)
+ * Never throws: returns an empty list so routing keeps working without the server.
+ * @param {Array} route - Route points: [lng, lat] pairs (ORS), {lat, lng} or google.maps.LatLng
+ * @param {object} options - { buffer (meters, default 1 mile on the server), timeoutMs }
+ * @returns {Promise<Array>} Normalized hazards with distanceMeters, alongRouteMeters and mileMarker
+ */
+export async function fetchRouteHazards(route, { buffer, timeoutMs = 10000 } = {}) {
+  const coordinates = (route || []).map(toLngLat).filter(Boolean)
+  if (coordinates.length < 2) return []
+  try {
+    const res = await fetch(`${PROXY_BASE_URL}/api/route/hazards`, {
+      method: 'POST',
+      signal: AbortSignal.timeout(timeoutMs),
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify({ route: { type: 'LineString', coordinates }, ...(buffer !== undefined ? { buffer } : {}) })
+    })
+    const data = await res.json().catch(() => null)
+    if (!res.ok) {
+      console.error('❌ Route hazard query failed:', res.status, data?.details || res.statusText)
+      return []
+    }
+    return (data?.hazards || [])
+      .map((evt, idx) => ({
+        ...normalizeMdotEvent(evt, idx),
+        distanceMeters: evt.distanceMeters,
+        alongRouteMeters: evt.alongRouteMeters,
+        mileMarker: evt.mileMarker
+      }))
+      .filter(e => e.lat && e.lng)
+  } catch (err) {
+    console.warn('⚠️ Route hazards unavailable - server may not be running:', err.message)
+    return []
+  }
+}
+
+/**
+ * Fetch the weather along a route from the proxy, which samples it and caches weather for every client
+ * Returns null instead of throwing, so callers can fall back to looking the weather up themselves.
+ * @param {Array} route - Route points ([lng, lat] or {lat, lng})
+ * @param {object} options - { duration (seconds to drive it), departAt (Date), hazardType, segments,
+ *   forecastHours (include each segment's forecast this far ahead), timeoutMs }
+ * @returns {Promise<{ segments: Array, summary: object, meta: object }|null>} Segments with { lat, lng, mileMarker,
+ *   offsetSeconds, eta (Date), source, weather, risk, forecast? } (forecast step times as Dates)
+ */
+export async function fetchRouteWeather(route, { duration, departAt, hazardType, segments, forecastHours, timeoutMs = 20000 } = {}) {
+  const coordinates = (route || []).map(toLngLat).filter(Boolean)
+  if (coordinates.length < 2) return null
+  try {
+    const res = await fetch(`${PROXY_BASE_URL}/api/route/weather`, {
+      method: 'POST',
+      signal: AbortSignal.timeout(timeoutMs),
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify({
+        route: { type: 'LineString', coordinates },
+        ...(duration !== undefined ? { duration: Math.round(duration) } : {}),
+        ...(departAt ? { departAt: departAt.toISOString() } : {}),
+        ...(hazardType ? { hazardType } : {}),
+        ...(segments ? { segments } : {}),
+        ...(forecastHours ? { forecastHours: Math.ceil(forecastHours) } : {})
+      })
+    })
+    const data = await res.json().catch(() => null)
+    if (!res.ok) {
+      console.error('❌ Route weather query failed:', res.status, data?.details || res.statusText)
+      return null
+    }
+    return {
+      ...data,
+      segments: (data?.segments || []).map(s => ({
+        ...s,
+        eta: new Date(s.eta),
+        ...(s.forecast ? { forecast: s.forecast.map(step => ({ ...step, time: new Date(step.time) })) } : {})
+      }))
+    }
+  } catch (err) {
+    console.warn('⚠️ Route weather unavailable - server may not be running:', err.message)
+    return null
+  }
+}
+
+/**
+ * Fetch archived hazards (past and present) from the proxy
+ * Never throws: returns an empty list so predictions fall back to live data without the server.
+ * @param {object} query - { from, to (Date or ISO string), bbox ([west, south, east, north]), types, timeoutMs }
+ * @returns {Promise<Array>} Normalized hazards, each with `weather` (alerts in force when it started)
+ */
+export async function fetchHazardHistory({ from, to, bbox, types = [], timeoutMs = 10000 } = {}) {
+  const params = new URLSearchParams()
+  if (from) params.set('from', new Date(from).toISOString())
+  if (to) params.set('to', new Date(to).toISOString())
+  if (bbox) params.set('bbox', bbox.join(','))
+  if (types.length > 0) params.set('type', types.join(','))
+  const url = `${PROXY_BASE_URL}/api/hazards?${params}`
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs), headers: { 'Accept': 'application/json' } })
+    if (!res.ok) {
+      console.error('❌ Hazard history fetch failed:', res.status, res.statusText)
+      return []
+    }
+    const data = await res.json()
+    const items = Array.isArray(data?.incidents) ? data.incidents : []
+    return items
+      .map((evt, idx) => ({ ...normalizeMdotEvent(evt, idx), firstSeen: evt.firstSeen || null, clearedAt: evt.clearedAt || null, weather: evt.weather || [] }))
+      .filter(e => e.lat && e.lng)
+  } catch (err) {
+    console.warn('⚠️ Hazard history unavailable - server may not be running:', err.message)
+    return []
+  }
+}
+
+let proxyStatusRequest = null
+
+/**
+ * Which keyed services (watson, openweather, ors, graphhopper) the proxy has credentials for
+ * Asked once per page load; a failed request is retried on the next call.
+ * @returns {Promise<{ services: object, rateLimits: object }|null>} null when the server is unreachable
+ */
+export function fetchProxyStatus({ timeoutMs = 5000 } = {}) {
+  if (!proxyStatusRequest) {
+    proxyStatusRequest = fetch(`${PROXY_BASE_URL}/api/proxy/status`, { signal: AbortSignal.timeout(timeoutMs), headers: { 'Accept': 'application/json' } })
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`)
+        return res.json()
+      })
+      .catch(err => {
+        console.warn('⚠️ Proxy status unavailable - server may not be running:', err.message)
+        proxyStatusRequest = null
+        return null
+      })
+  }
+  return proxyStatusRequest
+}
+
+export function normalizeMdotEvent(evt, idx) {
+  // Attempt multiple field name variants
+  const lat = evt.latitude ?? evt.lat ?? evt.Location?.Latitude ?? evt.location?.lat ?? null
+  const lng = evt.longitude ?? evt.lon ?? evt.Location?.Longitude ?? evt.location?.lng ?? null
+  const eventType = (evt.eventType || evt.type || evt.category || 'other').toString().toLowerCase()
+  const description = evt.description || evt.title || evt.text || eventType
+  const impact = evt.impact || evt.delay || evt.effect || null
+  const startDate = evt.startDate || evt.start || evt.startTime || null
+  const endDate = evt.endDate || evt.end || evt.endTime || null
+  const roadway = evt.roadway || evt.road || evt.route || null
+  return {
+    id: evt.id || evt.eventId || `mdot-${idx}`,
+    eventType,
+    description,
+    impact,
+    startDate,
+    endDate,
+    roadway,
+    source: evt.source || null,
+    subtype: evt.subtype || null,
+    severity: evt.severity || null,
+    lanesAffected: evt.lanesAffected || null,
+    reducedSpeedLimitMph: evt.reducedSpeedLimitMph ?? null,
+    workersPresent: evt.workersPresent ?? null,
+    alsoReportedBy: evt.alsoReportedBy || [],
+    // Full GeoJSON geometry (alert polygons, work-zone lines) when the source has one
+    geometry: evt.geometry || null,
+    lat: typeof lat === 'string' ? parseFloat(lat) : lat,
+    lng: typeof lng === 'string' ? parseFloat(lng) : lng
+  }
+}
+
+// Identity of a hazard across snapshot and delta events
+export const hazardKey = (hazard) => `${hazard.source || ''}|${hazard.id}`
+
+/**
+ * Subscribe to live hazard changes from the proxy (Server-Sent Events)
+ * The browser reconnects on its own after network drops; every (re)connect starts with a snapshot.
+ * @param {object} handlers - { onSnapshot(hazards), onDelta({ added, updated, expired }), onError(event) }
+ * @returns {function} Unsubscribe
+ */
+export function subscribeToHazards({ onSnapshot, onDelta, onError } = {}) {
+  if (typeof EventSource === 'undefined') {
+    console.warn('⚠️ Live hazard updates unavailable: EventSource not supported')
+    return () => {}
+  }
+  const url = `${PROXY_BASE_URL}/api/hazards/stream`
+  console.log('📡 Subscribing to live hazards:', url)
+  const source = new EventSource(url)
+  const normalizeList = (items) => (items || []).map(normalizeMdotEvent).filter(e => e.lat && e.lng)
+
+  source.addEventListener('snapshot', (event) => {
+    try {
+      const data = JSON.parse(event.data)
+      onSnapshot?.(normalizeList(data.incidents))
+    } catch (err) {
+      console.error('❌ Bad hazard snapshot:', err)
+    }
+  })
+  source.addEventListener('delta', (event) => {
+    try {
+      const data = JSON.parse(event.data)
+      onDelta?.({ added: normalizeList(data.added), updated: normalizeList(data.updated), expired: data.expired || [] })
+    } catch (err) {
+      console.error('❌ Bad hazard delta:', err)
+    }
+  })
+  source.onerror = (event) => {
+    console.warn('⚠️ Live hazard stream interrupted - server may not be running. Retrying...')
+    onError?.(event)
+  }
+  return () => source.close()
+}
+
+/**
+ * Apply a live delta to a hazard list
+ * @param {Array} hazards - Current normalized hazards
+ * @param {object} delta - { added, updated, expired } from subscribeToHazards
+ * @returns {Array} New list (updated hazards keep their position)
+ */
+export function applyHazardDelta(hazards, { added = [], updated = [], expired = [] }) {
+  const gone = new Set(expired.map(hazardKey))
+  const changed = new Map([...updated, ...added].map(h => [hazardKey(h), h]))
+  const next = hazards
+    .filter(h => !gone.has(hazardKey(h)))
+    .map(h => {
+      const key = hazardKey(h)
+      if (!changed.has(key)) return h
+      const replacement = changed.get(key)
+      changed.delete(key)
+      return replacement
+    })
+  return [...next, ...changed.values()]
+}
+
+// A hazard with the route fields fetchRouteHazards gives it, measured the way the proxy does (null off the route)
+function measureOnRoute(hazard, route) {
+  const position = hazardPositionOnRoute(hazard, route)
+  return position && {
+    ...hazard,
+    distanceMeters: Math.round(position.distanceMeters),
+    alongRouteMeters: Math.round(position.alongMeters),
+    mileMarker: Math.round((position.alongMeters / METERS_PER_MILE) * 10) / 10
+  }
+}
+
+/**
+ * Apply a live delta to the hazards along a route
+ * Added and updated hazards are measured against the route here, so the list follows the live feed
+ * without another route hazard query. For a snapshot, pass an empty list and { added: snapshot }.
+ * @param {Array} routeHazards - From fetchRouteHazards
+ * @param {object} delta - { added, updated, expired } from subscribeToHazards
+ * @param {Array} route - Route points ([lng, lat] or {lat, lng})
+ * @param {number} [bufferMeters] - Same buffer as the route hazard query (the server's default, 1 mile)
+ * @returns {Array} New list, in the order the route meets them
+ */
+export function applyRouteHazardDelta(routeHazards, { added = [], updated = [], expired = [] }, route, bufferMeters = METERS_PER_MILE) {
+  const changed = [...updated, ...added]
+  const replaced = new Set([...expired, ...changed].map(hazardKey))
+  const onRoute = changed.map(h => measureOnRoute(h, route)).filter(h => h && h.distanceMeters <= bufferMeters)
+  return [...routeHazards.filter(h => !replaced.has(hazardKey(h))), ...onRoute]
+    .sort((a, b) => a.alongRouteMeters - b.alongRouteMeters || a.distanceMeters - b.distanceMeters)
+}
@@ -0,0 +1,22 @@
+// Map overlays for hazards that cover an area or a stretch of road
+// (NWS alert polygons, WZDx work-zone lines); point hazards only get their marker.
+import { polygonsOf, linesOf } from './geoUtils'
+
+/**
+ * Draw a hazard's geometry on a map
+ * @param {object} map - Map from the map provider (src/utils/maps)
+ * @param {object} hazard - Normalized hazard with optional GeoJSON `geometry`
+ * @param {string} color - Fill/stroke color
+ * @returns {Array} Overlays drawn (call remove() on each to remove)
+ */
+export function drawHazardGeometry(map, hazard, color) {
+  const geometry = hazard?.geometry
+  if (!map || !geometry) return []
+
+  const polygons = polygonsOf(geometry)
+  if (polygons.length > 0) {
+    return [map.addPolygon({ polygons, color, weight: 2, opacity: 0.8, fillOpacity: 0.15 })]
+  }
+  // One polyline per part, so the separate stretches of a work zone aren't joined up
+  return linesOf(geometry).map(path => map.addPolyline({ path, color, weight: 6, opacity: 0.9 }))
+}
@@ -0,0 +1,161 @@
+// Canonical hazard taxonomy shared by the proxy server and the React app
+// Plain ESM with no browser or Node APIs: the server imports this file directly.
+//
+// Every hazard has a category (what the map colors and filters by) and optionally a subtype
+// (what a driver would call it: pothole, icy road, downed line...). Feeds, predictions and
+// reports are all classified with classifyHazard() so they land in the same buckets.
+
+// Categories in matching priority: the first whose keywords match wins
+// ("icy road crash" is an accident, "lane closed" is a closure)
+export const HAZARD_CATEGORIES = {
+  accident: {
+    label: 'Accident',
+    color: '#FFD93D',
+    icon: '💥',
+    match: /accident|crash|collision/
+  },
+  roadwork: {
+    label: 'Construction',
+    color: '#FF6B6B',
+    icon: '🚧',
+    match: /construct|roadwork|\bwork|repair|maintenance|detour/
+  },
+  closure: {
+    label: 'Closure',
+    color: '#DC143C',
+    icon: '⛔',
+    match: /closure|closed|block/
+  },
+  congestion: {
+    label: 'Congestion',
+    color: '#FFA500',
+    icon: '🚗',
+    match: /congestion|traffic|delay|stationary|queue/
+  },
+  lane: {
+    label: 'Lane Closure',
+    color: '#9370DB',
+    icon: '🛣️',
+    match: /lane/
+  },
+  weather: {
+    label: 'Weather',
+    color: '#4ECDC4',
+    icon: '🌨️',
+    match: /weather|\bic(e|y)|snow|wind|flood|storm|fog|visibility|blizzard|freez|sleet|tornado|thunder|slippery|\bwater\b/
+  },
+  'road-hazard': {
+    label: 'Road Hazard',
+    color: '#A0522D',
+    icon: '⚠️',
+    match: /pot ?hole|\bhole\b|debris|obstruct|object|downed|power ?line|wire|wildlife|deer|animal/
+  },
+  incident: {
+    label: 'Incident',
+    color: '#f6bd60',
+    icon: '🚨',
+    match: /incident|event/
+  },
+  other: {
+    label: 'Other',
+    color: '#808080',
+    icon: '📍',
+    match: null
+  }
+}
+
+// Subtypes within a category, also in matching priority
+export const HAZARD_SUBTYPES = {
+  construction: { category: 'roadwork', label: 'Construction', icon: '🚧', match: /construct|roadwork|repair/ },
+  'work-zone': { category: 'roadwork', label: 'Work Zone', icon: '👷', match: /work[- ]?zone/ },
+  detour: { category: 'roadwork', label: 'Detour', icon: '↪️', match: /detour/ },
+  'icy-road': { category: 'weather', label: 'Icy Road', icon: '🧊', match: /\bic(e|y)|slippery|freezing rain|sleet/ },
+  flooding: { category: 'weather', label: 'Flooding', icon: '🌊', match: /flood|high water|standing water|\bwater\b/ },
+  snow: { category: 'weather', label: 'Snow', icon: '❄️', match: /snow|blizzard/ },
+  fog: { category: 'weather', label: 'Fog / Low Visibility', icon: '🌫️', match: /fog|visibility/ },
+  wind: { category: 'weather', label: 'High Wind', icon: '💨', match: /wind/ },
+  pothole: { category: 'road-hazard', label: 'Pothole', icon: '🕳️', match: /pot ?hole|\bhole\b/ },
+  debris: { category: 'road-hazard', label: 'Debris', icon: '🪨', match: /debris|obstruct|object/ },
+  'downed-line': { category: 'road-hazard', label: 'Downed Line', icon: '⚡', match: /downed|power ?line|wire/ },
+  wildlife: { category: 'road-hazard', label: 'Wildlife', icon: '🦌', match: /wildlife|deer|animal/ }
+}
+
+// Names other parts of the app (and older servers) used for the same category
+const CATEGORY_ALIASES = {
+  construction: 'roadwork'
+}
+
+// Hazard types drivers can pick on the Report a Hazard page (subtypes, or a category
+// when there is no finer split); the server accepts exactly these
+export const REPORT_HAZARD_TYPES = ['pothole', 'accident', 'debris', 'flooding', 'icy-road', 'construction', 'downed-line', 'wildlife']
+
+/**
+ * Classify free text or an upstream type into the canonical taxonomy
+ * @param {string} raw - Event type, alert name, keyword or description
+ * @returns {{ category: string, subtype: string|null }}
+ */
+export function classifyHazard(raw) {
+  const text = (raw || '').toString().toLowerCase().trim()
+  if (!text) return { category: 'other', subtype: null }
+  if (HAZARD_SUBTYPES[text]) return { category: HAZARD_SUBTYPES[text].category, subtype: text }
+  if (HAZARD_CATEGORIES[text]) return { category: text, subtype: null }
+  if (CATEGORY_ALIASES[text]) return { category: CATEGORY_ALIASES[text], subtype: null }
+
+  const category = Object.keys(HAZARD_CATEGORIES).find(id => {
+    const { match } = HAZARD_CATEGORIES[id]
+    return match && match.test(text)
+  }) || 'other'
+  const subtype = Object.keys(HAZARD_SUBTYPES).find(id =>
+    HAZARD_SUBTYPES[id].category === category && HAZARD_SUBTYPES[id].match.test(text)
+  ) || null
+  return { category, subtype }
+}
+
+/**
+ * Canonical category for any type, subtype or free text
+ * @param {string} raw
+ * @returns {string} Key of HAZARD_CATEGORIES
+ */
+export function hazardCategory(raw) {
+  return classifyHazard(raw).category
+}
+
+/**
+ * Report hazard type for a keyword (e.g. from Watson NLU), if it names one
+ * @param {string} text
+ * @returns {string|null} One of REPORT_HAZARD_TYPES
+ */
+export function reportHazardTypeFor(text) {
+  const { category, subtype } = classifyHazard(text)
+  if (subtype === 'work-zone' || subtype === 'detour' || (category === 'roadwork' && !subtype)) return 'construction'
+  if (subtype && REPORT_HAZARD_TYPES.includes(subtype)) return subtype
+  return REPORT_HAZARD_TYPES.includes(category) ? category : null
+}
+
+// Subtype entry if the value is a subtype, otherwise its category entry
+function describe(raw) {
+  const key = (raw || '').toString().toLowerCase()
+  if (HAZARD_SUBTYPES[key]) return HAZARD_SUBTYPES[key]
+  return HAZARD_CATEGORIES[hazardCategory(raw)]
+}
+
+/**
+ * Display label for a category, subtype or free text ('icy-road' -> 'Icy Road')
+ */
+export function getHazardLabel(raw) {
+  return describe(raw).label
+}
+
+/**
+ * Emoji icon for a category, subtype or free text
+ */
+export function getHazardIcon(raw) {
+  return describe(raw).icon
+}
+
+/**
+ * Map color for any hazard; subtypes use their category's color
+ */
+export function getCategoryColor(raw) {
+  return HAZARD_CATEGORIES[hazardCategory(raw)].color
+}
@@ -0,0 +1,151 @@
+// Google Maps provider
+// Needs VITE_GOOGLE_MAPS_API_KEY with the Maps JavaScript, Places and Geocoding APIs enabled.
+import { toLngLat } from '../geoUtils'
+
+const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY
+
+// Points of interest and transit compete with hazard markers, so both pages hide them
+const QUIET_STYLES = [
+  { featureType: 'poi', stylers: [{ visibility: 'off' }] },
+  { featureType: 'transit', stylers: [{ visibility: 'off' }] }
+]
+
+const GEOCODE_ERRORS = {
+  OVER_QUERY_LIMIT: 'Geocoding quota exceeded. Please try again later.',
+  REQUEST_DENIED: 'Geocoding request denied. Please check your API key.'
+}
+
+let scriptLoading = null
+
+function loadScript() {
+  if (window.google?.maps?.visualization && window.google.maps.places) return Promise.resolve()
+  if (scriptLoading) return scriptLoading
+  scriptLoading = new Promise((resolve, reject) => {
+    const script = document.createElement('script')
+    // Superset of libraries so every page (autocomplete, heatmaps) works
+    script.src = `https://maps.googleapis.com/maps/api/js?key=${GOOGLE_MAPS_API_KEY}&libraries=places,visualization`
+    script.async = true
+    script.defer = true
+    script.onload = () => resolve()
+    script.onerror = () => {
+      script.remove()
+      scriptLoading = null
+      reject(new Error('Failed to load Google Maps. Please check your API key and billing settings.'))
+    }
+    document.head.appendChild(script)
+  })
+  return scriptLoading
+}
+
+const toLatLng = ([lng, lat]) => ({ lat, lng })
+
+function createMap(container, { center, zoom }) {
+  const maps = window.google.maps
+  const map = new maps.Map(container, { center, zoom, styles: QUIET_STYLES })
+
+  return {
+    setView(position, level) {
+      map.setCenter(position)
+      if (level !== undefined) map.setZoom(level)
+    },
+
+    panTo: (position) => map.panTo(position),
+
+    setZoom: (level) => map.setZoom(level),
+
+    fitBounds(points) {
+      const bounds = new maps.LatLngBounds()
+      points.map(toLngLat).filter(Boolean).forEach(point => bounds.extend(toLatLng(point)))
+      if (!bounds.isEmpty()) map.fitBounds(bounds)
+    },
+
+    addMarker({ position, title, color, radius = 10, fillOpacity = 0.9, strokeColor = '#ffffff', strokeWeight = 2, zIndex, popupHtml }) {
+      const marker = new maps.Marker({
+        position,
+        map,
+        title,
+        zIndex,
+        icon: { path: maps.SymbolPath.CIRCLE, scale: radius, fillColor: color, fillOpacity, strokeColor, strokeWeight }
+      })
+      if (popupHtml) {
+        const infoWindow = new maps.InfoWindow({ content: popupHtml })
+        marker.addListener('click', () => infoWindow.open(map, marker))
+      }
+      return {
+        setPosition: (next) => marker.setPosition(next),
+        remove: () => marker.setMap(null)
+      }
+    },
+
+    addPolyline({ path, color, weight = 4, opacity = 0.9 }) {
+      const line = new maps.Polyline({
+        path: path.map(toLatLng),
+        map,
+        geodesic: true,
+        strokeColor: color,
+        strokeOpacity: opacity,
+        strokeWeight: weight,
+        clickable: false
+      })
+      return { remove: () => line.setMap(null) }
+    },
+
+    addPolygon({ polygons, color, weight = 2, opacity = 0.8, fillOpacity = 0.15 }) {
+      const polygon = new maps.Polygon({
+        // Every ring of every polygon; Google treats inner rings as holes
+        paths: polygons.flatMap(rings => rings.map(ring => ring.map(toLatLng))),
+        map,
+        strokeColor: color,
+        strokeOpacity: opacity,
+        strokeWeight: weight,
+        fillColor: color,
+        fillOpacity,
+        clickable: false
+      })
+      return { remove: () => polygon.setMap(null) }
+    },
+
+    addHeatmap({ radius = 40, opacity = 0.6, gradient }) {
+      const layer = new maps.visualization.HeatmapLayer({ data: [], map, radius, opacity, gradient })
+      return {
+        setData: (points) => layer.setData(points.map(p => ({ location: new maps.LatLng(p.lat, p.lng), weight: p.weight }))),
+        remove: () => layer.setMap(null)
+      }
+    }
+  }
+}
+
+function geocode(address) {
+  return new Promise((resolve, reject) => {
+    new window.google.maps.Geocoder().geocode({ address, region: 'us' }, (results, status) => {
+      if (status === 'OK' && results?.[0]) {
+        const { location } = results[0].geometry
+        return resolve({ lat: location.lat(), lng: location.lng(), address: results[0].formatted_address })
+      }
+      if (status === 'ZERO_RESULTS') return reject(new Error(`No results found for "${address}"`))
+      reject(new Error(GEOCODE_ERRORS[status] || `Geocoding failed for "${address}" (${status})`))
+    })
+  })
+}
+
+function attachAutocomplete(input, onSelect) {
+  const autocomplete = new window.google.maps.places.Autocomplete(input, { componentRestrictions: { country: 'us' } })
+  autocomplete.addListener('place_changed', () => {
+    const place = autocomplete.getPlace()
+    const location = place.geometry?.location
+    onSelect(location ? { lat: location.lat(), lng: location.lng(), address: place.formatted_address } : null)
+  })
+  return autocomplete
+}
+
+/**
+ * Load the Google Maps provider
+ * @returns {Promise<object>} Map provider (see ./index.js)
+ */
+export async function loadGoogleProvider() {
+  if (!GOOGLE_MAPS_API_KEY) {
+    throw new Error('Google Maps API key missing. Add VITE_GOOGLE_MAPS_API_KEY to .env and restart dev server.')
+  }
+  await loadScript()
+  return { name: 'google', createMap, geocode, attachAutocomplete }
+}
@@ -0,0 +1,46 @@
+// Map providers: Google Maps, or Leaflet with OpenStreetMap tiles
+// VITE_MAP_PROVIDER picks one ('google' or 'leaflet'). Without it Google is used when
+// VITE_GOOGLE_MAPS_API_KEY is set and Leaflet otherwise, so the app works without a Google account.
+//
+// A provider is { name, createMap(container, { center, zoom }), geocode(address), attachAutocomplete(input, onSelect) }.
+// createMap returns a map with setView, panTo, setZoom, fitBounds(points) and
+// addMarker / addPolyline / addPolygon / addHeatmap, each returning an overlay with remove().
+// Positions are { lat, lng }; paths and rings are arrays of [lng, lat] like the rest of the app.
+// A marker's popupHtml is rendered as HTML by both providers: pass every value from a feed or a user through escapeHtml.
+
+const PROVIDERS = {
+  google: () => import('./google.js').then(m => m.loadGoogleProvider()),
+  leaflet: () => import('./leaflet.js').then(m => m.loadLeafletProvider())
+}
+
+export const MAP_PROVIDER = import.meta.env.VITE_MAP_PROVIDER ||
+  (import.meta.env.VITE_GOOGLE_MAPS_API_KEY ? 'google' : 'leaflet')
+
+let loading = null
+
+/**
+ * Load the configured map provider (once)
+ * @returns {Promise<object>} Map provider
+ * @throws {Error} When the provider is unknown or fails to load
+ */
+export function loadMapProvider() {
+  if (loading) return loading
+  const load = PROVIDERS[MAP_PROVIDER]
+  if (!load) return Promise.reject(new Error(`Unknown map provider "${MAP_PROVIDER}" (VITE_MAP_PROVIDER must be one of ${Object.keys(PROVIDERS).join(', ')})`))
+  loading = load().catch(err => {
+    loading = null
+    throw err
+  })
+  return loading
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+/**
+ * Escape text for use inside popupHtml
+ * @param {*} value - Text (anything else is converted to a string; null and undefined become '')
+ * @returns {string} The text with HTML special characters escaped
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch])
+}
@@ -0,0 +1,102 @@
+// Leaflet provider with OpenStreetMap tiles, no API key needed
+// VITE_MAP_TILE_URL and VITE_MAP_TILE_ATTRIBUTION point it at another tile server (a local one
+// works offline); addresses are looked up with Nominatim at VITE_NOMINATIM_URL.
+import L from 'leaflet'
+import 'leaflet/dist/leaflet.css'
+import { toLngLat } from '../geoUtils'
+import { escapeHtml } from './index.js'
+
+const TILE_URL = import.meta.env.VITE_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'
+const TILE_ATTRIBUTION = import.meta.env.VITE_MAP_TILE_ATTRIBUTION || '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+const NOMINATIM_URL = (import.meta.env.VITE_NOMINATIM_URL || 'https://nominatim.openstreetmap.org').replace(/\/$/, '')
+
+const toLatLng = ([lng, lat]) => [lat, lng]
+
+// Google-style gradient (list of colors, transparent first) to leaflet.heat stops
+function heatGradient(colors) {
+  if (!Array.isArray(colors) || colors.length < 2) return undefined
+  return Object.fromEntries(colors.map((color, i) => [i / (colors.length - 1), color]))
+}
+
+function createMap(container, { center, zoom }) {
+  const map = L.map(container).setView([center.lat, center.lng], zoom)
+  L.tileLayer(TILE_URL, { attribution: TILE_ATTRIBUTION, maxZoom: 19 }).addTo(map)
+
+  return {
+    setView: (position, level) => map.setView([position.lat, position.lng], level ?? map.getZoom()),
+
+    panTo: (position) => map.panTo([position.lat, position.lng]),
+
+    setZoom: (level) => map.setZoom(level),
+
+    fitBounds(points) {
+      const latLngs = points.map(toLngLat).filter(Boolean).map(toLatLng)
+      if (latLngs.length > 0) map.fitBounds(latLngs, { padding: [24, 24] })
+    },
+
+    addMarker({ position, title, color, radius = 10, fillOpacity = 0.9, strokeColor = '#ffffff', strokeWeight = 2, zIndex, popupHtml }) {
+      const marker = L.circleMarker([position.lat, position.lng], {
+        radius,
+        color: strokeColor,
+        weight: strokeWeight,
+        opacity: 1,
+        fillColor: color,
+        fillOpacity
+      }).addTo(map)
+      // Tooltips render HTML; titles are plain text (as on Google markers)
+      if (title) marker.bindTooltip(escapeHtml(title))
+      if (popupHtml) marker.bindPopup(popupHtml)
+      if (zIndex) marker.bringToFront()
+      return {
+        setPosition: (next) => marker.setLatLng([next.lat, next.lng]),
+        remove: () => marker.remove()
+      }
+    },
+
+    addPolyline({ path, color, weight = 4, opacity = 0.9 }) {
+      const line = L.polyline(path.map(toLatLng), { color, weight, opacity, interactive: false }).addTo(map)
+      return { remove: () => line.remove() }
+    },
+
+    addPolygon({ polygons, color, weight = 2, opacity = 0.8, fillOpacity = 0.15 }) {
+      const polygon = L.polygon(polygons.map(rings => rings.map(ring => ring.map(toLatLng))), {
+        color,
+        weight,
+        opacity,
+        fillColor: color,
+        fillOpacity,
+        interactive: false
+      }).addTo(map)
+      return { remove: () => polygon.remove() }
+    },
+
+    addHeatmap({ radius = 40, gradient }) {
+      const layer = L.heatLayer([], { radius: radius * 0.6, blur: radius * 0.4, max: 1, gradient: heatGradient(gradient) }).addTo(map)
+      return {
+        setData: (points) => layer.setLatLngs(points.map(p => [p.lat, p.lng, p.weight])),
+        remove: () => layer.remove()
+      }
+    }
+  }
+}
+
+async function geocode(address) {
+  const params = new URLSearchParams({ q: address, format: 'jsonv2', limit: '1', countrycodes: 'us' })
+  const res = await fetch(`${NOMINATIM_URL}/search?${params}`, { headers: { Accept: 'application/json' } })
+  if (!res.ok) throw new Error(`Geocoding failed for "${address}" (${res.status})`)
+  const [result] = await res.json()
+  if (!result) throw new Error(`No results found for "${address}"`)
+  return { lat: Number(result.lat), lng: Number(result.lon), address: result.display_name }
+}
+
+/**
+ * Load the Leaflet provider
+ * @returns {Promise<object>} Map provider (see ./index.js)
+ */
+export async function loadLeafletProvider() {
+  // leaflet.heat extends the global L
+  window.L = L
+  await import('leaflet.heat')
+  // No place autocomplete without Google; typing an address and searching still geocodes it
+  return { name: 'leaflet', createMap, geocode, attachAutocomplete: () => null }
+}
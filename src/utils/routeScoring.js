@@ -0,0 +1,119 @@
+// Scoring route alternatives by the hazards and weather along them
+// Lower scores are safer. Hazards come from fetchRouteHazards (hazardAPI.js), weather risk from
+// sampleRouteWeather (weatherAPI.js).
+import { hazardCategory } from './hazardTaxonomy.js'
+import { distanceBetween } from './geoUtils.js'
+
+// How much one hazard of each category counts against a route
+const CATEGORY_WEIGHTS = {
+  closure: 10,
+  accident: 6,
+  weather: 5,
+  'road-hazard': 4,
+  lane: 3,
+  roadwork: 3,
+  congestion: 2,
+  incident: 2,
+  other: 1
+}
+
+// Scales a hazard's weight by its normalized severity (unknown counts as moderate)
+const SEVERITY_MULTIPLIERS = { minor: 0.5, moderate: 1, major: 1.5, severe: 2 }
+
+// Weather risk (0-100 from assessHazardRisk) is worth up to this many points
+const WEATHER_WEIGHT = 20
+
+// Avoid areas: padding around each closure, how far past the trip's bbox to look, and how many to send
+const AVOID_PADDING_METERS = 200
+const AVOID_SEARCH_METERS = 10000
+const AVOID_ENDPOINT_METERS = 300
+const MAX_AVOID_AREAS = 20
+
+const METERS_PER_DEGREE_LAT = 111320
+
+// Whether a hazard blocks the road rather than slowing it down
+function isClosure(hazard) {
+  const lanes = hazard.lanesAffected
+  return hazardCategory(hazard.subtype || hazard.eventType) === 'closure' ||
+    Boolean(lanes?.total && lanes.closed >= lanes.total)
+}
+
+// Started (or no start given) and not yet ended
+function isActive(hazard, now = Date.now()) {
+  const start = hazard.startDate ? Date.parse(hazard.startDate) : NaN
+  const end = hazard.endDate ? Date.parse(hazard.endDate) : NaN
+  return !(start > now) && !(end < now)
+}
+
+/**
+ * Score a route by what lies along it
+ * @param {Array} hazards - Hazards on the route (from fetchRouteHazards)
+ * @param {object|null} weatherRisk - { level, score } from sampleRouteWeather (weatherAPI.js), or null when unknown
+ * @returns {{ score: number, level: string, hazardCount: number, closures: number, severe: number, weatherRisk: object|null }}
+ */
+export function scoreRoute(hazards = [], weatherRisk = null) {
+  let score = 0
+  let closures = 0
+  let severe = 0
+  hazards.forEach(h => {
+    const category = hazardCategory(h.subtype || h.eventType)
+    if (isClosure(h)) closures++
+    if (h.severity === 'major' || h.severity === 'severe') severe++
+    score += (CATEGORY_WEIGHTS[category] ?? 1) * (SEVERITY_MULTIPLIERS[h.severity] ?? 1)
+  })
+  score += ((weatherRisk?.score || 0) / 100) * WEATHER_WEIGHT
+
+  let level = 'Low'
+  if (closures > 0 || score >= 30) level = 'High'
+  else if (score >= 10) level = 'Medium'
+
+  return { score: Math.round(score * 10) / 10, level, hazardCount: hazards.length, closures, severe, weatherRisk }
+}
+
+// [minLng, minLat, maxLng, maxLat] of every coordinate pair in a GeoJSON geometry
+function geometryBounds(geometry) {
+  const pairs = []
+  const walk = (c) => {
+    if (typeof c?.[0] === 'number') pairs.push(c)
+    else if (Array.isArray(c)) c.forEach(walk)
+  }
+  walk(geometry?.coordinates)
+  if (pairs.length === 0) return null
+  const lngs = pairs.map(p => p[0])
+  const lats = pairs.map(p => p[1])
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)]
+}
+
+// Grow a bbox by a distance in meters
+function padBounds([minLng, minLat, maxLng, maxLat], meters) {
+  const dLat = meters / METERS_PER_DEGREE_LAT
+  const dLng = meters / (METERS_PER_DEGREE_LAT * Math.cos(((minLat + maxLat) / 2) * Math.PI / 180))
+  return [minLng - dLng, minLat - dLat, maxLng + dLng, maxLat + dLat]
+}
+
+const boundsContain = ([w, s, e, n], { lat, lng }) => lng >= w && lng <= e && lat >= s && lat <= n
+
+/**
+ * Areas around active closures for a router to avoid on a trip
+ * Closures at the origin or any stop are left out, since no route could avoid them.
+ * @param {Array} hazards - All known hazards
+ * @param {object[]} stops - Origin, any stops and the destination ({lat, lng})
+ * @returns {object|null} GeoJSON MultiPolygon of padded boxes, or null when there is nothing to avoid
+ */
+export function closureAvoidAreas(hazards, stops) {
+  const tripBounds = padBounds([
+    Math.min(...stops.map(p => p.lng)), Math.min(...stops.map(p => p.lat)),
+    Math.max(...stops.map(p => p.lng)), Math.max(...stops.map(p => p.lat))
+  ], AVOID_SEARCH_METERS)
+
+  const now = Date.now()
+  const boxes = hazards
+    .filter(h => isClosure(h) && isActive(h, now))
+    .filter(h => boundsContain(tripBounds, h))
+    .filter(h => stops.every(stop => distanceBetween(h, stop) > AVOID_ENDPOINT_METERS))
+    .map(h => padBounds(geometryBounds(h.geometry) || [h.lng, h.lat, h.lng, h.lat], AVOID_PADDING_METERS))
+    .filter(bounds => !stops.some(stop => boundsContain(bounds, stop)))
+    .slice(0, MAX_AVOID_AREAS)
+    .map(([w, s, e, n]) => [[[w, s], [e, s], [e, n], [w, n], [w, s]]])
+  return boxes.length > 0 ? { type: 'MultiPolygon', coordinates: boxes } : null
+}
@@ -0,0 +1,93 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { scoreRoute, closureAvoidAreas } from './routeScoring.js'
+
+const HOUR = 60 * 60 * 1000
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR).toISOString()
+
+test('scoreRoute weighs hazards by category', () => {
+  const scoreOf = (eventType) => scoreRoute([{ eventType }]).score
+  const ordered = ['closure', 'accident', 'weather', 'road-hazard', 'roadwork', 'congestion', 'something unheard of']
+  const scores = ordered.map(scoreOf)
+  assert.deepEqual(scores, [10, 6, 5, 4, 3, 2, 1])
+  // Subtypes count as their category
+  assert.equal(scoreRoute([{ eventType: 'incident', subtype: 'icy-road' }]).score, 5)
+  assert.equal(scoreOf('lane'), scoreOf('roadwork'))
+  assert.equal(scoreOf('incident'), scoreOf('congestion'))
+
+  // One crash outweighs a couple of slowdowns, but not a string of them plus roadwork
+  const crash = scoreRoute([{ eventType: 'accident' }])
+  const slowdowns = scoreRoute([{ eventType: 'congestion' }, { eventType: 'congestion' }])
+  const moreSlowdowns = scoreRoute([{ eventType: 'congestion' }, { eventType: 'congestion' }, { eventType: 'congestion' }, { eventType: 'roadwork' }])
+  assert.ok(slowdowns.score < crash.score && crash.score < moreSlowdowns.score)
+})
+
+test('scoreRoute scales by severity and adds weather risk', () => {
+  assert.deepEqual(scoreRoute(), { score: 0, level: 'Low', hazardCount: 0, closures: 0, severe: 0, weatherRisk: null })
+  assert.equal(scoreRoute([{ eventType: 'accident', severity: 'minor' }]).score, 3)
+  assert.equal(scoreRoute([{ eventType: 'accident', severity: 'severe' }]).score, 12)
+  assert.equal(scoreRoute([{ eventType: 'accident', severity: 'unknown' }]).score, 6)
+
+  const weatherRisk = { level: 'Moderate', score: 45 }
+  const scored = scoreRoute([{ eventType: 'roadwork', severity: 'major' }], weatherRisk)
+  assert.equal(scored.score, 13.5)
+  assert.equal(scored.level, 'Medium')
+  assert.equal(scored.severe, 1)
+  assert.equal(scored.weatherRisk, weatherRisk)
+  assert.equal(scoreRoute(Array(6).fill({ eventType: 'accident' })).level, 'High')
+})
+
+test('scoreRoute rates any closure high, including every lane closed', () => {
+  const closed = scoreRoute([{ eventType: 'closure', severity: 'minor' }])
+  assert.equal(closed.level, 'High')
+  assert.equal(closed.closures, 1)
+
+  const allLanes = scoreRoute([{ eventType: 'lane', lanesAffected: { closed: 2, total: 2 } }])
+  assert.equal(allLanes.closures, 1)
+  assert.equal(allLanes.level, 'High')
+  assert.equal(scoreRoute([{ eventType: 'lane', lanesAffected: { closed: 1, total: 2 } }]).closures, 0)
+})
+
+// Downtown Detroit to Ferndale
+const TRIP = [{ lat: 42.3314, lng: -83.0458 }, { lat: 42.4606, lng: -83.1346 }]
+
+test('closureAvoidAreas boxes active closures near the trip', () => {
+  const closure = { eventType: 'closure', lat: 42.4, lng: -83.09 }
+  const areas = closureAvoidAreas([closure], TRIP)
+  assert.equal(areas.type, 'MultiPolygon')
+  assert.equal(areas.coordinates.length, 1)
+  const ring = areas.coordinates[0][0]
+  assert.equal(ring.length, 5)
+  assert.deepEqual(ring[0], ring[4])
+  const [[west, south], , [east, north]] = ring
+  assert.ok(west < closure.lng && closure.lng < east && south < closure.lat && closure.lat < north)
+  // Padded about 200 m on each side
+  assert.ok(Math.abs((north - south) * 111320 - 400) < 5)
+
+  // Line closures are boxed by their geometry
+  const [[lineRing]] = closureAvoidAreas([{
+    eventType: 'closure',
+    lat: 42.4,
+    lng: -83.09,
+    geometry: { type: 'LineString', coordinates: [[-83.1, 42.4], [-83.08, 42.41]] }
+  }], TRIP).coordinates
+  assert.ok(lineRing[0][0] < -83.1 && lineRing[2][0] > -83.08 && lineRing[2][1] > 42.41)
+})
+
+test('closureAvoidAreas leaves out what no route should avoid', () => {
+  const inTheWay = { eventType: 'closure', lat: 42.4, lng: -83.09 }
+  const hazards = [
+    { eventType: 'accident', lat: 42.4, lng: -83.09 },
+    { ...inTheWay, endDate: hoursFromNow(-1) },
+    { ...inTheWay, startDate: hoursFromNow(2) },
+    // Grand Rapids, far outside the trip
+    { eventType: 'closure', lat: 42.9634, lng: -85.6681 },
+    // At the destination, so every route has to reach it
+    { eventType: 'closure', lat: 42.4607, lng: -83.1347 },
+    // A long closure whose box covers the origin
+    { eventType: 'closure', lat: 42.34, lng: -83.05, geometry: { type: 'LineString', coordinates: [[-83.06, 42.32], [-83.04, 42.36]] } }
+  ]
+  assert.equal(closureAvoidAreas(hazards, TRIP), null)
+  assert.equal(closureAvoidAreas([...hazards, { ...inTheWay, startDate: hoursFromNow(-1), endDate: hoursFromNow(1) }], TRIP).coordinates.length, 1)
+  assert.equal(closureAvoidAreas(Array(30).fill(inTheWay), TRIP).coordinates.length, 20)
+})
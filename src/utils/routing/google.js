@@ -0,0 +1,71 @@
+// Google Directions (needs Google Maps loaded, see src/utils/maps)
+import { NO_ROUTE, normalizeRoute } from './normalize'
+
+const toLngLat = (latLng) => [latLng.lng(), latLng.lat()]
+
+// Build the line from the steps' detailed paths (not overview_path) so step indexes line up
+function normalizeGoogleRoute(route) {
+  const geometry = []
+  const instructions = []
+  const legs = []
+  route.legs.forEach(leg => {
+    const legStart = Math.max(0, geometry.length - 1)
+    leg.steps.forEach(step => {
+      const path = (step.path || []).map(toLngLat)
+      const start = Math.max(0, geometry.length - 1)
+      geometry.push(...(geometry.length > 0 ? path.slice(1) : path))
+      instructions.push({
+        instruction: step.instructions?.replace(/<[^>]+>/g, '') || 'Continue',
+        distance: step.distance.value,
+        duration: step.duration.value,
+        wayPoints: [start, Math.max(start, geometry.length - 1)]
+      })
+    })
+    legs.push({ distance: leg.distance.value, duration: leg.duration.value, wayPoints: [legStart, Math.max(legStart, geometry.length - 1)] })
+  })
+  return normalizeRoute({
+    geometry: geometry.length > 0 ? geometry : (route.overview_path || []).map(toLngLat),
+    distance: route.legs.reduce((sum, leg) => sum + leg.distance.value, 0),
+    duration: route.legs.reduce((sum, leg) => sum + leg.duration.value, 0),
+    instructions,
+    legs: geometry.length > 0 ? legs : undefined
+  })
+}
+
+/**
+ * Fetch driving directions from Google
+ * Google can't avoid areas, so `avoid` is ignored.
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} [baseUrl] - Unused
+ * @param {Object} [options] - { via, alternatives } (see ./normalize.js)
+ * @returns {Promise<Object[]>} Routes in the shared shape
+ */
+export function googleRoute(origin, destination, baseUrl, { via = [], alternatives = 1 } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!window.google?.maps) {
+      return reject(new Error('Google Maps not loaded'))
+    }
+    new window.google.maps.DirectionsService().route(
+      {
+        origin,
+        destination,
+        waypoints: via.map(location => ({ location, stopover: true })),
+        travelMode: window.google.maps.TravelMode.DRIVING,
+        provideRouteAlternatives: alternatives > 1
+      },
+      (result, status) => {
+        if (status === 'ZERO_RESULTS' || status === 'NOT_FOUND') return reject(new Error(NO_ROUTE))
+        if (status !== 'OK' || !result?.routes?.[0]) {
+          console.error('❌ Google Directions failed:', status)
+          return reject(new Error('Google Directions failed: ' + status))
+        }
+        try {
+          resolve(result.routes.slice(0, alternatives).map(normalizeGoogleRoute))
+        } catch (err) {
+          reject(err)
+        }
+      }
+    )
+  })
+}
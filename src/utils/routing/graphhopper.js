@@ -0,0 +1,68 @@
+// GraphHopper (self-hosted, default http://localhost:8989)
+// For the hosted API, point VITE_ROUTING_URL at the proxy's /api/graphhopper; it adds GRAPHHOPPER_API_KEY.
+import { NO_ROUTE, fetchRouteJson, legFromSteps, normalizeRoute } from './normalize'
+
+// Instruction sign GraphHopper gives when a via point is reached
+const SIGN_VIA_REACHED = 5
+
+function normalizePath(path) {
+  // GraphHopper has no legs; split the instructions after each via point
+  const legSteps = [[]]
+  ;(path.instructions || []).forEach(step => {
+    legSteps[legSteps.length - 1].push({
+      instruction: step.text,
+      distance: step.distance,
+      duration: step.time / 1000,
+      wayPoints: step.interval
+    })
+    if (step.sign === SIGN_VIA_REACHED) legSteps.push([])
+  })
+  return normalizeRoute({
+    geometry: path.points?.coordinates,
+    distance: path.distance,
+    duration: path.time / 1000,
+    instructions: legSteps.flat(),
+    legs: legSteps.filter(steps => steps.length > 0).map(legFromSteps)
+  })
+}
+
+/**
+ * Fetch driving directions from GraphHopper
+ * Avoid areas use a per-request custom model, which needs the server's flexible mode.
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} baseUrl - GraphHopper server
+ * @param {Object} [options] - { via, alternatives, avoid } (see ./normalize.js)
+ * @returns {Promise<Object[]>} Routes in the shared shape
+ */
+export async function graphhopperRoute(origin, destination, baseUrl = 'http://localhost:8989', { via = [], alternatives = 1, avoid = null } = {}) {
+  const body = {
+    points: [origin, ...via, destination].map(p => [p.lng, p.lat]),
+    profile: 'car',
+    points_encoded: false,
+    instructions: true,
+    locale: 'en',
+    ...(alternatives > 1 ? { algorithm: 'alternative_route', 'alternative_route.max_paths': alternatives } : {}),
+    ...(avoid
+      ? {
+          'ch.disable': true,
+          custom_model: {
+            priority: [{ if: 'in_avoid', multiply_by: '0' }],
+            areas: { type: 'FeatureCollection', features: [{ type: 'Feature', id: 'avoid', properties: {}, geometry: avoid }] }
+          }
+        }
+      : {})
+  }
+  const { res, data } = await fetchRouteJson('GraphHopper', `${baseUrl}/route`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify(body)
+  })
+  if (!res.ok) {
+    if (/not found|cannot find point/i.test(data?.message || '')) throw new Error(NO_ROUTE)
+    // The proxy explains itself in details (e.g. a missing key)
+    throw new Error(`GraphHopper routing failed: ${data?.message || data?.details?.[0] || res.status}`)
+  }
+  if (!data?.paths?.length) throw new Error(NO_ROUTE)
+  return data.paths.slice(0, alternatives).map(normalizePath)
+}
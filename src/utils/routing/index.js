@@ -0,0 +1,68 @@
+// Routing providers: OpenRouteService, self-hosted OSRM / Valhalla / GraphHopper, or Google Directions
+// VITE_ROUTING_PROVIDER picks one (default 'ors') and VITE_ROUTING_URL points it at a server.
+// When it fails and Google Maps is loaded, Google Directions is tried next.
+// Every provider resolves to the same route shape (see ./normalize.js).
+import { orsRoute } from './ors'
+import { osrmRoute } from './osrm'
+import { valhallaRoute } from './valhalla'
+import { graphhopperRoute } from './graphhopper'
+import { googleRoute } from './google'
+
+export { NO_ROUTE } from './normalize'
+
+// avoidAreas: the router can route around polygons (see getRoutes)
+const PROVIDERS = {
+  ors: { name: 'ORS', route: orsRoute, avoidAreas: true },
+  osrm: { name: 'OSRM', route: osrmRoute, avoidAreas: false },
+  valhalla: { name: 'Valhalla', route: valhallaRoute, avoidAreas: true },
+  graphhopper: { name: 'GraphHopper', route: graphhopperRoute, avoidAreas: true },
+  google: { name: 'Google', route: googleRoute, avoidAreas: false }
+}
+
+export const ROUTING_PROVIDER = import.meta.env.VITE_ROUTING_PROVIDER || 'ors'
+// Trailing slashes would double up in request paths
+const ROUTING_URL = import.meta.env.VITE_ROUTING_URL?.replace(/\/+$/, '') || undefined
+// Whether `avoid` in getRoutes is honoured (the Google fallback ignores it)
+export const ROUTING_AVOIDS_AREAS = Boolean(PROVIDERS[ROUTING_PROVIDER]?.avoidAreas)
+
+/**
+ * Driving routes between two points from the configured provider, or else Google
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {Object} [options]
+ * @param {Object[]} [options.via] - Stops ({lat, lng}) to pass through in order; each one starts a new leg
+ * @param {number} [options.alternatives=1] - Most routes to return; routers may find fewer, and none offer
+ *   alternatives for trips with stops
+ * @param {Object} [options.avoid] - GeoJSON MultiPolygon to route around (see ROUTING_AVOIDS_AREAS)
+ * @returns {Promise<Object[]>} Routes, best first: { geometry, distance, duration, instructions, legs, bbox, source } (source is the provider name)
+ * @throws {Error} NO_ROUTE when there is no route between the points
+ */
+export async function getRoutes(origin, destination, { via = [], alternatives = 1, avoid = null } = {}) {
+  const provider = PROVIDERS[ROUTING_PROVIDER]
+  if (!provider) {
+    throw new Error(`Unknown routing provider "${ROUTING_PROVIDER}" (VITE_ROUTING_PROVIDER must be one of ${Object.keys(PROVIDERS).join(', ')})`)
+  }
+  console.log(`🚗 Requesting ${provider.name} route${alternatives > 1 ? 's' : ''}`, origin, ...via, destination)
+  const options = { via, alternatives: via.length > 0 ? 1 : alternatives, avoid: provider.avoidAreas ? avoid : null }
+  try {
+    const routes = await provider.route(origin, destination, ROUTING_URL, options)
+    return routes.map(route => ({ ...route, source: provider.name }))
+  } catch (err) {
+    if (provider === PROVIDERS.google || !window.google?.maps) throw err
+    console.warn(`${provider.name} failed, attempting Google fallback:`, err.message)
+    const routes = await googleRoute(origin, destination, undefined, options)
+    return routes.map(route => ({ ...route, source: 'Google' }))
+  }
+}
+
+/**
+ * Best driving route between two points (see getRoutes)
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @returns {Promise<Object>} { geometry, distance, duration, instructions, legs, bbox, source }
+ * @throws {Error} NO_ROUTE when there is no route between the points
+ */
+export async function getRoute(origin, destination) {
+  const [route] = await getRoutes(origin, destination)
+  return route
+}
@@ -0,0 +1,70 @@
+// Shared helpers for turning routing responses into one route shape
+//
+// Providers are called as route(origin, destination, baseUrl, { via, alternatives, avoid }) and resolve to
+// a list of routes, best first: passing through the `via` stops ({lat, lng}) in order, up to `alternatives`
+// of them, skirting `avoid` (a GeoJSON MultiPolygon) when the router supports it.
+// Route shape: { geometry: [[lng, lat], ...], distance (m), duration (s), instructions, legs, bbox }
+// Instruction shape: { id, instruction, distance (m), duration (s), wayPoints: [from, to] },
+// where wayPoints index the first and last geometry point of the step.
+// Leg shape: { distance (m), duration (s), wayPoints: [from, to] }, one per stop after the origin.
+
+export const NO_ROUTE = 'No route found for given origin/destination'
+export const ROUTE_TIMEOUT_MS = 15000
+
+// [minLng, minLat, maxLng, maxLat] of a [lng, lat] line
+export function bboxOf(geometry) {
+  const lngs = geometry.map(p => p[0])
+  const lats = geometry.map(p => p[1])
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)]
+}
+
+/**
+ * Build a route in the shared shape
+ * @param {object} route - { geometry, distance, duration, instructions, legs } from a provider;
+ *   without legs the whole route is one leg
+ * @returns {object} Route with numbered instructions, legs and a bbox
+ * @throws {Error} When the geometry is empty
+ */
+export function normalizeRoute({ geometry, distance, duration, instructions = [], legs }) {
+  const points = (geometry || []).filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+  if (points.length === 0) throw new Error('Route geometry empty')
+  return {
+    geometry: points,
+    distance: Number(distance) || 0,
+    duration: Number(duration) || 0,
+    instructions: instructions.map((step, id) => ({ id, ...step })),
+    legs: (legs || [{ distance, duration, wayPoints: [0, points.length - 1] }]).map(leg => ({
+      distance: Number(leg.distance) || 0,
+      duration: Number(leg.duration) || 0,
+      wayPoints: leg.wayPoints
+    })),
+    bbox: bboxOf(points)
+  }
+}
+
+/**
+ * Leg covering a run of instructions
+ * @param {object[]} steps - Instructions with distance, duration and wayPoints
+ * @returns {object} { distance, duration, wayPoints }
+ */
+export function legFromSteps(steps) {
+  return {
+    distance: steps.reduce((sum, s) => sum + (s.distance || 0), 0),
+    duration: steps.reduce((sum, s) => sum + (s.duration || 0), 0),
+    wayPoints: [steps[0]?.wayPoints?.[0] ?? 0, steps[steps.length - 1]?.wayPoints?.[1] ?? 0]
+  }
+}
+
+/**
+ * Fetch a routing response as JSON
+ * @param {string} provider - Provider name for error messages
+ * @param {string} url
+ * @param {object} [options] - fetch options
+ * @returns {Promise<{ res: Response, data: object|null }>} Non-JSON bodies give data null
+ */
+export async function fetchRouteJson(provider, url, options = {}) {
+  const res = await fetch(url, { ...options, signal: AbortSignal.timeout(ROUTE_TIMEOUT_MS) })
+  const data = await res.json().catch(() => null)
+  if (!res.ok) console.error(`❌ ${provider} routing error:`, res.status, data || res.statusText)
+  return { res, data }
+}
@@ -0,0 +1,83 @@
+// OpenRouteService (hosted through the proxy server, which holds ORS_API_KEY, or self-hosted at VITE_ROUTING_URL)
+import { NO_ROUTE, fetchRouteJson, legFromSteps, normalizeRoute } from './normalize'
+import { PROXY_BASE_URL } from '../hazardAPI'
+
+// The proxy mirrors the hosted API's paths and adds the key
+const HOSTED_URL = `${PROXY_BASE_URL}/api/ors`
+
+// ORS error codes: no route between the points; request exceeds server limits (alternatives only work up to 100 km)
+const NO_ROUTE_CODE = 2009
+const LIMITS_EXCEEDED_CODE = 2004
+
+function normalizeFeature(feature) {
+  const geom = feature.geometry
+  let coords
+  if (geom?.type === 'LineString') {
+    coords = geom.coordinates
+  } else if (geom?.type === 'MultiLineString') {
+    // Flatten multi-line into single array
+    coords = geom.coordinates.flat()
+  } else {
+    console.error('ORS unexpected geometry type:', geom?.type, geom)
+    throw new Error('Unsupported route geometry type from ORS')
+  }
+
+  // One segment per leg
+  const { summary = {}, segments = [] } = feature.properties || {}
+  const legSteps = segments.map(seg => (seg.steps || []).map(step => ({
+    instruction: step.instruction,
+    distance: step.distance,
+    duration: step.duration,
+    wayPoints: step.way_points
+  })))
+  return normalizeRoute({
+    geometry: coords,
+    distance: summary.distance,
+    duration: summary.duration,
+    instructions: legSteps.flat(),
+    legs: segments.map((seg, i) => ({ ...legFromSteps(legSteps[i]), distance: seg.distance, duration: seg.duration }))
+  })
+}
+
+/**
+ * Fetch driving directions from OpenRouteService
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} [baseUrl] - Self-hosted instance (default: the hosted API through the proxy)
+ * @param {Object} [options] - { via, alternatives, avoid } (see ./normalize.js)
+ * @returns {Promise<Object[]>} Routes in the shared shape
+ */
+export async function orsRoute(origin, destination, baseUrl, { via = [], alternatives = 1, avoid = null } = {}) {
+  const body = {
+    coordinates: [origin, ...via, destination].map(p => [p.lng, p.lat]),
+    instructions: true,
+    preference: 'fastest',
+    ...(alternatives > 1 ? { alternative_routes: { target_count: alternatives, share_factor: 0.6, weight_factor: 1.6 } } : {}),
+    ...(avoid ? { options: { avoid_polygons: avoid } } : {})
+  }
+  const { res, data } = await fetchRouteJson('ORS', `${baseUrl || HOSTED_URL}/v2/directions/driving-car/geojson`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, application/geo+json'
+    },
+    body: JSON.stringify(body)
+  })
+  if (!res.ok) {
+    if (res.status === 503 && !baseUrl) {
+      throw new Error('ORS not configured. Set ORS_API_KEY for the proxy server, or VITE_ROUTING_URL for a self-hosted ORS.')
+    }
+    if (res.status === 401 || res.status === 403) {
+      console.error('⚠️ ORS Authorization failed. Check if key is valid and not base64 encoded.')
+    }
+    if (data?.error?.code === NO_ROUTE_CODE) throw new Error(NO_ROUTE)
+    if (data?.error?.code === LIMITS_EXCEEDED_CODE && alternatives > 1) {
+      console.warn('⚠️ ORS refused alternatives for this trip; requesting a single route')
+      return orsRoute(origin, destination, baseUrl, { via, avoid })
+    }
+    throw new Error(`ORS API failed: ${res.status} - ${res.statusText}`)
+  }
+
+  if (!data?.features?.length) throw new Error(NO_ROUTE)
+  return data.features.map(normalizeFeature)
+}
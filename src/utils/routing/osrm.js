@@ -0,0 +1,62 @@
+// OSRM (osrm-routed, default http://localhost:5000)
+import { NO_ROUTE, fetchRouteJson, legFromSteps, normalizeRoute } from './normalize'
+
+// OSRM gives maneuvers, not sentences
+function instructionText({ maneuver = {}, name }) {
+  const { type, modifier, exit } = maneuver
+  const onto = name ? ` onto ${name}` : ''
+  switch (type) {
+    case 'depart': return `Head out${name ? ` on ${name}` : ''}`
+    case 'arrive': return 'Arrive at your destination'
+    case 'roundabout':
+    case 'rotary': return `Enter the roundabout${exit ? ` and take exit ${exit}` : ''}${onto}`
+    case 'merge': return `Merge${modifier ? ` ${modifier}` : ''}${onto}`
+    case 'on ramp': return `Take the ramp${onto}`
+    case 'off ramp': return `Take the exit${onto}`
+    case 'fork': return `Keep ${modifier || 'straight'}${onto}`
+    case 'continue':
+    case 'new name': return `Continue${onto}`
+    default:
+      if (modifier === 'uturn') return `Make a U-turn${onto}`
+      if (!modifier || modifier === 'straight') return `Continue straight${onto}`
+      return `Turn ${modifier}${onto}`
+  }
+}
+
+function normalizeOsrmRoute(route) {
+  // Each step's geometry starts where the previous one ended; arrivals are a single repeated point
+  let start = 0
+  const legSteps = route.legs.map(leg => leg.steps.map(step => {
+    const points = step.maneuver?.type === 'arrive' ? 1 : step.geometry?.coordinates?.length || 1
+    const end = start + Math.max(0, points - 1)
+    const instruction = { instruction: instructionText(step), distance: step.distance, duration: step.duration, wayPoints: [start, end] }
+    start = end
+    return instruction
+  }))
+  return normalizeRoute({
+    geometry: route.geometry?.coordinates,
+    distance: route.distance,
+    duration: route.duration,
+    instructions: legSteps.flat(),
+    legs: route.legs.map((leg, i) => ({ ...legFromSteps(legSteps[i]), distance: leg.distance, duration: leg.duration }))
+  })
+}
+
+/**
+ * Fetch driving directions from OSRM
+ * OSRM can't avoid areas, so `avoid` is ignored.
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} baseUrl - OSRM server
+ * @param {Object} [options] - { via, alternatives } (see ./normalize.js)
+ * @returns {Promise<Object[]>} Routes in the shared shape
+ */
+export async function osrmRoute(origin, destination, baseUrl = 'http://localhost:5000', { via = [], alternatives = 1 } = {}) {
+  const coords = [origin, ...via, destination].map(p => `${p.lng},${p.lat}`).join(';')
+  const params = new URLSearchParams({ overview: 'full', geometries: 'geojson', steps: 'true', alternatives: String(Math.max(0, alternatives - 1)) })
+  const { res, data } = await fetchRouteJson('OSRM', `${baseUrl}/route/v1/driving/${coords}?${params}`)
+  if (data?.code === 'NoRoute' || data?.code === 'NoSegment') throw new Error(NO_ROUTE)
+  if (!res.ok || data?.code !== 'Ok') throw new Error(`OSRM routing failed: ${data?.message || res.status}`)
+  if (!data.routes?.length) throw new Error(NO_ROUTE)
+  return data.routes.slice(0, alternatives).map(normalizeOsrmRoute)
+}
@@ -0,0 +1,61 @@
+// Valhalla (default http://localhost:8002)
+import { decodePolyline } from '../geoUtils'
+import { NO_ROUTE, fetchRouteJson, normalizeRoute } from './normalize'
+
+// Valhalla shapes are encoded polylines with six decimal places
+const SHAPE_PRECISION = 6
+// 442: no path between the locations; 171: no suitable edges near a location
+const NO_ROUTE_CODES = [442, 171]
+
+function normalizeTrip(trip) {
+  // Shape indexes restart at 0 on every leg
+  const geometry = []
+  const instructions = []
+  const legs = []
+  trip.legs.forEach(leg => {
+    const offset = Math.max(0, geometry.length - 1)
+    const shape = decodePolyline(leg.shape, SHAPE_PRECISION)
+    geometry.push(...(geometry.length > 0 ? shape.slice(1) : shape))
+    leg.maneuvers.forEach(m => instructions.push({
+      instruction: m.instruction,
+      distance: m.length * 1000,
+      duration: m.time,
+      wayPoints: [offset + m.begin_shape_index, offset + m.end_shape_index]
+    }))
+    legs.push({ distance: leg.summary.length * 1000, duration: leg.summary.time, wayPoints: [offset, geometry.length - 1] })
+  })
+  return normalizeRoute({
+    geometry,
+    distance: trip.summary.length * 1000,
+    duration: trip.summary.time,
+    instructions,
+    legs
+  })
+}
+
+/**
+ * Fetch driving directions from Valhalla
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} baseUrl - Valhalla server
+ * @param {Object} [options] - { via, alternatives, avoid } (see ./normalize.js)
+ * @returns {Promise<Object[]>} Routes in the shared shape
+ */
+export async function valhallaRoute(origin, destination, baseUrl = 'http://localhost:8002', { via = [], alternatives = 1, avoid = null } = {}) {
+  const body = {
+    locations: [origin, ...via, destination].map(p => ({ lat: p.lat, lon: p.lng })),
+    costing: 'auto',
+    units: 'kilometers',
+    ...(alternatives > 1 ? { alternates: alternatives - 1 } : {}),
+    // Valhalla takes outer rings only
+    ...(avoid ? { exclude_polygons: avoid.coordinates.map(rings => rings[0]) } : {})
+  }
+  const { res, data } = await fetchRouteJson('Valhalla', `${baseUrl}/route`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify(body)
+  })
+  if (NO_ROUTE_CODES.includes(data?.error_code)) throw new Error(NO_ROUTE)
+  if (!res.ok || !data?.trip) throw new Error(`Valhalla routing failed: ${data?.error || res.status}`)
+  return [data.trip, ...(data.alternates || []).map(a => a.trip)].slice(0, alternatives).map(normalizeTrip)
+}
@@ -0,0 +1,116 @@
+// Multi-stop trips: ordering stops and splitting route results by leg
+// A trip is the driver's position followed by stops ({lat, lng}) visited in order; the last stop is the destination.
+import { distanceBetween, routeLengthMeters, routeProgress } from './geoUtils.js'
+
+// While navigating: how close counts as reaching a stop or the end of a step, how far off the route
+// flags the driver as off it, and how far off (once flagged on an earlier fix) routes again
+export const STOP_ARRIVAL_METERS = 80
+const STEP_ARRIVAL_METERS = 80
+const OFF_ROUTE_METERS = 150
+const REROUTE_METERS = 200
+
+// Straight-line length of visiting the points in order
+function pathMeters(points) {
+  let total = 0
+  for (let i = 1; i < points.length; i++) total += distanceBetween(points[i - 1], points[i])
+  return total
+}
+
+/**
+ * Reorder the stops between the origin and the destination to shorten the trip
+ * Uses straight-line distances (nearest neighbor, then 2-opt), so it needs no routing calls;
+ * the last stop stays the destination.
+ * @param {object} origin - {lat, lng}
+ * @param {object[]} stops - Stops ({lat, lng, ...}) in their current order
+ * @returns {object[]} The same stops in the suggested order
+ */
+export function optimizeStopOrder(origin, stops) {
+  if (stops.length <= 2) return stops
+  const destination = stops[stops.length - 1]
+
+  // Nearest neighbor from the origin
+  const remaining = stops.slice(0, -1)
+  const order = []
+  let current = origin
+  while (remaining.length > 0) {
+    let nearest = 0
+    remaining.forEach((stop, i) => {
+      if (distanceBetween(current, stop) < distanceBetween(current, remaining[nearest])) nearest = i
+    })
+    current = remaining.splice(nearest, 1)[0]
+    order.push(current)
+  }
+
+  // 2-opt: reverse any run of stops that makes the trip shorter, until none does
+  let improved = true
+  while (improved) {
+    improved = false
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)]
+        if (pathMeters([origin, ...candidate, destination]) < pathMeters([origin, ...order, destination]) - 1) {
+          order.splice(0, order.length, ...candidate)
+          improved = true
+        }
+      }
+    }
+  }
+  return [...order, destination]
+}
+
+/**
+ * Group the hazards on a route by the leg they fall on
+ * @param {Array} hazards - Hazards with alongRouteMeters (from fetchRouteHazards)
+ * @param {object} route - Route with geometry and legs (see src/utils/routing)
+ * @returns {Array[]} One list of hazards per leg
+ */
+export function hazardsByLeg(hazards, route) {
+  const legs = route?.legs || []
+  // Distance along the geometry where each leg ends
+  const legEnds = legs.map(leg => routeLengthMeters(route.geometry.slice(0, leg.wayPoints[1] + 1)))
+  const groups = legs.map(() => [])
+  hazards.forEach(h => {
+    const leg = legEnds.findIndex(end => (h.alongRouteMeters ?? 0) <= end)
+    groups[leg === -1 ? groups.length - 1 : leg]?.push(h)
+  })
+  return groups
+}
+
+/**
+ * Where a navigating driver is on the trip, from one position fix
+ * @param {object} position - {lat, lng}
+ * @param {object} trip - As of the previous fix: { route (geometry), instructions, stepIndex, stops, nextStop, offRoute }
+ * @returns {{ remainingMeters: number, offRoute: boolean, stepIndex: number, nextStop: number,
+ *   reroute: { origin: object, firstStop: number }|null }|null} reroute says where to route from again
+ *   (through stops[firstStop..]) when the driver has left the route; null when the route has no usable points
+ */
+export function tripProgress(position, { route, instructions = [], stepIndex = 0, stops = [], nextStop = 0, offRoute = false }) {
+  if (!Array.isArray(route) || route.length < 2) return null
+  const progress = routeProgress(position, route)
+  if (!progress) return null
+  const fromRoute = progress.distanceFromRouteMeters
+
+  // A stop counts as reached once the driver gets close to it (the last one ends navigation instead)
+  const stop = stops[nextStop]
+  const reached = stop && nextStop < stops.length - 1 && distanceBetween(position, stop) < STOP_ARRIVAL_METERS
+    ? nextStop + 1
+    : nextStop
+
+  // Move past every step whose end the driver has got to
+  let step = stepIndex
+  for (let i = stepIndex; i < instructions.length; i++) {
+    const { wayPoints } = instructions[i]
+    const target = route[wayPoints?.[1] ?? wayPoints?.[0]]
+    if (!target) continue
+    if (distanceBetween(position, target) >= STEP_ARRIVAL_METERS) break
+    step = i + 1
+  }
+
+  return {
+    remainingMeters: fromRoute + progress.remainingMeters,
+    offRoute: fromRoute > OFF_ROUTE_METERS,
+    stepIndex: Math.min(step, Math.max(0, instructions.length - 1)),
+    nextStop: reached,
+    reroute: offRoute && fromRoute > REROUTE_METERS ? { origin: position, firstStop: reached } : null
+  }
+}
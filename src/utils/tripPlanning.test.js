@@ -0,0 +1,96 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { optimizeStopOrder, hazardsByLeg, tripProgress } from './tripPlanning.js'
+import { distanceBetween, routeLengthMeters } from './geoUtils.js'
+
+// About 8 km due east along one street, with a stop halfway and the destination at the end
+const ROUTE = [[-83.1, 42.33], [-83.05, 42.33], [-83.0, 42.33]]
+const STOPS = [{ lat: 42.33, lng: -83.05 }, { lat: 42.33, lng: -83.0 }]
+const INSTRUCTIONS = [{ wayPoints: [0, 1] }, { wayPoints: [1, 2] }]
+
+// Feed fixes through tripProgress the way the navigation watch callback does
+function drive(fixes, trip) {
+  return fixes.map(position => {
+    const progress = tripProgress(position, trip)
+    trip = { ...trip, stepIndex: progress.stepIndex, nextStop: progress.nextStop, offRoute: progress.offRoute }
+    return progress
+  })
+}
+
+test('tripProgress reaches steps and stops along the route', () => {
+  const [start, atStop] = drive([{ lat: 42.33, lng: -83.09 }, { lat: 42.3302, lng: -83.0502 }], {
+    route: ROUTE, instructions: INSTRUCTIONS, stops: STOPS
+  })
+  assert.equal(start.offRoute, false)
+  assert.equal(start.reroute, null)
+  assert.ok(Math.abs(start.remainingMeters - 7400) < 100, `${start.remainingMeters} m left`)
+  assert.deepEqual([start.stepIndex, start.nextStop], [0, 0])
+  assert.deepEqual([atStop.stepIndex, atStop.nextStop], [1, 1])
+})
+
+test('tripProgress reroutes through the stops not reached yet once the driver stays off the route', () => {
+  const offRoute = { lat: 42.34, lng: -83.03 } // about 1.1 km north of the street, past the first stop
+  const [flagged, rerouted] = drive([offRoute, offRoute], {
+    route: ROUTE, instructions: INSTRUCTIONS, stops: STOPS, stepIndex: 1, nextStop: 1
+  })
+  assert.equal(flagged.offRoute, true)
+  assert.equal(flagged.reroute, null, 'the first fix off the route only flags it')
+  assert.deepEqual(rerouted.reroute, { origin: offRoute, firstStop: 1 })
+})
+
+test('tripProgress does not reroute a driver who drifts back toward the route', () => {
+  const [, near] = drive([{ lat: 42.34, lng: -83.03 }, { lat: 42.3315, lng: -83.03 }], {
+    route: ROUTE, instructions: INSTRUCTIONS, stops: STOPS, stepIndex: 1, nextStop: 1
+  })
+  assert.equal(near.offRoute, true)
+  assert.equal(near.reroute, null)
+  assert.equal(tripProgress({ lat: 42.33, lng: -83.0 }, { route: [[-83.0, 42.33]] }), null)
+})
+
+// Straight-line length of a trip, as optimizeStopOrder measures it
+const tripMeters = (origin, stops) => [origin, ...stops].reduce((total, p, i, all) => (i === 0 ? 0 : total + distanceBetween(all[i - 1], p)), 0)
+
+test('optimizeStopOrder keeps short trips and the destination as they are', () => {
+  const origin = { lat: 42.33, lng: -83.1 }
+  const stops = [{ lat: 42.33, lng: -83.0, name: 'far' }, { lat: 42.33, lng: -83.09, name: 'destination' }]
+  assert.equal(optimizeStopOrder(origin, stops), stops)
+
+  const withDetour = [...stops.slice(0, 1), { lat: 42.33, lng: -83.05, name: 'middle' }, stops[1]]
+  const ordered = optimizeStopOrder(origin, withDetour)
+  assert.equal(ordered.at(-1).name, 'destination')
+  assert.deepEqual(ordered.map(s => s.name).sort(), ['destination', 'far', 'middle'])
+  assert.equal(ordered[0], withDetour[1], 'stops come back as the same objects')
+})
+
+test('optimizeStopOrder improves on nearest neighbor with 2-opt', () => {
+  // Along one street: nearest neighbor goes east to A first, then doubles back west past the origin to B
+  // before heading to the destination far east; visiting B first is shorter
+  const origin = { lat: 42.33, lng: -83.0 }
+  const a = { lat: 42.33, lng: -82.99, name: 'A' }
+  const b = { lat: 42.33, lng: -83.012, name: 'B' }
+  const destination = { lat: 42.33, lng: -82.9, name: 'destination' }
+  const nearestNeighbor = [a, b, destination]
+
+  const ordered = optimizeStopOrder(origin, [a, b, destination])
+  assert.deepEqual(ordered.map(s => s.name), ['B', 'A', 'destination'])
+  assert.ok(tripMeters(origin, ordered) < tripMeters(origin, nearestNeighbor) - 1000)
+})
+
+test('hazardsByLeg splits hazards where each leg ends', () => {
+  const route = { geometry: ROUTE, legs: [{ wayPoints: [0, 1] }, { wayPoints: [1, 2] }] }
+  const firstLegEnd = routeLengthMeters(ROUTE.slice(0, 2))
+  const hazards = [
+    { id: 'start', alongRouteMeters: 0 },
+    { id: 'at-stop', alongRouteMeters: firstLegEnd },
+    { id: 'past-stop', alongRouteMeters: firstLegEnd + 1 },
+    { id: 'unplaced' },
+    { id: 'past-end', alongRouteMeters: routeLengthMeters(ROUTE) + 50 }
+  ]
+  const [first, second] = hazardsByLeg(hazards, route)
+  // A hazard right at a stop belongs to the leg arriving there
+  assert.deepEqual(first.map(h => h.id), ['start', 'at-stop', 'unplaced'])
+  assert.deepEqual(second.map(h => h.id), ['past-stop', 'past-end'])
+
+  assert.deepEqual(hazardsByLeg(hazards, { geometry: ROUTE }), [])
+  assert.deepEqual(hazardsByLeg([], route), [[], []])
+})
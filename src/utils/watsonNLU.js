@@ -1,11 +1,12 @@
 // Watson NLU utility functions
-// Configuration is loaded from .env file
-// Add to .env:
-//   VITE_WATSON_NLU_API_KEY=your_api_key
-//   VITE_WATSON_NLU_URL=your_service_url
+// Requests go through the proxy server, which holds the credentials. Set them in the server's environment:
+//   WATSON_NLU_API_KEY=your_api_key
+//   WATSON_NLU_URL=your_service_url
 
-const WATSON_NLU_API_KEY = import.meta.env.VITE_WATSON_NLU_API_KEY
-const WATSON_NLU_URL = import.meta.env.VITE_WATSON_NLU_URL
+import { PROXY_BASE_URL, fetchProxyStatus } from './hazardAPI'
+
+// Assumed available until the proxy says it has no credentials
+let watsonAvailable = true
 
 /**
  * Analyze text using Watson Natural Language Understanding
@@ -14,7 +15,7 @@ const WATSON_NLU_URL = import.meta.env.VITE_WATSON_NLU_URL
  * @returns {Promise<object|null>} Analysis results or null if unavailable
  */
 export async function analyzeTextWithWatson(text, options = {}) {
-  if (!WATSON_NLU_API_KEY || !WATSON_NLU_URL || !text || text.trim().length === 0) {
+  if (!watsonAvailable || !text || text.trim().length === 0) {
     return null
   }
 
@@ -34,11 +35,10 @@ export async function analyzeTextWithWatson(text, options = {}) {
   const features = options.features || defaultFeatures
 
   try {
-    const response = await fetch(`${WATSON_NLU_URL}/v1/analyze?version=2022-04-07`, {
+    const response = await fetch(`${PROXY_BASE_URL}/api/watson/v1/analyze?version=2022-04-07`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Basic ${btoa(`apikey:${WATSON_NLU_API_KEY}`)}`
+        'Content-Type': 'application/json'
       },
       body: JSON.stringify({
         text: text,
@@ -46,6 +46,11 @@ export async function analyzeTextWithWatson(text, options = {}) {
       })
     })
 
+    if (response.status === 503) {
+      console.warn('⚠️ Watson NLU is not configured on the proxy server (WATSON_NLU_API_KEY, WATSON_NLU_URL)')
+      watsonAvailable = false
+      return null
+    }
     if (!response.ok) {
       console.error('Watson NLU API error:', response.status, response.statusText)
       return null
@@ -60,9 +65,19 @@ export async function analyzeTextWithWatson(text, options = {}) {
 
 /**
  * Check if Watson NLU is configured
- * @returns {boolean} True if API key and URL are set
+ * @returns {boolean} False once the proxy has reported it has no credentials
  */
 export function isWatsonNLUConfigured() {
-  return !!(WATSON_NLU_API_KEY && WATSON_NLU_URL)
+  return watsonAvailable
+}
+
+/**
+ * Ask the proxy whether it has Watson NLU credentials
+ * @returns {Promise<boolean>} True if it does; false when it doesn't or the server is unreachable
+ */
+export async function checkWatsonNLU() {
+  const status = await fetchProxyStatus()
+  watsonAvailable = status?.services?.watson === true
+  return watsonAvailable
 }
 
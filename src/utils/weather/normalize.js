@@ -0,0 +1,66 @@
+// Shared weather shapes and unit helpers for the weather providers
+//
+// Every provider returns the same shapes:
+// - Conditions: { temp, feelsLike, condition, description, humidity, windSpeed, visibility, precipitation, icon }
+//   (°F, mph, visibility in miles as a string, precipitation in mm per hour; condition is one of OpenWeatherMap's
+//   groups - Clear, Clouds, Rain, Drizzle, Thunderstorm, Snow, Fog, Mist - and icon an OpenWeatherMap icon code)
+// - Forecast step: conditions plus { time, dewPoint, windGust, snowfall (inches), pop (chance of precipitation, %) }
+// - Day: { date, tempMin, tempMax, condition, description, humidity, dewPoint, windSpeed, windGust,
+//   precipitation and snowfall totals, pop, icon, summary }
+import { METERS_PER_MILE } from '../geoUtils.js'
+
+const MM_PER_INCH = 25.4
+
+/**
+ * Dew point from temperature and relative humidity (Magnus formula)
+ * @param {number} tempF - Temperature in °F
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} Dew point in °F
+ */
+export function dewPointF(tempF, humidity) {
+  if (tempF == null || !humidity) return null
+  const c = (tempF - 32) * 5 / 9
+  const gamma = Math.log(humidity / 100) + (17.62 * c) / (243.12 + c)
+  return Math.round(((243.12 * gamma) / (17.62 - gamma)) * 9 / 5 + 32)
+}
+
+export const toMiles = (meters) => (meters ? (meters / METERS_PER_MILE).toFixed(1) : null)
+export const toInches = (mm) => Math.round(((mm || 0) / MM_PER_INCH) * 100) / 100
+
+/**
+ * Sum forecast steps up by calendar day
+ * @param {object[]} steps - Forecast steps in time order
+ * @param {number} stepHours - Hours each step covers (precipitation is per hour)
+ * @param {number} days - Most days to return
+ * @returns {object[]} Days
+ */
+export function dailyFromSteps(steps, stepHours, days) {
+  const byDay = new Map()
+  steps.forEach(step => {
+    const key = step.time.toDateString()
+    if (!byDay.has(key)) byDay.set(key, [])
+    byDay.get(key).push(step)
+  })
+  return [...byDay.values()].slice(0, days).map(daySteps => {
+    // The wettest step describes the day, and the coldest one gives its dew point
+    const worst = daySteps.reduce((w, step) => ((step.pop - w.pop || step.precipitation - w.precipitation) > 0 ? step : w))
+    const coldest = daySteps.reduce((c, step) => (step.temp < c.temp ? step : c))
+    const gusts = daySteps.map(step => step.windGust).filter(g => g != null)
+    return {
+      date: daySteps[0].time,
+      tempMin: Math.min(...daySteps.map(step => step.temp)),
+      tempMax: Math.max(...daySteps.map(step => step.temp)),
+      summary: null,
+      condition: worst.condition,
+      description: worst.description,
+      humidity: Math.round(daySteps.reduce((sum, step) => sum + step.humidity, 0) / daySteps.length),
+      dewPoint: coldest.dewPoint,
+      windSpeed: Math.max(...daySteps.map(step => step.windSpeed)),
+      windGust: gusts.length > 0 ? Math.max(...gusts) : null,
+      precipitation: Math.round(daySteps.reduce((sum, step) => sum + step.precipitation * stepHours, 0) * 100) / 100,
+      snowfall: Math.round(daySteps.reduce((sum, step) => sum + step.snowfall, 0) * 100) / 100,
+      pop: Math.max(...daySteps.map(step => step.pop)),
+      icon: worst.icon
+    }
+  })
+}
@@ -0,0 +1,244 @@
+// National Weather Service (api.weather.gov): no key needed, US locations only
+// Current conditions come from the nearest observation station with a recent reading, forecasts from the
+// gridpoint's raw time series (hourly steps, about 7 days ahead). See ./normalize.js for the shapes returned.
+import { dewPointF, toMiles, toInches, dailyFromSteps } from './normalize.js'
+
+const NWS_API_BASE = 'https://api.weather.gov'
+// Gridpoint forecasts are updated about hourly
+const GRID_CACHE_MS = 10 * 60 * 1000
+// Stations to try, nearest first, and how old their latest reading may be
+const MAX_STATIONS = 3
+const MAX_OBSERVATION_AGE_MS = 2 * 60 * 60 * 1000
+const KMH_PER_MPH = 1.609344
+// api.weather.gov sometimes hangs; give up rather than stall a page or a proxy request
+const NWS_TIMEOUT_MS = 10000
+
+// points lookups never change; gridpoint data is kept for GRID_CACHE_MS
+const pointsCache = new Map()
+const gridCache = new Map()
+
+async function nwsJson(url) {
+  try {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': 'MichiGuard/1.0',
+        'Accept': 'application/geo+json'
+      },
+      signal: AbortSignal.timeout(NWS_TIMEOUT_MS)
+    })
+    if (!response.ok) {
+      console.error('NWS API error:', response.status, url)
+      return null
+    }
+    return await response.json()
+  } catch (error) {
+    console.error('Failed to fetch NWS data:', error)
+    return null
+  }
+}
+
+// Forecast office grid and station list for a location (null outside the US)
+function getPoint(lat, lon) {
+  const key = `${Number(lat).toFixed(4)},${Number(lon).toFixed(4)}`
+  if (!pointsCache.has(key)) {
+    const request = nwsJson(`${NWS_API_BASE}/points/${key}`).then(data => {
+      if (!data?.properties) pointsCache.delete(key)
+      return data?.properties || null
+    })
+    pointsCache.set(key, request)
+  }
+  return pointsCache.get(key)
+}
+
+function getGridData(url) {
+  const cached = gridCache.get(url)
+  if (cached && Date.now() - cached.at < GRID_CACHE_MS) return cached.request
+  const request = nwsJson(url).then(data => {
+    if (!data?.properties) gridCache.delete(url)
+    return data?.properties || null
+  })
+  gridCache.set(url, { at: Date.now(), request })
+  return request
+}
+
+// Unit conversions by the WMO unit codes NWS labels its values with
+function toF(value, unit = 'wmoUnit:degC') {
+  if (value == null) return null
+  return unit.endsWith('degF') ? value : value * 9 / 5 + 32
+}
+
+function toMph(value, unit = 'wmoUnit:km_h-1') {
+  if (value == null) return null
+  return unit.endsWith('m_s-1') ? value * 2.23694 : value / KMH_PER_MPH
+}
+
+const round = (value) => (value == null ? null : Math.round(value))
+
+// OpenWeatherMap's condition group for an NWS description ("Light Snow") or weather code ("snow_showers")
+function conditionGroup(text) {
+  const t = (text || '').replace(/_/g, ' ').toLowerCase()
+  if (/thunder/.test(t)) return 'Thunderstorm'
+  if (/snow|sleet|ice pellets|flurr/.test(t)) return 'Snow'
+  if (/drizzle/.test(t)) return 'Drizzle'
+  if (/rain|shower/.test(t)) return 'Rain'
+  if (/fog/.test(t)) return 'Fog'
+  if (/mist|haze|smoke|dust/.test(t)) return 'Mist'
+  if (/clear|fair|sunny/.test(t)) return 'Clear'
+  return 'Clouds'
+}
+
+// OpenWeatherMap icon code, so the app draws every provider's icons the same way
+const ICON_CODES = { Thunderstorm: '11', Snow: '13', Drizzle: '09', Rain: '10', Fog: '50', Mist: '50', Clear: '01' }
+
+function iconCode(condition, skyCover, isDay) {
+  let code = ICON_CODES[condition]
+  if (!code) code = skyCover != null && skyCover < 50 ? '02' : skyCover != null && skyCover < 88 ? '03' : '04'
+  return code + (isDay ? 'd' : 'n')
+}
+
+/**
+ * Current conditions from the nearest NWS observation station
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<object|null>} Conditions or null if unavailable
+ */
+export async function nwsCurrent(lat, lon) {
+  const point = await getPoint(lat, lon)
+  if (!point?.observationStations) return null
+  const stations = await nwsJson(point.observationStations)
+
+  for (const station of (stations?.features || []).slice(0, MAX_STATIONS)) {
+    const data = await nwsJson(`${station.id}/observations/latest`)
+    const obs = data?.properties
+    if (obs?.temperature?.value == null || Date.now() - Date.parse(obs.timestamp) > MAX_OBSERVATION_AGE_MS) continue
+
+    const temp = toF(obs.temperature.value, obs.temperature.unitCode)
+    const apparent = obs.windChill?.value != null ? obs.windChill : obs.heatIndex
+    const feelsLike = toF(apparent?.value, apparent?.unitCode)
+    const condition = conditionGroup(obs.textDescription)
+    return {
+      temp: Math.round(temp),
+      feelsLike: Math.round(feelsLike ?? temp),
+      condition,
+      description: obs.textDescription?.toLowerCase() || condition.toLowerCase(),
+      humidity: round(obs.relativeHumidity?.value),
+      windSpeed: Math.round(toMph(obs.windSpeed?.value, obs.windSpeed?.unitCode) || 0),
+      visibility: toMiles(obs.visibility?.value), // Convert meters to miles
+      precipitation: obs.precipitationLastHour?.value || 0,
+      icon: iconCode(condition, null, !/\/night\//.test(obs.icon || ''))
+    }
+  }
+  console.warn('⚠️ No recent NWS observation near', lat, lon)
+  return null
+}
+
+// Hours in an ISO 8601 duration like PT1H or P1DT6H
+function durationHours(duration) {
+  const [, days = 0, hours = 0, minutes = 0] = duration.match(/P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?/) || []
+  return Number(days) * 24 + Number(hours) + Number(minutes) / 60
+}
+
+// A gridpoint layer as intervals, looked up by time
+function layerLookup(layer) {
+  const intervals = (layer?.values || []).map(({ validTime, value }) => {
+    const [start, duration] = validTime.split('/')
+    const hours = durationHours(duration)
+    const from = Date.parse(start)
+    return { from, to: from + hours * 3600 * 1000, hours, value }
+  })
+  return (time) => intervals.find(i => time >= i.from && time < i.to) || null
+}
+
+// Hourly forecast steps from gridpoint data, starting with the current hour
+function gridSteps(grid, hours) {
+  const layers = {}
+  ;['temperature', 'apparentTemperature', 'dewpoint', 'relativeHumidity', 'windSpeed', 'windGust',
+    'probabilityOfPrecipitation', 'quantitativePrecipitation', 'snowfallAmount', 'visibility', 'skyCover', 'weather']
+    .forEach(name => { layers[name] = layerLookup(grid[name]) })
+  const unit = (name) => grid[name]?.uom
+
+  const start = new Date()
+  start.setMinutes(0, 0, 0)
+  const steps = []
+  for (let h = 0; h < hours; h++) {
+    const time = new Date(start.getTime() + h * 3600 * 1000)
+    const at = (name) => layers[name](time.getTime())
+    const temperature = at('temperature')
+    if (temperature?.value == null) break
+
+    const temp = toF(temperature.value, unit('temperature'))
+    const humidity = round(at('relativeHumidity')?.value)
+    const skyCover = at('skyCover')?.value
+    // Weather is a list like [{ coverage: 'chance', intensity: 'light', weather: 'rain_showers' }]
+    const weather = (at('weather')?.value || []).find(w => w?.weather)
+    const condition = weather ? conditionGroup(weather.weather) : conditionGroup(skyCover != null && skyCover < 25 ? 'clear' : '')
+    const description = weather
+      ? [weather.coverage, weather.intensity, weather.weather].filter(Boolean).join(' ').replace(/_/g, ' ')
+      : skyCover == null ? condition.toLowerCase()
+        : skyCover < 25 ? 'clear sky' : skyCover < 60 ? 'partly cloudy' : skyCover < 88 ? 'mostly cloudy' : 'overcast'
+    const qpf = at('quantitativePrecipitation')
+    const snow = at('snowfallAmount')
+    const gust = at('windGust')?.value
+    const localHour = time.getHours()
+
+    steps.push({
+      time,
+      temp: Math.round(temp),
+      feelsLike: Math.round(toF(at('apparentTemperature')?.value, unit('apparentTemperature')) ?? temp),
+      condition,
+      description,
+      humidity,
+      dewPoint: round(toF(at('dewpoint')?.value, unit('dewpoint'))) ?? dewPointF(temp, humidity),
+      windSpeed: Math.round(toMph(at('windSpeed')?.value, unit('windSpeed')) || 0),
+      windGust: gust != null ? Math.round(toMph(gust, unit('windGust'))) : null,
+      visibility: toMiles(at('visibility')?.value),
+      // Amounts cover the whole interval; spread them per hour
+      precipitation: qpf?.value ? qpf.value / qpf.hours : 0,
+      snowfall: toInches(snow?.value ? snow.value / snow.hours : 0),
+      pop: Math.round(at('probabilityOfPrecipitation')?.value || 0),
+      icon: iconCode(condition, skyCover, localHour >= 6 && localHour < 18)
+    })
+  }
+  return steps
+}
+
+/**
+ * Hour-by-hour NWS forecast
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} [options]
+ * @param {number} [options.hours=24] - How far ahead (the grid reaches about 7 days)
+ * @returns {Promise<object[]|null>} Forecast steps or null if unavailable
+ */
+export async function nwsHourly(lat, lon, { hours = 24 } = {}) {
+  const point = await getPoint(lat, lon)
+  if (!point?.forecastGridData) return null
+  const grid = await getGridData(point.forecastGridData)
+  const steps = grid ? gridSteps(grid, Math.ceil(hours)) : []
+  return steps.length > 0 ? steps : null
+}
+
+/**
+ * NWS forecast for departure and route planning (hourly steps, same as nwsHourly)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} [options]
+ * @param {number} [options.hours=15] - How far ahead to fetch
+ * @returns {Promise<object[]|null>} Forecast steps or null if unavailable
+ */
+export function nwsForecast(lat, lon, { hours = 15 } = {}) {
+  return nwsHourly(lat, lon, { hours })
+}
+
+/**
+ * Day-by-day NWS forecast, summed up from the hourly steps
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} [options]
+ * @param {number} [options.days=7] - How many days, starting today
+ * @returns {Promise<object[]|null>} Days or null if unavailable
+ */
+export async function nwsDaily(lat, lon, { days = 7 } = {}) {
+  const steps = await nwsHourly(lat, lon, { hours: days * 24 })
+  return steps ? dailyFromSteps(steps, 1, days) : null
+}
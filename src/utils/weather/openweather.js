@@ -0,0 +1,191 @@
+// OpenWeatherMap (free tier: 60 calls/minute, 1,000,000 calls/month)
+// Requests go through the proxy server, which adds the key. Set it in the server's environment:
+//   OPENWEATHER_API_KEY=your_api_key
+// Get free API key at: https://openweathermap.org/api
+import { dewPointF, toMiles, toInches, dailyFromSteps } from './normalize.js'
+
+// import.meta.env is Vite's; the server imports this module only for the response mappers
+const PROXY_BASE_URL = import.meta.env?.VITE_PROXY_URL || 'http://localhost:3001'
+const OPENWEATHER_BASE_URL = `${PROXY_BASE_URL}/api/openweather/data/2.5`
+// Hourly and daily forecasts come from One Call 3.0, which needs its own (free to start) subscription
+const ONECALL_URL = `${PROXY_BASE_URL}/api/openweather/data/3.0/onecall`
+// The free forecast is 40 steps of 3 hours
+const FORECAST_STEP_HOURS = 3
+const FORECAST_MAX_STEPS = 40
+// One Call gives 48 hours and 8 days
+const HOURLY_MAX_HOURS = 48
+const DAILY_MAX_DAYS = 8
+
+// Assumed available until the proxy says it has no key
+let openWeatherAvailable = true
+
+export const isOpenWeatherConfigured = () => openWeatherAvailable
+
+// GET an OpenWeatherMap endpoint through the proxy, in imperial units; null if unavailable
+async function openWeatherJson(url, params) {
+  if (!openWeatherAvailable) return null
+  try {
+    const response = await fetch(`${url}?${new URLSearchParams({ ...params, units: 'imperial' })}`)
+    if (response.status === 503) {
+      console.warn('⚠️ OpenWeatherMap is not configured on the proxy server (OPENWEATHER_API_KEY)')
+      openWeatherAvailable = false
+      return null
+    }
+    if (!response.ok) {
+      console.error('OpenWeatherMap API error:', response.status, response.statusText)
+      return null
+    }
+    return await response.json()
+  } catch (error) {
+    console.error('Failed to fetch weather data:', error)
+    return null
+  }
+}
+
+/**
+ * Conditions from an OpenWeatherMap /weather response
+ * @param {object} data - Response body
+ * @returns {object} Conditions
+ */
+export function openWeatherConditions(data) {
+  return {
+    temp: Math.round(data.main.temp),
+    feelsLike: Math.round(data.main.feels_like),
+    condition: data.weather[0].main,
+    description: data.weather[0].description,
+    humidity: data.main.humidity,
+    windSpeed: Math.round(data.wind?.speed || 0),
+    visibility: toMiles(data.visibility), // Convert meters to miles
+    precipitation: data.rain?.['1h'] || data.snow?.['1h'] || 0,
+    icon: data.weather[0].icon
+  }
+}
+
+/**
+ * Current conditions from OpenWeatherMap
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<object|null>} Conditions (see ./normalize.js) or null if unavailable
+ */
+export async function openWeatherCurrent(lat, lon) {
+  const data = await openWeatherJson(`${OPENWEATHER_BASE_URL}/weather`, { lat, lon })
+  return data ? openWeatherConditions(data) : null
+}
+
+/**
+ * Forecast step from one entry of an OpenWeatherMap /forecast response (3 hours)
+ * @param {object} item - Entry of the response's list
+ * @returns {object} Forecast step
+ */
+export function openWeatherStep(item) {
+  return {
+    time: new Date(item.dt * 1000),
+    temp: Math.round(item.main.temp),
+    feelsLike: Math.round(item.main.feels_like),
+    condition: item.weather[0].main,
+    description: item.weather[0].description,
+    humidity: item.main.humidity,
+    dewPoint: dewPointF(item.main.temp, item.main.humidity),
+    windSpeed: Math.round(item.wind?.speed || 0),
+    windGust: item.wind?.gust != null ? Math.round(item.wind.gust) : null,
+    visibility: toMiles(item.visibility), // Convert meters to miles
+    // Per hour like the current conditions, so assessHazardRisk treats both alike
+    precipitation: (item.rain?.['3h'] || item.snow?.['3h'] || 0) / FORECAST_STEP_HOURS,
+    snowfall: toInches(item.snow?.['3h']),
+    pop: Math.round((item.pop || 0) * 100),
+    icon: item.weather[0].icon
+  }
+}
+
+/**
+ * OpenWeatherMap forecast in 3-hour steps, up to 5 days ahead
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} [options]
+ * @param {number} [options.hours=15] - How far ahead to fetch (up to 120)
+ * @returns {Promise<object[]|null>} Forecast steps (see ./normalize.js) or null if unavailable
+ */
+export async function openWeatherForecast(lat, lon, { hours = 15 } = {}) {
+  const count = Math.min(FORECAST_MAX_STEPS, Math.max(1, Math.ceil(hours / FORECAST_STEP_HOURS)))
+  const data = await openWeatherJson(`${OPENWEATHER_BASE_URL}/forecast`, { lat, lon, cnt: count })
+  return data ? data.list.map(openWeatherStep) : null
+}
+
+// One Call data for a location, or null when the subscription is missing or the request fails
+function fetchOneCall(lat, lon) {
+  return openWeatherJson(ONECALL_URL, { lat, lon, exclude: 'current,minutely,alerts' })
+}
+
+// Precipitation and weather fields shared by One Call hourly and daily entries
+function oneCallFields(item, rain, snow) {
+  return {
+    condition: item.weather[0].main,
+    description: item.weather[0].description,
+    humidity: item.humidity,
+    dewPoint: Math.round(item.dew_point),
+    windSpeed: Math.round(item.wind_speed || 0),
+    windGust: item.wind_gust != null ? Math.round(item.wind_gust) : null,
+    precipitation: rain || snow || 0,
+    snowfall: toInches(snow),
+    pop: Math.round((item.pop || 0) * 100),
+    icon: item.weather[0].icon
+  }
+}
+
+/**
+ * Hour-by-hour OpenWeatherMap forecast
+ * Uses One Call 3.0; without that subscription the 3-hour forecast is returned instead.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} [options]
+ * @param {number} [options.hours=24] - How far ahead (up to 48)
+ * @returns {Promise<object[]|null>} Forecast steps or null if unavailable
+ */
+export async function openWeatherHourly(lat, lon, { hours = 24 } = {}) {
+  if (!openWeatherAvailable) {
+    return null
+  }
+
+  const limit = Math.min(HOURLY_MAX_HOURS, hours)
+  const data = await fetchOneCall(lat, lon)
+  if (!data?.hourly) return openWeatherForecast(lat, lon, { hours: limit })
+
+  return data.hourly.slice(0, limit).map(item => ({
+    time: new Date(item.dt * 1000),
+    temp: Math.round(item.temp),
+    feelsLike: Math.round(item.feels_like),
+    visibility: toMiles(item.visibility),
+    ...oneCallFields(item, item.rain?.['1h'], item.snow?.['1h'])
+  }))
+}
+
+/**
+ * Day-by-day OpenWeatherMap forecast
+ * Uses One Call 3.0 (up to 8 days); without that subscription the 3-hour forecast is summed up by day,
+ * which reaches 5 days.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} [options]
+ * @param {number} [options.days=7] - How many days, starting today
+ * @returns {Promise<object[]|null>} Days (see ./normalize.js) or null if unavailable
+ */
+export async function openWeatherDaily(lat, lon, { days = 7 } = {}) {
+  if (!openWeatherAvailable) {
+    return null
+  }
+
+  const limit = Math.min(DAILY_MAX_DAYS, days)
+  const data = await fetchOneCall(lat, lon)
+  if (data?.daily) {
+    return data.daily.slice(0, limit).map(item => ({
+      date: new Date(item.dt * 1000),
+      tempMin: Math.round(item.temp.min),
+      tempMax: Math.round(item.temp.max),
+      summary: item.summary || null,
+      ...oneCallFields(item, item.rain, item.snow)
+    }))
+  }
+
+  const steps = await openWeatherForecast(lat, lon, { hours: FORECAST_MAX_STEPS * FORECAST_STEP_HOURS })
+  return steps ? dailyFromSteps(steps, FORECAST_STEP_HOURS, limit) : null
+}
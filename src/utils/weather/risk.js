@@ -0,0 +1,148 @@
+// Weather risk for drivers, from any provider's conditions or forecast steps (see ./normalize.js)
+// No browser APIs, so the server scores route weather with the same rules.
+
+// A forecast step describes the weather up to this long before or after it
+const FORECAST_MATCH_HOURS = 3
+
+// Hazard types assessHazardRisk knows
+export const HAZARD_RISK_TYPES = ['Icy Roads', 'Flood Risk', 'Low Visibility', 'High Wind Risk', 'Accident Likelihood']
+
+// Weather risk scores at or above these are High / Medium
+const HIGH_RISK_SCORE = 60
+const MEDIUM_RISK_SCORE = 30
+
+/**
+ * Level for a weather risk score (one hazard, or an average along a route)
+ * @param {number} score - 0-100
+ * @returns {string} 'High', 'Medium' or 'Low'
+ */
+export function riskLevel(score) {
+  if (score >= HIGH_RISK_SCORE) return 'High'
+  if (score >= MEDIUM_RISK_SCORE) return 'Medium'
+  return 'Low'
+}
+
+/**
+ * Forecast step covering a moment
+ * @param {object[]|null} forecast - From getWeatherForecast
+ * @param {Date} time
+ * @returns {object|null} The closest step, or null when none is within a step of that time
+ */
+export function forecastAt(forecast, time) {
+  if (!forecast?.length) return null
+  const closest = forecast.reduce((best, step) =>
+    Math.abs(step.time - time) < Math.abs(best.time - time) ? step : best
+  )
+  return Math.abs(closest.time - time) <= FORECAST_MATCH_HOURS * 3600 * 1000 ? closest : null
+}
+
+/**
+ * Driving conditions a forecast step or day points to
+ * @param {object} weather - From getCurrentWeather, getHourlyForecast or getDailyForecast
+ * @returns {string[]} Short labels, worst first (empty when nothing stands out)
+ */
+export function roadConditions(weather) {
+  if (!weather) return []
+  const temp = weather.temp ?? weather.tempMin
+  const wet = weather.precipitation > 0 || weather.pop >= 50
+  const conditions = []
+  if (weather.snowfall >= 1) conditions.push(`Snow ${weather.snowfall}"`)
+  else if (weather.snowfall > 0 || weather.condition === 'Snow') conditions.push('Snow')
+  // Ice forms near freezing when it's wet or the air is close to saturated (frost)
+  if (temp <= 34 && (wet || (weather.dewPoint != null && temp - weather.dewPoint <= 3))) conditions.push('Ice risk')
+  else if (temp <= 32) conditions.push('Freezing')
+  if (weather.visibility != null && weather.visibility < 1) conditions.push('Low visibility')
+  if ((weather.windGust ?? weather.windSpeed) >= 35) conditions.push('Gusty winds')
+  if (wet && !conditions.length) conditions.push('Wet roads')
+  return conditions
+}
+
+/**
+ * Get hazard risk based on weather conditions
+ * @param {object} weather - Weather data from getCurrentWeather
+ * @param {string} hazardType - Type of hazard to assess
+ * @returns {object} Risk assessment
+ */
+export function assessHazardRisk(weather, hazardType) {
+  if (!weather) {
+    return { level: 'Unknown', score: 0, factors: [] }
+  }
+
+  let riskScore = 0
+  const factors = []
+
+  switch (hazardType) {
+    case 'Icy Roads':
+      if (weather.temp <= 32) {
+        riskScore += 40
+        factors.push('Freezing temperatures')
+      }
+      if (weather.precipitation > 0) {
+        riskScore += 30
+        factors.push('Precipitation expected')
+      }
+      if (weather.humidity > 80) {
+        riskScore += 20
+        factors.push('High humidity')
+      }
+      break
+
+    case 'Flood Risk':
+      if (weather.precipitation > 0.5) {
+        riskScore += 50
+        factors.push('Heavy precipitation')
+      }
+      if (weather.humidity > 85) {
+        riskScore += 20
+        factors.push('High humidity')
+      }
+      break
+
+    case 'Low Visibility':
+      if (weather.visibility && weather.visibility < 1) {
+        riskScore += 60
+        factors.push('Very low visibility')
+      } else if (weather.visibility && weather.visibility < 3) {
+        riskScore += 40
+        factors.push('Reduced visibility')
+      }
+      if (weather.condition === 'Fog' || weather.condition === 'Mist') {
+        riskScore += 30
+        factors.push('Foggy conditions')
+      }
+      break
+
+    case 'High Wind Risk':
+      if (weather.windSpeed > 30) {
+        riskScore += 60
+        factors.push('Strong winds')
+      } else if (weather.windSpeed > 20) {
+        riskScore += 40
+        factors.push('Moderate winds')
+      }
+      break
+
+    case 'Accident Likelihood':
+      // Combine multiple factors
+      if (weather.condition === 'Rain' || weather.condition === 'Snow') {
+        riskScore += 30
+        factors.push('Wet conditions')
+      }
+      if (weather.visibility && weather.visibility < 3) {
+        riskScore += 25
+        factors.push('Poor visibility')
+      }
+      if (weather.windSpeed > 20) {
+        riskScore += 20
+        factors.push('Windy conditions')
+      }
+      break
+  }
+
+  return {
+    level: riskLevel(riskScore),
+    score: Math.min(100, riskScore),
+    factors
+  }
+}
+
@@ -0,0 +1,24 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { riskLevel, assessHazardRisk, HAZARD_RISK_TYPES } from './risk.js'
+
+test('riskLevel maps scores to Low, Medium and High', () => {
+  assert.equal(riskLevel(0), 'Low')
+  assert.equal(riskLevel(29), 'Low')
+  assert.equal(riskLevel(30), 'Medium')
+  assert.equal(riskLevel(59), 'Medium')
+  assert.equal(riskLevel(60), 'High')
+  assert.equal(riskLevel(100), 'High')
+})
+
+test('assessHazardRisk levels follow riskLevel', () => {
+  const blizzard = { temp: 20, condition: 'Snow', description: 'heavy snow', humidity: 95, windSpeed: 40, visibility: 0.25, precipitation: 2 }
+  const clear = { temp: 70, condition: 'Clear', description: 'clear sky', humidity: 40, windSpeed: 5, visibility: 10, precipitation: 0 }
+  HAZARD_RISK_TYPES.forEach(type => {
+    ;[blizzard, clear].forEach(weather => {
+      const risk = assessHazardRisk(weather, type)
+      assert.equal(risk.level, riskLevel(risk.score), `${type} in ${weather.description}`)
+    })
+  })
+  assert.equal(assessHazardRisk(null, 'Icy Roads').level, 'Unknown')
+})
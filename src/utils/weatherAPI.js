@@ -1,10 +1,50 @@
 // Real-time weather data utility
-// Uses OpenWeatherMap API (free tier: 60 calls/minute, 1,000,000 calls/month)
-// Add to .env: VITE_OPENWEATHER_API_KEY=your_api_key
-// Get free API key at: https://openweathermap.org/api
+// Providers: the National Weather Service (no key needed, US only) or OpenWeatherMap (through the proxy server,
+// which holds OPENWEATHER_API_KEY). VITE_WEATHER_PROVIDER picks one ('nws' or 'openweather'); without it
+// OpenWeatherMap is tried first and the NWS is used once the proxy reports it has no key.
+// When OpenWeatherMap has no answer, the NWS is tried next.
+// Every provider returns the same shapes (see ./weather/normalize.js).
+import { toLngLat } from './geoUtils'
+import { fetchRouteWeather } from './hazardAPI'
+import { nwsCurrent, nwsForecast, nwsHourly, nwsDaily } from './weather/nws'
+import {
+  isOpenWeatherConfigured,
+  openWeatherCurrent,
+  openWeatherForecast,
+  openWeatherHourly,
+  openWeatherDaily
+} from './weather/openweather'
+
+import { assessHazardRisk, riskLevel } from './weather/risk'
+
+export { forecastAt, roadConditions, assessHazardRisk, riskLevel } from './weather/risk'
+
+const PROVIDERS = {
+  nws: { name: 'NWS', configured: () => true, current: nwsCurrent, forecast: nwsForecast, hourly: nwsHourly, daily: nwsDaily },
+  openweather: {
+    name: 'OpenWeatherMap',
+    configured: isOpenWeatherConfigured,
+    current: openWeatherCurrent,
+    forecast: openWeatherForecast,
+    hourly: openWeatherHourly,
+    daily: openWeatherDaily
+  }
+}
 
-const OPENWEATHER_API_KEY = import.meta.env.VITE_OPENWEATHER_API_KEY
-const OPENWEATHER_BASE_URL = 'https://api.openweathermap.org/data/2.5'
+export const WEATHER_PROVIDER = import.meta.env.VITE_WEATHER_PROVIDER || 'openweather'
+
+// Call the configured provider, falling back to the NWS when it has no answer
+async function fromProvider(method, ...args) {
+  const provider = PROVIDERS[WEATHER_PROVIDER]
+  if (!provider) {
+    console.error(`Unknown weather provider "${WEATHER_PROVIDER}" (VITE_WEATHER_PROVIDER must be one of ${Object.keys(PROVIDERS).join(', ')})`)
+    return null
+  }
+  const result = provider.configured() ? await provider[method](...args) : null
+  if (result || provider === PROVIDERS.nws) return result
+  console.warn(`⚠️ ${provider.name} weather unavailable, trying NWS`)
+  return PROVIDERS.nws[method](...args)
+}
 
 /**
  * Get current weather data for a location
@@ -12,173 +52,84 @@ const OPENWEATHER_BASE_URL = 'https://api.openweathermap.org/data/2.5'
  * @param {number} lon - Longitude
  * @returns {Promise<object|null>} Weather data or null if unavailable
  */
-export async function getCurrentWeather(lat, lon) {
-  if (!OPENWEATHER_API_KEY) {
-    console.warn('OpenWeatherMap API key not configured')
-    return null
-  }
-
-  try {
-    const response = await fetch(
-      `${OPENWEATHER_BASE_URL}/weather?lat=${lat}&lon=${lon}&appid=${OPENWEATHER_API_KEY}&units=imperial`
-    )
-
-    if (!response.ok) {
-      console.error('OpenWeatherMap API error:', response.status, response.statusText)
-      return null
-    }
-
-    const data = await response.json()
-    return {
-      temp: Math.round(data.main.temp),
-      feelsLike: Math.round(data.main.feels_like),
-      condition: data.weather[0].main,
-      description: data.weather[0].description,
-      humidity: data.main.humidity,
-      windSpeed: Math.round(data.wind?.speed || 0),
-      visibility: data.visibility ? (data.visibility / 1609.34).toFixed(1) : null, // Convert meters to miles
-      precipitation: data.rain?.['1h'] || data.snow?.['1h'] || 0,
-      icon: data.weather[0].icon
-    }
-  } catch (error) {
-    console.error('Failed to fetch weather data:', error)
-    return null
-  }
+export function getCurrentWeather(lat, lon) {
+  return fromProvider('current', lat, lon)
 }
 
 /**
  * Get weather forecast for a location
+ * OpenWeatherMap forecasts come in 3-hour steps and reach 5 days ahead; NWS forecasts are hourly and reach about 7.
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
- * @returns {Promise<object|null>} Forecast data or null if unavailable
+ * @param {object} [options]
+ * @param {number} [options.hours=15] - How far ahead to fetch
+ * @returns {Promise<object[]|null>} Forecast steps (getCurrentWeather's fields plus time, dewPoint, windGust,
+ *   snowfall in inches and pop, the chance of precipitation in %) or null if unavailable
  */
-export async function getWeatherForecast(lat, lon) {
-  if (!OPENWEATHER_API_KEY) {
-    return null
-  }
-
-  try {
-    const response = await fetch(
-      `${OPENWEATHER_BASE_URL}/forecast?lat=${lat}&lon=${lon}&appid=${OPENWEATHER_API_KEY}&units=imperial&cnt=5`
-    )
+export function getWeatherForecast(lat, lon, { hours = 15 } = {}) {
+  return fromProvider('forecast', lat, lon, { hours })
+}
 
-    if (!response.ok) {
-      return null
-    }
+/**
+ * Get an hour-by-hour forecast for a location
+ * OpenWeatherMap needs a One Call 3.0 subscription for this and returns 3-hour steps without one.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} [options]
+ * @param {number} [options.hours=24] - How far ahead (up to 48 with OpenWeatherMap)
+ * @returns {Promise<object[]|null>} Steps with getWeatherForecast's fields, or null if unavailable
+ */
+export function getHourlyForecast(lat, lon, { hours = 24 } = {}) {
+  return fromProvider('hourly', lat, lon, { hours })
+}
 
-    const data = await response.json()
-    return data.list.map(item => ({
-      time: new Date(item.dt * 1000),
-      temp: Math.round(item.main.temp),
-      condition: item.weather[0].main,
-      description: item.weather[0].description,
-      precipitation: item.rain?.['3h'] || item.snow?.['3h'] || 0,
-      windSpeed: Math.round(item.wind?.speed || 0)
-    }))
-  } catch (error) {
-    console.error('Failed to fetch forecast:', error)
-    return null
-  }
+/**
+ * Get a day-by-day forecast for a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} [options]
+ * @param {number} [options.days=7] - How many days, starting today (OpenWeatherMap reaches 5 without One Call)
+ * @returns {Promise<object[]|null>} Days ({ date, tempMin, tempMax, condition, description, humidity, dewPoint,
+ *   windSpeed, windGust, precipitation and snowfall totals, pop, icon, summary }) or null if unavailable
+ */
+export function getDailyForecast(lat, lon, { days = 7 } = {}) {
+  return fromProvider('daily', lat, lon, { days })
 }
 
 /**
- * Check if OpenWeatherMap is configured
- * @returns {boolean} True if API key is set
+ * Check if a weather provider is available
+ * @returns {boolean} True unless VITE_WEATHER_PROVIDER names an unknown provider (the NWS needs no key)
  */
 export function isWeatherAPIConfigured() {
-  return !!OPENWEATHER_API_KEY
+  return Boolean(PROVIDERS[WEATHER_PROVIDER])
 }
 
 /**
- * Get hazard risk based on weather conditions
- * @param {object} weather - Weather data from getCurrentWeather
- * @param {string} hazardType - Type of hazard to assess
- * @returns {object} Risk assessment
+ * Weather risk along a route from a few evenly spaced samples (current conditions)
+ * @param {Array} geometry - Route points ([lng, lat] or {lat, lng})
+ * @param {number} [samples] - Points to sample: the middles of equal stretches from the proxy, or evenly spaced
+ *   points including both ends without it
+ * @returns {Promise<{ level: string, score: number, factors: string[] }|null>} null when no weather provider is available or no sample loads
  */
-export function assessHazardRisk(weather, hazardType) {
-  if (!weather) {
-    return { level: 'Unknown', score: 0, factors: [] }
+export async function sampleRouteWeather(geometry, samples = 3) {
+  if (!isWeatherAPIConfigured() || !geometry?.length) return null
+  // The proxy shares cached weather between clients; look the samples up here only when it's unavailable
+  const routeWeather = await fetchRouteWeather(geometry, { segments: samples })
+  if (routeWeather) {
+    const { score, level, factors } = routeWeather.summary
+    return level === 'Unknown' ? null : { level, score, factors }
   }
 
-  let riskScore = 0
-  const factors = []
-
-  switch (hazardType) {
-    case 'Icy Roads':
-      if (weather.temp <= 32) {
-        riskScore += 40
-        factors.push('Freezing temperatures')
-      }
-      if (weather.precipitation > 0) {
-        riskScore += 30
-        factors.push('Precipitation expected')
-      }
-      if (weather.humidity > 80) {
-        riskScore += 20
-        factors.push('High humidity')
-      }
-      break
-
-    case 'Flood Risk':
-      if (weather.precipitation > 0.5) {
-        riskScore += 50
-        factors.push('Heavy precipitation')
-      }
-      if (weather.humidity > 85) {
-        riskScore += 20
-        factors.push('High humidity')
-      }
-      break
+  const count = Math.min(samples, geometry.length)
+  const points = Array.from({ length: count }, (_, i) =>
+    toLngLat(geometry[Math.round((i * (geometry.length - 1)) / Math.max(1, count - 1))])
+  ).filter(Boolean)
 
-    case 'Low Visibility':
-      if (weather.visibility && weather.visibility < 1) {
-        riskScore += 60
-        factors.push('Very low visibility')
-      } else if (weather.visibility && weather.visibility < 3) {
-        riskScore += 40
-        factors.push('Reduced visibility')
-      }
-      if (weather.condition === 'Fog' || weather.condition === 'Mist') {
-        riskScore += 30
-        factors.push('Foggy conditions')
-      }
-      break
+  const risks = (await Promise.all(points.map(([lng, lat]) => getCurrentWeather(lat, lng))))
+    .filter(Boolean)
+    .map(weather => assessHazardRisk(weather, 'Accident Likelihood'))
+  if (risks.length === 0) return null
 
-    case 'High Wind Risk':
-      if (weather.windSpeed > 30) {
-        riskScore += 60
-        factors.push('Strong winds')
-      } else if (weather.windSpeed > 20) {
-        riskScore += 40
-        factors.push('Moderate winds')
-      }
-      break
-
-    case 'Accident Likelihood':
-      // Combine multiple factors
-      if (weather.condition === 'Rain' || weather.condition === 'Snow') {
-        riskScore += 30
-        factors.push('Wet conditions')
-      }
-      if (weather.visibility && weather.visibility < 3) {
-        riskScore += 25
-        factors.push('Poor visibility')
-      }
-      if (weather.windSpeed > 20) {
-        riskScore += 20
-        factors.push('Windy conditions')
-      }
-      break
-  }
-
-  let level = 'Low'
-  if (riskScore >= 60) level = 'High'
-  else if (riskScore >= 30) level = 'Medium'
-
-  return {
-    level,
-    score: Math.min(100, riskScore),
-    factors
-  }
+  const score = Math.round(risks.reduce((sum, r) => sum + r.score, 0) / risks.length)
+  return { level: riskLevel(score), score, factors: [...new Set(risks.flatMap(r => r.factors))] }
 }
-